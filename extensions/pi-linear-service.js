@@ -11,6 +11,7 @@ import {
   daemonInstall,
 } from '../src/daemon-control.js';
 import { loadSettings, saveSettings } from '../src/settings.js';
+import { SCOPE_CYCLE_MODES } from '../src/issue-scope.js';
 import { setQuietMode } from '../src/logger.js';
 import { createLinearClient } from '../src/linear-client.js';
 import {
@@ -84,6 +85,7 @@ function validateProjectConfigInput({
   repoPath,
   assignee,
   openStates,
+  cycle,
   timeoutMs,
   restartCooldownSec,
   pollIntervalSec,
@@ -108,6 +110,10 @@ function validateProjectConfigInput({
     throw new Error(`Invalid assignee mode: ${assignee}. Valid: me, all`);
   }
 
+  if (cycle && !SCOPE_CYCLE_MODES.includes(cycle)) {
+    throw new Error(`Invalid cycle mode: ${cycle}. Valid: ${SCOPE_CYCLE_MODES.join(', ')}`);
+  }
+
   if (!Array.isArray(openStates) || openStates.length === 0) {
     throw new Error('Open states must contain at least one state');
   }
@@ -133,6 +139,13 @@ async function promptSelectAssignee(ctx, currentValue = 'me') {
   return picked;
 }
 
+async function promptSelectCycle(ctx, currentValue = 'any') {
+  if (!ctx?.hasUI || !ctx.ui?.select) return currentValue;
+  const picked = await ctx.ui.select('Cycle scope', SCOPE_CYCLE_MODES);
+  if (!picked) return currentValue;
+  return picked;
+}
+
 // ===== CONFIG HELPERS =====
 
 function effectiveConfigFromArgs(args, existing = null) {
@@ -141,6 +154,7 @@ function effectiveConfigFromArgs(args, existing = null) {
     repoPath: readFlag(args, '--repo-path') || existing?.repo?.path || '',
     assignee: readFlag(args, '--assignee') || existing?.scope?.assignee || 'me',
     openStates: parseStates(readFlag(args, '--open-states')),
+    cycle: readFlag(args, '--cycle') || existing?.scope?.cycle,
     timeoutMs: readFlag(args, '--timeout-ms') || existing?.runtime?.timeoutMs,
     restartCooldownSec: readFlag(args, '--restart-cooldown-sec') || existing?.runtime?.restartCooldownSec,
     pollIntervalSec: readFlag(args, '--poll-interval-sec') || existing?.runtime?.pollIntervalSec,
@@ -315,6 +329,11 @@ async function collectSetupArgsWithUI(pi, ctx, args) {
     const openStates = await promptInput(ctx, 'Open states (comma-separated)', 'Todo, In Progress');
     if (openStates) upsertFlag(args, '--open-states', openStates);
   }
+
+  if (!readFlag(args, '--cycle')) {
+    const cycle = await promptSelectCycle(ctx, 'any');
+    if (cycle) upsertFlag(args, '--cycle', cycle);
+  }
 }
 
 async function collectReconfigureArgsWithUI(pi, ctx, args) {
@@ -352,6 +371,11 @@ async function collectReconfigureArgsWithUI(pi, ctx, args) {
     if (openStates) upsertFlag(args, '--open-states', openStates);
   }
 
+  if (!readFlag(args, '--cycle')) {
+    const cycle = await promptSelectCycle(ctx, existing.scope?.cycle || 'any');
+    if (cycle) upsertFlag(args, '--cycle', cycle);
+  }
+
   return existing;
 }
 
@@ -694,13 +718,14 @@ async function executeIssueList(client, params) {
   }
 
   // Fetch issues
+  const limit = params.limit || 50;
   const { issues, truncated } = await fetchIssuesByProject(
     client,
     resolved.id,
     params.states || null,
     {
       assigneeId,
-      limit: params.limit || 50,
+      limit,
     }
   );
 
@@ -729,7 +754,7 @@ async function executeIssueList(client, params) {
   }
 
   if (truncated) {
-    lines.push('\n_Results may be truncated. Use limit parameter to fetch more._');
+    lines.push(`\n_Showing the first ${issues.length} issues (limit ${limit}); more exist. Increase limit to fetch more._`);
   }
 
   return toTextResult(lines.join('\n'), {
@@ -0,0 +1,174 @@
+/**
+ * Human approval gate
+ *
+ * With `projects.<id>.runtime.requireApproval`, a selected issue is not
+ * prompted right away. The daemon first asks for approval on the issue - a
+ * "ready to start" comment (`request: "comment"`) or a label
+ * (`request: "label"`) - and dispatches it once a person approves by:
+ * - reacting to the request comment
+ * - replying with a comment starting with `/approve` (a reply to the request
+ *   or a comment written after it)
+ * - applying the approve label
+ * Comments and reactions of the daemon's own Linear user and of integrations
+ * never approve.
+ *
+ * While an issue awaits approval the project's next candidate is tried, and
+ * Linear is re-checked every `recheckSec`. Pending requests are kept in the
+ * dispatch ledger, so a daemon restart does not ask twice and `daemon status`
+ * can list them.
+ */
+
+import { addIssueComment, addIssueLabel, fetchIssueDetails } from './linear.js';
+import { debug, info } from './logger.js';
+
+export const APPROVAL_REQUEST_MODES = ['comment', 'label'];
+
+export const DEFAULT_APPROVAL_SETTINGS = {
+  // How approval is asked for: a "ready to start" comment or the request label
+  request: 'comment',
+  // Label added in `label` mode (must exist in Linear)
+  requestLabel: 'agent-ready',
+  // Label that approves the issue (must exist in Linear)
+  approveLabel: 'agent-approved',
+  // How often Linear is checked again while an issue awaits approval
+  recheckSec: 60,
+};
+
+const APPROVAL_PREFIX = 'pi-linear-service approval:';
+const APPROVE_COMMAND = /^\/approve\b/i;
+
+/**
+ * Effective approval settings for a project
+ * @param {Object} config - Config or settings ({projects})
+ * @param {string} projectId
+ * @returns {Object|null} null when the project does not require approval
+ */
+export function resolveApprovalSettings(config, projectId) {
+  const value = config?.projects?.[projectId]?.runtime?.requireApproval;
+  if (!value) return null;
+  return { ...DEFAULT_APPROVAL_SETTINGS, ...(value === true ? {} : value) };
+}
+
+/**
+ * Body of the approval request comment
+ * @param {Object} settings - From resolveApprovalSettings()
+ * @returns {string}
+ */
+export function formatApprovalRequest(settings) {
+  return `${APPROVAL_PREFIX} ready to start\n\n`
+    + `An agent is ready to pick up this issue. React to this comment, reply \`/approve\` `
+    + `or add the \`${settings.approveLabel}\` label to let it start.`;
+}
+
+function isApprovalRequest(comment) {
+  return String(comment?.body || '').trim().startsWith(APPROVAL_PREFIX);
+}
+
+function hasLabel(issue, name) {
+  return (issue.labels || []).some((l) => String(l.name).toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * How an issue was approved, if it was. Only people other than the daemon's
+ * own user approve, and only after approval was asked for.
+ * @param {Object} details - From fetchIssueDetails() with comments
+ * @param {Object} settings - From resolveApprovalSettings()
+ * @param {Object} [options]
+ * @param {string|null} [options.viewerId] - Linear user of this daemon
+ * @param {number|null} [options.requestedAt] - When approval was asked for (label mode has no request comment)
+ * @returns {string|null} 'label', 'command' or 'reaction'
+ */
+export function findApproval(details, settings, { viewerId = null, requestedAt = null } = {}) {
+  if (hasLabel(details, settings.approveLabel)) return 'label';
+  const comments = details.comments || [];
+  const requests = comments.filter(isApprovalRequest);
+  const requestIds = new Set(requests.map((c) => c.id));
+  const since = requests.length > 0 ? Math.min(...requests.map((c) => Date.parse(c.createdAt))) : requestedAt;
+  const byPerson = (userId) => Boolean(userId) && userId !== viewerId;
+
+  const approves = (c) => byPerson(c.userId)
+    && APPROVE_COMMAND.test(String(c.body || '').trim())
+    && (requestIds.has(c.parent?.id) || (Number.isFinite(since) && Date.parse(c.createdAt) > since));
+  if (comments.some(approves)) return 'command';
+
+  const reacted = (c) => (c.reactionData || []).some((r) => (r.reactions || []).some((reaction) => byPerson(reaction.userId)));
+  if (requests.some(reacted)) return 'reaction';
+  return null;
+}
+
+/**
+ * Check whether an issue may be dispatched; ask for approval once if not
+ * @param {LinearClient} client
+ * @param {Object} issue - Issue to dispatch ({id, identifier})
+ * @param {Object} options
+ * @param {Object} options.settings - From resolveApprovalSettings()
+ * @param {string} options.projectId
+ * @param {string|null} [options.viewerId] - Linear user of this daemon (never approves)
+ * @param {import('./dispatch-ledger.js').DispatchLedger} [options.ledger] - Pending request store
+ * @param {number} [options.now]
+ * @returns {Promise<{approved: boolean, reason: string}>}
+ */
+export async function checkApproval(client, issue, { settings, projectId, viewerId = null, ledger = null, now = Date.now() }) {
+  const pending = ledger?.getApprovalRequest(issue.id);
+  if (pending && now - (pending.checkedAt || 0) < settings.recheckSec * 1000) {
+    return { approved: false, reason: 'awaiting approval' };
+  }
+
+  const details = await fetchIssueDetails(client, issue.id, { includeComments: true });
+
+  const approvedBy = findApproval(details, settings, { viewerId, requestedAt: pending?.requestedAt ?? null });
+  if (approvedBy) {
+    if (ledger?.clearApprovalRequest(issue.id)) {
+      await ledger.save();
+    }
+    info('Issue approved', { issueId: issue.id, identifier: issue.identifier, projectId, approvedBy });
+    return { approved: true, reason: `approved by ${approvedBy}` };
+  }
+
+  const requested = settings.request === 'label'
+    ? hasLabel(details, settings.requestLabel)
+    : (details.comments || []).some(isApprovalRequest);
+  if (!requested) {
+    if (settings.request === 'label') {
+      await addIssueLabel(client, issue.id, settings.requestLabel);
+    } else {
+      await addIssueComment(client, issue.id, formatApprovalRequest(settings));
+    }
+    info('Requested approval to start issue', { issueId: issue.id, identifier: issue.identifier, projectId, request: settings.request });
+  } else {
+    debug('Issue still awaiting approval', { issueId: issue.id, identifier: issue.identifier });
+  }
+
+  if (ledger) {
+    ledger.recordApprovalRequest({
+      issueId: issue.id,
+      identifier: issue.identifier || details.identifier,
+      parentId: issue.parent?.id || null,
+      projectId,
+      request: settings.request,
+      requestedAt: pending?.requestedAt ?? now,
+      checkedAt: now,
+    });
+    await ledger.save();
+  }
+
+  return { approved: false, reason: 'awaiting approval' };
+}
+
+/**
+ * Forget pending requests of issues that are no longer candidates
+ * @param {import('./dispatch-ledger.js').DispatchLedger} ledger
+ * @param {string} projectId
+ * @param {Array<Object>} issues - Current candidates of the project
+ * @returns {number} Requests removed
+ */
+export function pruneApprovalRequests(ledger, projectId, issues) {
+  const ids = new Set((issues || []).map((issue) => issue.id));
+  let removed = 0;
+  for (const request of ledger.listApprovalRequests(projectId)) {
+    if (ids.has(request.issueId) || (request.parentId && ids.has(request.parentId))) continue;
+    ledger.clearApprovalRequest(request.issueId);
+    removed += 1;
+  }
+  return removed;
+}
@@ -9,6 +9,8 @@ import {
   daemonStop,
   daemonRestart,
 } from './daemon-control.js';
+import { runsList, runsShow } from './runs-cli.js';
+import { renderPrompt } from './prompt-cli.js';
 
 function printHelp() {
   console.log(`pi-linear-service
@@ -18,11 +20,14 @@ Usage:
   pi-linear-service service install [--working-dir <dir>] [--env-file <path>] [--unit-name <name>] [--node-path <path>] [--no-systemctl]
   pi-linear-service service uninstall [--unit-name <name>] [--no-systemctl]
   pi-linear-service service status [--unit-name <name>]
-  pi-linear-service daemon setup --project-id <id> --repo-path <path> [--project-name <name>] [--open-states "Todo,In Progress"] [--assignee me|all]
-  pi-linear-service daemon reconfigure --project-id <id> [--repo-path <path>] [--project-name <name>] [--open-states "Todo,In Progress"] [--assignee me|all]
+  pi-linear-service daemon setup --project-id <id> --repo-path <path> [--project-name <name>] [--open-states "Todo,In Progress"] [--assignee me|all] [--cycle <mode>]
+  pi-linear-service daemon reconfigure --project-id <id> [--repo-path <path>] [--project-name <name>] [--open-states "Todo,In Progress"] [--assignee me|all] [--cycle <mode>]
   pi-linear-service daemon disable --project-id <id>
   pi-linear-service daemon status --project-id <id>
   pi-linear-service daemon start|stop|restart [--unit-name <name>]
+  pi-linear-service runs list [--project-id <id>] [--limit <n>] [--json]
+  pi-linear-service runs show <runId> [--json]
+  pi-linear-service render-prompt --project-id <id> [--issue <ABC-123>] [--template-file <path>] [--json]
   pi-linear-service --help
 `);
 }
@@ -102,6 +107,27 @@ export async function runCli(argv = process.argv.slice(2)) {
     return;
   }
 
+  if (command === 'runs') {
+    if (subcommand === 'list') {
+      await runsList(restArgs);
+      return;
+    }
+
+    if (subcommand === 'show') {
+      await runsShow(restArgs);
+      return;
+    }
+
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (command === 'render-prompt') {
+    await renderPrompt([subcommand, ...restArgs].filter((a) => a !== undefined));
+    return;
+  }
+
   printHelp();
   process.exitCode = 1;
 }
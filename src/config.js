@@ -79,6 +79,8 @@ export function printConfigSummary(config) {
   console.log(`    TMUX_PREFIX: ${config.tmuxPrefix}`);
   console.log(`    LINEAR_OPEN_STATES: ${config.linearOpenStates.join(', ')}`);
   console.log(`    LINEAR_PAGE_LIMIT: ${config.linearPageLimit}`);
+  console.log(`    LINEAR_MAX_ISSUES: ${config.linearMaxIssues}`);
+  console.log(`    LINEAR_MAX_REQUESTS_PER_POLL: ${config.linearMaxRequestsPerPoll}`);
   console.log('  Health & Recovery:');
   console.log(`    SESSION_HEALTH_MODE: ${config.sessionHealthMode}`);
   console.log(`    SESSION_KILL_ON_UNHEALTHY: ${config.sessionKillOnUnhealthy}`);
@@ -106,8 +108,21 @@ export function printConfigSummary(config) {
     console.log(`    RPC_WORKSPACE_ROOT: ${config.rpc?.workspaceRoot || '(inherit service cwd)'}`);
     console.log(`    RPC_PROVIDER: ${config.rpc?.provider || '(default)'}`);
     console.log(`    RPC_MODEL: ${config.rpc?.model || '(default)'}`);
+    console.log(`    RPC_MAX_CONCURRENT_SESSIONS: ${config.rpc?.maxConcurrentSessions || '(unlimited)'}`);
+    console.log(`    RPC_IDLE_SESSION_TTL_SEC: ${config.rpc?.idleSessionTtlSec || '(never reap)'}`);
+    console.log(`    UI_REQUEST_POLICY: ${JSON.stringify(config.rpc?.uiRequests?.policy ?? 'auto')}`);
+    console.log(`    ISSUE_CLAIM_MODE: ${config.rpc?.claim?.mode ?? 'auto'}`);
+    console.log(`    SCHEDULE: ${config.rpc?.schedule ? JSON.stringify(config.rpc.schedule) : '(always)'}`);
     console.log(`    RPC_PROJECT_DIR_OVERRIDES: ${config.rpc?.projectDirOverrides ? Object.keys(config.rpc.projectDirOverrides).length : 0} entries`);
     console.log(`    PROJECT_DAEMONS: ${config.projects ? Object.keys(config.projects).length : 0} configured`);
+    console.log(`    TRANSCRIPTS: ${config.transcripts?.enabled === false ? 'disabled' : 'enabled'}`);
+  }
+
+  if (config.webhook?.enabled) {
+    console.log('  Webhook:');
+    console.log(`    LISTEN: ${config.webhook.host}:${config.webhook.port}${config.webhook.path}`);
+    console.log(`    LINEAR_WEBHOOK_SECRET: ${maskSecret(config.webhook.secret)}`);
+    console.log(`    SAFETY_POLL_INTERVAL_SEC: ${config.webhook.safetyPollIntervalSec}s`);
   }
 
   // Legacy session manager configuration (only relevant when MODE=legacy)
@@ -172,6 +187,16 @@ function parseEnvConfig() {
     throw new Error('LINEAR_PAGE_LIMIT must be a positive number');
   }
 
+  // Validate pagination caps (must be positive)
+  const linearMaxIssues = parseEnvInt('LINEAR_MAX_ISSUES', 1000);
+  if (linearMaxIssues <= 0) {
+    throw new Error('LINEAR_MAX_ISSUES must be a positive number');
+  }
+  const linearMaxRequestsPerPoll = parseEnvInt('LINEAR_MAX_REQUESTS_PER_POLL', 20);
+  if (linearMaxRequestsPerPoll <= 0) {
+    throw new Error('LINEAR_MAX_REQUESTS_PER_POLL must be a positive number');
+  }
+
   // Validate cooldown (must be non-negative)
   const sessionRestartCooldownSec = parseEnvInt('SESSION_RESTART_COOLDOWN_SEC', 60);
   if (sessionRestartCooldownSec < 0) {
@@ -198,6 +223,8 @@ function parseEnvConfig() {
     tmuxPrefix: process.env.TMUX_PREFIX || 'pi_project_',
     linearOpenStates: parseEnvList('LINEAR_OPEN_STATES', ['Todo', 'In Progress']),
     linearPageLimit,
+    linearMaxIssues,
+    linearMaxRequestsPerPoll,
 
     // Optional - Project filtering
     projectFilter: parseEnvList('PROJECT_FILTER', []),
@@ -265,6 +292,14 @@ export async function loadConfig() {
     );
   }
 
+  const webhook = { ...getDefaultSettings().webhook, ...(mergedSettings.webhook || {}) };
+  if (webhook.enabled && !webhook.secret) {
+    throw new Error(
+      'settings.webhook.enabled requires a signing secret. ' +
+      'Set settings.webhook.secret or the LINEAR_WEBHOOK_SECRET environment variable.'
+    );
+  }
+
   // Determine effective prefix from legacy session manager config
   const legacyType = mergedSettings.legacy?.sessionManager?.type;
   const effectiveLegacyPrefix = mergedSettings.legacy?.sessionManager?.[legacyType]?.prefix || envConfig.tmuxPrefix;
@@ -275,6 +310,8 @@ export async function loadConfig() {
     rpc: mergedSettings.rpc,
     projects: mergedSettings.projects || {},
     legacy: mergedSettings.legacy,
+    webhook,
+    transcripts: { ...getDefaultSettings().transcripts, ...(mergedSettings.transcripts || {}) },
 
     // Backward compatible fields (used by legacy tmux/process code paths)
     sessionManager: mergedSettings.legacy?.sessionManager,
@@ -1,5 +1,9 @@
+import { readFile } from 'fs/promises';
 import { info } from './logger.js';
 import { loadSettings, saveSettings } from './settings.js';
+import { getLedgerPath } from './dispatch-ledger.js';
+import { isScheduleActive, nextActiveAt, resolveSchedule } from './schedule.js';
+import { SCOPE_CYCLE_MODES } from './issue-scope.js';
 import {
   getDefaultUnitName,
   isServiceActive,
@@ -43,6 +47,10 @@ function buildProjectConfigFromArgs(args, existing = null) {
   const repoPath = parseFlagValue(args, ['--repo-path']);
   const openStatesArg = parseFlagValue(args, ['--open-states']);
   const assignee = parseFlagValue(args, ['--assignee'], existing?.scope?.assignee || 'me');
+  const cycle = parseFlagValue(args, ['--cycle'], existing?.scope?.cycle);
+  if (cycle !== undefined && !SCOPE_CYCLE_MODES.includes(cycle)) {
+    throw new Error(`Invalid cycle mode: ${cycle}. Valid: ${SCOPE_CYCLE_MODES.join(', ')}`);
+  }
   const enabled = hasFlag(args, '--disabled') ? false : true;
 
   const pollIntervalSec = parseIntOrUndefined(parseFlagValue(args, ['--poll-interval-sec']));
@@ -55,8 +63,10 @@ function buildProjectConfigFromArgs(args, existing = null) {
     enabled,
     projectName: projectName || existing?.projectName,
     scope: {
+      ...(existing?.scope || {}),
       assignee,
       openStates: parseList(openStatesArg, existing?.scope?.openStates || ['Todo', 'In Progress']),
+      ...(cycle !== undefined ? { cycle } : {}),
     },
     repo: {
       path: repoPath || existing?.repo?.path,
@@ -163,11 +173,60 @@ export async function disableProjectDaemon(args = []) {
   });
 }
 
+/**
+ * Dispatch ledger contents for status output (read-only; the daemon owns the file)
+ * @returns {Promise<{approvals: Array<Object>, preflight: Object}>} Pending approvals oldest first,
+ *   latest pre-flight result per project
+ */
+async function readLedgerStatus() {
+  try {
+    const parsed = JSON.parse(await readFile(getLedgerPath(), 'utf-8'));
+    return {
+      approvals: Object.values(parsed?.approvals || {}).sort((a, b) => (a.requestedAt || 0) - (b.requestedAt || 0)),
+      preflight: parsed?.preflight || {},
+    };
+  } catch {
+    return { approvals: [], preflight: {} };
+  }
+}
+
+function formatPreflight(result) {
+  if (!result) return null;
+  return {
+    ok: result.ok,
+    checkedAt: result.checkedAt ? new Date(result.checkedAt).toISOString() : null,
+    failures: result.failures || [],
+    warnings: result.warnings || [],
+  };
+}
+
+/**
+ * Schedule state of a project for status output
+ * @returns {{active: boolean, nextActiveAt: string|null}}
+ */
+function describeSchedule(settings, projectId, now = Date.now()) {
+  const schedule = resolveSchedule(settings, projectId);
+  const next = nextActiveAt(schedule, now);
+  return {
+    active: isScheduleActive(schedule, now),
+    nextActiveAt: next === null ? null : new Date(next).toISOString(),
+  };
+}
+
+function formatPendingApproval(request) {
+  return {
+    issueId: request.issueId,
+    identifier: request.identifier || null,
+    requestedAt: request.requestedAt ? new Date(request.requestedAt).toISOString() : null,
+  };
+}
+
 export async function daemonStatus(args = []) {
   const projectId = parseFlagValue(args, ['--id']);
   const settings = await loadSettings();
   const options = getControlOptions(args);
   const serviceActive = options.noSystemctl ? null : isServiceActive(['--unit-name', options.unitName]);
+  const { approvals, preflight } = await readLedgerStatus();
 
   // If no project specified, show status for all configured projects
   if (!projectId) {
@@ -178,6 +237,9 @@ export async function daemonStatus(args = []) {
       enabled: cfg.enabled !== false,
       projectName: cfg.projectName || null,
       repo: cfg.repo || null,
+      pendingApprovals: approvals.filter((r) => r.projectId === id).length,
+      schedule: describeSchedule(settings, id),
+      preflightOk: preflight[id] ? preflight[id].ok : null,
     }));
 
     console.log(JSON.stringify({
@@ -204,6 +266,9 @@ export async function daemonStatus(args = []) {
     scope: cfg.scope || null,
     repo: cfg.repo || null,
     runtime: cfg.runtime || null,
+    pendingApprovals: approvals.filter((r) => r.projectId === projectId).map(formatPendingApproval),
+    schedule: describeSchedule(settings, projectId),
+    preflight: formatPreflight(preflight[projectId]),
   }, null, 2));
 }
 
@@ -0,0 +1,307 @@
+/**
+ * Persistent dispatch ledger
+ *
+ * Records which issue was sent to which RPC session, when, and how the run
+ * ended, plus per-session restart attempts, pending approval requests and the
+ * latest repo pre-flight result per project. Stored next to settings.json so
+ * daemon restarts keep dispatch history and cooldowns, and `daemon status` can
+ * show approvals and pre-flight failures.
+ *
+ * Writes go to a temp file that is fsynced and renamed over the ledger, so a
+ * crash mid-write leaves either the old or the new ledger on disk.
+ */
+
+import { mkdir, open, readFile, rename, unlink } from 'fs/promises';
+import { dirname, join } from 'path';
+import { getSettingsPath } from './settings.js';
+import { debug, warn, error as logError } from './logger.js';
+
+export const DISPATCH_STATUSES = ['prompted', 'completed', 'incomplete', 'failed', 'escalated', 'aborted', 'timed_out'];
+
+const LEDGER_VERSION = 1;
+const DEFAULT_MAX_ENTRIES = 1000;
+const DEFAULT_MAX_HISTORY = 20;
+
+/**
+ * Get the dispatch ledger file path
+ * @returns {string} Path to dispatch-ledger.json
+ */
+export function getLedgerPath() {
+  return join(dirname(getSettingsPath()), 'dispatch-ledger.json');
+}
+
+function emptyLedger() {
+  return {
+    version: LEDGER_VERSION,
+    dispatches: {},
+    restartAttempts: {},
+    approvals: {},
+    preflight: {},
+  };
+}
+
+function normalizeLedger(parsed) {
+  const data = emptyLedger();
+  if (parsed?.dispatches && typeof parsed.dispatches === 'object' && !Array.isArray(parsed.dispatches)) {
+    data.dispatches = parsed.dispatches;
+  }
+  if (parsed?.restartAttempts && typeof parsed.restartAttempts === 'object' && !Array.isArray(parsed.restartAttempts)) {
+    data.restartAttempts = parsed.restartAttempts;
+  }
+  if (parsed?.approvals && typeof parsed.approvals === 'object' && !Array.isArray(parsed.approvals)) {
+    data.approvals = parsed.approvals;
+  }
+  if (parsed?.preflight && typeof parsed.preflight === 'object' && !Array.isArray(parsed.preflight)) {
+    data.preflight = parsed.preflight;
+  }
+  return data;
+}
+
+export class DispatchLedger {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.path] - Ledger file path (default: next to settings.json)
+   * @param {number} [options.maxEntries] - Max dispatch records kept (oldest pruned first)
+   * @param {number} [options.maxHistory] - Max status history entries per dispatch
+   */
+  constructor(options = {}) {
+    this.path = options.path || getLedgerPath();
+    this.maxEntries = options.maxEntries ?? DEFAULT_MAX_ENTRIES;
+    this.maxHistory = options.maxHistory ?? DEFAULT_MAX_HISTORY;
+    this.data = emptyLedger();
+
+    this._saveChain = Promise.resolve();
+  }
+
+  /**
+   * Load the ledger from disk. Missing file -> empty ledger.
+   * A corrupt file is moved aside and replaced by an empty ledger.
+   */
+  async load() {
+    let content;
+    try {
+      content = await readFile(this.path, 'utf-8');
+    } catch (err) {
+      if (err?.code === 'ENOENT') {
+        debug('Dispatch ledger not found, starting empty', { path: this.path });
+        this.data = emptyLedger();
+        return this;
+      }
+      throw err;
+    }
+
+    try {
+      this.data = normalizeLedger(JSON.parse(content));
+      debug('Dispatch ledger loaded', {
+        path: this.path,
+        dispatchCount: Object.keys(this.data.dispatches).length,
+      });
+    } catch (err) {
+      const corruptPath = `${this.path}.corrupt-${Date.now()}`;
+      warn('Dispatch ledger is corrupt, starting empty', {
+        path: this.path,
+        movedTo: corruptPath,
+        error: err?.message || String(err),
+      });
+      await rename(this.path, corruptPath).catch(() => {});
+      this.data = emptyLedger();
+    }
+
+    return this;
+  }
+
+  /**
+   * Persist the ledger atomically. Concurrent calls are serialized.
+   * Never throws: write failures are logged.
+   * @returns {Promise<boolean>} True when the write succeeded
+   */
+  save() {
+    const run = async () => {
+      const snapshot = `${JSON.stringify(this.data, null, 2)}\n`;
+      const tmpPath = `${this.path}.${process.pid}.tmp`;
+      try {
+        await mkdir(dirname(this.path), { recursive: true });
+        const handle = await open(tmpPath, 'w');
+        try {
+          await handle.writeFile(snapshot, 'utf-8');
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+        await rename(tmpPath, this.path);
+        return true;
+      } catch (err) {
+        logError('Failed to write dispatch ledger', { path: this.path, error: err?.message || String(err) });
+        await unlink(tmpPath).catch(() => {});
+        return false;
+      }
+    };
+
+    this._saveChain = this._saveChain.then(run, run);
+    return this._saveChain;
+  }
+
+  getDispatch(issueId) {
+    return this.data.dispatches[issueId] || null;
+  }
+
+  listDispatches() {
+    return Object.values(this.data.dispatches);
+  }
+
+  /**
+   * Latest dispatch still in `prompted` state for a session
+   * @param {string} sessionName
+   */
+  getActiveDispatch(sessionName) {
+    let active = null;
+    for (const record of Object.values(this.data.dispatches)) {
+      if (record.sessionName !== sessionName || record.status !== 'prompted') continue;
+      if (!active || record.dispatchedAt > active.dispatchedAt) active = record;
+    }
+    return active;
+  }
+
+  /**
+   * Record that an issue was prompted to a session
+   * @param {Object} record - {issueId, identifier, projectId, sessionName, stateName, dispatchedAt, unfinishedRuns}
+   */
+  recordDispatch(record) {
+    const now = record.dispatchedAt ?? Date.now();
+    const previous = this.data.dispatches[record.issueId];
+    const history = [...(previous?.history || []), { status: 'prompted', at: now, sessionName: record.sessionName || null }];
+
+    this.data.dispatches[record.issueId] = {
+      ...record,
+      dispatchedAt: now,
+      status: 'prompted',
+      reason: null,
+      updatedAt: now,
+      attempts: (previous?.attempts || 0) + 1,
+      history: history.slice(-this.maxHistory),
+    };
+
+    this._prune();
+    return this.data.dispatches[record.issueId];
+  }
+
+  /**
+   * Update the outcome of a dispatch
+   * @param {string} issueId
+   * @param {string} status - One of DISPATCH_STATUSES
+   * @param {Object} [options]
+   * @param {string} [options.reason]
+   * @param {number} [options.now]
+   */
+  updateStatus(issueId, status, options = {}) {
+    if (!DISPATCH_STATUSES.includes(status)) {
+      throw new Error(`Invalid dispatch status: ${status}. Valid values: ${DISPATCH_STATUSES.join(', ')}`);
+    }
+
+    const record = this.data.dispatches[issueId];
+    if (!record) return null;
+
+    const now = options.now ?? Date.now();
+    record.status = status;
+    record.reason = options.reason || null;
+    record.updatedAt = now;
+    record.history = [...(record.history || []), { status, at: now, reason: options.reason || null }].slice(-this.maxHistory);
+    return record;
+  }
+
+  /**
+   * Mark every still-prompted dispatch of a session with a final status
+   * @returns {Array<Object>} Updated records
+   */
+  settleSession(sessionName, status, options = {}) {
+    const updated = [];
+    for (const record of Object.values(this.data.dispatches)) {
+      if (record.sessionName === sessionName && record.status === 'prompted') {
+        updated.push(this.updateStatus(record.issueId, status, options));
+      }
+    }
+    return updated;
+  }
+
+  /**
+   * On daemon startup no RPC session survives, so prompted dispatches from a
+   * previous process can no longer complete in-session.
+   * The records stay in place, so the work queue still holds those issues back.
+   * @returns {number} Number of dispatches marked aborted
+   */
+  recoverInterrupted(options = {}) {
+    let count = 0;
+    for (const record of Object.values(this.data.dispatches)) {
+      if (record.status === 'prompted') {
+        this.updateStatus(record.issueId, 'aborted', { reason: 'daemon restarted', now: options.now });
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  getRestartAttempts() {
+    return { ...this.data.restartAttempts };
+  }
+
+  recordRestartAttempt(sessionName, ts = Date.now()) {
+    this.data.restartAttempts[sessionName] = ts;
+  }
+
+  /**
+   * Remember that approval was requested for an issue
+   * @param {Object} record - {issueId, identifier, projectId, requestedAt, commentId}
+   */
+  recordApprovalRequest(record) {
+    this.data.approvals[record.issueId] = { ...record, requestedAt: record.requestedAt ?? Date.now() };
+    return this.data.approvals[record.issueId];
+  }
+
+  getApprovalRequest(issueId) {
+    return this.data.approvals[issueId] || null;
+  }
+
+  /**
+   * Forget an approval request (approved, or no longer a candidate)
+   * @returns {boolean} True when a request was removed
+   */
+  clearApprovalRequest(issueId) {
+    if (!this.data.approvals[issueId]) return false;
+    delete this.data.approvals[issueId];
+    return true;
+  }
+
+  /**
+   * Pending approval requests, oldest first
+   * @param {string} [projectId] - Only this project
+   */
+  listApprovalRequests(projectId) {
+    return Object.values(this.data.approvals)
+      .filter((r) => !projectId || r.projectId === projectId)
+      .sort((a, b) => (a.requestedAt || 0) - (b.requestedAt || 0));
+  }
+
+  /**
+   * Keep the latest repo pre-flight result of a project
+   * @param {string} projectId
+   * @param {Object} result - From runPreflightChecks() ({ok, checkedAt, failures, warnings})
+   */
+  recordPreflight(projectId, result) {
+    this.data.preflight[projectId] = { ...result };
+    return this.data.preflight[projectId];
+  }
+
+  getPreflight(projectId) {
+    return this.data.preflight[projectId] || null;
+  }
+
+  _prune() {
+    const records = Object.values(this.data.dispatches);
+    if (records.length <= this.maxEntries) return;
+
+    records
+      .sort((a, b) => (a.updatedAt || 0) - (b.updatedAt || 0))
+      .slice(0, records.length - this.maxEntries)
+      .forEach((r) => { delete this.data.dispatches[r.issueId]; });
+  }
+}
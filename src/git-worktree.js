@@ -0,0 +1,211 @@
+/**
+ * Git worktree per issue
+ *
+ * With `projects.<id>.repo.worktrees`, every issue is worked in its own git
+ * worktree on the issue's Linear `branchName`, so an aborted run cannot leave
+ * half-finished changes in the checkout of the next issue. Worktrees live in
+ * `dir` (default: `<repo>-worktrees` next to the repo), one directory per issue
+ * identifier, and are removed once the issue is Done or Canceled and the
+ * worktree has no uncommitted changes. Branches are kept: they may carry pushed
+ * work or an open pull request.
+ */
+
+import { spawn } from 'child_process';
+import { existsSync } from 'fs';
+import { basename, dirname, join, resolve, sep } from 'path';
+import { debug, info, warn } from './logger.js';
+import { expandHome, resolveRepoPath } from './repo-path.js';
+
+export const DEFAULT_WORKTREE_SETTINGS = {
+  // Parent directory of the issue worktrees (null: `<repo>-worktrees` next to the repo)
+  dir: null,
+  // Start point of new issue branches
+  baseRef: 'HEAD',
+};
+
+/**
+ * Run a git command
+ * @param {Array<string>} args
+ * @param {Object} [options]
+ * @param {string} [options.cwd]
+ * @param {number} [options.timeoutMs] - Kill git after this long (exitCode null, stderr says why)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number|null}>}
+ */
+export function runGit(args, { cwd, timeoutMs } = {}) {
+  return new Promise((resolvePromise, reject) => {
+    // Own process group, so a timeout also stops helpers git started (ssh, credential helpers)
+    const child = spawn('git', args, { cwd, env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }, detached: true });
+    let stdout = '';
+    let stderr = '';
+    let settled = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      debug('git command completed', { args: args.join(' '), cwd, exitCode: result.exitCode });
+      resolvePromise(result);
+    };
+    const timer = timeoutMs ? setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (err) {
+        // already gone
+      }
+      // Not waiting for 'close': a helper that inherited the pipes may outlive the kill
+      settle({ stdout: stdout.trim(), stderr: `timed out after ${timeoutMs}ms`, exitCode: null });
+    }, timeoutMs) : null;
+    child.stdout.on('data', (data) => { stdout += data.toString(); });
+    child.stderr.on('data', (data) => { stderr += data.toString(); });
+    child.on('error', (err) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', (code) => settle({ stdout: stdout.trim(), stderr: stderr.trim(), exitCode: code }));
+  });
+}
+
+async function git(args, cwd) {
+  const result = await runGit(args, { cwd });
+  if (result.exitCode !== 0) {
+    throw new Error(`git ${args.join(' ')} failed: ${result.stderr || `exit code ${result.exitCode}`}`);
+  }
+  return result.stdout;
+}
+
+/**
+ * Worktree settings of a project
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {{repoPath: string, dir: string, baseRef: string}|null} null when worktrees are off
+ */
+export function resolveWorktreeSettings(config, projectId) {
+  const repo = config?.projects?.[projectId]?.repo;
+  if (!repo?.worktrees || !repo.path) return null;
+  const settings = { ...DEFAULT_WORKTREE_SETTINGS, ...(repo.worktrees === true ? {} : repo.worktrees) };
+  const repoPath = resolveRepoPath(repo.path, config.rpc?.workspaceRoot);
+  return {
+    repoPath,
+    dir: settings.dir ? resolve(expandHome(settings.dir)) : join(dirname(repoPath), `${basename(repoPath)}-worktrees`),
+    baseRef: settings.baseRef,
+  };
+}
+
+/**
+ * Worktree directory of an issue
+ * @param {Object} settings - From resolveWorktreeSettings()
+ * @param {Object} issue - {identifier}
+ * @returns {string}
+ */
+export function worktreePathFor(settings, issue) {
+  return join(settings.dir, String(issue.identifier).replace(/[^A-Za-z0-9._-]/g, '_'));
+}
+
+/**
+ * Branch an issue is worked on: Linear's branchName, else `agent/<identifier>`
+ * @param {Object} issue
+ * @returns {string}
+ */
+export function issueBranchName(issue) {
+  return issue.branchName || `agent/${String(issue.identifier).toLowerCase()}`;
+}
+
+/**
+ * Worktrees of a repository (`git worktree list --porcelain`)
+ * @param {string} repoPath
+ * @returns {Promise<Array<{path: string, branch: string|null}>>}
+ */
+export async function listWorktrees(repoPath) {
+  const output = await git(['worktree', 'list', '--porcelain'], repoPath);
+  const worktrees = [];
+  for (const block of output.split(/\n\n+/)) {
+    const lines = block.split('\n');
+    const path = lines.find((l) => l.startsWith('worktree '))?.slice('worktree '.length);
+    if (!path) continue;
+    const branch = lines.find((l) => l.startsWith('branch '))?.slice('branch refs/heads/'.length) || null;
+    worktrees.push({ path: resolve(path), branch });
+  }
+  return worktrees;
+}
+
+/**
+ * Create the worktree of an issue (or reuse it)
+ * @param {Object} settings - From resolveWorktreeSettings()
+ * @param {Object} issue - {identifier, branchName}
+ * @returns {Promise<{path: string, branch: string, created: boolean}>}
+ */
+export async function ensureIssueWorktree(settings, issue) {
+  const path = worktreePathFor(settings, issue);
+  const branch = issueBranchName(issue);
+
+  const existing = (await listWorktrees(settings.repoPath)).find((w) => w.path === path);
+  if (existing && existsSync(path)) {
+    return { path, branch: existing.branch || branch, created: false };
+  }
+  // Directory removed by hand: forget the stale registration first
+  await git(['worktree', 'prune'], settings.repoPath);
+
+  const hasBranch = (await runGit(['rev-parse', '--verify', '--quiet', `refs/heads/${branch}`], { cwd: settings.repoPath })).exitCode === 0;
+  const args = hasBranch
+    ? ['worktree', 'add', path, branch]
+    : ['worktree', 'add', '-b', branch, path, settings.baseRef];
+  await git(args, settings.repoPath);
+
+  info('Created issue worktree', { identifier: issue.identifier, path, branch, newBranch: !hasBranch });
+  return { path, branch, created: true };
+}
+
+/**
+ * Remove a worktree unless it has uncommitted changes (never `--force`)
+ * @returns {Promise<boolean>} False when git refused and the worktree was kept
+ */
+async function removeWorktree(settings, path, identifier) {
+  const result = await runGit(['worktree', 'remove', path], { cwd: settings.repoPath });
+  if (result.exitCode !== 0) {
+    warn('Keeping issue worktree with uncommitted changes', { identifier, path, error: result.stderr });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Remove the worktree of an issue; its branch is kept. A worktree with
+ * uncommitted changes is kept (warning logged), so agent work is never lost.
+ * @param {Object} settings - From resolveWorktreeSettings()
+ * @param {Object} issue - {identifier}
+ * @returns {Promise<boolean>} False when the issue had no worktree or it was kept
+ */
+export async function removeIssueWorktree(settings, issue) {
+  const path = worktreePathFor(settings, issue);
+  const registered = (await listWorktrees(settings.repoPath)).some((w) => w.path === path);
+  if (!registered) return false;
+
+  if (!(await removeWorktree(settings, path, issue.identifier))) return false;
+  info('Removed issue worktree', { identifier: issue.identifier, path });
+  return true;
+}
+
+/**
+ * Remove worktrees whose issue is Done or Canceled (dirty ones are kept)
+ * @param {Object} settings - From resolveWorktreeSettings()
+ * @param {(identifier: string) => Promise<boolean>} isResolved - Looks the issue up in Linear
+ * @returns {Promise<Array<string>>} Identifiers whose worktree was removed
+ */
+export async function sweepIssueWorktrees(settings, isResolved) {
+  const prefix = settings.dir.endsWith(sep) ? settings.dir : `${settings.dir}${sep}`;
+  const removed = [];
+  for (const worktree of await listWorktrees(settings.repoPath)) {
+    if (!worktree.path.startsWith(prefix)) continue;
+    const identifier = basename(worktree.path);
+    try {
+      if (!(await isResolved(identifier))) continue;
+      if (!(await removeWorktree(settings, worktree.path, identifier))) continue;
+      info('Removed worktree of finished issue', { identifier, path: worktree.path });
+      removed.push(identifier);
+    } catch (err) {
+      warn('Failed to sweep issue worktree', { identifier, path: worktree.path, error: err?.message || String(err) });
+    }
+  }
+  return removed;
+}
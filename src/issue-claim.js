@@ -0,0 +1,166 @@
+/**
+ * Issue claiming across daemons
+ *
+ * Several people can run this daemon against the same Linear projects; with
+ * `scope.assignee: "all"` two of them could otherwise start the same issue.
+ * Before an issue is prompted, the daemon claims it:
+ * 1. re-read the issue; a fresh claim comment of another host means "taken"
+ * 2. post a claim comment with hostname and timestamp
+ * 3. re-read: the earliest fresh claim comment wins, so racing daemons agree;
+ *    a losing daemon deletes its comment
+ * 4. the winner marks it - assigns it to the viewer (`assign`) or adds the
+ *    claim label (`label`)
+ *
+ * Claim comments older than `staleAfterSec` are ignored, so the claim of a
+ * daemon that went away expires. In `assign` mode an issue assigned to someone
+ * else without any claim comment is left alone (assigned by a person).
+ */
+
+import { hostname } from 'os';
+import { addIssueComment, addIssueLabel, deleteIssueComment, fetchIssueDetails, updateIssue } from './linear.js';
+import { debug, info, warn } from './logger.js';
+
+export const CLAIM_MODES = ['auto', 'off', 'assign', 'label'];
+
+export const DEFAULT_CLAIM_SETTINGS = {
+  // auto: `assign` for projects with scope.assignee "all", `off` otherwise
+  mode: 'auto',
+  // Label added in `label` mode (must exist in Linear)
+  label: 'agent-claimed',
+  // Claims older than this expire (keep it above the longest agent run)
+  staleAfterSec: 21600,
+};
+
+const CLAIM_PREFIX = 'pi-linear-service claim:';
+const CLAIM_PATTERN = /^pi-linear-service claim: host=(\S+) at=(\S+)/;
+
+/**
+ * Effective claim settings for a project (project runtime over rpc defaults)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {{mode: string, label: string, staleAfterSec: number}} `mode` is never "auto"
+ */
+export function resolveClaimSettings(config, projectId) {
+  const projectCfg = config?.projects?.[projectId];
+  const settings = {
+    ...DEFAULT_CLAIM_SETTINGS,
+    ...(config?.rpc?.claim || {}),
+    ...(projectCfg?.runtime?.claim || {}),
+  };
+  if (settings.mode === 'auto') {
+    settings.mode = projectCfg?.scope?.assignee === 'all' ? 'assign' : 'off';
+  }
+  return settings;
+}
+
+/**
+ * Body of a claim comment
+ * @param {string} host
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function formatClaimComment(host, now = Date.now()) {
+  return `${CLAIM_PREFIX} host=${host} at=${new Date(now).toISOString()}\n\nThis issue is being worked on by an agent on ${host}.`;
+}
+
+/**
+ * Parse a claim comment
+ * @param {Object} comment - Comment from fetchIssueDetails()
+ * @returns {{host: string, at: number, commentId: string}|null} `at` is the comment creation time
+ */
+export function parseClaimComment(comment) {
+  const match = CLAIM_PATTERN.exec(String(comment?.body || '').trim());
+  if (!match) return null;
+  const at = Date.parse(comment.createdAt || match[2]);
+  if (Number.isNaN(at)) return null;
+  return { host: match[1], at, commentId: comment.id };
+}
+
+/**
+ * Claims on an issue, split by age; fresh claims oldest first
+ * @param {Array<Object>} comments
+ * @param {Object} options
+ * @param {number} options.staleAfterSec
+ * @param {number} [options.now]
+ * @returns {{fresh: Array<Object>, stale: Array<Object>}}
+ */
+export function findClaims(comments, { staleAfterSec, now = Date.now() }) {
+  const claims = (comments || []).map(parseClaimComment).filter(Boolean);
+  const fresh = claims.filter((c) => now - c.at < staleAfterSec * 1000).sort((a, b) => a.at - b.at);
+  const stale = claims.filter((c) => now - c.at >= staleAfterSec * 1000);
+  return { fresh, stale };
+}
+
+function hasLabel(issue, name) {
+  return (issue.labels || []).some((l) => String(l.name).toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Assign or label a claimed issue (no-op when already marked)
+ */
+async function markIssue(client, issue, details, { mode, label, viewerId }) {
+  if (mode === 'assign' && details.assignee?.id !== viewerId) {
+    await updateIssue(client, issue.id, { assigneeId: viewerId });
+  } else if (mode === 'label' && !hasLabel(details, label)) {
+    await addIssueLabel(client, issue.id, label);
+  }
+}
+
+/**
+ * Claim an issue for this daemon before prompting it
+ * @param {LinearClient} client
+ * @param {Object} issue - Issue to dispatch ({id, identifier})
+ * @param {Object} options
+ * @param {string} options.viewerId - Linear user of this daemon
+ * @param {Object} options.settings - From resolveClaimSettings()
+ * @param {string} [options.host] - Claim owner name (default: hostname)
+ * @param {number} [options.now]
+ * @returns {Promise<{claimed: boolean, reason: string, holder?: string}>}
+ */
+export async function claimIssue(client, issue, { viewerId, settings, host = hostname(), now = Date.now() }) {
+  const { mode, label, staleAfterSec } = settings;
+  if (mode === 'off') {
+    return { claimed: true, reason: 'claiming disabled' };
+  }
+
+  const current = await fetchIssueDetails(client, issue.id, { includeComments: true });
+  const before = findClaims(current.comments, { staleAfterSec, now });
+  const owner = before.fresh[0];
+
+  if (owner && owner.host !== host) {
+    return { claimed: false, reason: `claimed by ${owner.host} at ${new Date(owner.at).toISOString()}`, holder: owner.host };
+  }
+  if (!owner && mode === 'assign' && current.assignee && current.assignee.id !== viewerId && before.stale.length === 0) {
+    const assignee = current.assignee.displayName || current.assignee.name || current.assignee.id;
+    return { claimed: false, reason: `assigned to ${assignee}`, holder: assignee };
+  }
+
+  if (owner) {
+    // Marked again in case an earlier attempt stopped between comment and mark
+    await markIssue(client, issue, current, { mode, label, viewerId });
+    debug('Issue claim already held', { issueId: issue.id, identifier: issue.identifier, host });
+    return { claimed: true, reason: 'already claimed', holder: host };
+  }
+
+  await addIssueComment(client, issue.id, formatClaimComment(host, now));
+
+  // Re-read: of all fresh claims, the earliest one holds the issue
+  const confirmed = await fetchIssueDetails(client, issue.id, { includeComments: true });
+  const fresh = findClaims(confirmed.comments, { staleAfterSec, now }).fresh;
+  const winner = fresh[0];
+  if (!winner || winner.host !== host) {
+    // Lost the race: nothing was marked yet, only our comment has to go
+    for (const own of fresh.filter((c) => c.host === host)) {
+      await deleteIssueComment(client, own.commentId).catch((err) => {
+        warn('Failed to delete lost claim comment', { issueId: issue.id, commentId: own.commentId, error: err?.message || String(err) });
+      });
+    }
+    return { claimed: false, reason: `lost claim to ${winner?.host || 'unknown'}`, holder: winner?.host };
+  }
+
+  // Only the claim holder assigns or labels the issue
+  await markIssue(client, issue, confirmed, { mode, label, viewerId });
+
+  info('Claimed issue', { issueId: issue.id, identifier: issue.identifier, mode, host });
+  return { claimed: true, reason: before.stale.length > 0 ? 'took over stale claim' : 'claimed', holder: host };
+}
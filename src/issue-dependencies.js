@@ -0,0 +1,41 @@
+/**
+ * Issue dependencies ("blocked by" relations)
+ *
+ * The poll query loads each issue's blockers (`blockedBy`, see fetchIssues).
+ * An issue whose blockers are not all completed/canceled is not dispatched,
+ * and candidates that block other candidates are tried first so a dependency
+ * chain is worked from its unblocked root.
+ */
+
+export const RESOLVED_STATE_TYPES = ['completed', 'canceled'];
+
+/**
+ * Blockers of an issue that are still open
+ * @param {Object} issue - Issue from fetchIssues(); `blockedBy` null/undefined means unknown
+ * @returns {Array<{id: string, identifier: string, state: Object|null}>}
+ */
+export function unresolvedBlockers(issue) {
+  if (!Array.isArray(issue?.blockedBy)) return [];
+  return issue.blockedBy.filter((blocker) => !RESOLVED_STATE_TYPES.includes(blocker.state?.type));
+}
+
+/**
+ * Move issues that block other candidates to the front (stable otherwise),
+ * so the root of a dependency chain comes before the issues waiting on it
+ * @param {Array<Object>} issues - Ordered candidate issues of one project
+ * @returns {Array<Object>}
+ */
+export function orderByDependencies(issues) {
+  const blockingIds = new Set();
+  for (const issue of issues || []) {
+    for (const blocker of unresolvedBlockers(issue)) blockingIds.add(blocker.id);
+  }
+  if (blockingIds.size === 0) return issues || [];
+
+  const blocking = [];
+  const rest = [];
+  for (const issue of issues) {
+    (blockingIds.has(issue.id) ? blocking : rest).push(issue);
+  }
+  return [...blocking, ...rest];
+}
@@ -0,0 +1,146 @@
+/**
+ * Per-project issue scope filters
+ *
+ * `settings.projects.<id>.scope` narrows which issues a project daemon picks
+ * up beyond state and assignee: labels, priority, estimate, team and cycle.
+ * The filters are pushed into the Linear issues query as one clause per
+ * project (buildProjectScopeFilter) and checked again locally on the fetched
+ * issues (matchesProjectScope), which also covers clients without raw queries.
+ *
+ * The `current` / `current_or_next` cycle modes need the teams' active (and
+ * next) cycles, fetched once per poll with fetchCurrentCycles() and passed in
+ * as `cycles`.
+ */
+
+export const SCOPE_CYCLE_MODES = ['any', 'assigned', 'unassigned', 'current', 'current_or_next'];
+
+const CURRENT_CYCLE_MODES = ['current', 'current_or_next'];
+
+const SCOPE_FILTER_KEYS = ['includeLabels', 'excludeLabels', 'minPriority', 'minEstimate', 'maxEstimate', 'teams', 'cycle'];
+
+/**
+ * Whether a project scope uses any filter beyond state/assignee
+ * @param {Object} [scope]
+ * @returns {boolean}
+ */
+export function hasScopeFilters(scope) {
+  return SCOPE_FILTER_KEYS.some((key) => {
+    const value = scope?.[key];
+    if (Array.isArray(value)) return value.length > 0;
+    if (key === 'cycle') return value !== undefined && value !== 'any';
+    return value !== undefined && value !== null;
+  });
+}
+
+/**
+ * Whether a project scope restricts issues to the current (or next) cycle
+ * @param {Object} [scope]
+ * @returns {boolean}
+ */
+export function usesCurrentCycle(scope) {
+  return CURRENT_CYCLE_MODES.includes(scope?.cycle);
+}
+
+/**
+ * Cycle ids a `current` / `current_or_next` scope accepts
+ * @param {Object} [scope]
+ * @param {Array<{id: string, isActive: boolean, isNext: boolean}>} [cycles] - From fetchCurrentCycles()
+ * @returns {string[]|null} Null when the scope has no current-cycle mode
+ */
+export function currentCycleIds(scope, cycles = []) {
+  if (!usesCurrentCycle(scope)) return null;
+  return (cycles || [])
+    .filter((c) => c.isActive || (scope.cycle === 'current_or_next' && c.isNext))
+    .map((c) => c.id);
+}
+
+/**
+ * IssueFilter clause selecting the issues of one project that pass its scope filters
+ * @param {string} projectId
+ * @param {Object} [scope] - settings.projects.<id>.scope
+ * @param {Object} [options]
+ * @param {Array} [options.cycles] - Current/next cycles, for the current-cycle modes
+ * @returns {Object}
+ */
+export function buildProjectScopeFilter(projectId, scope = {}, { cycles = [] } = {}) {
+  const clause = { project: { id: { eq: projectId } } };
+  const and = [];
+
+  if (scope.includeLabels?.length) {
+    and.push({ labels: { some: { or: scope.includeLabels.map((name) => ({ name: { eqIgnoreCase: name } })) } } });
+  }
+  if (scope.excludeLabels?.length) {
+    // Case-insensitive like includeLabels and matchesProjectScope (`nin` is case-sensitive)
+    and.push({ labels: { every: { and: scope.excludeLabels.map((name) => ({ name: { neqIgnoreCase: name } })) } } });
+  }
+  if (and.length > 0) clause.and = and;
+
+  if (scope.minPriority !== undefined && scope.minPriority !== null) {
+    // Linear priority: 1 = Urgent ... 4 = Low, 0 = No priority
+    clause.priority = { gte: 1, lte: scope.minPriority };
+  }
+
+  if (scope.minEstimate !== undefined || scope.maxEstimate !== undefined) {
+    clause.estimate = {
+      ...(scope.minEstimate !== undefined ? { gte: scope.minEstimate } : {}),
+      ...(scope.maxEstimate !== undefined ? { lte: scope.maxEstimate } : {}),
+    };
+  }
+
+  if (scope.teams?.length) {
+    clause.team = { or: [{ id: { in: scope.teams } }, { key: { in: scope.teams } }] };
+  }
+
+  if (scope.cycle === 'assigned') {
+    clause.cycle = { null: false };
+  } else if (scope.cycle === 'unassigned') {
+    clause.cycle = { null: true };
+  } else if (usesCurrentCycle(scope)) {
+    clause.cycle = { id: { in: currentCycleIds(scope, cycles) } };
+  }
+
+  return clause;
+}
+
+/**
+ * Check an issue against a project's scope filters. Relations the issue list
+ * did not load (labels null, cycle undefined) are left to the query filter.
+ * @param {Object} issue - Issue from fetchIssues()
+ * @param {Object} [scope] - settings.projects.<id>.scope
+ * @param {Object} [options]
+ * @param {Array} [options.cycles] - Current/next cycles, for the current-cycle modes
+ * @returns {boolean}
+ */
+export function matchesProjectScope(issue, scope = {}, { cycles = [] } = {}) {
+  if (Array.isArray(issue.labels)) {
+    const names = issue.labels.map((l) => String(l.name).toLowerCase());
+    if (scope.includeLabels?.length && !scope.includeLabels.some((l) => names.includes(l.toLowerCase()))) {
+      return false;
+    }
+    if (scope.excludeLabels?.length && scope.excludeLabels.some((l) => names.includes(l.toLowerCase()))) {
+      return false;
+    }
+  }
+
+  if (scope.minPriority !== undefined && scope.minPriority !== null) {
+    if (!(issue.priority >= 1 && issue.priority <= scope.minPriority)) return false;
+  }
+
+  if (scope.minEstimate !== undefined || scope.maxEstimate !== undefined) {
+    if (typeof issue.estimate !== 'number') return false;
+    if (scope.minEstimate !== undefined && issue.estimate < scope.minEstimate) return false;
+    if (scope.maxEstimate !== undefined && issue.estimate > scope.maxEstimate) return false;
+  }
+
+  if (scope.teams?.length && issue.team) {
+    if (!scope.teams.includes(issue.team.id) && !scope.teams.includes(issue.team.key)) return false;
+  }
+
+  if (issue.cycle !== undefined) {
+    if (scope.cycle === 'assigned' && !issue.cycle) return false;
+    if (scope.cycle === 'unassigned' && issue.cycle) return false;
+    if (usesCurrentCycle(scope) && !currentCycleIds(scope, cycles).includes(issue.cycle?.id)) return false;
+  }
+
+  return true;
+}
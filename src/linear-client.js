@@ -2,29 +2,273 @@
  * Linear SDK client factory
  *
  * Creates a configured LinearClient instance for interacting with Linear API.
+ * Every GraphQL request goes through a wrapped transport that counts requests,
+ * tracks rate-limit headers and retries transient failures with backoff.
+ * Mutations are only retried when Linear cannot have applied them (rate
+ * limited, or the connection was never made), so a dropped response never
+ * posts the same comment twice.
  */
 
-import { LinearClient } from '@linear/sdk';
+import { LinearClient, LinearError, LinearErrorType, parseLinearError } from '@linear/sdk';
+import { debug, warn } from './logger.js';
 
 /** @type {Function|null} Test-only client factory override */
 let _testClientFactory = null;
 
+/** @type {WeakMap<Object, {count: number, rateLimit: Object|null}>} Transport state per client */
+const clientStates = new WeakMap();
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+  // Rate limits resetting further out than this are surfaced instead of waited on
+  maxRateLimitWaitMs: 60000,
+};
+
+const TRANSIENT_ERROR_TYPES = [
+  LinearErrorType.NetworkError,
+  LinearErrorType.InternalError,
+  LinearErrorType.LockTimeout,
+];
+
+// Connection never made: the request did not reach Linear
+const UNSENT_REQUEST_ERROR = /ECONNREFUSED|ENOTFOUND|EAI_AGAIN/;
+
+/**
+ * Raised when Linear rate limits the client and waiting in-process is not
+ * worthwhile. `retryAfterMs` tells callers how long to back off.
+ */
+export class LinearRateLimitError extends LinearError {
+  /**
+   * @param {Error} cause - Error returned by the transport
+   * @param {Object} info
+   * @param {number} info.retryAfterMs - Suggested wait before the next request
+   * @param {number} [info.requestsRemaining]
+   * @param {number} [info.complexityRemaining]
+   * @param {number} [info.attempts] - Requests made before giving up
+   */
+  constructor(cause, info) {
+    super(cause?.raw ?? cause, cause?.errors, LinearErrorType.Ratelimited);
+    this.name = 'LinearRateLimitError';
+    this.retryAfterMs = info.retryAfterMs;
+    this.requestsRemaining = info.requestsRemaining;
+    this.complexityRemaining = info.complexityRemaining;
+    this.attempts = info.attempts;
+  }
+}
+
+function parseHeaderNumber(headers, name) {
+  const value = headers?.get?.(name);
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+/**
+ * Read Linear rate-limit headers
+ * @param {Headers} headers
+ * @returns {Object|null}
+ */
+export function readRateLimitHeaders(headers) {
+  if (!headers?.get) return null;
+  const state = {
+    requestsLimit: parseHeaderNumber(headers, 'x-ratelimit-requests-limit'),
+    requestsRemaining: parseHeaderNumber(headers, 'x-ratelimit-requests-remaining'),
+    requestsResetAt: parseHeaderNumber(headers, 'x-ratelimit-requests-reset'),
+    complexity: parseHeaderNumber(headers, 'x-complexity'),
+    complexityLimit: parseHeaderNumber(headers, 'x-ratelimit-complexity-limit'),
+    complexityRemaining: parseHeaderNumber(headers, 'x-ratelimit-complexity-remaining'),
+    complexityResetAt: parseHeaderNumber(headers, 'x-ratelimit-complexity-reset'),
+  };
+  return Object.values(state).some((v) => v !== undefined) ? state : null;
+}
+
+/**
+ * Milliseconds until a reset timestamp (Linear sends epoch ms; tolerate seconds)
+ */
+function msUntil(resetAt, now) {
+  if (typeof resetAt !== 'number') return undefined;
+  const resetMs = resetAt < 1e12 ? resetAt * 1000 : resetAt;
+  return Math.max(0, resetMs - now);
+}
+
+/**
+ * Classify a transport error
+ * @param {Error} err
+ * @param {number} [now]
+ * @returns {{kind: 'rate_limit'|'transient'|'fatal', error: Error, waitMs?: number}}
+ */
+export function classifyLinearError(err, now = Date.now()) {
+  const parsed = err instanceof LinearError ? err : parseLinearError(err);
+
+  if (parsed.type === LinearErrorType.Ratelimited) {
+    const headers = parsed.raw?.response?.headers;
+    const retryAfterSec = parsed.retryAfter ?? parseHeaderNumber(headers, 'retry-after');
+    const resetWait = [parsed.requestsResetAt, parsed.complexityResetAt]
+      .map((ts) => msUntil(ts, now))
+      .filter((ms) => ms !== undefined);
+    const waitMs = typeof retryAfterSec === 'number'
+      ? retryAfterSec * 1000
+      : (resetWait.length > 0 ? Math.max(...resetWait) : undefined);
+    return { kind: 'rate_limit', error: parsed, waitMs };
+  }
+
+  const status = parsed.status ?? err?.response?.status;
+  const networkFailure = !status && (err instanceof TypeError || /fetch failed|ECONNRESET|ETIMEDOUT|EAI_AGAIN|socket hang up/i.test(err?.message || ''));
+  if (TRANSIENT_ERROR_TYPES.includes(parsed.type) || status >= 500 || networkFailure) {
+    return { kind: 'transient', error: parsed };
+  }
+
+  return { kind: 'fatal', error: parsed };
+}
+
+/**
+ * Whether a GraphQL document (string or DocumentNode) is a mutation
+ * @param {string|Object} document
+ * @returns {boolean}
+ */
+export function isMutationDocument(document) {
+  if (typeof document === 'string') return /^\s*mutation\b/m.test(document);
+  return Boolean(document?.definitions?.some((d) => d.operation === 'mutation'));
+}
+
+/**
+ * Whether a transport error was raised before the request reached Linear
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isUnsentRequestError(err) {
+  return [err, err?.cause, err?.raw, err?.raw?.cause]
+    .some((e) => UNSENT_REQUEST_ERROR.test(`${e?.code || ''} ${e?.message || ''}`));
+}
+
+/**
+ * Exponential backoff with jitter (50-100% of the capped exponential delay)
+ */
+export function computeBackoffMs(attempt, options = {}, random = Math.random) {
+  const { baseDelayMs = DEFAULT_RETRY_OPTIONS.baseDelayMs, maxDelayMs = DEFAULT_RETRY_OPTIONS.maxDelayMs } = options;
+  const capped = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(capped * (0.5 + random() * 0.5));
+}
+
+const defaultSleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Wrap the client's GraphQL transport: count requests, record rate-limit
+ * headers, retry transient errors and rate limits with backoff. Mutations are
+ * retried on transient errors only when the request was never sent.
+ * @param {LinearClient} client
+ * @param {Object} [retryOptions] - Overrides for DEFAULT_RETRY_OPTIONS (+ `sleep`, `random` for tests)
+ * @returns {LinearClient} The same client
+ */
+function instrumentClient(client, retryOptions = {}) {
+  const transport = client?.client;
+  if (!transport || clientStates.has(client)) return client;
+
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...retryOptions };
+  const sleep = options.sleep || defaultSleep;
+  const random = options.random || Math.random;
+  const state = { count: 0, rateLimit: null };
+  clientStates.set(client, state);
+
+  if (typeof transport.rawRequest !== 'function') return client;
+  const original = transport.rawRequest.bind(transport);
+
+  transport.rawRequest = async (...args) => {
+    const mutation = isMutationDocument(args[0]);
+    for (let attempt = 0; ; attempt += 1) {
+      state.count += 1;
+      try {
+        const result = await original(...args);
+        const rateLimit = readRateLimitHeaders(result?.headers);
+        if (rateLimit) state.rateLimit = { ...rateLimit, observedAt: Date.now() };
+        return result;
+      } catch (err) {
+        const classified = classifyLinearError(err);
+        const { kind, waitMs } = classified;
+        const retriesLeft = attempt < options.maxRetries;
+
+        if (kind === 'rate_limit') {
+          const rateLimited = classified.error;
+          const delayMs = waitMs ?? computeBackoffMs(attempt, options, random);
+          if (!retriesLeft || delayMs > options.maxRateLimitWaitMs) {
+            throw new LinearRateLimitError(rateLimited, {
+              retryAfterMs: Math.max(delayMs, computeBackoffMs(attempt, options, random)),
+              requestsRemaining: rateLimited.requestsRemaining,
+              complexityRemaining: rateLimited.complexityRemaining,
+              attempts: attempt + 1,
+            });
+          }
+          warn('Linear rate limit hit, retrying', { attempt: attempt + 1, delayMs });
+          await sleep(delayMs);
+          continue;
+        }
+
+        // A mutation may have been applied before the failure: retrying could apply it twice
+        if (kind === 'transient' && retriesLeft && (!mutation || isUnsentRequestError(err))) {
+          const delayMs = computeBackoffMs(attempt, options, random);
+          debug('Transient Linear API error, retrying', {
+            attempt: attempt + 1,
+            delayMs,
+            error: err?.message || String(err),
+          });
+          await sleep(delayMs);
+          continue;
+        }
+
+        throw err;
+      }
+    }
+  };
+
+  // SDK models use request(), which drops the response headers: send them
+  // through rawRequest so their rate-limit headers are recorded too. SDK
+  // documents are String objects (TypedDocumentString).
+  transport.request = async (document, variables, requestHeaders) => {
+    const result = await transport.rawRequest(String(document), variables, requestHeaders);
+    return result.data;
+  };
+
+  return client;
+}
+
 /**
  * Create a Linear SDK client
  * @param {string} apiKey - Linear API key
+ * @param {Object} [options]
+ * @param {Object} [options.retry] - Retry/backoff overrides (see DEFAULT_RETRY_OPTIONS)
  * @returns {LinearClient} Configured Linear client
  */
-export function createLinearClient(apiKey) {
+export function createLinearClient(apiKey, options = {}) {
   // Allow test override
   if (_testClientFactory) {
-    return _testClientFactory(apiKey);
+    return instrumentClient(_testClientFactory(apiKey), options.retry);
   }
 
   if (!apiKey || typeof apiKey !== 'string') {
     throw new Error('Linear API key is required');
   }
 
-  return new LinearClient({ apiKey });
+  return instrumentClient(new LinearClient({ apiKey }), options.retry);
+}
+
+/**
+ * Number of GraphQL requests a client has sent so far (retries included)
+ * @param {LinearClient} client
+ * @returns {number}
+ */
+export function getRequestCount(client) {
+  return clientStates.get(client)?.count ?? 0;
+}
+
+/**
+ * Rate-limit state from the most recent response that carried the headers
+ * @param {LinearClient} client
+ * @returns {Object|null}
+ */
+export function getRateLimitState(client) {
+  return clientStates.get(client)?.rateLimit ?? null;
 }
 
 /**
@@ -48,13 +48,55 @@ async function transformIssue(sdkIssue) {
     url: sdkIssue.url,
     branchName: sdkIssue.branchName,
     priority: sdkIssue.priority,
+    estimate: sdkIssue.estimate ?? null,
+    dueDate: sdkIssue.dueDate ?? null,
+    sortOrder: sdkIssue.sortOrder ?? null,
+    updatedAt: sdkIssue.updatedAt ?? null,
     state: state ? { id: state.id, name: state.name, type: state.type } : null,
     team: team ? { id: team.id, key: team.key, name: team.name } : null,
     project: project ? { id: project.id, name: project.name } : null,
     assignee: assignee ? { id: assignee.id, name: assignee.name, displayName: assignee.displayName } : null,
+    // Only known when the relation came inline (raw query); SDK issues would need extra requests
+    labels: Array.isArray(sdkIssue.labels?.nodes) ? sdkIssue.labels.nodes.map((l) => ({ id: l.id, name: l.name })) : null,
+    cycle: inlineCycle(sdkIssue.cycle),
+    blockedBy: inlineBlockers(sdkIssue.inverseRelations),
+    parent: inlineParent(sdkIssue.parent),
   };
 }
 
+/**
+ * Parent of a raw-query issue; undefined when unknown (SDK issues load it lazily)
+ */
+function inlineParent(parent) {
+  if (parent === null) return null;
+  if (!parent || typeof parent !== 'object' || typeof parent.then === 'function') return undefined;
+  return { id: parent.id };
+}
+
+/**
+ * Issues blocking a raw-query issue ("blocks" relations pointing at it);
+ * null when unknown (SDK issues load relations lazily)
+ */
+function inlineBlockers(inverseRelations) {
+  if (!Array.isArray(inverseRelations?.nodes)) return null;
+  return inverseRelations.nodes
+    .filter((r) => r.type === 'blocks' && r.issue)
+    .map((r) => ({
+      id: r.issue.id,
+      identifier: r.issue.identifier,
+      state: r.issue.state ? { name: r.issue.state.name, type: r.issue.state.type } : null,
+    }));
+}
+
+/**
+ * Cycle of a raw-query issue; undefined when unknown (SDK issues load it lazily)
+ */
+function inlineCycle(cycle) {
+  if (cycle === null) return null;
+  if (!cycle || typeof cycle !== 'object' || typeof cycle.then === 'function') return undefined;
+  return { id: cycle.id, number: cycle.number };
+}
+
 /**
  * Resolve state ID from state input (ID, name, or type)
  */
@@ -76,6 +118,125 @@ function resolveStateIdFromInput(states, stateInput) {
   throw new Error(`State not found in team workflow: ${target}`);
 }
 
+// ===== RAW GRAPHQL =====
+
+/**
+ * Issue fields needed by the poller and tools, with relations inline so one
+ * request per page replaces the per-issue lazy relation loads of the SDK.
+ * Every connection is bounded: Linear rejects queries over 10k complexity
+ * points and an unbounded connection counts its default page (50) per issue,
+ * so a full page must stay well below that.
+ */
+const ISSUE_LIST_FIELDS = `
+  id
+  identifier
+  title
+  description
+  url
+  branchName
+  priority
+  estimate
+  dueDate
+  sortOrder
+  updatedAt
+  state { id name type }
+  team { id key name }
+  project { id name }
+  assignee { id name displayName }
+  labels(first: 10) { nodes { id name } }
+  cycle { id number }
+  parent { id }
+  inverseRelations(first: 10) { nodes { type issue { id identifier state { name type } } } }
+`;
+
+const ISSUES_PAGE_QUERY = `
+  query PiLinearIssues($first: Int!, $after: String, $filter: IssueFilter) {
+    issues(first: $first, after: $after, filter: $filter) {
+      nodes {${ISSUE_LIST_FIELDS}}
+      pageInfo { hasNextPage endCursor }
+    }
+  }
+`;
+
+/**
+ * Comments fetched per issue: the newest ones, where the claim and approval
+ * comments of the current run are (Linear returns the oldest page otherwise)
+ */
+const COMMENT_WINDOW = 100;
+
+const ISSUE_DETAILS_QUERY = `
+  query PiLinearIssueDetails($id: String!, $withComments: Boolean!) {
+    issue(id: $id) {
+      id
+      identifier
+      title
+      description
+      url
+      branchName
+      priority
+      estimate
+      createdAt
+      updatedAt
+      state { name color type }
+      team { id key name }
+      project { id name }
+      assignee { id name displayName }
+      creator { id name displayName }
+      labels { nodes { id name color } }
+      parent { identifier title state { name color } }
+      children { nodes { id identifier title url branchName priority sortOrder state { name color type } } }
+      relations { nodes { type relatedIssue { id identifier title state { name color type } } } }
+      inverseRelations { nodes { type issue { id identifier title state { name color type } } } }
+      comments(last: ${COMMENT_WINDOW}) @include(if: $withComments) {
+        nodes {
+          id
+          body
+          createdAt
+          updatedAt
+          user { id name displayName }
+          externalUser { name displayName }
+          parent { id }
+          reactionData
+        }
+      }
+      attachments { nodes { id title url subtitle sourceType createdAt } }
+    }
+  }
+`;
+
+/**
+ * Whether the client exposes the SDK's raw GraphQL transport
+ * (real LinearClient instances do; simple test mocks may not)
+ */
+function supportsRawQueries(client) {
+  return typeof client?.client?.rawRequest === 'function';
+}
+
+/**
+ * Run a raw GraphQL query and return its `data`
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} query - GraphQL document
+ * @param {Object} variables
+ */
+async function rawQuery(client, query, variables) {
+  const response = await client.client.rawRequest(query, variables);
+  return response?.data ?? null;
+}
+
+/**
+ * Fetch one page of issues: a single raw request when possible, otherwise
+ * the SDK connection (relations are then loaded lazily by transformIssue)
+ */
+async function fetchIssuesPage(client, variables) {
+  if (supportsRawQueries(client)) {
+    const data = await rawQuery(client, ISSUES_PAGE_QUERY, variables);
+    return data?.issues || { nodes: [], pageInfo: { hasNextPage: false } };
+  }
+
+  const { after, ...rest } = variables;
+  return client.issues({ ...rest, ...(after ? { after } : {}) });
+}
+
 // ===== QUERY FUNCTIONS =====
 
 /**
@@ -93,36 +254,135 @@ export async function fetchViewer(client) {
 }
 
 /**
- * Fetch issues in specific states, optionally filtered by assignee
+ * Default hard cap on issues collected across pages for a single query
+ */
+export const DEFAULT_MAX_ISSUES = 1000;
+
+/**
+ * Linear rejects `first` values above 250; stay well below it
+ */
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Create a request budget shared by all paginated queries of one poll
+ * @param {number} [maxRequests=Infinity] - Maximum number of API requests allowed
+ * @returns {{max: number, used: number, remaining: number, tryConsume: () => boolean}}
+ */
+export function createRequestBudget(maxRequests = Infinity) {
+  return {
+    max: maxRequests,
+    used: 0,
+    get remaining() {
+      return Math.max(0, this.max - this.used);
+    },
+    tryConsume() {
+      if (this.used >= this.max) return false;
+      this.used += 1;
+      return true;
+    },
+  };
+}
+
+/**
+ * Follow `pageInfo.endCursor` until all issues are fetched, the hard cap is
+ * reached, or the request budget runs out
+ * @param {LinearClient} client - Linear SDK client
+ * @param {Object} filter - IssueFilter
+ * @param {Object} options
+ * @param {number} options.pageSize - Issues per request
+ * @param {number} options.maxIssues - Hard cap on collected issues
+ * @param {Object} [options.budget] - From createRequestBudget()
+ * @returns {Promise<{nodes: Array, truncated: boolean, budgetExhausted: boolean, pages: number}>}
+ */
+async function paginateIssues(client, filter, options) {
+  const { pageSize, maxIssues, budget = createRequestBudget() } = options;
+
+  const nodes = [];
+  let after = null;
+  let pages = 0;
+  let hasNextPage = true;
+  let budgetExhausted = false;
+
+  while (hasNextPage && nodes.length < maxIssues) {
+    if (!budget.tryConsume()) {
+      budgetExhausted = true;
+      break;
+    }
+
+    const first = Math.min(pageSize, maxIssues - nodes.length);
+    const result = await fetchIssuesPage(client, { first, after, filter });
+    pages += 1;
+
+    const pageNodes = result.nodes || [];
+    nodes.push(...pageNodes);
+    hasNextPage = result.pageInfo?.hasNextPage ?? false;
+    after = result.pageInfo?.endCursor || null;
+
+    // Guard against cursors that do not advance
+    if (hasNextPage && (pageNodes.length === 0 || !after)) {
+      warn('Linear issues pagination stopped: next page reported without progress', {
+        pages,
+        returned: nodes.length,
+        endCursor: after,
+      });
+      break;
+    }
+  }
+
+  return {
+    nodes,
+    truncated: hasNextPage,
+    budgetExhausted,
+    pages,
+  };
+}
+
+/**
+ * Fetch issues in specific states, optionally filtered by assignee.
+ * Follows cursor pagination up to `options.maxIssues`.
  * @param {LinearClient} client - Linear SDK client
  * @param {string|null} assigneeId - Assignee ID to filter by (null = all assignees)
  * @param {Array<string>} openStates - List of state names to include
- * @param {number} limit - Maximum number of issues to fetch
- * @returns {Promise<{issues: Array, truncated: boolean}>}
+ * @param {number} limit - Page size (issues per request)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.projectIds] - Restrict to these project IDs (targeted poll)
+ * @param {Object} [options.scopeFilter] - Extra IssueFilter (per-project scope filters), AND-ed with the rest
+ * @param {number} [options.maxIssues] - Hard cap across all pages (default 1000)
+ * @param {Object} [options.budget] - Request budget shared across the poll
+ * @returns {Promise<{issues: Array, truncated: boolean, total: number, pages: number, budgetExhausted: boolean}>}
  */
-export async function fetchIssues(client, assigneeId, openStates, limit) {
+export async function fetchIssues(client, assigneeId, openStates, limit, options = {}) {
+  const { projectIds = null, maxIssues = DEFAULT_MAX_ISSUES, budget, scopeFilter = null } = options;
+
   const filter = {
     state: { name: { in: openStates } },
   };
 
+  if (scopeFilter) {
+    filter.and = [scopeFilter];
+  }
+
   if (assigneeId) {
     filter.assignee = { id: { eq: assigneeId } };
   }
 
-  const result = await client.issues({
-    first: limit,
-    filter,
-  });
+  if (projectIds && projectIds.length > 0) {
+    filter.project = { id: { in: projectIds } };
+  }
 
-  const nodes = result.nodes || [];
-  const hasNextPage = result.pageInfo?.hasNextPage ?? false;
+  const page = await paginateIssues(client, filter, {
+    pageSize: Math.min(limit, MAX_PAGE_SIZE),
+    maxIssues,
+    budget,
+  });
 
   // Transform SDK issues to plain objects
-  const issues = await Promise.all(nodes.map(transformIssue));
+  const issues = await Promise.all(page.nodes.map(transformIssue));
 
   // DEBUG: Log issues delivered by Linear API
   debug('Issues delivered by Linear API', {
     issueCount: issues.length,
+    pages: page.pages,
     issues: issues.map(issue => ({
       id: issue.id,
       title: issue.title,
@@ -133,33 +393,38 @@ export async function fetchIssues(client, assigneeId, openStates, limit) {
     })),
   });
 
-  const truncated = hasNextPage || nodes.length >= limit;
-  if (truncated) {
-    warn('Linear issues query may be truncated by LINEAR_PAGE_LIMIT', {
-      limit,
-      returned: nodes.length,
-      hasNextPage,
+  if (page.truncated) {
+    warn('Linear issues query truncated', {
+      returned: issues.length,
+      maxIssues,
+      pages: page.pages,
+      budgetExhausted: page.budgetExhausted,
     });
   }
 
   return {
     issues,
-    truncated,
+    truncated: page.truncated,
+    total: issues.length,
+    pages: page.pages,
+    budgetExhausted: page.budgetExhausted,
   };
 }
 
 /**
- * Fetch issues by project and optional state filter
+ * Fetch issues by project and optional state filter.
+ * Follows cursor pagination up to `options.limit` issues.
  * @param {LinearClient} client - Linear SDK client
  * @param {string} projectId - Project ID to filter by
  * @param {Array<string>|null} states - List of state names to include (null = all states)
  * @param {Object} options
  * @param {string|null} options.assigneeId - Assignee ID to filter by (null = all assignees)
- * @param {number} options.limit - Maximum number of issues to fetch
- * @returns {Promise<{issues: Array, truncated: boolean}>}
+ * @param {number} options.limit - Maximum number of issues to fetch (hard cap across pages)
+ * @param {Object} [options.budget] - Request budget
+ * @returns {Promise<{issues: Array, truncated: boolean, total: number, pages: number, budgetExhausted: boolean}>}
  */
 export async function fetchIssuesByProject(client, projectId, states, options = {}) {
-  const { assigneeId = null, limit = 50 } = options;
+  const { assigneeId = null, limit = 50, budget } = options;
 
   const filter = {
     project: { id: { eq: projectId } },
@@ -173,36 +438,38 @@ export async function fetchIssuesByProject(client, projectId, states, options =
     filter.assignee = { id: { eq: assigneeId } };
   }
 
-  const result = await client.issues({
-    first: limit,
-    filter,
+  const page = await paginateIssues(client, filter, {
+    pageSize: Math.min(limit, MAX_PAGE_SIZE),
+    maxIssues: limit,
+    budget,
   });
 
-  const nodes = result.nodes || [];
-  const hasNextPage = result.pageInfo?.hasNextPage ?? false;
-
   // Transform SDK issues to plain objects
-  const issues = await Promise.all(nodes.map(transformIssue));
+  const issues = await Promise.all(page.nodes.map(transformIssue));
 
   debug('Fetched issues by project', {
     projectId,
     stateCount: states?.length ?? 0,
     issueCount: issues.length,
-    truncated: hasNextPage,
+    pages: page.pages,
+    truncated: page.truncated,
   });
 
-  const truncated = hasNextPage || nodes.length >= limit;
-  if (truncated) {
-    warn('Issues query may be truncated', {
+  if (page.truncated) {
+    warn('Issues query truncated', {
       limit,
-      returned: nodes.length,
-      hasNextPage,
+      returned: issues.length,
+      pages: page.pages,
+      budgetExhausted: page.budgetExhausted,
     });
   }
 
   return {
     issues,
-    truncated,
+    truncated: page.truncated,
+    total: issues.length,
+    pages: page.pages,
+    budgetExhausted: page.budgetExhausted,
   };
 }
 
@@ -240,6 +507,44 @@ export async function fetchTeams(client) {
   return nodes.map(t => ({ id: t.id, key: t.key, name: t.name }));
 }
 
+const CURRENT_CYCLES_QUERY = `
+  query CurrentCycles($filter: CycleFilter) {
+    cycles(filter: $filter, first: 100) {
+      nodes { id number name startsAt endsAt isActive isNext team { id key } }
+    }
+  }
+`;
+
+/**
+ * Fetch the active and next cycle of every team in one request
+ * @param {LinearClient} client - Linear SDK client
+ * @returns {Promise<Array<{id: string, number: number, name: string|null, teamId: string|null, teamKey: string|null, isActive: boolean, isNext: boolean}>>}
+ */
+export async function fetchCurrentCycles(client) {
+  const filter = { or: [{ isActive: { eq: true } }, { isNext: { eq: true } }] };
+  const result = supportsRawQueries(client)
+    ? (await rawQuery(client, CURRENT_CYCLES_QUERY, { filter }))?.cycles
+    : await client.cycles({ filter, first: 100 });
+  const nodes = result?.nodes ?? [];
+
+  const cycles = nodes.map((c) => ({
+    id: c.id,
+    number: c.number,
+    name: c.name || null,
+    teamId: c.team?.id || c.teamId || null,
+    teamKey: c.team?.key || null,
+    isActive: Boolean(c.isActive),
+    isNext: Boolean(c.isNext),
+  }));
+
+  debug('Fetched current Linear cycles', {
+    cycleCount: cycles.length,
+    cycles: cycles.map((c) => ({ id: c.id, number: c.number, teamKey: c.teamKey, isActive: c.isActive, isNext: c.isNext })),
+  });
+
+  return cycles;
+}
+
 /**
  * Resolve a team reference (key, name, or ID) to a team object
  * @param {LinearClient} client - Linear SDK client
@@ -381,6 +686,31 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
 
   // Resolve issue - client.issue() accepts both UUIDs and identifiers
   const lookup = normalizeIssueLookupInput(issueRef);
+
+  // Single request with all relations inline
+  if (supportsRawQueries(client)) {
+    const data = await rawQuery(client, ISSUE_DETAILS_QUERY, { id: lookup, withComments: includeComments });
+    const issue = data?.issue;
+    if (!issue) {
+      throw new Error(`Issue not found: ${lookup}`);
+    }
+
+    return buildIssueDetails(issue, {
+      state: issue.state,
+      team: issue.team,
+      project: issue.project,
+      assignee: issue.assignee,
+      creator: issue.creator,
+      labelsResult: issue.labels || { nodes: [] },
+      parent: issue.parent,
+      childrenResult: issue.children || { nodes: [] },
+      relationsResult: issue.relations || { nodes: [] },
+      inverseRelationsResult: issue.inverseRelations || { nodes: [] },
+      commentsResult: issue.comments || { nodes: [] },
+      attachmentsResult: issue.attachments || { nodes: [] },
+    });
+  }
+
   const sdkIssue = await client.issue(lookup);
 
   if (!sdkIssue) {
@@ -397,6 +727,8 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
     labelsResult,
     parent,
     childrenResult,
+    relationsResult,
+    inverseRelationsResult,
     commentsResult,
     attachmentsResult,
   ] = await Promise.all([
@@ -408,10 +740,47 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
     sdkIssue.labels?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.labels?.() ?? { nodes: [] },
     sdkIssue.parent?.catch?.(() => null) ?? sdkIssue.parent,
     sdkIssue.children?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.children?.() ?? { nodes: [] },
-    includeComments ? (sdkIssue.comments?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.comments?.() ?? { nodes: [] }) : Promise.resolve({ nodes: [] }),
+    sdkIssue.relations?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.relations?.() ?? { nodes: [] },
+    sdkIssue.inverseRelations?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.inverseRelations?.() ?? { nodes: [] },
+    includeComments ? (sdkIssue.comments?.({ last: COMMENT_WINDOW })?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.comments?.({ last: COMMENT_WINDOW }) ?? { nodes: [] }) : Promise.resolve({ nodes: [] }),
     sdkIssue.attachments?.()?.catch?.(() => ({ nodes: [] })) ?? sdkIssue.attachments?.() ?? { nodes: [] },
   ]);
 
+  return buildIssueDetails(sdkIssue, {
+    state,
+    team,
+    project,
+    assignee,
+    creator,
+    labelsResult,
+    parent,
+    childrenResult,
+    relationsResult,
+    inverseRelationsResult,
+    commentsResult,
+    attachmentsResult,
+  });
+}
+
+/**
+ * Shape issue + resolved relations into the fetchIssueDetails result
+ */
+async function buildIssueDetails(issue, relations) {
+  const {
+    state,
+    team,
+    project,
+    assignee,
+    creator,
+    labelsResult,
+    parent,
+    childrenResult,
+    relationsResult = { nodes: [] },
+    inverseRelationsResult = { nodes: [] },
+    commentsResult,
+    attachmentsResult,
+  } = relations;
+
   // Transform parent if exists
   let transformedParent = null;
   if (parent) {
@@ -423,13 +792,27 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
     };
   }
 
-  // Transform children
-  const children = (childrenResult.nodes || []).map(c => ({
-    identifier: c.identifier,
-    title: c.title,
-    state: c.state ? { name: c.state.name, color: c.state.color } : null,
+  // Transform children (SDK children load their state lazily)
+  const children = await Promise.all((childrenResult.nodes || []).map(async (c) => {
+    const childState = await c.state?.catch?.(() => null) ?? c.state;
+    return {
+      id: c.id,
+      identifier: c.identifier,
+      title: c.title,
+      url: c.url,
+      branchName: c.branchName,
+      priority: c.priority,
+      sortOrder: c.sortOrder ?? null,
+      state: childState ? { name: childState.name, color: childState.color, type: childState.type } : null,
+    };
   }));
 
+  // Transform issue relations, named from this issue's point of view
+  const issueRelations = await Promise.all([
+    ...(relationsResult.nodes || []).map((r) => transformIssueRelation(r.type, r.relatedIssue, false)),
+    ...(inverseRelationsResult.nodes || []).map((r) => transformIssueRelation(r.type, r.issue, true)),
+  ]);
+
   // Transform comments
   const comments = (commentsResult.nodes || []).map(c => ({
     id: c.id,
@@ -437,8 +820,12 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
     createdAt: c.createdAt,
     updatedAt: c.updatedAt,
     user: c.user ? { name: c.user.name, displayName: c.user.displayName } : null,
+    // Author, null for integrations and external users (GraphQL: user.id, SDK: userId)
+    userId: c.user?.id ?? c.userId ?? null,
     externalUser: c.externalUser ? { name: c.externalUser.name, displayName: c.externalUser.displayName } : null,
     parent: c.parent ? { id: c.parent.id } : null,
+    // [{emoji, reactions: [{userId, reactedAt}]}] as returned by Linear
+    reactionData: Array.isArray(c.reactionData) ? c.reactionData : [],
   }));
 
   // Transform attachments
@@ -459,15 +846,16 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
   }));
 
   return {
-    identifier: sdkIssue.identifier,
-    title: sdkIssue.title,
-    description: sdkIssue.description,
-    url: sdkIssue.url,
-    branchName: sdkIssue.branchName,
-    priority: sdkIssue.priority,
-    estimate: sdkIssue.estimate,
-    createdAt: sdkIssue.createdAt,
-    updatedAt: sdkIssue.updatedAt,
+    id: issue.id,
+    identifier: issue.identifier,
+    title: issue.title,
+    description: issue.description,
+    url: issue.url,
+    branchName: issue.branchName,
+    priority: issue.priority,
+    estimate: issue.estimate,
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
     state: state ? { name: state.name, color: state.color, type: state.type } : null,
     team: team ? { id: team.id, key: team.key, name: team.name } : null,
     project: project ? { id: project.id, name: project.name } : null,
@@ -476,11 +864,39 @@ export async function fetchIssueDetails(client, issueRef, options = {}) {
     labels,
     parent: transformedParent,
     children,
+    relations: issueRelations.filter(Boolean),
     comments,
     attachments,
   };
 }
 
+// Relation type names: [outgoing, incoming]
+const ISSUE_RELATION_TYPES = {
+  blocks: ['blocks', 'blocked_by'],
+  duplicate: ['duplicate_of', 'duplicated_by'],
+  related: ['related', 'related'],
+  similar: ['similar', 'similar'],
+};
+
+/**
+ * Shape one issue relation; the other issue may be an SDK promise
+ */
+async function transformIssueRelation(type, otherIssue, incoming) {
+  const other = await (otherIssue?.catch?.(() => null) ?? otherIssue);
+  if (!other) return null;
+  const otherState = await other.state?.catch?.(() => null) ?? other.state;
+  const names = ISSUE_RELATION_TYPES[type] || [type, type];
+  return {
+    type: names[incoming ? 1 : 0],
+    issue: {
+      id: other.id,
+      identifier: other.identifier,
+      title: other.title,
+      state: otherState ? { name: otherState.name, color: otherState.color, type: otherState.type } : null,
+    },
+  };
+}
+
 // ===== MUTATION FUNCTIONS =====
 
 /**
@@ -667,6 +1083,25 @@ export async function addIssueComment(client, issueRef, body, parentCommentId) {
   };
 }
 
+/**
+ * Delete a comment
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} commentId
+ * @returns {Promise<{success: boolean, commentId: string}>}
+ */
+export async function deleteIssueComment(client, commentId) {
+  if (!commentId) {
+    throw new Error('Missing required comment id');
+  }
+
+  const result = await client.deleteComment(commentId);
+  if (!result?.success) {
+    throw new Error('Failed to delete comment');
+  }
+
+  return { success: true, commentId };
+}
+
 /**
  * Update an issue
  * @param {LinearClient} client - Linear SDK client
@@ -694,6 +1129,10 @@ export async function updateIssue(client, issueRef, patch = {}) {
     updateInput.priority = parsed;
   }
 
+  if (patch.assigneeId !== undefined) {
+    updateInput.assigneeId = patch.assigneeId;
+  }
+
   if (patch.state !== undefined) {
     // Need to resolve state ID from team's workflow states
     const team = targetIssue.team;
@@ -728,6 +1167,31 @@ export async function updateIssue(client, issueRef, patch = {}) {
   };
 }
 
+/**
+ * Add a label (by name, case-insensitive) to an issue; the label must exist
+ * @param {LinearClient} client - Linear SDK client
+ * @param {string} issueRef - Issue identifier or ID
+ * @param {string} labelName - Label name
+ * @returns {Promise<{issue: Object, label: {id: string, name: string}}>}
+ */
+export async function addIssueLabel(client, issueRef, labelName) {
+  const targetIssue = await resolveIssue(client, issueRef);
+
+  const result = await client.issueLabels({ filter: { name: { eqIgnoreCase: labelName } } });
+  const label = (result?.nodes || [])[0];
+  if (!label) {
+    throw new Error(`Issue label not found: ${labelName}`);
+  }
+
+  const sdkIssue = await client.issue(targetIssue.id);
+  const update = await sdkIssue.update({ addedLabelIds: [label.id] });
+  if (!update.success) {
+    throw new Error('Failed to update issue');
+  }
+
+  return { issue: targetIssue, label: { id: label.id, name: label.name } };
+}
+
 /**
  * Prepare issue for starting (get started state)
  * @param {LinearClient} client - Linear SDK client
@@ -1203,6 +1667,27 @@ export function formatIssueAsMarkdown(issueData, options = {}) {
     }
   }
 
+  // Relations (blockers first)
+  if (issueData.relations?.length > 0) {
+    const relationLabels = {
+      blocked_by: 'Blocked by',
+      blocks: 'Blocks',
+      duplicate_of: 'Duplicate of',
+      duplicated_by: 'Duplicated by',
+      related: 'Related to',
+      similar: 'Similar to',
+    };
+    const labelOrder = Object.keys(relationLabels);
+    const rank = (type) => (labelOrder.includes(type) ? labelOrder.indexOf(type) : labelOrder.length);
+    lines.push('');
+    lines.push('## Relations');
+    lines.push('');
+    for (const relation of issueData.relations.slice().sort((a, b) => rank(a.type) - rank(b.type))) {
+      const label = relationLabels[relation.type] || relation.type;
+      lines.push(`- ${label} **${relation.issue.identifier}**: ${relation.issue.title} _[${relation.issue.state?.name || 'unknown'}]_`);
+    }
+  }
+
   // Attachments
   if (issueData.attachments?.length > 0) {
     lines.push('');
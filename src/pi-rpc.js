@@ -86,7 +86,6 @@ export class PiRpcClient extends EventEmitter {
     });
 
     child.stdout?.on('data', (data) => {
-      this._lastMessageTs = Date.now();
       this._onStdoutData(data.toString('utf8'));
     });
 
@@ -104,6 +103,11 @@ export class PiRpcClient extends EventEmitter {
     return !!(this.child && this.child.exitCode === null && !this.child.killed);
   }
 
+  /**
+   * Time since the process last produced output other than a get_state
+   * response, so that health probes do not count as session activity.
+   * @returns {number}
+   */
   lastMessageAgeMs() {
     return Date.now() - this._lastMessageTs;
   }
@@ -169,6 +173,26 @@ export class PiRpcClient extends EventEmitter {
     return this.send({ type: 'abort' }, Math.min(10_000, this.timeoutMs));
   }
 
+  /**
+   * Answer an extension_ui_request. pi sends no response for this message.
+   * @param {string} id - Request id
+   * @param {Object} payload - {value} | {confirmed} | {cancelled: true}
+   * @returns {boolean} False when the process is not running
+   */
+  respondUi(id, payload) {
+    if (!this.isAlive() || !this.child?.stdin) return false;
+
+    const line = JSON.stringify({ type: 'extension_ui_response', id, ...payload });
+    debug('pi rpc ->', { sessionName: this.sessionName, line: line.slice(0, 500) });
+    try {
+      this.child.stdin.write(line + '\n', 'utf8');
+      return true;
+    } catch (err) {
+      warn('Failed to write extension_ui_response', { sessionName: this.sessionName, error: err?.message || String(err) });
+      return false;
+    }
+  }
+
   kill() {
     if (!this.child) return;
     try {
@@ -208,6 +232,7 @@ export class PiRpcClient extends EventEmitter {
         const id = msg.id;
         if (id && this._pending.has(id)) {
           const pending = this._pending.get(id);
+          if (pending.commandType !== 'get_state') this._lastMessageTs = Date.now();
           clearTimeout(pending.timeoutId);
           this._pending.delete(id);
           pending.resolve(msg);
@@ -215,11 +240,14 @@ export class PiRpcClient extends EventEmitter {
         }
 
         // Unmatched response (shouldn't happen but don't drop)
+        this._lastMessageTs = Date.now();
         this.emit('event', msg);
         continue;
       }
 
-      // Future hook: extension UI requests mean the agent needs input.
+      this._lastMessageTs = Date.now();
+
+      // Extension UI requests are answered by the session manager's UI request policy
       if (msg?.type === 'extension_ui_request') {
         info('pi rpc extension_ui_request', { sessionName: this.sessionName, method: msg.method, title: msg.title });
         this.emit('extension_ui_request', msg);
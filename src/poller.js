@@ -4,29 +4,85 @@
 
 import { info, debug, error as logError, warn } from './logger.js';
 import { setLogLevel } from './logger.js';
-import { createLinearClient } from './linear-client.js';
-import { fetchViewer, fetchIssues, groupIssuesByProject } from './linear.js';
+import { createLinearClient, getRequestCount, getRateLimitState, LinearRateLimitError } from './linear-client.js';
+import { fetchViewer, fetchIssues, fetchIssueDetails, fetchCurrentCycles, groupIssuesByProject, resolveIssue, createRequestBudget } from './linear.js';
 import { createSessionManager, attemptKillUnhealthySession } from './session-manager.js';
 import { RpcSessionManager } from './rpc-session-manager.js';
+import { WorkQueue, resolveQueuePolicy } from './work-queue.js';
+import { SlotScheduler, resolveProjectWeight } from './slot-scheduler.js';
+import { claimIssue, resolveClaimSettings } from './issue-claim.js';
+import { checkApproval, pruneApprovalRequests, resolveApprovalSettings } from './approval-gate.js';
+import { isScheduleActive, nextActiveAt, resolveSchedule } from './schedule.js';
+import { ensureIssueWorktree, removeIssueWorktree, resolveWorktreeSettings, sweepIssueWorktrees, worktreePathFor } from './git-worktree.js';
+import { resolveRepoPath } from './repo-path.js';
+import { resolvePreflightSettings, runPreflightChecks } from './repo-preflight.js';
+import { resolveVerifySettings, verifyCompletedIssue } from './run-verification.js';
+import { postRunEndComment, postRunStartComment, resolveProgressCommentSettings } from './progress-comments.js';
+import { RunLimitEnforcer } from './run-limits.js';
+import { resolveSubIssueDispatch, resolveSubIssueMode, withoutCandidateChildren } from './sub-issues.js';
+import { buildProjectScopeFilter, currentCycleIds, hasScopeFilters, matchesProjectScope, usesCurrentCycle } from './issue-scope.js';
+import { DispatchLedger } from './dispatch-ledger.js';
+import { RunTracker } from './run-tracker.js';
+import { TranscriptStore } from './transcript-store.js';
+import { UiRequestBroker } from './ui-request-policy.js';
+import {
+  buildPromptVariables,
+  renderPromptTemplate,
+  resolveIssueContextSettings,
+  resolvePromptTemplate,
+  templateNeedsDetails,
+} from './prompt-template.js';
+import { startWebhookServer } from './webhook-server.js';
+
+// Webhook deliveries often arrive in bursts (issue update + comment); coalesce them.
+const TARGETED_POLL_DEBOUNCE_MS = 2000;
+
+// Workflow state types that mean an agent run left nothing to do
+const DONE_STATE_TYPES = ['completed', 'canceled'];
+
+// Worktrees of issues closed outside an agent run are looked for this often
+const WORKTREE_SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Dispatch statuses that do not yet carry a verified run outcome
+const UNVERIFIED_DISPATCH_STATUSES = ['prompted', 'aborted', 'timed_out'];
 
 /**
  * Perform a single poll
  * @param {Object} config - Configuration object
  * @param {Object} sessionManager - Session manager instance
  * @param {LinearClient} client - Linear SDK client
+ * @param {Object} services - Long-lived poll collaborators
+ * @param {WorkQueue} services.workQueue - Dispatch tracking for RPC mode
+ * @param {SlotScheduler} services.scheduler - Global session slot allocation (RPC mode)
+ * @param {UiRequestBroker} [services.uiRequests] - Answers agent UI requests; pending Linear questions are checked each poll
+ * @param {RunLimitEnforcer} [services.runLimits] - Aborts runs over their limits; wall-clock time is checked each poll
+ * @param {Map<string, number>} [services.worktreeSweeps] - Last issue worktree sweep per project
+ * @param {Object} [options]
+ * @param {Array<string>} [options.projectIds] - Targeted poll: only fetch issues of these projects
+ * @returns {Promise<Object>} Poll metrics; `retryAfterMs` is set when Linear rate limited the poll
  */
-async function performPoll(config, sessionManager, client) {
+async function performPoll(config, sessionManager, client, services, options = {}) {
   const pollStartTimestamp = Date.now();
-  info('Poll started');
+  const requestCountAtStart = getRequestCount(client);
+  const projectIds = options.projectIds?.length ? options.projectIds : null;
+  info('Poll started', projectIds ? { targetedProjectIds: projectIds } : undefined);
 
   // Initialize poll metrics
   const metrics = {
     issueCount: 0,
     projectCount: 0,
     sessionsCreated: 0,
+    sessionsEvicted: 0,
+    sessionsReaped: 0,
+    uiRequestsAnswered: 0,
+    uiRequestsTimedOut: 0,
+    runsOverLimit: 0,
     sessionsChecked: 0,
     unhealthyDetected: 0,
     sessionsKilled: 0,
+    issuesTruncated: false,
+    linearRequests: 0,
+    retryAfterMs: null,
     errors: []
   };
 
@@ -54,55 +110,89 @@ async function performPoll(config, sessionManager, client) {
       error: err?.message || String(err),
     });
     metrics.errors.push('Linear API smoke query failed');
+    if (err instanceof LinearRateLimitError) {
+      metrics.retryAfterMs = err.retryAfterMs;
+    }
   }
 
   // INN-160 + INN-196: Query issues based on configured scope.
   let byProject = new Map();
-  try {
-    const scopeQuery = buildScopeQueryPlan(config, viewerId);
-
-    info('Fetching issues for poll scope...', {
-      assigneeId: scopeQuery.assigneeId,
-      openStates: scopeQuery.openStates,
-      limit: config.linearPageLimit,
-      projectScoped: scopeQuery.projectScoped,
-      enabledProjectCount: scopeQuery.enabledProjectCount,
-    });
-
-    const { issues, truncated } = await fetchIssues(
-      client,
-      scopeQuery.assigneeId,
-      scopeQuery.openStates,
-      config.linearPageLimit
-    );
-
-    const scopedIssues = applyProjectScopeToIssues(issues, config, viewerId);
+  let issuesFetched = false;
+  if (metrics.retryAfterMs !== null) {
+    warn('Skipping issue fetch: Linear rate limit active', { retryAfterMs: metrics.retryAfterMs });
+  } else {
+    try {
+      const budget = createRequestBudget(config.linearMaxRequestsPerPoll);
+      const cycles = await resolvePollCycles(config, client, budget);
+      const scopeQuery = buildScopeQueryPlan(config, viewerId, { cycles });
+
+      info('Fetching issues for poll scope...', {
+        assigneeId: scopeQuery.assigneeId,
+        openStates: scopeQuery.openStates,
+        pageSize: config.linearPageLimit,
+        maxIssues: config.linearMaxIssues,
+        maxRequests: config.linearMaxRequestsPerPoll,
+        projectScoped: scopeQuery.projectScoped,
+        enabledProjectCount: scopeQuery.enabledProjectCount,
+        scopeFiltered: Boolean(scopeQuery.scopeFilter),
+        cycleIds: scopeQuery.cycleIds || undefined,
+        targetedProjectIds: projectIds || undefined,
+      });
 
-    metrics.issueCount = scopedIssues.length;
-    info('Fetched and scoped issues', {
-      issueCountRaw: issues.length,
-      issueCountScoped: scopedIssues.length,
-      truncated,
-    });
+      const { issues, truncated, total, pages, budgetExhausted } = await fetchIssues(
+        client,
+        scopeQuery.assigneeId,
+        scopeQuery.openStates,
+        config.linearPageLimit,
+        { projectIds, maxIssues: config.linearMaxIssues, budget, scopeFilter: scopeQuery.scopeFilter }
+      );
+
+      const scopedIssues = applyProjectScopeToIssues(issues, config, viewerId, { cycles });
+
+      metrics.issueCount = scopedIssues.length;
+      metrics.issuesTruncated = truncated;
+      info('Fetched and scoped issues', {
+        issueCountRaw: total,
+        issueCountScoped: scopedIssues.length,
+        pages,
+        truncated,
+        budgetExhausted,
+      });
+      if (truncated) {
+        warn('Poll did not see all matching issues', {
+          reason: budgetExhausted ? 'request budget exhausted (LINEAR_MAX_REQUESTS_PER_POLL)' : 'hard cap reached (LINEAR_MAX_ISSUES)',
+          fetched: total,
+        });
+      }
 
-    byProject = groupIssuesByProject(scopedIssues);
-    metrics.projectCount = byProject.size;
-    info('Projects with qualifying issues', {
-      projectCount: byProject.size,
-      projects: Array.from(byProject.keys()),
-    });
-  } catch (err) {
-    logError('Failed to fetch scoped issues', {
-      error: err?.message || String(err),
-    });
-    metrics.errors.push('Failed to fetch scoped issues');
+      byProject = groupIssuesByProject(scopedIssues);
+      issuesFetched = true;
+      metrics.projectCount = byProject.size;
+      info('Projects with qualifying issues', {
+        projectCount: byProject.size,
+        projects: Array.from(byProject.keys()),
+      });
+    } catch (err) {
+      logError('Failed to fetch scoped issues', {
+        error: err?.message || String(err),
+      });
+      metrics.errors.push('Failed to fetch scoped issues');
+      if (err instanceof LinearRateLimitError) {
+        metrics.retryAfterMs = err.retryAfterMs;
+      }
+    }
   }
 
   // INN-166: Create sessions for projects with qualifying issues (idempotent)
   try {
-    const createdCount = await createSessionsForProjects(byProject, config, sessionManager);
-    metrics.sessionsCreated = createdCount;
-    info('Session creation completed', { createdCount });
+    const sessionResult = await createSessionsForProjects(byProject, config, sessionManager, services, client, viewerId);
+    metrics.sessionsCreated = sessionResult.created;
+    metrics.sessionsEvicted = sessionResult.evicted;
+    info('Session creation completed', {
+      createdCount: sessionResult.created,
+      evictedCount: sessionResult.evicted,
+      deferredCount: sessionResult.deferred,
+    });
   } catch (err) {
     logError('Failed to create sessions', {
       error: err?.message || String(err),
@@ -110,6 +200,63 @@ async function performPoll(config, sessionManager, client) {
     metrics.errors.push('Failed to create sessions');
   }
 
+  // Stop idle RPC sessions of projects without open work. Skipped when the fetch
+  // failed: an empty result then says nothing about open work.
+  if ((config.mode || 'rpc') === 'rpc' && issuesFetched) {
+    try {
+      const reaped = await reapIdleSessions(config, sessionManager, byProject, projectIds);
+      metrics.sessionsReaped = reaped.length;
+      if (reaped.length > 0) {
+        info('Reaped idle RPC sessions', {
+          sessions: reaped.map((r) => ({ sessionName: r.sessionName, idleSec: Math.round(r.idleMs / 1000) })),
+        });
+      }
+    } catch (err) {
+      logError('Failed to reap idle sessions', {
+        error: err?.message || String(err),
+      });
+      metrics.errors.push('Failed to reap idle sessions');
+    }
+  }
+
+  // Remove issue worktrees of issues that were closed since
+  if ((config.mode || 'rpc') === 'rpc' && issuesFetched && services.worktreeSweeps) {
+    try {
+      await sweepWorktrees(config, client, services.worktreeSweeps, projectIds);
+    } catch (err) {
+      logError('Failed to sweep issue worktrees', {
+        error: err?.message || String(err),
+      });
+      metrics.errors.push('Failed to sweep issue worktrees');
+    }
+  }
+
+  // Agent questions posted to Linear: answer replied ones, abort overdue ones
+  if (services.uiRequests?.pending.size > 0) {
+    try {
+      const checked = await services.uiRequests.checkPending();
+      metrics.uiRequestsAnswered = checked.answered;
+      metrics.uiRequestsTimedOut = checked.timedOut;
+    } catch (err) {
+      logError('Failed to check pending UI requests', {
+        error: err?.message || String(err),
+      });
+      metrics.errors.push('Failed to check pending UI requests');
+    }
+  }
+
+  // Runs without events still run out of time
+  if (services.runLimits) {
+    try {
+      metrics.runsOverLimit = await services.runLimits.checkActiveRuns();
+    } catch (err) {
+      logError('Failed to check run limits', {
+        error: err?.message || String(err),
+      });
+      metrics.errors.push('Failed to check run limits');
+    }
+  }
+
   // INN-168: Check and kill unhealthy owned sessions
   // RPC mode: handled via RPC timeouts + abort/restart, skip legacy health checks.
   if ((config.mode || 'rpc') !== 'rpc') {
@@ -127,21 +274,34 @@ async function performPoll(config, sessionManager, client) {
     }
   }
   // Poll completed - log summary with all metrics
+  metrics.linearRequests = getRequestCount(client) - requestCountAtStart;
   const pollEndTimestamp = Date.now();
   const pollDurationMs = pollEndTimestamp - pollStartTimestamp;
 
   info('Poll completed', {
+    targeted: Boolean(projectIds),
     pollDurationMs,
     pollDurationSec: (pollDurationMs / 1000).toFixed(2),
     issueCount: metrics.issueCount,
+    issuesTruncated: metrics.issuesTruncated,
+    linearRequests: metrics.linearRequests,
+    rateLimitRemaining: getRateLimitState(client)?.requestsRemaining,
+    retryAfterMs: metrics.retryAfterMs ?? undefined,
     projectCount: metrics.projectCount,
     sessionsCreated: metrics.sessionsCreated,
+    sessionsEvicted: metrics.sessionsEvicted,
+    sessionsReaped: metrics.sessionsReaped,
+    uiRequestsAnswered: metrics.uiRequestsAnswered || undefined,
+    uiRequestsTimedOut: metrics.uiRequestsTimedOut || undefined,
+    runsOverLimit: metrics.runsOverLimit || undefined,
     sessionsChecked: metrics.sessionsChecked,
     unhealthyDetected: metrics.unhealthyDetected,
     sessionsKilled: metrics.sessionsKilled,
     errorCount: metrics.errors.length,
     errors: metrics.errors.length > 0 ? metrics.errors : undefined
   });
+
+  return metrics;
 }
 
 /**
@@ -180,7 +340,45 @@ export function shouldProcessProject(projectId, projectName, config) {
   return true;
 }
 
-export function buildScopeQueryPlan(config, viewerId) {
+/**
+ * Fetch the teams' current and next cycles when an enabled project scope needs
+ * them; the result is reused for the query and the local filter of this poll
+ * @returns {Promise<Array|null>} Null when no project uses a current-cycle mode
+ */
+async function resolvePollCycles(config, client, budget) {
+  const needsCycles = Object.values(config.projects || {})
+    .some((projectCfg) => projectCfg?.enabled !== false && usesCurrentCycle(projectCfg?.scope));
+  if (!needsCycles) return null;
+
+  if (!budget.tryConsume()) {
+    throw new Error('Request budget exhausted before resolving current cycles');
+  }
+  const cycles = await fetchCurrentCycles(client);
+  if (!cycles.some((c) => c.isActive)) {
+    warn('No active Linear cycle found; projects scoped to the current cycle get no issues');
+  }
+  return cycles;
+}
+
+/**
+ * Workflow state names a project works issues in (scope.openStates over linearOpenStates)
+ * @param {Object} config
+ * @param {Object} [projectCfg] - settings.projects.<id>
+ * @returns {string[]}
+ */
+function resolveOpenStates(config, projectCfg) {
+  return projectCfg?.scope?.openStates?.length ? projectCfg.scope.openStates : config.linearOpenStates;
+}
+
+/**
+ * Issue query parameters covering all enabled projects
+ * @param {Object} config
+ * @param {string} viewerId
+ * @param {Object} [options]
+ * @param {Array} [options.cycles] - From fetchCurrentCycles(), for `scope.cycle` current/current_or_next
+ * @returns {{assigneeId: string|null, openStates: string[], projectScoped: boolean, enabledProjectCount: number, scopeFilter: Object|null, cycleIds: Object<string, string[]>|null}}
+ */
+export function buildScopeQueryPlan(config, viewerId, { cycles = null } = {}) {
   const projects = config.projects || {};
   const entries = Object.entries(projects).filter(([, p]) => p?.enabled !== false);
 
@@ -190,6 +388,8 @@ export function buildScopeQueryPlan(config, viewerId) {
       openStates: config.linearOpenStates,
       projectScoped: false,
       enabledProjectCount: 0,
+      scopeFilter: null,
+      cycleIds: null,
     };
   }
 
@@ -197,10 +397,7 @@ export function buildScopeQueryPlan(config, viewerId) {
   let requiresAllAssignees = false;
 
   for (const [, projectCfg] of entries) {
-    const openStates = projectCfg?.scope?.openStates?.length
-      ? projectCfg.scope.openStates
-      : config.linearOpenStates;
-    for (const state of openStates) states.add(state);
+    for (const state of resolveOpenStates(config, projectCfg)) states.add(state);
 
     const assigneeMode = projectCfg?.scope?.assignee || 'me';
     if (assigneeMode === 'all') {
@@ -208,15 +405,27 @@ export function buildScopeQueryPlan(config, viewerId) {
     }
   }
 
+  // Push label/priority/estimate/team/cycle filters into the query: one clause per project
+  const scopeFilter = entries.some(([, projectCfg]) => hasScopeFilters(projectCfg?.scope))
+    ? { or: entries.map(([projectId, projectCfg]) => buildProjectScopeFilter(projectId, projectCfg?.scope, { cycles: cycles || [] })) }
+    : null;
+
+  // Cycle ids each current-cycle scoped project accepts this poll
+  const cycleEntries = entries
+    .filter(([, projectCfg]) => usesCurrentCycle(projectCfg?.scope))
+    .map(([projectId, projectCfg]) => [projectId, currentCycleIds(projectCfg.scope, cycles || [])]);
+
   return {
     assigneeId: requiresAllAssignees ? null : viewerId,
     openStates: Array.from(states),
     projectScoped: true,
     enabledProjectCount: entries.length,
+    scopeFilter,
+    cycleIds: cycleEntries.length > 0 ? Object.fromEntries(cycleEntries) : null,
   };
 }
 
-export function applyProjectScopeToIssues(issues, config, viewerId) {
+export function applyProjectScopeToIssues(issues, config, viewerId, { cycles = null } = {}) {
   const projects = config.projects || {};
   const hasConfiguredProjects = Object.keys(projects).length > 0;
 
@@ -233,24 +442,130 @@ export function applyProjectScopeToIssues(issues, config, viewerId) {
       return false;
     }
 
-    const allowedStates = projectCfg?.scope?.openStates?.length
-      ? projectCfg.scope.openStates
-      : config.linearOpenStates;
+    const allowedStates = resolveOpenStates(config, projectCfg);
     const stateName = issue?.state?.name;
     if (!allowedStates.includes(stateName)) {
       return false;
     }
 
     const assigneeMode = projectCfg?.scope?.assignee || 'me';
-    if (assigneeMode === 'me') {
-      return issue?.assignee?.id === viewerId;
+    if (assigneeMode === 'me' && issue?.assignee?.id !== viewerId) {
+      return false;
     }
 
-    // scope.assignee === 'all'
-    return true;
+    return matchesProjectScope(issue, projectCfg?.scope, { cycles: cycles || [] });
   });
 }
 
+/**
+ * Render the prompt for a dispatched issue from the project's prompt template.
+ * Issue details are fetched when the template uses fields the issue list lacks;
+ * if that fails, the prompt is rendered from the list issue instead.
+ * @param {LinearClient|null} client
+ * @param {Object} issue - Issue from fetchIssues()
+ * @param {Object} config
+ * @param {Object} project - {projectId, projectName, projectCfg, cwd}
+ *   `cwd`: directory the session runs in (issue worktree or repo), `${repoPath}` of the prompt
+ * @returns {Promise<string>}
+ */
+async function buildDispatchPrompt(client, issue, config, { projectId, projectName, projectCfg, cwd }) {
+  const { template } = await resolvePromptTemplate(projectCfg, config.rpc?.workspaceRoot);
+  const issueContext = resolveIssueContextSettings(config, projectId);
+
+  let promptIssue = issue;
+  if (client && templateNeedsDetails(template, issueContext)) {
+    try {
+      const details = await fetchIssueDetails(client, issue.id, { includeComments: issueContext.maxComments > 0 });
+      promptIssue = { ...issue, ...details };
+    } catch (err) {
+      warn('Failed to fetch issue details for prompt; using issue list data', {
+        issueId: issue.id,
+        error: err?.message || String(err),
+      });
+    }
+  }
+
+  return renderPromptTemplate(template, buildPromptVariables(promptIssue, {
+    projectId,
+    projectName,
+    repoPath: cwd,
+    issueContext,
+  }));
+}
+
+/**
+ * Pick the issue to dispatch for one project. In sub-issue sequential mode a
+ * selected parent resolves to its next open child (or is closed when all are
+ * done) and the next candidate is tried when the parent yields nothing.
+ * With an approval gate the picked issue is only returned once approved;
+ * otherwise the next candidate is tried.
+ * @param {Object|null} [approval] - From resolveApprovalSettings()
+ * @param {string|null} [viewerId] - Linear user of this daemon (its own comments never approve)
+ * @returns {Promise<Object|null>}
+ */
+async function selectProjectIssue(projectId, issues, projectCfg, workQueue, client, approval = null, viewerId = null) {
+  const policy = resolveQueuePolicy(projectCfg);
+  const sequential = Boolean(client) && resolveSubIssueMode(projectCfg) === 'sequential';
+  let remaining = sequential ? withoutCandidateChildren(issues) : issues;
+
+  while (remaining.length > 0) {
+    const selection = workQueue.selectNext(remaining, policy);
+    if (!selection.issue) {
+      debug('No dispatchable issue for project', {
+        projectId,
+        candidateCount: selection.ordered.length,
+        held: selection.held,
+      });
+      return null;
+    }
+    let candidate = selection.issue;
+    if (sequential) {
+      candidate = null;
+      try {
+        const resolved = await resolveSubIssueDispatch(client, selection.issue, {
+          workQueue,
+          policy,
+          scope: projectCfg?.scope,
+          openStates: resolveOpenStates(config, projectCfg),
+          viewerId,
+        });
+        if (resolved.issue) candidate = resolved.issue;
+        else debug('Parent issue has no dispatchable sub-issue', { projectId, issueId: selection.issue.id, reason: resolved.reason });
+      } catch (err) {
+        warn('Failed to resolve sub-issues; skipping issue this poll', {
+          projectId,
+          issueId: selection.issue.id,
+          error: err?.message || String(err),
+        });
+      }
+    }
+    // An issue awaiting approval must not stall the rest of the project
+    if (candidate && await gateApproval(projectId, candidate, workQueue, client, approval, viewerId)) return candidate;
+    remaining = remaining.filter((issue) => issue.id !== selection.issue.id);
+  }
+  return null;
+}
+
+/**
+ * Apply the approval gate to a selected issue
+ * @returns {Promise<Object|null>} The issue when approved (or no gate), else null
+ */
+async function gateApproval(projectId, issue, workQueue, client, approval, viewerId) {
+  if (!approval || !client) return issue;
+  try {
+    const result = await checkApproval(client, issue, { settings: approval, projectId, viewerId, ledger: workQueue.ledger });
+    if (result.approved) return issue;
+    debug('Issue awaiting approval', { projectId, issueId: issue.id, identifier: issue.identifier });
+  } catch (err) {
+    warn('Failed to check issue approval; not dispatching this poll', {
+      projectId,
+      issueId: issue.id,
+      error: err?.message || String(err),
+    });
+  }
+  return null;
+}
+
 /**
  * Create sessions for projects with qualifying issues
  * This is idempotent - won't create duplicate sessions
@@ -258,9 +573,14 @@ export function applyProjectScopeToIssues(issues, config, viewerId) {
  * @param {Map<string, Object>} byProject - Map of projectId -> {projectName, issueCount}
  * @param {Object} config - Configuration object
  * @param {Object} sessionManager - Session manager instance
- * @returns {Promise<number>} Number of sessions created in this poll
+ * @param {Object} [services] - Long-lived poll collaborators (RPC mode)
+ * @param {WorkQueue} [services.workQueue] - Dispatch tracking
+ * @param {SlotScheduler} [services.scheduler] - Global session slot allocation
+ * @param {LinearClient} [client] - Linear SDK client, for issue details the prompt template needs
+ * @param {string|null} [viewerId] - Linear user of this daemon, for issue claims
+ * @returns {Promise<{created: number, evicted: number, deferred: number}>} Session changes in this poll
  */
-async function createSessionsForProjects(byProject, config, sessionManager) {
+async function createSessionsForProjects(byProject, config, sessionManager, services = {}, client = null, viewerId = null) {
   let createdCount = 0;
   let filteredCount = 0;
 
@@ -268,7 +588,16 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
   if ((config.mode || 'rpc') === 'rpc') {
     /** @type {RpcSessionManager} */
     const rpcManager = sessionManager;
+    const workQueue = services.workQueue || new WorkQueue();
+    const scheduler = services.scheduler || new SlotScheduler({ maxSlots: config.rpc?.maxConcurrentSessions });
+    const ledger = workQueue.ledger;
 
+    if (ledger) {
+      await settleFinishedDispatches(rpcManager, ledger);
+    }
+
+    // Pick the highest-ranked issue per project that was not already sent to the agent.
+    const candidates = [];
     for (const [projectId, projectData] of byProject) {
       if (!shouldProcessProject(projectId, projectData.projectName, config)) {
         filteredCount++;
@@ -280,8 +609,83 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
         continue;
       }
 
-      const sessionName = `${config.tmuxPrefix}${projectId}`;
+      let schedule;
+      try {
+        schedule = resolveSchedule(config, projectId);
+      } catch (err) {
+        warn('Invalid project schedule; skipping project this poll', { projectId, error: err?.message || String(err) });
+        continue;
+      }
+      if (!isScheduleActive(schedule)) {
+        const next = nextActiveAt(schedule);
+        debug('Project outside its schedule; not prompting', {
+          projectId,
+          nextActiveAt: next ? new Date(next).toISOString() : null,
+        });
+        continue;
+      }
+
       const projectCfg = config.projects?.[projectId];
+      const approval = resolveApprovalSettings(config, projectId);
+      if (approval && ledger && pruneApprovalRequests(ledger, projectId, projectData.issues || []) > 0) {
+        await ledger.save();
+      }
+      const nextIssue = await selectProjectIssue(projectId, projectData.issues || [], projectCfg, workQueue, client, approval, viewerId);
+      if (!nextIssue) continue;
+
+      candidates.push({
+        projectId,
+        projectData,
+        projectCfg,
+        nextIssue,
+        sessionName: `${config.tmuxPrefix}${projectId}`,
+        weight: resolveProjectWeight(projectCfg),
+      });
+    }
+
+    // Decide which projects get a slot; free slots held by idle sessions if needed.
+    const liveSessions = await describeLiveSessions(rpcManager, config);
+    const plan = scheduler.plan(candidates, liveSessions);
+
+    let evictedCount = 0;
+    for (const session of plan.evict) {
+      if (await rpcManager.stopSession(session.sessionName, 'evicted for higher-priority project')) {
+        evictedCount++;
+      }
+    }
+
+    if (plan.deferred.length > 0) {
+      info('Projects waiting for a session slot', {
+        maxConcurrentSessions: scheduler.maxSlots,
+        deferred: plan.deferred.map((c) => c.projectId),
+      });
+    }
+
+    for (const { projectId, projectData, projectCfg, nextIssue, sessionName } of plan.granted) {
+      // Worktree mode: the session runs in the issue's own worktree (only set up when it can take the issue now)
+      let worktreePath;
+      const worktrees = resolveWorktreeSettings(config, projectId);
+      if (worktrees) {
+        if (rpcManager.getClient(sessionName)?.isAlive()) {
+          const idle = await rpcManager.isIdle(sessionName);
+          if (idle.ok && !idle.idle) {
+            debug('Did not set up worktree (session not idle)', { sessionName, issueId: nextIssue.id });
+            continue;
+          }
+        }
+        try {
+          worktreePath = (await ensureIssueWorktree(worktrees, nextIssue)).path;
+        } catch (err) {
+          warn('Failed to set up issue worktree; not prompting', {
+            sessionName,
+            projectId,
+            identifier: nextIssue.identifier,
+            error: err?.message || String(err),
+          });
+          continue;
+        }
+      }
+
       const ensure = await rpcManager.ensureSession(sessionName, {
         projectName: projectData.projectName,
         projectId,
@@ -289,6 +693,7 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
         strictRepoMapping: Object.keys(config.projects || {}).length > 0,
         provider: projectCfg?.runtime?.provider,
         model: projectCfg?.runtime?.model,
+        cwd: worktreePath,
       });
       if (ensure.error) {
         warn('RPC session ensure failed', { sessionName, projectId, error: ensure.error?.message || String(ensure.error) });
@@ -302,15 +707,62 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
       }
 
       // One-at-a-time policy: only prompt when idle, and only one issue.
-      const firstIssue = projectData.issues?.[0];
-      if (!firstIssue) continue;
+      let promptMsg;
+      try {
+        const cwd = rpcManager.getCwd(sessionName)
+          || worktreePath
+          || (projectCfg?.repo?.path ? resolveRepoPath(projectCfg.repo.path, config.rpc?.workspaceRoot) : undefined);
+        promptMsg = await buildDispatchPrompt(client, nextIssue, config, { projectId, projectName: projectData.projectName, projectCfg, cwd });
+      } catch (err) {
+        logError('Failed to build prompt; not prompting', { sessionName, projectId, error: err?.message || String(err) });
+        continue;
+      }
 
-      const promptMsg = `You are working on Linear project: ${projectData.projectName} (id=${projectId}).\n` +
-        `If a local git clone exists at ../${projectData.projectName}, use it as your working directory.\n` +
-        `Work on this issue now: ${firstIssue.title} (issueId=${firstIssue.id}).\n` +
-        `Use your Linear tools to update the issue state to Done when finished.`;
+      // Repo pre-flight checks in the session's directory (only when the session can take the issue now)
+      const preflightOk = await checkPreflight(rpcManager, {
+        config,
+        projectId,
+        sessionName,
+        issue: nextIssue,
+        worktreePath,
+        workQueue,
+        ledger,
+      });
+      if (!preflightOk) continue;
+
+      // Claim the issue against other daemons before prompting (only when the session can take it now)
+      const claimSettings = resolveClaimSettings(config, projectId);
+      if (client && claimSettings.mode !== 'off') {
+        const idle = await rpcManager.isIdle(sessionName);
+        if (idle.ok && !idle.idle) {
+          debug('Did not claim (session not idle)', { sessionName, issueId: nextIssue.id });
+          continue;
+        }
+
+        let claim;
+        try {
+          claim = await claimIssue(client, nextIssue, { viewerId, settings: claimSettings });
+        } catch (err) {
+          warn('Failed to claim issue; not prompting', { sessionName, projectId, issueId: nextIssue.id, error: err?.message || String(err) });
+          continue;
+        }
+        if (!claim.claimed) {
+          workQueue.holdIssue(nextIssue, `claimed elsewhere (${claim.reason})`, Date.now() + claimSettings.staleAfterSec * 1000);
+          info('Issue is claimed by another daemon; skipping', {
+            projectId,
+            issueId: nextIssue.id,
+            identifier: nextIssue.identifier,
+            reason: claim.reason,
+          });
+          continue;
+        }
+      }
 
-      const prompted = await rpcManager.promptIfIdle(sessionName, promptMsg);
+      const prompted = await rpcManager.promptIfIdle(sessionName, promptMsg, {
+        issueId: nextIssue.id,
+        identifier: nextIssue.identifier,
+        projectId,
+      });
       if (prompted.ok === false) {
         warn('RPC prompt attempt failed', { sessionName, projectId, reason: prompted.reason });
         // Timeout or other RPC errors: abort -> cooldown -> restart
@@ -319,7 +771,22 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
       }
 
       if (prompted.prompted) {
-        info('Sent prompt to RPC session', { sessionName, projectId, issueId: firstIssue.id });
+        workQueue.markDispatched(nextIssue, { projectId, sessionName });
+        info('Sent prompt to RPC session', {
+          sessionName,
+          projectId,
+          issueId: nextIssue.id,
+          identifier: nextIssue.identifier,
+          priority: nextIssue.priority,
+        });
+        const progressComments = resolveProgressCommentSettings(config, projectId);
+        if (progressComments && client) {
+          await postRunStartComment(client, nextIssue, {
+            settings: progressComments,
+            sessionName,
+            model: projectCfg?.runtime?.model || config.rpc?.model || null,
+          });
+        }
       } else {
         debug('Did not prompt (not idle / not running)', { sessionName, reason: prompted.reason });
       }
@@ -332,7 +799,11 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
       });
     }
 
-    return createdCount;
+    if (ledger) {
+      await ledger.save();
+    }
+
+    return { created: createdCount, evicted: evictedCount, deferred: plan.deferred.length };
   }
 
   // Legacy mode: original behavior (ensure sessions only)
@@ -379,7 +850,301 @@ async function createSessionsForProjects(byProject, config, sessionManager) {
     });
   }
 
-  return createdCount;
+  return { created: createdCount, evicted: 0, deferred: 0 };
+}
+
+/**
+ * Describe running RPC sessions for slot planning
+ * @param {RpcSessionManager} rpcManager
+ * @param {Object} config
+ * @returns {Promise<Array<{projectId: string, sessionName: string, busy: boolean, weight: number}>>}
+ */
+async function describeLiveSessions(rpcManager, config) {
+  const sessions = [];
+  for (const sessionName of rpcManager.listSessions()) {
+    const client = rpcManager.getClient(sessionName);
+    if (!client || !client.isAlive()) continue;
+
+    const projectId = sessionName.slice(config.tmuxPrefix.length);
+    // A tracked run in progress is busy without asking pi
+    const running = rpcManager.runTracker?.isActive(sessionName) ?? false;
+    const idleResult = running ? null : await rpcManager.isIdle(sessionName);
+    sessions.push({
+      projectId,
+      sessionName,
+      // Unknown state counts as busy: never evict a session we cannot inspect
+      busy: running || !(idleResult.ok && idleResult.idle),
+      weight: resolveProjectWeight(config.projects?.[projectId]),
+    });
+  }
+  return sessions;
+}
+
+/**
+ * Idle TTL of a project's RPC session (project runtime override, then rpc default)
+ * @param {Object} config
+ * @param {string} projectId
+ * @returns {number|null} Milliseconds, or null when reaping is disabled
+ */
+function resolveIdleSessionTtlMs(config, projectId) {
+  const ttlSec = config.projects?.[projectId]?.runtime?.idleSessionTtlSec ?? config.rpc?.idleSessionTtlSec;
+  return ttlSec > 0 ? ttlSec * 1000 : null;
+}
+
+/**
+ * Reap idle RPC sessions whose project had no qualifying issues this poll.
+ * Outside its schedule (with `stopIdleSessions`) a project has no open work.
+ * On targeted polls, sessions of projects outside the target are left alone.
+ *
+ * @param {Object} config
+ * @param {RpcSessionManager} rpcManager
+ * @param {Map} byProject - Qualifying issues of this poll, grouped by project
+ * @param {Array<string>|null} projectIds - Targeted poll scope
+ * @returns {Promise<Array<{sessionName: string, idleMs: number}>>}
+ */
+async function reapIdleSessions(config, rpcManager, byProject, projectIds) {
+  const projectIdOf = (sessionName) => sessionName.slice(config.tmuxPrefix.length);
+
+  return rpcManager.reapIdleSessions({
+    ttlMsFor: (sessionName) => resolveIdleSessionTtlMs(config, projectIdOf(sessionName)),
+    hasOpenWork: (sessionName) => {
+      const projectId = projectIdOf(sessionName);
+      if (projectIds && !projectIds.includes(projectId)) return true;
+      let schedule = null;
+      try {
+        schedule = resolveSchedule(config, projectId);
+      } catch (err) {
+        // Reported when dispatching; an invalid schedule never stops sessions
+      }
+      if (schedule?.stopIdleSessions && !isScheduleActive(schedule)) return false;
+      const projectData = byProject.get(projectId);
+      return Boolean(projectData) && shouldProcessProject(projectId, projectData.projectName, config);
+    },
+  });
+}
+
+/**
+ * Record the outcome of dispatches that are still marked as prompted.
+ * A session that is gone can no longer finish its run. Without a run tracker,
+ * a session that is idle again is assumed to have finished.
+ *
+ * @param {RpcSessionManager} rpcManager
+ * @param {DispatchLedger} ledger
+ */
+async function settleFinishedDispatches(rpcManager, ledger) {
+  const sessionNames = new Set(
+    ledger.listDispatches().filter((d) => d.status === 'prompted').map((d) => d.sessionName)
+  );
+
+  for (const sessionName of sessionNames) {
+    const active = ledger.getActiveDispatch(sessionName);
+    if (!active) continue;
+
+    const client = rpcManager.getClient(sessionName);
+    if (!client || !client.isAlive()) {
+      ledger.updateStatus(active.issueId, 'aborted', { reason: 'session not running' });
+      info('Dispatch ended without running session', { sessionName, issueId: active.issueId });
+      continue;
+    }
+
+    // Tracked runs are settled from the event stream (see verifyRunOutcome)
+    if (rpcManager.runTracker) continue;
+
+    const idleResult = await rpcManager.isIdle(sessionName);
+    if (idleResult.ok && idleResult.idle) {
+      ledger.updateStatus(active.issueId, 'completed');
+      info('Dispatch completed (session idle)', { sessionName, issueId: active.issueId });
+    }
+  }
+}
+
+/**
+ * Run the repo pre-flight checks before prompting an issue. In an issue
+ * worktree a failure only concerns that issue (e.g. changes its last run left
+ * behind): the issue is held until its state changes or `retryAfterSec`
+ * passes, so the project's other issues go ahead.
+ *
+ * @param {RpcSessionManager} rpcManager
+ * @param {Object} context
+ * @param {Object} context.config
+ * @param {string} context.projectId
+ * @param {string} context.sessionName
+ * @param {Object} context.issue - Issue about to be prompted
+ * @param {string} [context.worktreePath] - Issue worktree the session runs in
+ * @param {WorkQueue} context.workQueue
+ * @param {DispatchLedger} [context.ledger] - Records the result for `daemon status`
+ * @returns {Promise<boolean>} True when the issue may be prompted
+ */
+export async function checkPreflight(rpcManager, { config, projectId, sessionName, issue, worktreePath = null, workQueue, ledger = null }) {
+  const preflightSettings = resolvePreflightSettings(config, projectId);
+  if (!preflightSettings) return true;
+
+  const idle = await rpcManager.isIdle(sessionName);
+  if (idle.ok && !idle.idle) {
+    debug('Did not run pre-flight checks (session not idle)', { sessionName, issueId: issue.id });
+    return false;
+  }
+
+  const cwd = rpcManager.getCwd(sessionName);
+  let preflight;
+  try {
+    preflight = cwd
+      ? await runPreflightChecks(cwd, preflightSettings, { worktree: Boolean(worktreePath) })
+      : { ok: false, checkedAt: Date.now(), failures: [{ check: 'git', reason: 'session runs in the inherited service directory' }], warnings: [] };
+  } catch (err) {
+    preflight = { ok: false, checkedAt: Date.now(), failures: [{ check: 'git', reason: err?.message || String(err) }], warnings: [] };
+  }
+  ledger?.recordPreflight(projectId, preflight);
+  if (preflight.warnings.length > 0) {
+    warn('Repo pre-flight warnings', { sessionName, projectId, cwd, warnings: preflight.warnings });
+  }
+  if (preflight.ok) return true;
+
+  warn('Repo pre-flight failed; not prompting', {
+    sessionName,
+    projectId,
+    cwd,
+    identifier: issue.identifier,
+    failures: preflight.failures,
+  });
+  if (worktreePath) {
+    const { retryAfterSec } = resolveQueuePolicy(config.projects?.[projectId]);
+    const checks = preflight.failures.map((f) => f.check).join(', ');
+    workQueue.holdIssue(issue, `pre-flight failed in its worktree: ${checks}`, Date.now() + retryAfterSec * 1000);
+  }
+  return false;
+}
+
+/**
+ * Verify an ended agent run against Linear and record its outcome.
+ * The issue counts as done only in a completed/canceled workflow state; runs
+ * that end without getting there are marked for retry, or escalated once
+ * `scope.maxRunAttempts` runs in a row left the issue unfinished. With
+ * `runtime.verify`, an issue the agent marked Done counts as done only once the
+ * verify commands pass in the directory the agent worked in. A run aborted
+ * over its `limits` escalates the issue right away.
+ *
+ * @param {Object} run - Ended run from RunTracker (`run_end`)
+ * @param {Object} context
+ * @param {LinearClient} context.client
+ * @param {WorkQueue} context.workQueue
+ * @param {Object} context.config
+ * @param {RpcSessionManager} [context.rpcManager] - Knows the session's working directory
+ * @returns {Promise<Object|null>} Updated dispatch record, or null when the run was not recorded
+ */
+export async function verifyRunOutcome(run, { client, workQueue, config, rpcManager }) {
+  const record = workQueue.getDispatch(run.issueId);
+  // Only the dispatch sent for this run, and only once
+  const matches = record
+    && record.sessionName === run.sessionName
+    && record.dispatchedAt >= run.queuedAt
+    && record.dispatchedAt <= (run.endedAt ?? Infinity)
+    && UNVERIFIED_DISPATCH_STATUSES.includes(record.status);
+  if (!matches) {
+    debug('No matching dispatch for ended run', { sessionName: run.sessionName, issueId: run.issueId });
+    return null;
+  }
+
+  const issue = await fetchIssueDetails(client, run.issueId, { includeComments: false });
+  let done = DONE_STATE_TYPES.includes(issue?.state?.type);
+  let reason = done ? null : (run.error || `run ended with issue in ${issue?.state?.name || 'unknown state'}`);
+  // A run aborted over its limits would hit them again: escalate right away
+  const maxRunAttempts = run.limitExceeded ? 1 : resolveQueuePolicy(config.projects?.[run.projectId]).maxRunAttempts;
+
+  let movedTo = null;
+  // Moved on to review: not finished yet, the sweep removes the worktree once it is
+  let inReview = false;
+  const verifySettings = resolveVerifySettings(config, run.projectId);
+  if (verifySettings && issue?.state?.type === 'completed' && run.state !== 'failed') {
+    const cwd = verifyCwd(config, run, issue, rpcManager);
+    if (!cwd) {
+      warn('No repo directory known for the run; skipping verification', { sessionName: run.sessionName, identifier: issue.identifier });
+    } else {
+      // The checkout is in use until the commands finish: no new prompt meanwhile
+      rpcManager?.holdSession?.(run.sessionName, `verifying ${issue.identifier}`);
+      let verification;
+      try {
+        verification = await verifyCompletedIssue(client, issue, { settings: verifySettings, cwd });
+      } finally {
+        rpcManager?.releaseSession?.(run.sessionName);
+      }
+      if (!verification.ok) {
+        done = false;
+        reason = `verification failed: ${verification.failed.command}`;
+        // Our own move back to failState must not reset the unfinished run count
+        movedTo = verification.movedTo;
+      } else {
+        inReview = Boolean(verifySettings.reviewState);
+      }
+    }
+  }
+
+  const updated = workQueue.recordRunOutcome(run.issueId, {
+    done,
+    failed: run.state === 'failed',
+    reason,
+    maxRunAttempts,
+    stateName: movedTo,
+  });
+
+  const details = {
+    sessionName: run.sessionName,
+    issueId: run.issueId,
+    identifier: run.identifier,
+    runState: run.state,
+    issueState: issue?.state?.name,
+    status: updated?.status,
+  };
+  if (updated?.status === 'escalated') {
+    warn('Issue escalated: agent runs keep ending without finishing it', { ...details, unfinishedRuns: updated.unfinishedRuns });
+  } else if (!done) {
+    warn('Agent run ended without finishing the issue; will retry', { ...details, unfinishedRuns: updated?.unfinishedRuns });
+  } else {
+    info('Agent run finished the issue', details);
+    const worktrees = resolveWorktreeSettings(config, run.projectId);
+    if (worktrees && !inReview) {
+      await removeIssueWorktree(worktrees, { identifier: run.identifier || issue.identifier }).catch((err) => {
+        warn('Failed to remove issue worktree', { identifier: run.identifier, error: err?.message || String(err) });
+      });
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * Directory verify commands run in: the session's cwd, else the issue worktree
+ * @returns {string|null} null when the agent ran in the inherited service cwd
+ */
+function verifyCwd(config, run, issue, rpcManager) {
+  const sessionCwd = rpcManager?.getCwd?.(run.sessionName);
+  if (sessionCwd) return sessionCwd;
+  const worktrees = resolveWorktreeSettings(config, run.projectId);
+  return worktrees ? worktreePathFor(worktrees, { identifier: run.identifier || issue.identifier }) : null;
+}
+
+/**
+ * Remove worktrees of Done/Canceled issues, at most once per
+ * WORKTREE_SWEEP_INTERVAL_MS per project (one Linear lookup per worktree)
+ *
+ * @param {Object} config
+ * @param {LinearClient} client
+ * @param {Map<string, number>} lastSweepAt - projectId -> last sweep time, kept across polls
+ * @param {Array<string>|null} projectIds - Targeted poll scope
+ */
+async function sweepWorktrees(config, client, lastSweepAt, projectIds) {
+  const now = Date.now();
+  for (const projectId of Object.keys(config.projects || {})) {
+    if (projectIds && !projectIds.includes(projectId)) continue;
+    const worktrees = resolveWorktreeSettings(config, projectId);
+    if (!worktrees || now - (lastSweepAt.get(projectId) || 0) < WORKTREE_SWEEP_INTERVAL_MS) continue;
+    lastSweepAt.set(projectId, now);
+
+    await sweepIssueWorktrees(worktrees, async (identifier) => {
+      const issue = await resolveIssue(client, identifier);
+      return DONE_STATE_TYPES.includes(issue?.state?.type);
+    });
+  }
 }
 
 /**
@@ -455,6 +1220,40 @@ export async function startPollLoop(config) {
   // Create Linear SDK client
   const client = createLinearClient(config.linearApiKey);
 
+  // RPC mode: restore dispatch history + restart cooldowns from disk
+  let ledger = null;
+  if ((config.mode || 'rpc') === 'rpc') {
+    ledger = new DispatchLedger();
+    try {
+      await ledger.load();
+      const interrupted = ledger.recoverInterrupted();
+      if (interrupted > 0) {
+        info('Marked dispatches from previous run as aborted', { interrupted });
+        await ledger.save();
+      }
+    } catch (err) {
+      logError('Failed to load dispatch ledger; continuing without persisted history', {
+        path: ledger.path,
+        error: err?.message || String(err),
+      });
+    }
+  }
+
+  // RPC mode: follow agent runs through the session event streams
+  const runTracker = (config.mode || 'rpc') === 'rpc' ? new RunTracker() : null;
+  const transcripts = runTracker && config.transcripts?.enabled !== false
+    ? new TranscriptStore({
+        maxFileBytes: config.transcripts?.maxFileBytes,
+        maxFiles: config.transcripts?.maxFiles,
+      }).attach(runTracker)
+    : null;
+  const uiRequests = runTracker
+    ? new UiRequestBroker({ runTracker, linearClient: client, config })
+    : null;
+  const runLimits = runTracker
+    ? new RunLimitEnforcer({ runTracker, linearClient: client, config })
+    : null;
+
   // Create session manager based on configuration
   const sessionManager = (config.mode || 'rpc') === 'rpc'
     ? new RpcSessionManager({
@@ -470,8 +1269,21 @@ export async function startPollLoop(config) {
         workspaceRoot: config.rpc?.workspaceRoot || null,
         projectDirOverrides: config.rpc?.projectDirOverrides || {},
         strictRepoMapping: Object.keys(config.projects || {}).length > 0,
+        ledger,
+        runTracker,
+        uiRequestHandler: (sessionName, request) => uiRequests.handleRequest(sessionName, request),
       })
     : await createSessionManager(config);
+  if (uiRequests) uiRequests.rpcManager = sessionManager;
+  if (runLimits) runLimits.rpcManager = sessionManager;
+
+  const services = {
+    workQueue: new WorkQueue({ ledger }),
+    scheduler: new SlotScheduler({ maxSlots: config.rpc?.maxConcurrentSessions }),
+    uiRequests,
+    runLimits,
+    worktreeSweeps: new Map(),
+  };
 
   info('Session manager initialized', {
     mode: config.mode || 'rpc',
@@ -486,6 +1298,8 @@ export async function startPollLoop(config) {
     pollIntervalSec: config.pollIntervalSec,
     tmuxPrefix: config.tmuxPrefix,
     mode: config.mode || 'rpc',
+    maxConcurrentSessions: config.rpc?.maxConcurrentSessions || null,
+    idleSessionTtlSec: config.rpc?.idleSessionTtlSec || null,
     dryRun: config.dryRun,
   });
 
@@ -493,6 +1307,7 @@ export async function startPollLoop(config) {
   let isPolling = false;
   let shutdownRequested = false;
   let intervalId = null;
+  let webhookServer = null;
 
   let resolveLoop;
   const loopPromise = new Promise((resolve) => {
@@ -521,6 +1336,16 @@ export async function startPollLoop(config) {
       intervalId = null;
     }
 
+    if (targetedTimer) {
+      clearTimeout(targetedTimer);
+      targetedTimer = null;
+    }
+
+    if (webhookServer) {
+      await webhookServer.close();
+      webhookServer = null;
+    }
+
     const pollFinished = await waitForPollingToComplete(5000);
     if (!pollFinished) {
       warn('Active poll did not finish before shutdown timeout', {
@@ -540,6 +1365,10 @@ export async function startPollLoop(config) {
       }
     }
 
+    if (transcripts) {
+      await transcripts.flush();
+    }
+
     process.off('SIGINT', onSigint);
     process.off('SIGTERM', onSigterm);
 
@@ -562,26 +1391,149 @@ export async function startPollLoop(config) {
   process.once('SIGINT', onSigint);
   process.once('SIGTERM', onSigterm);
 
-  // Perform initial poll on startup
-  info('Performing initial poll on startup');
-  isPolling = true;
-  try {
-    await performPoll(config, sessionManager, client);
-  } catch (err) {
-    logError('Initial poll failed', {
-      error: err?.message || String(err),
+  // Targeted polls requested by webhook events. Project IDs collected while a
+  // poll is running are merged into one targeted poll that runs right after it.
+  const pendingProjectIds = new Set();
+  let targetedTimer = null;
+
+  // Set when Linear rate limits a poll: no poll starts before this timestamp
+  let pollBackoffUntil = 0;
+
+  async function runPoll(label, options = {}) {
+    isPolling = true;
+    try {
+      const result = await performPoll(config, sessionManager, client, services, options);
+      if (result?.retryAfterMs) {
+        pollBackoffUntil = Date.now() + result.retryAfterMs;
+        warn('Delaying next poll after Linear rate limit', {
+          retryAfterMs: result.retryAfterMs,
+          resumeAt: new Date(pollBackoffUntil).toISOString(),
+        });
+      }
+    } catch (err) {
+      logError(`${label} failed`, {
+        error: err?.message || String(err),
+      });
+    } finally {
+      isPolling = false;
+    }
+    drainTargetedPolls();
+  }
+
+  function drainTargetedPolls() {
+    if (shutdownRequested || isPolling || targetedTimer || pendingProjectIds.size === 0) return;
+
+    const backoffRemainingMs = pollBackoffUntil - Date.now();
+    if (backoffRemainingMs > 0) {
+      targetedTimer = setTimeout(() => {
+        targetedTimer = null;
+        drainTargetedPolls();
+      }, backoffRemainingMs);
+      return;
+    }
+
+    const projectIds = Array.from(pendingProjectIds);
+    pendingProjectIds.clear();
+    info('Running targeted poll', { projectIds });
+    runPoll('Targeted poll', { projectIds });
+  }
+
+  function requestTargetedPoll(projectId) {
+    if (shutdownRequested) return;
+    pendingProjectIds.add(projectId);
+    if (targetedTimer) return;
+
+    targetedTimer = setTimeout(() => {
+      targetedTimer = null;
+      drainTargetedPolls();
+    }, TARGETED_POLL_DEBOUNCE_MS);
+  }
+
+  async function handleWebhookEvent(target) {
+    let projectId = target.projectId;
+
+    // Comment payloads do not always carry the project: look it up via the issue
+    if (!projectId && target.issueId) {
+      const issue = await resolveIssue(client, target.issueId);
+      projectId = issue?.project?.id || null;
+    }
+
+    if (!projectId) {
+      debug('Webhook event without project, ignoring', { type: target.type, issueId: target.issueId });
+      return;
+    }
+
+    const configuredProjects = config.projects || {};
+    if (Object.keys(configuredProjects).length > 0 && (!configuredProjects[projectId] || configuredProjects[projectId].enabled === false)) {
+      debug('Webhook event for unconfigured project, ignoring', { type: target.type, projectId });
+      return;
+    }
+
+    info('Webhook event received', { type: target.type, action: target.action, projectId, issueId: target.issueId });
+    requestTargetedPoll(projectId);
+  }
+
+  async function handleRunEnded(run) {
+    if (shutdownRequested) return;
+
+    const record = await verifyRunOutcome(run, { client, workQueue: services.workQueue, config, rpcManager: sessionManager });
+    if (record && ledger) {
+      await ledger.save();
+    }
+
+    const progressComments = resolveProgressCommentSettings(config, run.projectId);
+    if (record && progressComments) {
+      await postRunEndComment(client, run, record, progressComments);
+    }
+
+    // The session is free again: pick the project's next issue without waiting for the interval
+    if (run.projectId) {
+      requestTargetedPoll(run.projectId);
+    }
+  }
+
+  runTracker?.on('run_end', (run) => {
+    handleRunEnded(run).catch((err) => {
+      logError('Failed to verify agent run outcome', {
+        sessionName: run.sessionName,
+        issueId: run.issueId,
+        error: err?.message || String(err),
+      });
     });
-  } finally {
-    isPolling = false;
+  });
+
+  const webhookEnabled = Boolean(config.webhook?.enabled);
+  if (webhookEnabled) {
+    try {
+      webhookServer = await startWebhookServer({
+        secret: config.webhook.secret,
+        host: config.webhook.host,
+        port: config.webhook.port,
+        path: config.webhook.path,
+        onEvent: handleWebhookEvent,
+      });
+    } catch (err) {
+      // Fall back to regular interval polling rather than exiting
+      logError('Failed to start webhook receiver; using interval polling', {
+        error: err?.message || String(err),
+      });
+    }
   }
 
+  // Perform initial poll on startup
+  info('Performing initial poll on startup');
+  await runPoll('Initial poll');
+
   if (shutdownRequested) {
     info('Poll loop stopped before interval setup due to shutdown request');
     return loopPromise;
   }
 
-  // Set up interval for polling
-  const pollIntervalMs = config.pollIntervalSec * 1000;
+  // Set up interval for polling. With webhooks active, interval polling is only
+  // a low-frequency safety net for missed deliveries.
+  const pollIntervalMs = webhookServer
+    ? (config.webhook.safetyPollIntervalSec ?? 1800) * 1000
+    : config.pollIntervalSec * 1000;
 
   // Start the interval timer
   intervalId = setInterval(() => {
@@ -595,21 +1547,19 @@ export async function startPollLoop(config) {
       return;
     }
 
-    // Mark as polling and perform the poll
-    isPolling = true;
-    performPoll(config, sessionManager, client)
-      .catch(err => {
-        logError('Poll failed', {
-          error: err?.message || String(err),
-        });
-      })
-      .finally(() => {
-        isPolling = false;
+    if (Date.now() < pollBackoffUntil) {
+      info('Skipping poll tick - backing off after Linear rate limit', {
+        resumeAt: new Date(pollBackoffUntil).toISOString(),
       });
+      return;
+    }
+
+    runPoll('Poll');
   }, pollIntervalMs);
 
   info('Poll loop running', {
     pollIntervalMs,
+    webhook: Boolean(webhookServer),
   });
 
   // Resolve only when shutdown is requested
@@ -0,0 +1,159 @@
+/**
+ * Progress comments on Linear
+ *
+ * With `rpc.progressComments` (overridable per project as
+ * `projects.<id>.runtime.progressComments`, or disabled there with `false`),
+ * people watching an issue see the agent work on it:
+ * - `start`: a comment when the poller prompts a session for the issue, with
+ *   host, model and session
+ * - `end`: a summary when the run has been verified, with duration, outcome and
+ *   an excerpt of the final assistant message
+ *
+ * Comments are best effort: a Linear error is logged and never blocks a run.
+ */
+
+import { hostname } from 'os';
+import { addIssueComment } from './linear.js';
+import { warn } from './logger.js';
+import { resolveRuntimeSetting } from './runtime-settings.js';
+import { formatDuration } from './transcript-store.js';
+
+export const DEFAULT_PROGRESS_COMMENT_SETTINGS = {
+  // Comment when an issue is prompted
+  start: true,
+  // Summary comment when its run ends
+  end: true,
+  // Length of the final assistant message excerpt (0 = none)
+  excerptChars: 1000,
+};
+
+const PROGRESS_PREFIX = 'pi-linear-service';
+
+/**
+ * Effective progress comment settings of a project (project runtime over rpc default)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {Object|null} null when progress comments are off
+ */
+export function resolveProgressCommentSettings(config, projectId) {
+  return resolveRuntimeSetting(config, projectId, 'progressComments', DEFAULT_PROGRESS_COMMENT_SETTINGS);
+}
+
+/**
+ * Body of the "agent started" comment
+ * @param {Object} info
+ * @param {string} info.host
+ * @param {string|null} info.model
+ * @param {string} info.sessionName
+ * @param {number} [info.now]
+ * @returns {string}
+ */
+export function formatRunStartComment({ host, model, sessionName, now = Date.now() }) {
+  return [
+    `${PROGRESS_PREFIX}: agent started working on this issue`,
+    '',
+    `- Host: ${host}`,
+    `- Model: ${model || 'pi default'}`,
+    `- Session: ${sessionName}`,
+    `- Started: ${new Date(now).toISOString()}`,
+  ].join('\n');
+}
+
+function describeOutcome(record) {
+  const reason = record.reason ? ` (${record.reason})` : '';
+  switch (record.status) {
+    case 'completed':
+      return 'issue finished';
+    case 'escalated':
+      return `escalated after ${record.unfinishedRuns} unfinished runs${reason}`;
+    case 'failed':
+      return `run failed, will retry${reason}`;
+    default:
+      return `issue not finished, will retry${reason}`;
+  }
+}
+
+/**
+ * Body of the run summary comment
+ * @param {Object} run - Ended run from RunTracker
+ * @param {Object} record - Dispatch record from verifyRunOutcome()
+ * @param {Object} settings - From resolveProgressCommentSettings()
+ * @returns {string}
+ */
+export function formatRunEndComment(run, record, settings) {
+  const lines = [
+    `${PROGRESS_PREFIX}: agent run ended`,
+    '',
+    `- Outcome: ${describeOutcome(record)}`,
+    `- Duration: ${formatDuration((run.endedAt ?? Date.now()) - (run.startedAt ?? run.queuedAt))}`,
+    `- Turns: ${run.turnCount ?? 0}`,
+    `- Session: ${run.sessionName}`,
+  ];
+  const message = String(run.lastMessage || '').trim();
+  if (settings.excerptChars > 0 && message) {
+    const excerpt = message.length > settings.excerptChars ? `${message.slice(0, settings.excerptChars)}…` : message;
+    lines.push('', 'Final message:', '', ...excerpt.split('\n').map((line) => `> ${line}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Post the "agent started" comment of a prompted issue
+ * @param {LinearClient} client
+ * @param {Object} issue - {id, identifier}
+ * @param {Object} options
+ * @param {Object} options.settings - From resolveProgressCommentSettings()
+ * @param {string} options.sessionName
+ * @param {string|null} [options.model]
+ * @param {string} [options.host]
+ * @returns {Promise<boolean>} Whether a comment was posted
+ */
+export async function postRunStartComment(client, issue, { settings, sessionName, model = null, host = hostname() }) {
+  if (!settings?.start) return false;
+  try {
+    await addIssueComment(client, issue.id, formatRunStartComment({ host, model, sessionName }));
+    return true;
+  } catch (err) {
+    warn('Failed to post run start comment', { identifier: issue.identifier, error: err?.message || String(err) });
+    return false;
+  }
+}
+
+/**
+ * Post the summary comment of an ended run
+ * @param {LinearClient} client
+ * @param {Object} run - Ended run from RunTracker
+ * @param {Object} record - Dispatch record from verifyRunOutcome()
+ * @param {Object} settings - From resolveProgressCommentSettings()
+ * @returns {Promise<boolean>} Whether a comment was posted
+ */
+export async function postRunEndComment(client, run, record, settings) {
+  if (!settings?.end) return false;
+  try {
+    await addIssueComment(client, run.issueId, formatRunEndComment(run, record, settings));
+    return true;
+  } catch (err) {
+    warn('Failed to post run summary comment', { identifier: run.identifier, error: err?.message || String(err) });
+    return false;
+  }
+}
+
+/**
+ * Validate a progressComments block (rpc.progressComments or projects.<id>.runtime.progressComments)
+ * @param {*} value - `true`, `false` or a settings object
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+export function validateProgressComments(value, path, errors) {
+  if (typeof value === 'boolean' || value === null) return;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path} must be a boolean or an object`);
+    return;
+  }
+  for (const key of ['start', 'end']) {
+    if (value[key] !== undefined && typeof value[key] !== 'boolean') errors.push(`${path}.${key} must be a boolean`);
+  }
+  if (value.excerptChars !== undefined && (!Number.isInteger(value.excerptChars) || value.excerptChars < 0)) {
+    errors.push(`${path}.excerptChars must be a non-negative integer`);
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Prompt template CLI
+ *
+ * `render-prompt` shows the prompt a project's template renders for a sample
+ * or real issue, so templates can be checked before the daemon uses them.
+ */
+
+import { readFile } from 'fs/promises';
+import { loadSettings } from './settings.js';
+import { createLinearClient } from './linear-client.js';
+import { fetchIssueDetails } from './linear.js';
+import {
+  buildPromptVariables,
+  renderPromptTemplate,
+  resolveIssueContextSettings,
+  resolvePromptTemplate,
+  validatePromptTemplate,
+} from './prompt-template.js';
+import { resolveRepoPath } from './repo-path.js';
+
+function parseFlagValue(args, names, fallback) {
+  for (let i = 0; i < args.length; i += 1) {
+    if (names.includes(args[i]) && args[i + 1]) {
+      return args[i + 1];
+    }
+  }
+  return fallback;
+}
+
+function hasFlag(args, name) {
+  return args.includes(name);
+}
+
+/** Stand-in issue for rendering without Linear access */
+export const SAMPLE_ISSUE = {
+  id: '00000000-0000-0000-0000-000000000000',
+  identifier: 'ABC-123',
+  title: 'Sample issue title',
+  description: 'Sample issue description.',
+  url: 'https://linear.app/example/issue/ABC-123',
+  branchName: 'abc-123-sample-issue-title',
+  priority: 2,
+  labels: [{ name: 'bug' }, { name: 'agent-ok' }],
+  comments: [{ body: 'Sample comment.', createdAt: '2026-01-01T00:00:00.000Z', user: { displayName: 'Reviewer' } }],
+};
+
+async function fetchIssueForPreview(issueRef) {
+  // Loaded lazily: config.js reads the daemon .env, which a sample render does not need
+  const { loadConfig } = await import('./config.js');
+
+  const config = await loadConfig();
+  const client = createLinearClient(config.linearApiKey);
+  return fetchIssueDetails(client, issueRef, { includeComments: true });
+}
+
+/**
+ * `render-prompt --project-id <id> [--issue <ref>] [--template-file <path>] [--json]`:
+ * print the prompt a project session would get, without prompting anything.
+ * Uses a sample issue unless `--issue` is given.
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {Object} [options.settings] - Settings (default: loaded from settings.json)
+ * @param {(issueRef: string) => Promise<Object>} [options.fetchIssue] - Issue loader for `--issue`
+ */
+export async function renderPrompt(args = [], options = {}) {
+  const projectId = parseFlagValue(args, ['--project-id']);
+  if (!projectId) {
+    throw new Error('Missing required argument --project-id');
+  }
+
+  const settings = options.settings || await loadSettings();
+  const projectCfg = settings.projects?.[projectId];
+  if (!projectCfg) {
+    throw new Error(`Project not configured in settings: ${projectId}`);
+  }
+
+  const templateFile = parseFlagValue(args, ['--template-file']);
+  let resolved;
+  if (templateFile) {
+    const template = await readFile(templateFile, 'utf-8');
+    const problems = validatePromptTemplate(template);
+    if (problems.length > 0) {
+      throw new Error(`Invalid prompt template (${templateFile}): ${problems.join('; ')}`);
+    }
+    resolved = { template, source: templateFile };
+  } else {
+    resolved = await resolvePromptTemplate(projectCfg, settings.rpc?.workspaceRoot);
+  }
+
+  const issueRef = parseFlagValue(args, ['--issue']);
+  const issue = issueRef
+    ? await (options.fetchIssue || fetchIssueForPreview)(issueRef)
+    : SAMPLE_ISSUE;
+
+  const prompt = renderPromptTemplate(resolved.template, buildPromptVariables(issue, {
+    projectId,
+    projectName: projectCfg.projectName,
+    repoPath: projectCfg.repo?.path ? resolveRepoPath(projectCfg.repo.path, settings.rpc?.workspaceRoot) : undefined,
+    issueContext: resolveIssueContextSettings(settings, projectId),
+  }));
+
+  if (hasFlag(args, '--json')) {
+    console.log(JSON.stringify({ projectId, source: resolved.source, issue: issue.identifier, prompt }, null, 2));
+    return;
+  }
+
+  console.log(`# template: ${resolved.source}, issue: ${issue.identifier}${issueRef ? '' : ' (sample)'}`);
+  console.log(prompt);
+}
@@ -0,0 +1,243 @@
+/**
+ * RPC prompt templates
+ *
+ * The prompt sent to a project session for each dispatched issue is rendered
+ * from a template with `${placeholder}` fields (same syntax as the legacy
+ * session command template). Template source, first match wins:
+ * 1. `projects.<id>.runtime.promptTemplate` (inline string)
+ * 2. `projects.<id>.runtime.promptTemplateFile` (path relative to `repo.path`)
+ * 3. `.pi/linear-prompt.md` in the project repo, when present
+ * 4. DEFAULT_PROMPT_TEMPLATE
+ *
+ * `${issueContext}` (used by the default template) is the full issue as
+ * markdown - description, parent, sub-issues, attachments and the most recent
+ * comment threads - capped by `rpc.issueContext` / `runtime.issueContext`.
+ */
+
+import { existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { isAbsolute, resolve } from 'path';
+import { formatIssueAsMarkdown } from './linear.js';
+import { resolveRepoPath } from './repo-path.js';
+
+export const REPO_PROMPT_TEMPLATE_FILE = '.pi/linear-prompt.md';
+
+export const PROMPT_PLACEHOLDERS = [
+  'projectName',
+  'projectId',
+  'repoPath',
+  'issueId',
+  'identifier',
+  'title',
+  'description',
+  'labels',
+  'priority',
+  'url',
+  'branchName',
+  'comments',
+  'issueContext',
+];
+
+// Placeholders the issue list query does not provide; they need fetchIssueDetails()
+const DETAIL_PLACEHOLDERS = ['labels', 'comments', 'issueContext'];
+
+export const DEFAULT_PROMPT_TEMPLATE = [
+  'You are working on Linear project: ${projectName} (id=${projectId}).',
+  'Work on this issue now: ${identifier} ${title} (issueId=${issueId}).',
+  '',
+  '${issueContext}',
+  '',
+  'Use your Linear tools to update the issue state to Done when finished.',
+].join('\n');
+
+export const DEFAULT_ISSUE_CONTEXT_SETTINGS = {
+  // Cap of the rendered issue markdown (0 = do not inject issue context)
+  maxChars: 12000,
+  // Most recent comment threads included
+  maxComments: 10,
+};
+
+const PRIORITY_NAMES = ['No priority', 'Urgent', 'High', 'Medium', 'Low'];
+
+const PLACEHOLDER_PATTERN = /\$\{(\w+)\}/g;
+
+/**
+ * Placeholder names used in a template
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function listPlaceholders(template) {
+  return [...new Set(Array.from(String(template).matchAll(PLACEHOLDER_PATTERN), (m) => m[1]))];
+}
+
+/**
+ * Problems with a template, as messages (empty when valid)
+ * @param {string} template
+ * @returns {string[]}
+ */
+export function validatePromptTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) {
+    return ['must be a non-empty string'];
+  }
+  return listPlaceholders(template)
+    .filter((name) => !PROMPT_PLACEHOLDERS.includes(name))
+    .map((name) => `uses unknown placeholder \${${name}} (known: ${PROMPT_PLACEHOLDERS.join(', ')})`);
+}
+
+/**
+ * Whether rendering the template needs full issue details (labels, comments, issue context)
+ * @param {string} template
+ * @param {{maxChars: number}} [issueContext] - With `maxChars: 0`, ${issueContext} needs no details
+ * @returns {boolean}
+ */
+export function templateNeedsDetails(template, issueContext = DEFAULT_ISSUE_CONTEXT_SETTINGS) {
+  return listPlaceholders(template).some((name) => (
+    DETAIL_PLACEHOLDERS.includes(name) && !(name === 'issueContext' && issueContext?.maxChars === 0)
+  ));
+}
+
+/**
+ * Load the prompt template of a project
+ * @param {Object} [projectCfg] - settings.projects.<id>
+ * @param {string|null} [workspaceRoot] - settings.rpc.workspaceRoot, base of a relative `repo.path`
+ * @returns {Promise<{template: string, source: string}>} `source` is "settings", a file path or "default"
+ * @throws {Error} When a configured template file is missing or a template is invalid
+ */
+export async function resolvePromptTemplate(projectCfg, workspaceRoot = null) {
+  const runtime = projectCfg?.runtime || {};
+  const repoPath = projectCfg?.repo?.path ? resolveRepoPath(projectCfg.repo.path, workspaceRoot) : null;
+
+  let template = null;
+  let source = 'default';
+
+  if (runtime.promptTemplate !== undefined) {
+    template = runtime.promptTemplate;
+    source = 'settings';
+  } else if (runtime.promptTemplateFile) {
+    const path = isAbsolute(runtime.promptTemplateFile) || !repoPath
+      ? runtime.promptTemplateFile
+      : resolve(repoPath, runtime.promptTemplateFile);
+    try {
+      template = await readFile(path, 'utf-8');
+    } catch (err) {
+      throw new Error(`Prompt template file not readable: ${path} (${err?.code || err?.message || err})`);
+    }
+    source = path;
+  } else if (repoPath && existsSync(resolve(repoPath, REPO_PROMPT_TEMPLATE_FILE))) {
+    source = resolve(repoPath, REPO_PROMPT_TEMPLATE_FILE);
+    template = await readFile(source, 'utf-8');
+  }
+
+  if (template === null) {
+    return { template: DEFAULT_PROMPT_TEMPLATE, source };
+  }
+
+  const problems = validatePromptTemplate(template);
+  if (problems.length > 0) {
+    throw new Error(`Invalid prompt template (${source}): ${problems.join('; ')}`);
+  }
+  return { template, source };
+}
+
+/**
+ * Effective issue context settings for a project (project runtime over rpc defaults)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {{maxChars: number, maxComments: number}}
+ */
+export function resolveIssueContextSettings(config, projectId) {
+  return {
+    ...DEFAULT_ISSUE_CONTEXT_SETTINGS,
+    ...(config?.rpc?.issueContext || {}),
+    ...(config?.projects?.[projectId]?.runtime?.issueContext || {}),
+  };
+}
+
+/**
+ * Keep the most recent comment threads (root comment + its replies)
+ */
+function recentCommentThreads(comments, maxThreads) {
+  if (!Array.isArray(comments)) return [];
+  const byDate = (a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt);
+  const roots = comments.filter((c) => !c.parent).sort(byDate).slice(-maxThreads);
+  const rootIds = new Set(roots.map((c) => c.id));
+  return [...roots, ...comments.filter((c) => c.parent && rootIds.has(c.parent.id))];
+}
+
+/**
+ * Issue details as markdown for the prompt, capped in size
+ * @param {Object} issue - Issue from fetchIssueDetails() (a list issue works, with fewer sections)
+ * @param {{maxChars: number, maxComments: number}} [settings]
+ * @returns {string}
+ */
+export function formatIssueContext(issue, settings = DEFAULT_ISSUE_CONTEXT_SETTINGS) {
+  const { maxChars, maxComments } = { ...DEFAULT_ISSUE_CONTEXT_SETTINGS, ...settings };
+  const readHint = `Read the full issue with \`linear_issue view ${issue.identifier || issue.id}\`.`;
+  if (!maxChars) return readHint;
+
+  const markdown = formatIssueAsMarkdown(
+    { ...issue, comments: recentCommentThreads(issue.comments, maxComments) },
+    { includeComments: maxComments > 0 },
+  );
+  if (markdown.length <= maxChars) return markdown;
+
+  return `${markdown.slice(0, maxChars)}\n\n… (issue context truncated, ${markdown.length - maxChars} more chars). ${readHint}`;
+}
+
+function formatPriority(priority) {
+  if (priority === undefined || priority === null) return '';
+  return PRIORITY_NAMES[priority] ? `${PRIORITY_NAMES[priority]} (${priority})` : String(priority);
+}
+
+function formatComments(comments) {
+  if (!Array.isArray(comments) || comments.length === 0) return '(no comments)';
+  return comments
+    .map((c) => {
+      const author = c.user?.displayName || c.user?.name || c.externalUser?.displayName || c.externalUser?.name || 'Unknown';
+      const date = c.createdAt ? ` (${new Date(c.createdAt).toISOString().slice(0, 10)})` : '';
+      return `- **${author}**${date}: ${String(c.body || '').trim()}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Placeholder values for one issue
+ * @param {Object} issue - Issue from fetchIssues(), or fetchIssueDetails() for labels/comments
+ * @param {Object} project
+ * @param {string} project.projectId
+ * @param {string} [project.projectName]
+ * @param {string} [project.repoPath]
+ * @param {{maxChars: number, maxComments: number}} [project.issueContext] - Issue context caps
+ * @returns {Object<string, string>}
+ */
+export function buildPromptVariables(issue, { projectId, projectName, repoPath, issueContext } = {}) {
+  const labels = Array.isArray(issue.labels) ? issue.labels : issue.labels?.nodes;
+  return {
+    projectName: projectName || '',
+    projectId: projectId || '',
+    repoPath: repoPath || '',
+    issueId: issue.id || '',
+    identifier: issue.identifier || '',
+    title: issue.title || '',
+    description: issue.description?.trim() || '(no description)',
+    labels: (labels || []).map((l) => l.name).join(', ') || '(none)',
+    priority: formatPriority(issue.priority),
+    url: issue.url || '',
+    branchName: issue.branchName || '',
+    comments: formatComments(issue.comments),
+    issueContext: formatIssueContext(issue, issueContext),
+  };
+}
+
+/**
+ * Render a template in a single pass, so placeholder-like text inside issue
+ * fields (e.g. a description containing `${title}`) is left as is.
+ * @param {string} template
+ * @param {Object<string, string>} variables
+ * @returns {string}
+ */
+export function renderPromptTemplate(template, variables) {
+  return String(template).replace(PLACEHOLDER_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : match
+  ));
+}
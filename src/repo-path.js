@@ -0,0 +1,34 @@
+/**
+ * Repository paths
+ *
+ * `projects.<id>.repo.path` may be absolute, start with `~`, or be relative to
+ * `rpc.workspaceRoot`. Everything that needs the directory of a project's repo
+ * (the pi session cwd, worktrees, prompt templates) resolves it here so they
+ * all agree on the same directory.
+ */
+
+import { join, resolve } from 'path';
+
+/**
+ * Expand a leading `~` to $HOME
+ * @param {string} p
+ * @returns {string}
+ */
+export function expandHome(p) {
+  if (!p) return p;
+  if (p === '~') return process.env.HOME || p;
+  if (p.startsWith('~/')) return join(process.env.HOME || '', p.slice(2));
+  return p;
+}
+
+/**
+ * Absolute directory of a configured repo path
+ * @param {string} repoPath - `repo.path` of a project
+ * @param {string|null} [workspaceRoot] - `rpc.workspaceRoot`, base of relative paths
+ * @returns {string}
+ */
+export function resolveRepoPath(repoPath, workspaceRoot = null) {
+  const expanded = expandHome(repoPath);
+  if (expanded.startsWith('/') || /^[A-Za-z]:\\/.test(expanded)) return resolve(expanded);
+  return workspaceRoot ? resolve(join(resolve(expandHome(workspaceRoot)), expanded)) : resolve(expanded);
+}
@@ -0,0 +1,182 @@
+/**
+ * Repo pre-flight checks
+ *
+ * With `rpc.preflight` (overridable per project as `projects.<id>.runtime.preflight`,
+ * or disabled there with `false`), the daemon checks the directory the agent
+ * runs in right before prompting it:
+ * - `git`: it is a git work tree
+ * - `detachedHead`: HEAD is on a branch
+ * - `baseBranch`: HEAD is on the expected branch (skipped in issue worktrees)
+ * - `cleanTree`: no uncommitted changes (e.g. left by an aborted run)
+ * - `fetch`: `git fetch` of the upstream; may fail offline, then it only warns
+ * - `behind`: HEAD is at most `maxBehind` commits behind its upstream
+ * - `command`: an optional shell command exits 0
+ *
+ * A failed check skips the project for this poll; the result is logged and kept
+ * in the dispatch ledger for `daemon status`.
+ */
+
+import { spawn } from 'child_process';
+import { runGit } from './git-worktree.js';
+import { resolveRuntimeSetting } from './runtime-settings.js';
+
+export const DEFAULT_PREFLIGHT_SETTINGS = {
+  // Fail on uncommitted changes
+  cleanTree: true,
+  // Branch HEAD must be on (null = any branch, detached HEAD always fails)
+  baseBranch: null,
+  // Fetch the upstream first (failure only warns)
+  fetch: true,
+  // Max commits HEAD may be behind its upstream (null = no limit)
+  maxBehind: 50,
+  // Shell command run in the repo; non-zero exit fails (null = none)
+  command: null,
+  // Time limit of fetch and command
+  timeoutSec: 60,
+};
+
+const OUTPUT_TAIL_CHARS = 300;
+
+/**
+ * Effective pre-flight settings of a project (project runtime over rpc default)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {Object|null} null when pre-flight checks are off
+ */
+export function resolvePreflightSettings(config, projectId) {
+  return resolveRuntimeSetting(config, projectId, 'preflight', DEFAULT_PREFLIGHT_SETTINGS);
+}
+
+function tail(text) {
+  const trimmed = String(text || '').trim();
+  return trimmed.length > OUTPUT_TAIL_CHARS ? `...${trimmed.slice(-OUTPUT_TAIL_CHARS)}` : trimmed;
+}
+
+/**
+ * Run a shell command, collecting stdout and stderr together
+ * @param {string} command
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {number} options.timeoutMs - Kill the command after this long (exitCode null)
+ * @returns {Promise<{exitCode: number|null, output: string}>}
+ */
+export function runShell(command, { cwd, timeoutMs }) {
+  return new Promise((resolvePromise) => {
+    // Own process group, so a timeout also stops what the shell started (e.g. npm test)
+    const child = spawn(command, { cwd, shell: true, env: process.env, detached: true });
+    let output = '';
+    let settled = false;
+    const settle = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolvePromise(result);
+    };
+    const timer = setTimeout(() => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch (err) {
+        // already gone
+      }
+      settle({ exitCode: null, output: `timed out after ${timeoutMs}ms` });
+    }, timeoutMs);
+    child.stdout.on('data', (data) => { output += data.toString(); });
+    child.stderr.on('data', (data) => { output += data.toString(); });
+    child.on('error', (err) => settle({ exitCode: null, output: err.message }));
+    child.on('close', (code) => settle({ exitCode: code, output }));
+  });
+}
+
+/**
+ * Run the pre-flight checks in a directory
+ * @param {string} cwd - Directory the agent runs in
+ * @param {Object} settings - From resolvePreflightSettings()
+ * @param {Object} [options]
+ * @param {boolean} [options.worktree] - cwd is an issue worktree (no base branch check)
+ * @param {number} [options.now]
+ * @returns {Promise<{ok: boolean, checkedAt: number, failures: Array<{check: string, reason: string}>, warnings: Array<{check: string, reason: string}>}>}
+ */
+export async function runPreflightChecks(cwd, settings, { worktree = false, now = Date.now() } = {}) {
+  const failures = [];
+  const warnings = [];
+  const timeoutMs = settings.timeoutSec * 1000;
+  const result = () => ({ ok: failures.length === 0, checkedAt: now, failures, warnings });
+
+  const inside = await runGit(['rev-parse', '--is-inside-work-tree'], { cwd });
+  if (inside.exitCode !== 0 || inside.stdout !== 'true') {
+    failures.push({ check: 'git', reason: `not a git work tree: ${cwd}` });
+    return result();
+  }
+
+  const head = await runGit(['symbolic-ref', '--quiet', '--short', 'HEAD'], { cwd });
+  if (head.exitCode !== 0) {
+    failures.push({ check: 'detachedHead', reason: 'HEAD is detached' });
+  } else if (settings.baseBranch && !worktree && head.stdout !== settings.baseBranch) {
+    failures.push({ check: 'baseBranch', reason: `on branch ${head.stdout}, expected ${settings.baseBranch}` });
+  }
+
+  if (settings.cleanTree) {
+    const status = await runGit(['status', '--porcelain'], { cwd });
+    const changes = status.stdout ? status.stdout.split('\n').length : 0;
+    if (status.exitCode !== 0) {
+      failures.push({ check: 'cleanTree', reason: `git status failed: ${tail(status.stderr)}` });
+    } else if (changes > 0) {
+      failures.push({ check: 'cleanTree', reason: `${changes} uncommitted change${changes === 1 ? '' : 's'}` });
+    }
+  }
+
+  const upstream = await runGit(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}'], { cwd });
+  if (upstream.exitCode === 0) {
+    if (settings.fetch) {
+      const fetched = await runGit(['fetch', '--quiet'], { cwd, timeoutMs });
+      if (fetched.exitCode !== 0) {
+        warnings.push({ check: 'fetch', reason: `git fetch failed (offline?): ${tail(fetched.stderr)}` });
+      }
+    }
+    if (settings.maxBehind !== null && settings.maxBehind !== undefined) {
+      const count = await runGit(['rev-list', '--count', 'HEAD..@{upstream}'], { cwd });
+      const behind = Number(count.stdout);
+      if (count.exitCode === 0 && behind > settings.maxBehind) {
+        failures.push({ check: 'behind', reason: `${behind} commits behind ${upstream.stdout} (max ${settings.maxBehind})` });
+      }
+    }
+  }
+
+  if (settings.command) {
+    const custom = await runShell(settings.command, { cwd, timeoutMs });
+    if (custom.exitCode !== 0) {
+      const exit = custom.exitCode === null ? 'did not finish' : `exit ${custom.exitCode}`;
+      failures.push({ check: 'command', reason: `${settings.command} (${exit}): ${tail(custom.output)}` });
+    }
+  }
+
+  return result();
+}
+
+/**
+ * Validate a preflight block (rpc.preflight or projects.<id>.runtime.preflight)
+ * @param {*} value - `true`, `false` or a settings object
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+export function validatePreflight(value, path, errors) {
+  if (typeof value === 'boolean' || value === null) return;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path} must be a boolean or an object`);
+    return;
+  }
+  for (const key of ['cleanTree', 'fetch']) {
+    if (value[key] !== undefined && typeof value[key] !== 'boolean') errors.push(`${path}.${key} must be a boolean`);
+  }
+  for (const key of ['baseBranch', 'command']) {
+    if (value[key] !== undefined && value[key] !== null && (typeof value[key] !== 'string' || !value[key].trim())) {
+      errors.push(`${path}.${key} must be a non-empty string or null`);
+    }
+  }
+  if (value.maxBehind !== undefined && value.maxBehind !== null && (!Number.isInteger(value.maxBehind) || value.maxBehind < 0)) {
+    errors.push(`${path}.maxBehind must be a non-negative integer or null`);
+  }
+  if (value.timeoutSec !== undefined && (typeof value.timeoutSec !== 'number' || value.timeoutSec <= 0)) {
+    errors.push(`${path}.timeoutSec must be a positive number`);
+  }
+}
@@ -8,7 +8,9 @@
  */
 
 import { PiRpcClient } from './pi-rpc.js';
+import { DIALOG_UI_METHODS } from './ui-request-policy.js';
 import { debug, info, warn, error as logError } from './logger.js';
+import { expandHome, resolveRepoPath } from './repo-path.js';
 import { existsSync } from 'fs';
 import { join, resolve } from 'path';
 
@@ -22,6 +24,9 @@ export class RpcSessionManager {
    * @param {string[]} [options.piArgs]
    * @param {string|null|undefined} [options.workspaceRoot] - Base directory containing git clones, e.g. "~/dvl".
    * @param {Object} [options.projectDirOverrides] - Map projectName/projectId -> directory (relative to workspaceRoot or absolute).
+   * @param {import('./dispatch-ledger.js').DispatchLedger} [options.ledger] - Persists restart attempts and dispatch outcomes.
+   * @param {import('./run-tracker.js').RunTracker} [options.runTracker] - Receives session events to follow agent runs.
+   * @param {(sessionName: string, request: Object) => Promise<any>} [options.uiRequestHandler] - Answers extension_ui_request dialogs (see ui-request-policy.js).
    */
   constructor(options = {}) {
     this.prefix = options.prefix || 'pi_project_';
@@ -33,11 +38,18 @@ export class RpcSessionManager {
     this.projectDirOverrides = options.projectDirOverrides || {};
     this.strictRepoMapping = options.strictRepoMapping ?? false;
 
-    /** @type {Map<string, {client: PiRpcClient, startedAt: number, needsInput: boolean}>} */
+    /** @type {Map<string, {client: PiRpcClient, cwd: string|undefined, startedAt: number, lastPromptAt: number|null, needsInput: boolean}>} */
     this.sessions = new Map();
 
+    this.ledger = options.ledger || null;
+    this.runTracker = options.runTracker || null;
+    this.uiRequestHandler = options.uiRequestHandler || null;
+
+    /** @type {Map<string, string>} Sessions kept busy between runs, with the reason */
+    this.holds = new Map();
+
     /** @type {Map<string, number>} */
-    this.lastRestartAttempt = new Map();
+    this.lastRestartAttempt = new Map(Object.entries(this.ledger?.getRestartAttempts() || {}));
   }
 
   isOwnedSession(sessionName, prefix = this.prefix) {
@@ -60,7 +72,12 @@ export class RpcSessionManager {
   }
 
   recordRestartAttempt(sessionName) {
-    this.lastRestartAttempt.set(sessionName, Date.now());
+    const ts = Date.now();
+    this.lastRestartAttempt.set(sessionName, ts);
+    if (this.ledger) {
+      this.ledger.recordRestartAttempt(sessionName, ts);
+      this.ledger.save();
+    }
   }
 
   getClient(sessionName) {
@@ -68,11 +85,16 @@ export class RpcSessionManager {
     return entry?.client || null;
   }
 
+  /**
+   * Directory the session's pi process runs in
+   * @returns {string|undefined} Undefined for unknown sessions or an inherited cwd
+   */
+  getCwd(sessionName) {
+    return this.sessions.get(sessionName)?.cwd;
+  }
+
   _expandHome(p) {
-    if (!p) return p;
-    if (p === '~') return process.env.HOME || p;
-    if (p.startsWith('~/')) return join(process.env.HOME || '', p.slice(2));
-    return p;
+    return expandHome(p);
   }
 
   _resolveCwd(context = {}) {
@@ -83,10 +105,7 @@ export class RpcSessionManager {
 
     // Highest precedence: explicit repoPath from project-scoped config.
     if (context.repoPath) {
-      const expanded = this._expandHome(context.repoPath);
-      const resolvedPath = expanded.startsWith('/') || /^[A-Za-z]:\\/.test(expanded)
-        ? resolve(expanded)
-        : (this.workspaceRoot ? resolve(join(resolve(this._expandHome(this.workspaceRoot)), expanded)) : resolve(expanded));
+      const resolvedPath = resolveRepoPath(context.repoPath, this.workspaceRoot);
 
       if (existsSync(resolvedPath)) {
         return resolvedPath;
@@ -158,10 +177,24 @@ export class RpcSessionManager {
     return root;
   }
 
+  /**
+   * Start the RPC session of a project unless it is running
+   * @param {string} sessionName
+   * @param {Object} [context] - {projectName, projectId, repoPath, strictRepoMapping, provider, model}
+   * @param {string} [context.cwd] - Run pi here instead of the mapped repo (issue worktree);
+   *   an idle session in another directory is restarted here
+   */
   async ensureSession(sessionName, context = {}) {
     const existing = this.sessions.get(sessionName);
     if (existing?.client?.isAlive()) {
-      return { created: false, existed: true, sessionName };
+      if (!context.cwd || existing.cwd === context.cwd) {
+        return { created: false, existed: true, sessionName };
+      }
+      const idleResult = await this.isIdle(sessionName);
+      if (!idleResult.ok || !idleResult.idle) {
+        return { created: false, existed: true, sessionName };
+      }
+      await this.stopSession(sessionName, `moving to ${context.cwd}`);
     }
 
     if (this.isWithinCooldown(sessionName)) {
@@ -170,9 +203,9 @@ export class RpcSessionManager {
       return { created: false, existed: false, sessionName, skipped: true, reason: `cooldown ${remainingSec}s remaining` };
     }
 
-    let cwd;
+    let cwd = context.cwd;
     try {
-      cwd = this._resolveCwd({
+      cwd ??= this._resolveCwd({
         ...context,
         projectDirOverrides: this.projectDirOverrides,
       });
@@ -205,14 +238,26 @@ export class RpcSessionManager {
       cwd,
     });
 
-    client.on('extension_ui_request', () => {
+    client.on('extension_ui_request', (request) => {
+      // Fire-and-forget methods (notify, setStatus, ...) never block the agent
+      if (!DIALOG_UI_METHODS.includes(request?.method)) return;
+
       const entry = this.sessions.get(sessionName);
       if (entry) entry.needsInput = true;
+      if (this.uiRequestHandler) {
+        Promise.resolve(this.uiRequestHandler(sessionName, request)).catch((err) => {
+          logError('UI request handler failed', { sessionName, method: request.method, error: err?.message || String(err) });
+        });
+      }
     });
 
     client.on('event', (evt) => {
-      // Keep minimal logging for now
       debug('pi rpc event', { sessionName, type: evt?.type });
+      this.runTracker?.handleEvent(sessionName, evt);
+    });
+
+    client.on('exit', ({ code, signal }) => {
+      this.runTracker?.failRun(sessionName, `pi process exited (code=${code}, signal=${signal})`);
     });
 
     client.spawn();
@@ -229,7 +274,7 @@ export class RpcSessionManager {
       return { created: false, existed: false, sessionName, error: err };
     }
 
-    this.sessions.set(sessionName, { client, startedAt: Date.now(), needsInput: false });
+    this.sessions.set(sessionName, { client, cwd, startedAt: Date.now(), lastPromptAt: null, needsInput: false });
     info('RPC session ready', { sessionName });
     return { created: true, existed: false, sessionName };
   }
@@ -252,6 +297,9 @@ export class RpcSessionManager {
   }
 
   async isIdle(sessionName) {
+    const held = this.holds.get(sessionName);
+    if (held) return { ok: true, idle: false, reason: `held: ${held}` };
+
     const stateResult = await this.getState(sessionName);
     if (!stateResult.ok) return { ok: false, idle: false, reason: stateResult.reason };
 
@@ -260,7 +308,31 @@ export class RpcSessionManager {
     return { ok: true, idle, state: s };
   }
 
-  async promptIfIdle(sessionName, message) {
+  /**
+   * Keep a session busy although pi is idle (e.g. while its checkout is
+   * verified), so it is not prompted, moved or reaped
+   * @param {string} sessionName
+   * @param {string} reason
+   */
+  holdSession(sessionName, reason) {
+    this.holds.set(sessionName, reason);
+  }
+
+  /**
+   * End a holdSession()
+   * @param {string} sessionName
+   */
+  releaseSession(sessionName) {
+    this.holds.delete(sessionName);
+  }
+
+  /**
+   * Send a prompt only when the session is idle
+   * @param {string} sessionName
+   * @param {string} message
+   * @param {Object} [run] - Issue metadata for the run tracker ({issueId, identifier, projectId})
+   */
+  async promptIfIdle(sessionName, message, run) {
     const client = this.getClient(sessionName);
     if (!client || !client.isAlive()) {
       return { ok: false, prompted: false, reason: 'not running' };
@@ -274,11 +346,19 @@ export class RpcSessionManager {
       return { ok: true, prompted: false, reason: 'not idle', state: idleResult.state };
     }
 
+    // Register the run first: agent_start may arrive before the prompt response
+    if (run && this.runTracker) {
+      this.runTracker.startRun(sessionName, { ...run, prompt: message });
+    }
+
     try {
       const resp = await client.prompt(message);
       if (resp?.success === false) {
+        this.runTracker?.discardRun(sessionName);
         return { ok: false, prompted: false, reason: resp?.error || 'prompt failed' };
       }
+      const entry = this.sessions.get(sessionName);
+      if (entry) entry.lastPromptAt = Date.now();
       return { ok: true, prompted: true };
     } catch (err) {
       return { ok: false, prompted: false, reason: err?.message || String(err), error: err };
@@ -290,6 +370,11 @@ export class RpcSessionManager {
     const client = entry?.client;
 
     warn('Aborting and restarting RPC session', { sessionName, reason });
+    if (this.ledger) {
+      const status = /timeout/i.test(String(reason)) ? 'timed_out' : 'aborted';
+      this.ledger.settleSession(sessionName, status, { reason: String(reason) });
+    }
+    this.runTracker?.failRun(sessionName, String(reason));
     this.recordRestartAttempt(sessionName);
 
     if (client && client.isAlive()) {
@@ -305,6 +390,130 @@ export class RpcSessionManager {
     return true;
   }
 
+  /**
+   * Answer a pending extension_ui_request of a session
+   * @param {string} sessionName
+   * @param {string} requestId
+   * @param {Object} payload - {value} | {confirmed} | {cancelled: true}
+   * @returns {boolean} False when the session is not running
+   */
+  respondUi(sessionName, requestId, payload) {
+    const entry = this.sessions.get(sessionName);
+    if (!entry?.client?.isAlive()) return false;
+
+    const sent = entry.client.respondUi(requestId, payload);
+    if (sent) entry.needsInput = false;
+    return sent;
+  }
+
+  /**
+   * Abort the current agent run but keep the session process for the next prompt
+   * @param {string} sessionName
+   * @param {string} reason
+   * @returns {Promise<boolean>} False when the session was not running
+   */
+  async abortRun(sessionName, reason) {
+    const entry = this.sessions.get(sessionName);
+    if (!entry?.client?.isAlive()) return false;
+
+    warn('Aborting agent run', { sessionName, reason });
+    if (this.ledger) {
+      this.ledger.settleSession(sessionName, 'aborted', { reason: String(reason) });
+    }
+    this.runTracker?.failRun(sessionName, String(reason));
+    entry.needsInput = false;
+
+    try {
+      await entry.client.abort();
+    } catch (err) {
+      warn('Abort command failed; restarting session', { sessionName, error: err?.message || String(err) });
+      return this.abortAndRestart(sessionName, reason);
+    }
+    return true;
+  }
+
+  /**
+   * Stop a session to free its slot. Unlike abortAndRestart this is not a
+   * failure, so no restart cooldown is recorded.
+   * @param {string} sessionName
+   * @param {string} [reason]
+   * @returns {Promise<boolean>} False when the session was not running
+   */
+  async stopSession(sessionName, reason = 'stopped') {
+    const entry = this.sessions.get(sessionName);
+    if (!entry) return false;
+
+    info('Stopping RPC session', { sessionName, reason });
+    if (this.ledger) {
+      this.ledger.settleSession(sessionName, 'aborted', { reason: String(reason) });
+    }
+    this.runTracker?.failRun(sessionName, String(reason));
+
+    const client = entry.client;
+    if (client && client.isAlive()) {
+      try {
+        await client.abort();
+      } catch (err) {
+        // best-effort: the process is killed anyway
+      }
+      client.kill();
+    }
+
+    this.sessions.delete(sessionName);
+    return true;
+  }
+
+  /**
+   * Milliseconds since the session last showed activity: pi output, a prompt
+   * sent by us, or session start, whichever is most recent.
+   * @param {string} sessionName
+   * @returns {number|null} Null when the session is unknown
+   */
+  getIdleMs(sessionName) {
+    const entry = this.sessions.get(sessionName);
+    if (!entry) return null;
+
+    const sincePromptMs = Date.now() - (entry.lastPromptAt ?? entry.startedAt);
+    const sinceMessageMs = entry.client?.lastMessageAgeMs?.() ?? sincePromptMs;
+    return Math.min(sincePromptMs, sinceMessageMs);
+  }
+
+  /**
+   * Stop sessions that have been idle longer than their TTL and whose project
+   * has no open work. Sessions still running a prompt are never reaped.
+   * @param {Object} options
+   * @param {(sessionName: string) => number|null} options.ttlMsFor - Idle TTL (null/0 = keep forever)
+   * @param {(sessionName: string) => boolean} options.hasOpenWork
+   * @returns {Promise<Array<{sessionName: string, idleMs: number}>>} Reaped sessions
+   */
+  async reapIdleSessions({ ttlMsFor, hasOpenWork }) {
+    const reaped = [];
+
+    for (const sessionName of this.listSessions()) {
+      const ttlMs = ttlMsFor(sessionName);
+      if (!ttlMs || hasOpenWork(sessionName)) continue;
+
+      const idleMs = this.getIdleMs(sessionName);
+      if (idleMs === null || idleMs < ttlMs) continue;
+
+      // A silent session may still be mid-run; only reap what pi reports as idle
+      const client = this.getClient(sessionName);
+      if (client?.isAlive()) {
+        const idleResult = await this.isIdle(sessionName);
+        if (!idleResult.ok || !idleResult.idle) {
+          debug('Idle TTL reached but session is not idle; keeping it', { sessionName, idleMs, reason: idleResult.reason });
+          continue;
+        }
+      }
+
+      if (await this.stopSession(sessionName, `idle for ${Math.round(idleMs / 1000)}s without open work`)) {
+        reaped.push({ sessionName, idleMs });
+      }
+    }
+
+    return reaped;
+  }
+
   async shutdown(reason = 'shutdown') {
     const entries = Array.from(this.sessions.entries());
     info('Shutting down RPC sessions', {
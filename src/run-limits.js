@@ -0,0 +1,179 @@
+/**
+ * Per-issue run limits
+ *
+ * `rpc.timeoutMs` only bounds single RPC commands; nothing else stops an agent
+ * that keeps working on an issue. With `rpc.limits` (overridable per project as
+ * `projects.<id>.runtime.limits`, or disabled there with `false`), each run on
+ * an issue is bounded by:
+ * - `maxRunMinutes`: wall-clock time since the prompt was sent
+ * - `maxTokens`: tokens reported in the usage of the run's assistant messages
+ * - `maxCostUsd`: cost reported in that usage
+ *
+ * Usage is checked on every run event, wall-clock time also on every poll. A run
+ * over a limit is aborted through the RPC `abort` command, its dispatch records
+ * the reason, and the issue is escalated rather than retried (so it is not
+ * prompted again until someone moves it). With `comment` the reason is also
+ * posted on the issue.
+ */
+
+import { addIssueComment } from './linear.js';
+import { warn } from './logger.js';
+import { resolveRuntimeSetting } from './runtime-settings.js';
+
+export const DEFAULT_RUN_LIMIT_SETTINGS = {
+  // Wall-clock minutes per run (null = no limit)
+  maxRunMinutes: null,
+  // Tokens per run (null = no limit)
+  maxTokens: null,
+  // Cost in USD per run (null = no limit)
+  maxCostUsd: null,
+  // Post the reason on the issue when a run is aborted
+  comment: true,
+};
+
+const LIMIT_KEYS = ['maxRunMinutes', 'maxTokens', 'maxCostUsd'];
+
+/**
+ * Effective run limits of a project (project runtime over rpc default)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {Object|null} null when no limit applies
+ */
+export function resolveRunLimits(config, projectId) {
+  const limits = resolveRuntimeSetting(config, projectId, 'limits', DEFAULT_RUN_LIMIT_SETTINGS);
+  return limits && LIMIT_KEYS.some((key) => limits[key] !== null && limits[key] !== undefined) ? limits : null;
+}
+
+/**
+ * First limit a run is over
+ * @param {Object} run - Run from RunTracker
+ * @param {Object} limits - From resolveRunLimits()
+ * @param {number} [now]
+ * @returns {string|null} Reason, or null while within limits
+ */
+export function exceededRunLimit(run, limits, now = Date.now()) {
+  const minutes = (now - run.queuedAt) / 60_000;
+  if (limits.maxRunMinutes != null && minutes > limits.maxRunMinutes) {
+    return `run limit exceeded: ${Math.floor(minutes)} minutes (max ${limits.maxRunMinutes})`;
+  }
+  if (limits.maxTokens != null && run.tokens > limits.maxTokens) {
+    return `run limit exceeded: ${run.tokens} tokens (max ${limits.maxTokens})`;
+  }
+  if (limits.maxCostUsd != null && run.costUsd > limits.maxCostUsd) {
+    return `run limit exceeded: $${run.costUsd.toFixed(2)} (max $${limits.maxCostUsd})`;
+  }
+  return null;
+}
+
+/**
+ * Body of the comment posted when a run is aborted
+ * @param {Object} run
+ * @param {string} reason
+ * @returns {string}
+ */
+export function formatRunLimitComment(run, reason) {
+  return [
+    `pi-linear-service: agent run aborted, ${reason}`,
+    '',
+    `Usage so far: ${run.tokens} tokens, $${run.costUsd.toFixed(2)}.`,
+    'The issue will not be prompted again until it is moved to another state.',
+  ].join('\n');
+}
+
+/**
+ * Aborts agent runs that go over their project's limits.
+ * `rpcManager` is assigned once the session manager exists.
+ */
+export class RunLimitEnforcer {
+  /**
+   * @param {Object} options
+   * @param {RunTracker} options.runTracker
+   * @param {Object} options.config
+   * @param {LinearClient} [options.linearClient] - For `comment`
+   * @param {RpcSessionManager} [options.rpcManager]
+   */
+  constructor({ runTracker, config, linearClient = null, rpcManager = null }) {
+    this.runTracker = runTracker;
+    this.config = config;
+    this.linearClient = linearClient;
+    this.rpcManager = rpcManager;
+    /** @type {Set<string>} Runs being aborted, by runId */
+    this.aborting = new Set();
+
+    runTracker.on('run_event', (run) => {
+      this.check(run).catch((err) => {
+        warn('Failed to enforce run limits', { sessionName: run.sessionName, error: err?.message || String(err) });
+      });
+    });
+    runTracker.on('run_end', (run) => this.aborting.delete(run.runId));
+  }
+
+  /**
+   * Abort a run when it is over a limit
+   * @param {Object} run - Active run from RunTracker
+   * @param {number} [now]
+   * @returns {Promise<string|null>} Reason the run was aborted, or null
+   */
+  async check(run, now = Date.now()) {
+    if (this.aborting.has(run.runId) || !this.runTracker.isActive(run.sessionName)) return null;
+    const limits = resolveRunLimits(this.config, run.projectId);
+    const reason = limits && exceededRunLimit(run, limits, now);
+    if (!reason) return null;
+
+    this.aborting.add(run.runId);
+    // Copied into the run_end event: the issue is escalated instead of retried
+    run.limitExceeded = reason;
+    warn('Agent run over its limit; aborting', {
+      sessionName: run.sessionName,
+      identifier: run.identifier,
+      reason,
+      tokens: run.tokens,
+      costUsd: run.costUsd,
+    });
+    await this.rpcManager?.abortRun(run.sessionName, reason);
+
+    if (limits.comment && this.linearClient) {
+      try {
+        await addIssueComment(this.linearClient, run.issueId, formatRunLimitComment(run, reason));
+      } catch (err) {
+        warn('Failed to post run limit comment', { identifier: run.identifier, error: err?.message || String(err) });
+      }
+    }
+    return reason;
+  }
+
+  /**
+   * Check every active run, for limits that grow without events (wall-clock)
+   * @param {number} [now]
+   * @returns {Promise<number>} Runs aborted
+   */
+  async checkActiveRuns(now = Date.now()) {
+    let aborted = 0;
+    for (const run of Array.from(this.runTracker.runs.values())) {
+      if (await this.check(run, now)) aborted += 1;
+    }
+    return aborted;
+  }
+}
+
+/**
+ * Validate a limits block (rpc.limits or projects.<id>.runtime.limits)
+ * @param {*} value - `false` or a settings object
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+export function validateRunLimits(value, path, errors) {
+  if (value === false || value === null) return;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path} must be false or an object`);
+    return;
+  }
+  for (const key of LIMIT_KEYS) {
+    if (value[key] !== undefined && value[key] !== null && (typeof value[key] !== 'number' || value[key] <= 0)) {
+      errors.push(`${path}.${key} must be a positive number or null`);
+    }
+  }
+  if (value.comment !== undefined && typeof value.comment !== 'boolean') {
+    errors.push(`${path}.comment must be a boolean`);
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Agent run tracking
+ *
+ * Follows each prompt sent to a project session through the pi RPC event
+ * stream instead of inferring completion from later get_state probes:
+ *
+ *   queued (prompt sent) -> running (agent_start) -> finished | failed
+ *
+ * A run fails when pi reports an error/abort stop reason in agent_end, when
+ * the process exits mid-run, or when the session is aborted. Every ended run
+ * is emitted as `run_end` so the caller can verify the outcome in Linear.
+ *
+ * Emitted events: `run_start` (run), `run_event` (run, evt) for every RPC
+ * event of an active run and every recordEvent() note, `run_end` (run),
+ * `run_discarded` (run).
+ */
+
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { debug, info, warn } from './logger.js';
+
+export const RUN_STATES = ['queued', 'running', 'finished', 'failed'];
+
+const ACTIVE_STATES = ['queued', 'running'];
+
+// Assistant stop reasons that mean the run did not end on its own terms
+const FAILED_STOP_REASONS = ['error', 'aborted'];
+
+/**
+ * Short sortable run id, e.g. "m2x4k1p0-3fa9"
+ */
+function createRunId(now) {
+  return `${now.toString(36)}-${randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Find the last assistant message in an agent_end payload
+ * @param {Object} evt
+ * @returns {Object|null}
+ */
+function lastAssistantMessage(evt) {
+  const messages = Array.isArray(evt?.messages) ? evt.messages : [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i]?.role === 'assistant') return messages[i];
+  }
+  return null;
+}
+
+/**
+ * Text parts of an assistant message
+ * @param {Object} message
+ * @returns {string}
+ */
+function messageText(message) {
+  const content = message?.content;
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((c) => c?.type === 'text')
+    .map((c) => c.text)
+    .join('\n')
+    .trim();
+}
+
+/**
+ * Add the usage of one assistant message (pi `usage`) to a run
+ * @param {Object} run
+ * @param {Object} [usage] - {input, output, cacheRead, cacheWrite, totalTokens, cost: {total}}
+ */
+function addUsage(run, usage) {
+  if (!usage || typeof usage !== 'object') return;
+  const tokens = usage.totalTokens
+    ?? ['input', 'output', 'cacheRead', 'cacheWrite'].reduce((sum, key) => sum + (Number(usage[key]) || 0), 0);
+  run.tokens += Number(tokens) || 0;
+  run.costUsd += Number(usage.cost?.total) || 0;
+}
+
+export class RunTracker extends EventEmitter {
+  constructor() {
+    super();
+
+    /** @type {Map<string, Object>} Latest run per session */
+    this.runs = new Map();
+  }
+
+  /**
+   * Register a run before its prompt is sent, so an early agent_start is not missed
+   * @param {string} sessionName
+   * @param {Object} meta
+   * @param {string} meta.issueId
+   * @param {string} [meta.identifier]
+   * @param {string} [meta.projectId]
+   * @param {string} [meta.prompt] - Prompt text, kept for the transcript
+   * @param {number} [meta.now]
+   * @returns {Object} The queued run
+   */
+  startRun(sessionName, meta) {
+    const previous = this.runs.get(sessionName);
+    if (previous && ACTIVE_STATES.includes(previous.state)) {
+      warn('Replacing run that never ended', { sessionName, issueId: previous.issueId, state: previous.state });
+    }
+
+    const now = meta.now ?? Date.now();
+    const run = {
+      runId: createRunId(now),
+      sessionName,
+      issueId: meta.issueId,
+      identifier: meta.identifier || null,
+      projectId: meta.projectId || null,
+      state: 'queued',
+      queuedAt: now,
+      startedAt: null,
+      endedAt: null,
+      lastEventAt: null,
+      turnCount: 0,
+      // Text of the latest assistant message, for run summaries
+      lastMessage: null,
+      // Usage summed over the run's assistant messages
+      tokens: 0,
+      costUsd: 0,
+      error: null,
+    };
+    this.runs.set(sessionName, run);
+    this.emit('run_start', { ...run, prompt: meta.prompt ?? null });
+    return run;
+  }
+
+  /**
+   * Forget a queued run whose prompt was never accepted
+   * @param {string} sessionName
+   */
+  discardRun(sessionName) {
+    const run = this.runs.get(sessionName);
+    if (run?.state === 'queued') {
+      this.runs.delete(sessionName);
+      this.emit('run_discarded', { ...run });
+    }
+  }
+
+  getRun(sessionName) {
+    return this.runs.get(sessionName) || null;
+  }
+
+  /**
+   * True while a run is queued or running in the session
+   * @param {string} sessionName
+   */
+  isActive(sessionName) {
+    const run = this.runs.get(sessionName);
+    return Boolean(run && ACTIVE_STATES.includes(run.state));
+  }
+
+  /**
+   * Feed one pi RPC event of a session into its run
+   * @param {string} sessionName
+   * @param {Object} evt
+   * @param {number} [now]
+   */
+  handleEvent(sessionName, evt, now = Date.now()) {
+    const run = this.runs.get(sessionName);
+    if (!run || !ACTIVE_STATES.includes(run.state)) return;
+
+    run.lastEventAt = now;
+    // Before run_event, so listeners (run limits) see the latest text and usage
+    if (evt?.type === 'message_end' && evt.message?.role === 'assistant') {
+      run.lastMessage = messageText(evt.message) || run.lastMessage;
+      addUsage(run, evt.message.usage);
+    }
+    this.emit('run_event', run, evt);
+
+    switch (evt?.type) {
+      case 'agent_start':
+        if (run.state === 'queued') {
+          run.state = 'running';
+          run.startedAt = now;
+          debug('Agent run started', { sessionName, issueId: run.issueId });
+        }
+        break;
+      case 'turn_end':
+        run.turnCount += 1;
+        break;
+      case 'agent_end': {
+        const last = lastAssistantMessage(evt);
+        run.lastMessage = messageText(last) || run.lastMessage;
+        if (FAILED_STOP_REASONS.includes(last?.stopReason)) {
+          this._end(run, 'failed', last.errorMessage || `agent stopped: ${last.stopReason}`, now);
+        } else {
+          this._end(run, 'finished', null, now);
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Add a service-side event (e.g. a resolved UI request) to the session's
+   * latest run history without affecting its state
+   * @param {string} sessionName
+   * @param {Object} evt
+   * @returns {boolean} False when the session has no run
+   */
+  recordEvent(sessionName, evt) {
+    const run = this.runs.get(sessionName);
+    if (!run) return false;
+    this.emit('run_event', run, evt);
+    return true;
+  }
+
+  /**
+   * End the session's active run as failed (process exit, abort, timeout)
+   * @param {string} sessionName
+   * @param {string} reason
+   * @param {number} [now]
+   * @returns {Object|null} The failed run, or null when nothing was active
+   */
+  failRun(sessionName, reason, now = Date.now()) {
+    const run = this.runs.get(sessionName);
+    if (!run || !ACTIVE_STATES.includes(run.state)) return null;
+    this._end(run, 'failed', reason, now);
+    return run;
+  }
+
+  _end(run, state, error, now) {
+    run.state = state;
+    run.endedAt = now;
+    run.error = error;
+
+    const log = state === 'failed' ? warn : info;
+    log(`Agent run ${state}`, {
+      sessionName: run.sessionName,
+      issueId: run.issueId,
+      identifier: run.identifier,
+      durationMs: now - (run.startedAt ?? run.queuedAt),
+      turnCount: run.turnCount,
+      tokens: run.tokens || undefined,
+      costUsd: run.costUsd || undefined,
+      error: error || undefined,
+    });
+
+    this.emit('run_end', { ...run });
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Post-run verification
+ *
+ * With `projects.<id>.runtime.verify`, an issue the agent marked Done is not
+ * taken at its word: the daemon runs the verify commands (tests, lint, ...) one
+ * after the other in the directory the agent worked in. When one fails, the
+ * issue is moved back to `failState` (In Progress) with the failing command and
+ * the tail of its output as a comment, and the run counts as unfinished. When
+ * all pass, the issue is optionally moved on to `reviewState`.
+ */
+
+import { addIssueComment, updateIssue } from './linear.js';
+import { info, warn } from './logger.js';
+import { runShell } from './repo-preflight.js';
+
+export const DEFAULT_VERIFY_SETTINGS = {
+  // Shell commands run in order; the first non-zero exit fails verification
+  commands: [],
+  // Time limit per command
+  timeoutSec: 600,
+  // State (name or type) an issue moves to when verification fails
+  failState: 'In Progress',
+  // State (name or type) an issue moves to when verification passes (null = stays Done)
+  reviewState: null,
+  // Output tail posted to Linear on failure
+  maxOutputChars: 4000,
+};
+
+const VERIFY_PREFIX = 'pi-linear-service verification failed:';
+
+/**
+ * Verification settings of a project
+ * @param {Object} config - Config or settings ({projects})
+ * @param {string} projectId
+ * @returns {Object|null} null when the project has no verify commands
+ */
+export function resolveVerifySettings(config, projectId) {
+  const verify = config?.projects?.[projectId]?.runtime?.verify;
+  if (!verify) return null;
+  const settings = Array.isArray(verify)
+    ? { ...DEFAULT_VERIFY_SETTINGS, commands: verify }
+    : { ...DEFAULT_VERIFY_SETTINGS, ...verify };
+  return settings.commands.length > 0 ? settings : null;
+}
+
+/**
+ * Run the verify commands, stopping at the first failure
+ * @param {string} cwd - Directory the agent worked in
+ * @param {Object} settings - From resolveVerifySettings()
+ * @returns {Promise<{ok: boolean, results: Array<{command: string, exitCode: number|null, durationMs: number, output: string}>}>}
+ */
+export async function runVerifyCommands(cwd, settings) {
+  const results = [];
+  for (const command of settings.commands) {
+    const startedAt = Date.now();
+    const { exitCode, output } = await runShell(command, { cwd, timeoutMs: settings.timeoutSec * 1000 });
+    results.push({ command, exitCode, durationMs: Date.now() - startedAt, output });
+    if (exitCode !== 0) return { ok: false, results };
+  }
+  return { ok: true, results };
+}
+
+/**
+ * Linear comment for a failed verify command
+ * @param {Object} failed - Failing entry of runVerifyCommands().results
+ * @param {Object} settings - From resolveVerifySettings()
+ * @returns {string}
+ */
+export function formatVerifyFailure(failed, settings) {
+  const exit = failed.exitCode === null ? `did not finish within ${settings.timeoutSec}s` : `exit ${failed.exitCode}`;
+  const output = String(failed.output || '').trim();
+  const shown = output.length > settings.maxOutputChars ? `...${output.slice(-settings.maxOutputChars)}` : output;
+  return [
+    `${VERIFY_PREFIX} \`${failed.command}\` (${exit})`,
+    '',
+    '```',
+    shown.replace(/```/g, "'''") || '(no output)',
+    '```',
+    '',
+    `Moved back to ${settings.failState}.`,
+  ].join('\n');
+}
+
+/**
+ * Verify an issue the agent marked Done and move it accordingly
+ * @param {LinearClient} client
+ * @param {Object} issue - {id, identifier}
+ * @param {Object} options
+ * @param {Object} options.settings - From resolveVerifySettings()
+ * @param {string} options.cwd - Directory the agent worked in
+ * @returns {Promise<{ok: boolean, failed: Object|null, results: Array<Object>, movedTo?: string|null}>}
+ *   `movedTo`: state name the issue was moved back to after a failure
+ */
+export async function verifyCompletedIssue(client, issue, { settings, cwd }) {
+  const { ok, results } = await runVerifyCommands(cwd, settings);
+  const failed = ok ? null : results[results.length - 1];
+
+  if (failed) {
+    warn('Verification failed; moving issue back', {
+      identifier: issue.identifier,
+      command: failed.command,
+      exitCode: failed.exitCode,
+      state: settings.failState,
+    });
+    let movedTo = null;
+    try {
+      const updated = await updateIssue(client, issue.id, { state: settings.failState });
+      movedTo = updated.issue?.state?.name || settings.failState;
+      await addIssueComment(client, issue.id, formatVerifyFailure(failed, settings));
+    } catch (err) {
+      warn('Failed to report verification failure to Linear', { identifier: issue.identifier, error: err?.message || String(err) });
+    }
+    return { ok, failed, results, movedTo };
+  }
+
+  info('Verification passed', { identifier: issue.identifier, commands: results.length });
+  if (settings.reviewState) {
+    try {
+      await updateIssue(client, issue.id, { state: settings.reviewState });
+    } catch (err) {
+      warn('Failed to move verified issue to review state', {
+        identifier: issue.identifier,
+        state: settings.reviewState,
+        error: err?.message || String(err),
+      });
+    }
+  }
+  return { ok, failed, results };
+}
+
+/**
+ * Validate projects.<id>.runtime.verify (array of commands or object)
+ * @param {*} value
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+export function validateVerify(value, path, errors) {
+  const object = Array.isArray(value) ? { commands: value } : value;
+  if (typeof object !== 'object' || object === null) {
+    errors.push(`${path} must be an array of commands or an object`);
+    return;
+  }
+  if (!Array.isArray(object.commands)) {
+    errors.push(`${path}.commands must be an array`);
+  } else {
+    object.commands.forEach((command, i) => {
+      if (typeof command !== 'string' || !command.trim()) errors.push(`${path}.commands[${i}] must be a non-empty string`);
+    });
+  }
+  for (const key of ['failState', 'reviewState']) {
+    const allowNull = key === 'reviewState';
+    if (object[key] === undefined || (allowNull && object[key] === null)) continue;
+    if (typeof object[key] !== 'string' || !object[key].trim()) {
+      errors.push(`${path}.${key} must be a non-empty string${allowNull ? ' or null' : ''}`);
+    }
+  }
+  for (const key of ['timeoutSec', 'maxOutputChars']) {
+    if (object[key] !== undefined && (typeof object[key] !== 'number' || object[key] <= 0)) {
+      errors.push(`${path}.${key} must be a positive number`);
+    }
+  }
+}
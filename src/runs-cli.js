@@ -0,0 +1,86 @@
+/**
+ * Run transcript CLI
+ *
+ * `runs list` and `runs show` read the agent run transcripts recorded by
+ * TranscriptStore, to look back at what a headless agent did for an issue.
+ */
+
+import { TranscriptStore, formatDuration, formatRunAsMarkdown } from './transcript-store.js';
+
+function parseFlagValue(args, names, fallback) {
+  for (let i = 0; i < args.length; i += 1) {
+    if (names.includes(args[i]) && args[i + 1]) {
+      return args[i + 1];
+    }
+  }
+  return fallback;
+}
+
+function hasFlag(args, name) {
+  return args.includes(name);
+}
+
+/**
+ * `runs list [--project-id <id>] [--limit <n>] [--json]`
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {TranscriptStore} [options.store]
+ */
+export async function runsList(args = [], options = {}) {
+  const store = options.store || new TranscriptStore();
+  const projectId = parseFlagValue(args, ['--project-id']);
+  const limitArg = parseFlagValue(args, ['--limit'], '20');
+  const limit = parseInt(limitArg, 10);
+  if (Number.isNaN(limit) || limit <= 0) {
+    throw new Error(`Invalid --limit: ${limitArg}`);
+  }
+
+  const runs = await store.listRuns({ projectId, limit });
+
+  if (hasFlag(args, '--json')) {
+    console.log(JSON.stringify(runs, null, 2));
+    return;
+  }
+
+  if (runs.length === 0) {
+    console.log(`No runs recorded${projectId ? ` for project ${projectId}` : ''} (${store.dir})`);
+    return;
+  }
+
+  for (const run of runs) {
+    console.log([
+      run.runId,
+      new Date(run.startedAt).toISOString(),
+      run.state.padEnd(9),
+      (run.endedAt ? formatDuration(run.endedAt - run.startedAt) : '-').padStart(7),
+      run.identifier || run.issueId,
+      run.projectId || '-',
+    ].join('  '));
+  }
+}
+
+/**
+ * `runs show <runId>`: print one run as markdown
+ * @param {string[]} args
+ * @param {Object} [options]
+ * @param {TranscriptStore} [options.store]
+ */
+export async function runsShow(args = [], options = {}) {
+  const runId = args.find((a) => !a.startsWith('--'));
+  if (!runId) {
+    throw new Error('Missing required argument <runId>');
+  }
+
+  const store = options.store || new TranscriptStore();
+  const transcript = await store.readRun(runId);
+  if (!transcript) {
+    throw new Error(`Run not found: ${runId}`);
+  }
+
+  if (hasFlag(args, '--json')) {
+    console.log(JSON.stringify(transcript, null, 2));
+    return;
+  }
+
+  console.log(formatRunAsMarkdown(transcript));
+}
@@ -0,0 +1,25 @@
+/**
+ * Runtime setting layering
+ *
+ * Some runtime blocks (`preflight`, `progressComments`, `limits`) can be set
+ * once in `rpc` as the default for every project and per project in
+ * `projects.<id>.runtime`. The project value wins; `true` turns a feature on
+ * with its defaults, `false` turns it off even when `rpc` enables it, and
+ * object values are merged over the defaults (rpc first, then project).
+ */
+
+/**
+ * Effective runtime setting of a project (project runtime over rpc default)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @param {string} key - Setting name in `rpc` and `projects.<id>.runtime`
+ * @param {Object} defaults
+ * @returns {Object|null} null when the feature is off
+ */
+export function resolveRuntimeSetting(config, projectId, key, defaults) {
+  const base = config?.rpc?.[key];
+  const own = config?.projects?.[projectId]?.runtime?.[key];
+  if (!(own !== undefined ? own : base)) return null;
+  const objects = [base, own].filter((v) => v && typeof v === 'object');
+  return Object.assign({}, defaults, ...objects);
+}
@@ -0,0 +1,211 @@
+/**
+ * Working-hours schedule
+ *
+ * `rpc.schedule` (overridable per project as `projects.<id>.runtime.schedule`,
+ * or disabled there with `false`) limits when new work is prompted:
+ *
+ *   {
+ *     "timezone": "Europe/Berlin",
+ *     "windows": ["mon-fri 09:00-18:00"],
+ *     "quiet": ["fri 16:00-18:00"],
+ *     "stopIdleSessions": true
+ *   }
+ *
+ * A window is `"<days> <HH:MM>-<HH:MM>"` or `{days, start, end}`; days are
+ * `mon`..`sun`, ranges (`mon-fri`) and lists (`mon,wed`), or `*`. An end before
+ * the start runs past midnight. The schedule is active inside any window (always,
+ * when `windows` is empty) and outside every quiet period.
+ */
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^([01]?\d|2[0-4]):([0-5]\d)$/;
+// Enough boundary hops to cover more than a week of windows
+const MAX_SEARCH_STEPS = 500;
+
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  const key = timeZone || '';
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat('en-US', {
+      timeZone: timeZone || undefined,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Weekday (0 = Sunday) and minute of day of an instant in a time zone
+ * @param {number} ts
+ * @param {string} [timeZone] - IANA zone (default: system zone)
+ * @returns {{day: number, minutes: number}}
+ */
+export function localTime(ts, timeZone) {
+  const parts = Object.fromEntries(formatterFor(timeZone).formatToParts(new Date(ts)).map((p) => [p.type, p.value]));
+  const day = WEEKDAYS.indexOf(parts.weekday.toLowerCase().slice(0, 3));
+  return { day, minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute) };
+}
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value).trim());
+  if (!match) throw new Error(`invalid time "${value}" (expected HH:MM)`);
+  return Math.min(Number(match[1]) * 60 + Number(match[2]), MINUTES_PER_DAY);
+}
+
+function parseDays(value) {
+  if (value === undefined || value === '*') return new Set([0, 1, 2, 3, 4, 5, 6]);
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  const days = new Set();
+  for (const item of items) {
+    const [from, to] = String(item).trim().toLowerCase().split('-');
+    const start = WEEKDAYS.indexOf(from);
+    const end = to === undefined ? start : WEEKDAYS.indexOf(to);
+    if (start < 0 || end < 0) throw new Error(`invalid days "${item}" (expected mon..sun, ranges or *)`);
+    for (let d = start; ; d = (d + 1) % 7) {
+      days.add(d);
+      if (d === end) break;
+    }
+  }
+  return days;
+}
+
+/**
+ * Parse a window string or object
+ * @param {string|Object} value - "mon-fri 09:00-18:00" or {days, start, end}
+ * @returns {{days: Set<number>, start: number, end: number}} Minutes of day
+ */
+export function parseWindow(value) {
+  if (typeof value === 'string') {
+    const match = /^(?:(\S+)\s+)?(\S+)-(\S+)$/.exec(value.trim());
+    if (!match) throw new Error(`invalid window "${value}" (expected "<days> HH:MM-HH:MM")`);
+    return { days: parseDays(match[1] ?? '*'), start: parseTime(match[2]), end: parseTime(match[3]) };
+  }
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    throw new Error('window must be a string or an object');
+  }
+  return { days: parseDays(value.days), start: parseTime(value.start), end: parseTime(value.end) };
+}
+
+function timeZoneProblem(timeZone) {
+  if (timeZone === undefined || timeZone === null) return null;
+  if (typeof timeZone !== 'string' || !timeZone.trim()) return 'timezone must be a non-empty string';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return null;
+  } catch {
+    return `timezone "${timeZone}" is not a known time zone`;
+  }
+}
+
+/**
+ * Validate a schedule block (rpc.schedule or projects.<id>.runtime.schedule)
+ * @param {*} value - `false` or a schedule object
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+export function validateSchedule(value, path, errors) {
+  if (value === false || value === null) return;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push(`${path} must be an object or false`);
+    return;
+  }
+  const zone = timeZoneProblem(value.timezone);
+  if (zone) errors.push(`${path}.${zone}`);
+  for (const key of ['windows', 'quiet']) {
+    if (value[key] === undefined) continue;
+    if (!Array.isArray(value[key])) {
+      errors.push(`${path}.${key} must be an array`);
+      continue;
+    }
+    value[key].forEach((window, index) => {
+      try {
+        parseWindow(window);
+      } catch (err) {
+        errors.push(`${path}.${key}[${index}]: ${err.message}`);
+      }
+    });
+  }
+  if (value.stopIdleSessions !== undefined && typeof value.stopIdleSessions !== 'boolean') {
+    errors.push(`${path}.stopIdleSessions must be a boolean`);
+  }
+}
+
+/**
+ * Parse a schedule setting
+ * @param {Object|false|null} value
+ * @returns {{timezone: string|null, windows: Array, quiet: Array, stopIdleSessions: boolean}|null} null = always active
+ */
+export function parseSchedule(value) {
+  if (!value) return null;
+  const errors = [];
+  validateSchedule(value, 'schedule', errors);
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${errors.join('; ')}`);
+  }
+  return {
+    timezone: value.timezone || null,
+    windows: (value.windows || []).map(parseWindow),
+    quiet: (value.quiet || []).map(parseWindow),
+    stopIdleSessions: value.stopIdleSessions !== false,
+  };
+}
+
+/**
+ * Effective schedule of a project (project runtime over rpc default)
+ * @param {Object} config - Config or settings ({rpc, projects})
+ * @param {string} projectId
+ * @returns {Object|null} From parseSchedule(); null = always active
+ */
+export function resolveSchedule(config, projectId) {
+  const projectSchedule = config?.projects?.[projectId]?.runtime?.schedule;
+  return parseSchedule(projectSchedule !== undefined ? projectSchedule : config?.rpc?.schedule);
+}
+
+function inWindow(window, { day, minutes }) {
+  const { days, start, end } = window;
+  if (start === end) return days.has(day);
+  if (start < end) return days.has(day) && minutes >= start && minutes < end;
+  // Past midnight: the tail belongs to the window that started the day before
+  return (days.has(day) && minutes >= start) || (days.has((day + 6) % 7) && minutes < end);
+}
+
+/**
+ * Whether new work may be prompted at an instant
+ * @param {Object|null} schedule - From parseSchedule()
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isScheduleActive(schedule, now = Date.now()) {
+  if (!schedule) return true;
+  const local = localTime(now, schedule.timezone);
+  if (schedule.quiet.some((w) => inWindow(w, local))) return false;
+  return schedule.windows.length === 0 || schedule.windows.some((w) => inWindow(w, local));
+}
+
+/**
+ * When the schedule next becomes active
+ * @param {Object|null} schedule - From parseSchedule()
+ * @param {number} [now]
+ * @returns {number|null} `now` when active, else the first active minute; null when never active
+ */
+export function nextActiveAt(schedule, now = Date.now()) {
+  if (isScheduleActive(schedule, now)) return now;
+
+  // Activity only changes at window boundaries (or midnight), so hop between them
+  const boundaries = [...schedule.windows, ...schedule.quiet].flatMap((w) => [w.start, w.end]);
+  let ts = now - (now % 60000);
+  for (let step = 0; step < MAX_SEARCH_STEPS; step += 1) {
+    const { minutes } = localTime(ts, schedule.timezone);
+    const ahead = boundaries.filter((b) => b > minutes && b < MINUTES_PER_DAY);
+    const next = ahead.length > 0 ? Math.min(...ahead) : MINUTES_PER_DAY;
+    ts += (next - minutes) * 60000;
+    if (isScheduleActive(schedule, ts)) return ts;
+  }
+  return null;
+}
@@ -7,6 +7,18 @@ import { mkdir, readFile, writeFile } from 'fs/promises';
 import { existsSync } from 'fs';
 import { dirname, join, isAbsolute, resolve } from 'path';
 import { debug, warn, error as logError } from './logger.js';
+import { ISSUE_ORDERING_KEYS } from './work-queue.js';
+import { DIALOG_UI_METHODS, UI_REQUEST_POLICIES } from './ui-request-policy.js';
+import { validatePromptTemplate } from './prompt-template.js';
+import { SCOPE_CYCLE_MODES } from './issue-scope.js';
+import { SUB_ISSUE_MODES } from './sub-issues.js';
+import { CLAIM_MODES } from './issue-claim.js';
+import { APPROVAL_REQUEST_MODES } from './approval-gate.js';
+import { validateSchedule } from './schedule.js';
+import { validatePreflight } from './repo-preflight.js';
+import { validateVerify } from './run-verification.js';
+import { validateProgressComments } from './progress-comments.js';
+import { validateRunLimits } from './run-limits.js';
 
 /**
  * Default settings for the service
@@ -30,6 +42,51 @@ export function getDefaultSettings() {
       projectDirOverrides: {},
       provider: null,
       model: null,
+      // Max live project sessions at once (null = unlimited)
+      maxConcurrentSessions: null,
+      // Stop sessions idle this long when their project has no open work (0 = never)
+      idleSessionTtlSec: 3600,
+      // Issue markdown injected into prompts via ${issueContext} (maxChars 0 = off)
+      issueContext: {
+        maxChars: 12000,
+        maxComments: 10,
+      },
+      // How extension_ui_request dialogs of headless agents are answered
+      uiRequests: {
+        policy: 'auto',
+        defaults: { confirm: false },
+        replyTimeoutSec: 3600,
+      },
+      // Claim issues before prompting so several daemons never start the same one
+      claim: {
+        mode: 'auto',
+        label: 'agent-claimed',
+        staleAfterSec: 21600,
+      },
+      // Working hours for new prompts ({timezone, windows, quiet}; null = always)
+      schedule: null,
+      // Repo checks before each prompt (true or {cleanTree, baseBranch, fetch, maxBehind, command}; null = off)
+      preflight: null,
+      // Linear comments when an issue is prompted and when its run ends (true or {start, end, excerptChars}; null = off)
+      progressComments: null,
+      // Per-run limits on issues ({maxRunMinutes, maxTokens, maxCostUsd, comment}; null = none)
+      limits: null,
+    },
+    // Optional Linear webhook receiver (targeted polls on Issue/Comment events)
+    webhook: {
+      enabled: false,
+      host: '127.0.0.1',
+      port: 8787,
+      path: '/linear/webhook',
+      secret: null,
+      // Interval polling keeps running as a safety net, at this lower frequency
+      safetyPollIntervalSec: 1800,
+    },
+    // Per-project NDJSON transcripts of agent runs (RPC mode)
+    transcripts: {
+      enabled: true,
+      maxFileBytes: 5 * 1024 * 1024,
+      maxFiles: 5,
     },
     legacy: {
       sessionManager: {
@@ -126,6 +183,142 @@ function migrateSettings(settings) {
   return migrated;
 }
 
+/**
+ * Validate a uiRequests block (rpc.uiRequests or projects.<id>.runtime.uiRequests)
+ * @param {*} value
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+function validateUiRequests(value, path, errors) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  if (value.policy !== undefined) {
+    const validPolicy = (p) => UI_REQUEST_POLICIES.includes(p);
+    if (typeof value.policy === 'string') {
+      if (!validPolicy(value.policy)) {
+        errors.push(`${path}.policy must be one of: ${UI_REQUEST_POLICIES.join(', ')}`);
+      }
+    } else if (typeof value.policy === 'object' && value.policy !== null && !Array.isArray(value.policy)) {
+      for (const [method, policy] of Object.entries(value.policy)) {
+        if (![...DIALOG_UI_METHODS, 'default'].includes(method)) {
+          errors.push(`${path}.policy.${method} is not a dialog method (${DIALOG_UI_METHODS.join(', ')}, default)`);
+        } else if (!validPolicy(policy)) {
+          errors.push(`${path}.policy.${method} must be one of: ${UI_REQUEST_POLICIES.join(', ')}`);
+        }
+      }
+    } else {
+      errors.push(`${path}.policy must be a string or a map of method -> policy`);
+    }
+  }
+
+  if (value.defaults !== undefined) {
+    const defaults = value.defaults;
+    if (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults)) {
+      errors.push(`${path}.defaults must be an object`);
+    } else {
+      if (defaults.confirm !== undefined && typeof defaults.confirm !== 'boolean') {
+        errors.push(`${path}.defaults.confirm must be a boolean`);
+      }
+      if (defaults.select !== undefined && typeof defaults.select !== 'string'
+        && !(Number.isInteger(defaults.select) && defaults.select >= 0)) {
+        errors.push(`${path}.defaults.select must be an option string or a non-negative option index`);
+      }
+      for (const key of ['input', 'editor']) {
+        if (defaults[key] !== undefined && typeof defaults[key] !== 'string') {
+          errors.push(`${path}.defaults.${key} must be a string`);
+        }
+      }
+    }
+  }
+
+  if (value.replyTimeoutSec !== undefined && (typeof value.replyTimeoutSec !== 'number' || value.replyTimeoutSec <= 0)) {
+    errors.push(`${path}.replyTimeoutSec must be a positive number`);
+  }
+}
+
+/**
+ * Validate an issueContext block (rpc.issueContext or projects.<id>.runtime.issueContext)
+ * @param {*} value
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+function validateIssueContext(value, path, errors) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  for (const key of ['maxChars', 'maxComments']) {
+    if (value[key] !== undefined && (!Number.isInteger(value[key]) || value[key] < 0)) {
+      errors.push(`${path}.${key} must be a non-negative integer`);
+    }
+  }
+}
+
+/**
+ * Validate a claim block (rpc.claim or projects.<id>.runtime.claim)
+ * @param {*} value
+ * @param {string} path - Settings path used in error messages
+ * @param {string[]} errors
+ */
+function validateClaim(value, path, errors) {
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  if (value.mode !== undefined && !CLAIM_MODES.includes(value.mode)) {
+    errors.push(`${path}.mode must be one of: ${CLAIM_MODES.join(', ')}`);
+  }
+  if (value.label !== undefined && (typeof value.label !== 'string' || !value.label.trim())) {
+    errors.push(`${path}.label must be a non-empty string`);
+  }
+  if (value.staleAfterSec !== undefined && (typeof value.staleAfterSec !== 'number' || value.staleAfterSec <= 0)) {
+    errors.push(`${path}.staleAfterSec must be a positive number`);
+  }
+}
+
+/**
+ * Validate projects.<id>.repo.worktrees (boolean or object)
+ */
+function validateWorktrees(value, path, errors) {
+  if (typeof value === 'boolean') return;
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be a boolean or an object`);
+    return;
+  }
+  if (value.dir !== undefined && value.dir !== null
+    && (typeof value.dir !== 'string' || !(isAbsolute(value.dir) || value.dir.startsWith('~/')))) {
+    errors.push(`${path}.dir must be an absolute path`);
+  }
+  if (value.baseRef !== undefined && (typeof value.baseRef !== 'string' || !value.baseRef.trim())) {
+    errors.push(`${path}.baseRef must be a non-empty string`);
+  }
+}
+
+/**
+ * Validate projects.<id>.runtime.requireApproval (boolean or object)
+ */
+function validateRequireApproval(value, path, errors) {
+  if (typeof value === 'boolean') return;
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} must be a boolean or an object`);
+    return;
+  }
+  if (value.request !== undefined && !APPROVAL_REQUEST_MODES.includes(value.request)) {
+    errors.push(`${path}.request must be one of: ${APPROVAL_REQUEST_MODES.join(', ')}`);
+  }
+  for (const key of ['requestLabel', 'approveLabel']) {
+    if (value[key] !== undefined && (typeof value[key] !== 'string' || !value[key].trim())) {
+      errors.push(`${path}.${key} must be a non-empty string`);
+    }
+  }
+  if (value.recheckSec !== undefined && (typeof value.recheckSec !== 'number' || value.recheckSec <= 0)) {
+    errors.push(`${path}.recheckSec must be a positive number`);
+  }
+}
+
 /**
  * Validate settings object structure
  * @param {Object} settings - Settings object to validate
@@ -180,6 +373,9 @@ export function validateSettings(settings) {
           } else if (!isAbsolute(cfg.repo.path) && !(typeof settings.rpc?.workspaceRoot === 'string' && settings.rpc.workspaceRoot.trim().length > 0)) {
             errors.push(`settings.projects.${projectId}.repo.path must be absolute, or settings.rpc.workspaceRoot must be configured`);
           }
+          if (cfg.repo.worktrees !== undefined) {
+            validateWorktrees(cfg.repo.worktrees, `settings.projects.${projectId}.repo.worktrees`, errors);
+          }
         }
 
         if (cfg.scope !== undefined) {
@@ -195,11 +391,89 @@ export function validateSettings(settings) {
             if (cfg.scope.team !== undefined && cfg.scope.team !== null && typeof cfg.scope.team !== 'string') {
               errors.push(`settings.projects.${projectId}.scope.team must be a string or null`);
             }
+            if (cfg.scope.ordering !== undefined) {
+              if (!Array.isArray(cfg.scope.ordering) || cfg.scope.ordering.some((k) => !ISSUE_ORDERING_KEYS.includes(k))) {
+                errors.push(`settings.projects.${projectId}.scope.ordering must be an array of: ${ISSUE_ORDERING_KEYS.join(', ')}`);
+              }
+            }
+            if (cfg.scope.retryAfterSec !== undefined && (typeof cfg.scope.retryAfterSec !== 'number' || cfg.scope.retryAfterSec < 0)) {
+              errors.push(`settings.projects.${projectId}.scope.retryAfterSec must be a non-negative number`);
+            }
+            if (cfg.scope.maxRunAttempts !== undefined && (!Number.isInteger(cfg.scope.maxRunAttempts) || cfg.scope.maxRunAttempts < 1)) {
+              errors.push(`settings.projects.${projectId}.scope.maxRunAttempts must be a positive integer`);
+            }
+            for (const key of ['includeLabels', 'excludeLabels', 'teams']) {
+              const list = cfg.scope[key];
+              if (list !== undefined && (!Array.isArray(list) || list.some((v) => typeof v !== 'string' || !v.trim()))) {
+                errors.push(`settings.projects.${projectId}.scope.${key} must be an array of non-empty strings`);
+              }
+            }
+            if (cfg.scope.minPriority !== undefined && cfg.scope.minPriority !== null
+              && (!Number.isInteger(cfg.scope.minPriority) || cfg.scope.minPriority < 1 || cfg.scope.minPriority > 4)) {
+              errors.push(`settings.projects.${projectId}.scope.minPriority must be an integer from 1 (Urgent) to 4 (Low)`);
+            }
+            for (const key of ['minEstimate', 'maxEstimate']) {
+              if (cfg.scope[key] !== undefined && (typeof cfg.scope[key] !== 'number' || cfg.scope[key] < 0)) {
+                errors.push(`settings.projects.${projectId}.scope.${key} must be a non-negative number`);
+              }
+            }
+            if (typeof cfg.scope.minEstimate === 'number' && typeof cfg.scope.maxEstimate === 'number'
+              && cfg.scope.minEstimate > cfg.scope.maxEstimate) {
+              errors.push(`settings.projects.${projectId}.scope.minEstimate must not exceed scope.maxEstimate`);
+            }
+            if (cfg.scope.cycle !== undefined && !SCOPE_CYCLE_MODES.includes(cfg.scope.cycle)) {
+              errors.push(`settings.projects.${projectId}.scope.cycle must be one of: ${SCOPE_CYCLE_MODES.join(', ')}`);
+            }
+            if (cfg.scope.subIssueMode !== undefined && !SUB_ISSUE_MODES.includes(cfg.scope.subIssueMode)) {
+              errors.push(`settings.projects.${projectId}.scope.subIssueMode must be one of: ${SUB_ISSUE_MODES.join(', ')}`);
+            }
           }
         }
 
         if (cfg.runtime !== undefined && (typeof cfg.runtime !== 'object' || cfg.runtime === null || Array.isArray(cfg.runtime))) {
           errors.push(`settings.projects.${projectId}.runtime must be an object`);
+        } else if (cfg.runtime) {
+          if (cfg.runtime.weight !== undefined && (typeof cfg.runtime.weight !== 'number' || cfg.runtime.weight <= 0)) {
+            errors.push(`settings.projects.${projectId}.runtime.weight must be a positive number`);
+          }
+          if (cfg.runtime.idleSessionTtlSec !== undefined && (typeof cfg.runtime.idleSessionTtlSec !== 'number' || cfg.runtime.idleSessionTtlSec < 0)) {
+            errors.push(`settings.projects.${projectId}.runtime.idleSessionTtlSec must be a non-negative number`);
+          }
+          if (cfg.runtime.uiRequests !== undefined) {
+            validateUiRequests(cfg.runtime.uiRequests, `settings.projects.${projectId}.runtime.uiRequests`, errors);
+          }
+          if (cfg.runtime.promptTemplate !== undefined) {
+            for (const problem of validatePromptTemplate(cfg.runtime.promptTemplate)) {
+              errors.push(`settings.projects.${projectId}.runtime.promptTemplate ${problem}`);
+            }
+          }
+          if (cfg.runtime.issueContext !== undefined) {
+            validateIssueContext(cfg.runtime.issueContext, `settings.projects.${projectId}.runtime.issueContext`, errors);
+          }
+          if (cfg.runtime.claim !== undefined) {
+            validateClaim(cfg.runtime.claim, `settings.projects.${projectId}.runtime.claim`, errors);
+          }
+          if (cfg.runtime.schedule !== undefined) {
+            validateSchedule(cfg.runtime.schedule, `settings.projects.${projectId}.runtime.schedule`, errors);
+          }
+          if (cfg.runtime.preflight !== undefined) {
+            validatePreflight(cfg.runtime.preflight, `settings.projects.${projectId}.runtime.preflight`, errors);
+          }
+          if (cfg.runtime.progressComments !== undefined) {
+            validateProgressComments(cfg.runtime.progressComments, `settings.projects.${projectId}.runtime.progressComments`, errors);
+          }
+          if (cfg.runtime.limits !== undefined) {
+            validateRunLimits(cfg.runtime.limits, `settings.projects.${projectId}.runtime.limits`, errors);
+          }
+          if (cfg.runtime.verify !== undefined) {
+            validateVerify(cfg.runtime.verify, `settings.projects.${projectId}.runtime.verify`, errors);
+          }
+          if (cfg.runtime.requireApproval !== undefined) {
+            validateRequireApproval(cfg.runtime.requireApproval, `settings.projects.${projectId}.runtime.requireApproval`, errors);
+          }
+          if (cfg.runtime.promptTemplateFile !== undefined && (typeof cfg.runtime.promptTemplateFile !== 'string' || !cfg.runtime.promptTemplateFile.trim())) {
+            errors.push(`settings.projects.${projectId}.runtime.promptTemplateFile must be a non-empty string`);
+          }
         }
       }
     }
@@ -243,6 +517,79 @@ export function validateSettings(settings) {
       if (settings.rpc.model !== undefined && settings.rpc.model !== null && typeof settings.rpc.model !== 'string') {
         errors.push('settings.rpc.model must be a string or null');
       }
+      if (settings.rpc.maxConcurrentSessions !== undefined && settings.rpc.maxConcurrentSessions !== null
+        && (!Number.isInteger(settings.rpc.maxConcurrentSessions) || settings.rpc.maxConcurrentSessions < 1)) {
+        errors.push('settings.rpc.maxConcurrentSessions must be a positive integer or null');
+      }
+      if (settings.rpc.idleSessionTtlSec !== undefined && (typeof settings.rpc.idleSessionTtlSec !== 'number' || settings.rpc.idleSessionTtlSec < 0)) {
+        errors.push('settings.rpc.idleSessionTtlSec must be a non-negative number');
+      }
+      if (settings.rpc.issueContext !== undefined) {
+        validateIssueContext(settings.rpc.issueContext, 'settings.rpc.issueContext', errors);
+      }
+      if (settings.rpc.preflight !== undefined) {
+        validatePreflight(settings.rpc.preflight, 'settings.rpc.preflight', errors);
+      }
+      if (settings.rpc.limits !== undefined) {
+        validateRunLimits(settings.rpc.limits, 'settings.rpc.limits', errors);
+      }
+      if (settings.rpc.progressComments !== undefined) {
+        validateProgressComments(settings.rpc.progressComments, 'settings.rpc.progressComments', errors);
+      }
+      if (settings.rpc.schedule !== undefined) {
+        validateSchedule(settings.rpc.schedule, 'settings.rpc.schedule', errors);
+      }
+      if (settings.rpc.uiRequests !== undefined) {
+        validateUiRequests(settings.rpc.uiRequests, 'settings.rpc.uiRequests', errors);
+      }
+      if (settings.rpc.claim !== undefined) {
+        validateClaim(settings.rpc.claim, 'settings.rpc.claim', errors);
+      }
+    }
+  }
+
+  // Validate webhook config (optional)
+  if (settings.webhook !== undefined) {
+    const webhook = settings.webhook;
+    if (typeof webhook !== 'object' || webhook === null || Array.isArray(webhook)) {
+      errors.push('settings.webhook must be an object');
+    } else {
+      if (webhook.enabled !== undefined && typeof webhook.enabled !== 'boolean') {
+        errors.push('settings.webhook.enabled must be boolean');
+      }
+      if (webhook.host !== undefined && typeof webhook.host !== 'string') {
+        errors.push('settings.webhook.host must be a string');
+      }
+      if (webhook.port !== undefined && (!Number.isInteger(webhook.port) || webhook.port < 0 || webhook.port > 65535)) {
+        errors.push('settings.webhook.port must be an integer between 0 and 65535');
+      }
+      if (webhook.path !== undefined && (typeof webhook.path !== 'string' || !webhook.path.startsWith('/'))) {
+        errors.push('settings.webhook.path must be a string starting with "/"');
+      }
+      if (webhook.secret !== undefined && webhook.secret !== null && typeof webhook.secret !== 'string') {
+        errors.push('settings.webhook.secret must be a string or null');
+      }
+      if (webhook.safetyPollIntervalSec !== undefined && (typeof webhook.safetyPollIntervalSec !== 'number' || webhook.safetyPollIntervalSec <= 0)) {
+        errors.push('settings.webhook.safetyPollIntervalSec must be a positive number');
+      }
+    }
+  }
+
+  // Validate transcripts config (optional)
+  if (settings.transcripts !== undefined) {
+    const transcripts = settings.transcripts;
+    if (typeof transcripts !== 'object' || transcripts === null || Array.isArray(transcripts)) {
+      errors.push('settings.transcripts must be an object');
+    } else {
+      if (transcripts.enabled !== undefined && typeof transcripts.enabled !== 'boolean') {
+        errors.push('settings.transcripts.enabled must be boolean');
+      }
+      if (transcripts.maxFileBytes !== undefined && (!Number.isInteger(transcripts.maxFileBytes) || transcripts.maxFileBytes <= 0)) {
+        errors.push('settings.transcripts.maxFileBytes must be a positive integer');
+      }
+      if (transcripts.maxFiles !== undefined && (!Number.isInteger(transcripts.maxFiles) || transcripts.maxFiles < 1)) {
+        errors.push('settings.transcripts.maxFiles must be a positive integer');
+      }
     }
   }
 
@@ -349,6 +696,18 @@ export async function loadSettings() {
     if (settings.rpc.projectDirOverrides === undefined) settings.rpc.projectDirOverrides = {};
     if (settings.rpc.provider === undefined) settings.rpc.provider = null;
     if (settings.rpc.model === undefined) settings.rpc.model = null;
+    if (settings.rpc.maxConcurrentSessions === undefined) settings.rpc.maxConcurrentSessions = null;
+    if (settings.rpc.idleSessionTtlSec === undefined) settings.rpc.idleSessionTtlSec = getDefaultSettings().rpc.idleSessionTtlSec;
+    if (settings.rpc.schedule === undefined) settings.rpc.schedule = null;
+    if (settings.rpc.preflight === undefined) settings.rpc.preflight = null;
+    if (settings.rpc.progressComments === undefined) settings.rpc.progressComments = null;
+    if (settings.rpc.limits === undefined) settings.rpc.limits = null;
+    settings.rpc.issueContext = { ...getDefaultSettings().rpc.issueContext, ...(settings.rpc.issueContext || {}) };
+    settings.rpc.uiRequests = { ...getDefaultSettings().rpc.uiRequests, ...(settings.rpc.uiRequests || {}) };
+    settings.rpc.claim = { ...getDefaultSettings().rpc.claim, ...(settings.rpc.claim || {}) };
+
+    settings.webhook = { ...getDefaultSettings().webhook, ...(settings.webhook || {}) };
+    settings.transcripts = { ...getDefaultSettings().transcripts, ...(settings.transcripts || {}) };
 
     if (!settings.legacy) settings.legacy = {};
     if (!settings.legacy.sessionManager) settings.legacy.sessionManager = {};
@@ -460,5 +819,34 @@ export function mergeSettingsWithEnv(settings, envConfig) {
     merged.rpc.model = process.env.RPC_MODEL;
   }
 
+  // Optional: cap concurrently running project sessions
+  if (process.env.RPC_MAX_CONCURRENT_SESSIONS) {
+    const parsed = parseInt(process.env.RPC_MAX_CONCURRENT_SESSIONS, 10);
+    if (!Number.isNaN(parsed) && parsed > 0) {
+      merged.rpc = merged.rpc || {};
+      merged.rpc.maxConcurrentSessions = parsed;
+    }
+  }
+
+  // Optional: idle session TTL (0 disables reaping)
+  if (process.env.RPC_IDLE_SESSION_TTL_SEC) {
+    const parsed = parseInt(process.env.RPC_IDLE_SESSION_TTL_SEC, 10);
+    if (!Number.isNaN(parsed) && parsed >= 0) {
+      merged.rpc = merged.rpc || {};
+      merged.rpc.idleSessionTtlSec = parsed;
+    }
+  }
+
+  // Optional: webhook signing secret / port via env vars (keeps the secret out of settings.json)
+  if (process.env.LINEAR_WEBHOOK_SECRET) {
+    merged.webhook = { ...(merged.webhook || {}), secret: process.env.LINEAR_WEBHOOK_SECRET };
+  }
+  if (process.env.WEBHOOK_PORT) {
+    const parsed = parseInt(process.env.WEBHOOK_PORT, 10);
+    if (!Number.isNaN(parsed) && parsed >= 0) {
+      merged.webhook = { ...(merged.webhook || {}), port: parsed };
+    }
+  }
+
   return merged;
 }
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * Global slot scheduler for RPC sessions
+ *
+ * Caps how many project sessions may be live at once (`rpc.maxConcurrentSessions`)
+ * and decides, each poll, which projects with pending work get a slot. Selection
+ * uses smooth weighted round robin over `projects.<id>.runtime.weight`, with its
+ * state kept across polls so that contended slots are shared in weight ratio.
+ */
+
+export const DEFAULT_PROJECT_WEIGHT = 1;
+
+/**
+ * Resolve the scheduling weight of a project
+ * @param {Object|undefined} projectCfg - settings.projects.<id>
+ * @returns {number}
+ */
+export function resolveProjectWeight(projectCfg) {
+  const weight = projectCfg?.runtime?.weight;
+  return typeof weight === 'number' && weight > 0 ? weight : DEFAULT_PROJECT_WEIGHT;
+}
+
+export class SlotScheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number|null} [options.maxSlots] - Max live sessions (null/0 = unlimited)
+   */
+  constructor(options = {}) {
+    this.maxSlots = options.maxSlots > 0 ? options.maxSlots : null;
+
+    /** @type {Map<string, number>} Smooth WRR current weight per project */
+    this.currentWeights = new Map();
+  }
+
+  /**
+   * Pick up to `count` contenders, highest effective weight first
+   * @param {Array<{projectId: string, weight: number}>} contenders
+   * @param {number} count
+   * @returns {Array<Object>}
+   */
+  pick(contenders, count) {
+    if (count <= 0) return [];
+    if (contenders.length <= count) {
+      // No contention: everyone gets a slot and the rotation state is untouched
+      return [...contenders].sort((a, b) => b.weight - a.weight);
+    }
+
+    const remaining = [...contenders];
+    const picked = [];
+
+    while (picked.length < count && remaining.length > 0) {
+      const totalWeight = remaining.reduce((sum, c) => sum + c.weight, 0);
+      let best = null;
+      let bestWeight = -Infinity;
+
+      for (const contender of remaining) {
+        const current = (this.currentWeights.get(contender.projectId) ?? 0) + contender.weight;
+        this.currentWeights.set(contender.projectId, current);
+        if (current > bestWeight) {
+          best = contender;
+          bestWeight = current;
+        }
+      }
+
+      this.currentWeights.set(best.projectId, bestWeight - totalWeight);
+      picked.push(best);
+      remaining.splice(remaining.indexOf(best), 1);
+    }
+
+    return picked;
+  }
+
+  /**
+   * Plan slots for this poll
+   * @param {Array<{projectId: string, sessionName: string, weight: number}>} candidates - Projects with a dispatchable issue
+   * @param {Array<{projectId: string, sessionName: string, busy: boolean, weight: number}>} liveSessions - Running sessions
+   * @returns {{granted: Array<Object>, deferred: Array<Object>, evict: Array<Object>}}
+   */
+  plan(candidates, liveSessions = []) {
+    if (!this.maxSlots) {
+      return { granted: [...candidates], deferred: [], evict: [] };
+    }
+
+    // Busy sessions hold their slot until their run ends; they are never evicted.
+    const busy = liveSessions.filter((s) => s.busy);
+    const busyProjects = new Set(busy.map((s) => s.projectId));
+    const contenders = candidates.filter((c) => !busyProjects.has(c.projectId));
+
+    const granted = this.pick(contenders, this.maxSlots - busy.length);
+    const grantedProjects = new Set(granted.map((c) => c.projectId));
+    const deferred = contenders.filter((c) => !grantedProjects.has(c.projectId));
+
+    // Idle sessions that did not win a slot keep running unless room is needed.
+    const pendingProjects = new Set(deferred.map((c) => c.projectId));
+    const idleOthers = liveSessions
+      .filter((s) => !s.busy && !grantedProjects.has(s.projectId))
+      .sort((a, b) => {
+        // Evict sessions without pending work first, then lowest weight
+        const aPending = pendingProjects.has(a.projectId) ? 1 : 0;
+        const bPending = pendingProjects.has(b.projectId) ? 1 : 0;
+        return aPending - bPending || a.weight - b.weight;
+      });
+
+    const overflow = busy.length + granted.length + idleOthers.length - this.maxSlots;
+    const evict = overflow > 0 ? idleOthers.slice(0, overflow) : [];
+
+    return { granted, deferred, evict };
+  }
+}
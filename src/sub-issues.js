@@ -0,0 +1,139 @@
+/**
+ * Sub-issue decomposition
+ *
+ * With `projects.<id>.scope.subIssueMode: "sequential"`, a parent issue with
+ * sub-issues is a container: instead of the parent, its open children are sent
+ * to the agent one at a time in Linear `sortOrder`. Children whose parent is a
+ * candidate too are only reached through the parent, so they keep that order.
+ * A child with open blockers, outside the project's scope filters or in a
+ * state the project does not work (e.g. In Review) is skipped for the next
+ * open one. Once every child is completed or canceled the parent
+ * is moved to Done.
+ */
+
+import { fetchIssueDetails, updateIssue } from './linear.js';
+import { RESOLVED_STATE_TYPES, unresolvedBlockers } from './issue-dependencies.js';
+import { matchesProjectScope } from './issue-scope.js';
+import { debug, info } from './logger.js';
+
+export const SUB_ISSUE_MODES = ['off', 'sequential'];
+
+/**
+ * Sub-issue mode of a project
+ * @param {Object} [projectCfg] - settings.projects.<id>
+ * @returns {'off'|'sequential'}
+ */
+export function resolveSubIssueMode(projectCfg) {
+  return projectCfg?.scope?.subIssueMode === 'sequential' ? 'sequential' : 'off';
+}
+
+/**
+ * Drop candidates whose parent is a candidate as well
+ * @param {Array<Object>} issues - Candidate issues of one project
+ * @returns {Array<Object>}
+ */
+export function withoutCandidateChildren(issues) {
+  const ids = new Set((issues || []).map((issue) => issue.id));
+  return (issues || []).filter((issue) => !(issue.parent?.id && ids.has(issue.parent.id)));
+}
+
+/**
+ * Open children in Linear sortOrder (children without one last)
+ * @param {Array<Object>} children - From fetchIssueDetails()
+ * @returns {Array<Object>}
+ */
+export function openChildren(children) {
+  const rank = (child) => (typeof child.sortOrder === 'number' ? child.sortOrder : Number.POSITIVE_INFINITY);
+  return (children || [])
+    .filter((child) => !RESOLVED_STATE_TYPES.includes(child.state?.type))
+    .sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * First open child in Linear sortOrder
+ * @param {Array<Object>} children - From fetchIssueDetails()
+ * @returns {Object|null}
+ */
+export function nextOpenChild(children) {
+  return openChildren(children)[0] ?? null;
+}
+
+/**
+ * Candidate issue of a child, with the scope fields and blockers of its details
+ */
+function childCandidate(child, details, parent) {
+  return {
+    ...child,
+    priority: details.priority,
+    estimate: details.estimate,
+    assignee: details.assignee,
+    labels: details.labels,
+    blockedBy: (details.relations || []).filter((r) => r.type === 'blocked_by').map((r) => r.issue),
+    project: parent.project,
+    team: details.team || parent.team,
+    parent: { id: parent.id, identifier: parent.identifier },
+  };
+}
+
+/**
+ * Why a child may not be dispatched now (state, blockers, project scope), if at all
+ * @returns {string|null}
+ */
+function skipReason(issue, { scope, openStates, viewerId }) {
+  if (openStates && !openStates.includes(issue.state?.name)) return `in ${issue.state?.name || 'unknown state'}, not an open state`;
+  const blockers = unresolvedBlockers(issue);
+  if (blockers.length > 0) return `blocked by ${blockers.map((b) => b.identifier || b.id).join(', ')}`;
+  if ((scope?.assignee || 'me') === 'me' && viewerId && issue.assignee?.id !== viewerId) return 'not assigned to the daemon user';
+  if (!matchesProjectScope(issue, scope)) return 'outside the project scope';
+  return null;
+}
+
+/**
+ * Decide what to dispatch for a selected issue in sequential mode
+ * @param {LinearClient} client
+ * @param {Object} issue - Issue picked by the work queue
+ * @param {Object} options
+ * @param {import('./work-queue.js').WorkQueue} options.workQueue
+ * @param {Object} [options.policy] - From resolveQueuePolicy()
+ * @param {Object} [options.scope] - settings.projects.<id>.scope, applied to the children
+ * @param {string[]|null} [options.openStates] - State names the project works; children in others are skipped
+ * @param {string|null} [options.viewerId] - Linear user of this daemon, for `scope.assignee: "me"`
+ * @returns {Promise<{issue: Object|null, container?: Object, completedContainer?: boolean, reason?: string}>}
+ *   `issue` is the issue to dispatch (the selected issue itself when it has no children)
+ */
+export async function resolveSubIssueDispatch(client, issue, { workQueue, policy = {}, scope = {}, openStates = null, viewerId = null }) {
+  const details = await fetchIssueDetails(client, issue.id, { includeComments: false });
+  if (!details.children?.length) {
+    return { issue };
+  }
+
+  const open = openChildren(details.children);
+  if (open.length === 0) {
+    await updateIssue(client, issue.id, { state: 'completed' });
+    info('All sub-issues done; moved parent issue to Done', {
+      issueId: issue.id,
+      identifier: issue.identifier,
+      childCount: details.children.length,
+    });
+    return { issue: null, completedContainer: true, reason: 'all sub-issues done' };
+  }
+
+  const skipped = [];
+  for (const child of open) {
+    const childDetails = await fetchIssueDetails(client, child.id, { includeComments: false });
+    const childIssue = childCandidate(child, childDetails, issue);
+    const reason = skipReason(childIssue, { scope, openStates, viewerId });
+    if (reason) {
+      debug('Skipping sub-issue', { parentId: issue.id, identifier: child.identifier, reason });
+      skipped.push(`${child.identifier} ${reason}`);
+      continue;
+    }
+
+    const check = workQueue.checkEligibility(childIssue, policy);
+    if (!check.eligible) {
+      return { issue: null, container: issue, reason: `waiting on sub-issue ${child.identifier}: ${check.reason}` };
+    }
+    return { issue: childIssue, container: issue };
+  }
+  return { issue: null, container: issue, reason: `no dispatchable sub-issue (${skipped.join('; ')})` };
+}
@@ -0,0 +1,311 @@
+/**
+ * Agent run transcripts
+ *
+ * Appends every RPC event of a tracked agent run to a per-project NDJSON file
+ * next to settings.json (`transcripts/<projectId>.ndjson`). Each line carries
+ * the run id, issue id and a timestamp. Files rotate by size
+ * (`<projectId>.ndjson.1` is the most recent rotated file).
+ */
+
+import { appendFile, mkdir, readdir, readFile, rename, stat, unlink } from 'fs/promises';
+import { dirname, join } from 'path';
+import { getSettingsPath } from './settings.js';
+import { error as logError } from './logger.js';
+
+export const DEFAULT_TRANSCRIPT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_TRANSCRIPT_MAX_FILES = 5;
+
+const TRANSCRIPT_EXT = '.ndjson';
+
+/**
+ * Get the transcript directory
+ * @returns {string}
+ */
+export function getTranscriptDir() {
+  return join(dirname(getSettingsPath()), 'transcripts');
+}
+
+function fileKey(projectId) {
+  return String(projectId || 'unknown').replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+export class TranscriptStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Transcript directory (default: next to settings.json)
+   * @param {number} [options.maxFileBytes] - Rotate the active file beyond this size
+   * @param {number} [options.maxFiles] - Rotated files kept per project
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || getTranscriptDir();
+    this.maxFileBytes = options.maxFileBytes ?? DEFAULT_TRANSCRIPT_MAX_FILE_BYTES;
+    this.maxFiles = options.maxFiles ?? DEFAULT_TRANSCRIPT_MAX_FILES;
+
+    /** @type {Map<string, number>} Active file size per project */
+    this.sizes = new Map();
+    this._writeChain = Promise.resolve();
+  }
+
+  /**
+   * Record the runs of a RunTracker
+   * @param {import('./run-tracker.js').RunTracker} runTracker
+   */
+  attach(runTracker) {
+    runTracker.on('run_start', (run) => this.append(run, { type: 'run_start', prompt: run.prompt }));
+    runTracker.on('run_event', (run, evt) => this.append(run, evt));
+    runTracker.on('run_end', (run) => this.append(run, { type: 'run_end', state: run.state, error: run.error }));
+    runTracker.on('run_discarded', (run) => this.append(run, { type: 'run_discarded' }));
+    return this;
+  }
+
+  pathFor(projectId) {
+    return join(this.dir, `${fileKey(projectId)}${TRANSCRIPT_EXT}`);
+  }
+
+  /**
+   * Append one event of a run. Writes are serialized; failures are logged, never thrown.
+   * @param {Object} run - {runId, issueId, identifier, projectId, sessionName}
+   * @param {Object} event - Raw RPC event or run marker
+   * @returns {Promise<boolean>}
+   */
+  append(run, event) {
+    const line = `${JSON.stringify({
+      at: Date.now(),
+      runId: run.runId,
+      issueId: run.issueId,
+      identifier: run.identifier || null,
+      projectId: run.projectId || null,
+      sessionName: run.sessionName,
+      event,
+    })}\n`;
+
+    const write = async () => {
+      const path = this.pathFor(run.projectId);
+      try {
+        await mkdir(this.dir, { recursive: true });
+        const key = fileKey(run.projectId);
+        let size = this.sizes.get(key);
+        if (size === undefined) {
+          size = await stat(path).then((s) => s.size, () => 0);
+        }
+
+        const bytes = Buffer.byteLength(line);
+        if (size > 0 && size + bytes > this.maxFileBytes) {
+          await this._rotate(path);
+          size = 0;
+        }
+
+        await appendFile(path, line, 'utf-8');
+        this.sizes.set(key, size + bytes);
+        return true;
+      } catch (err) {
+        logError('Failed to write run transcript', { path, runId: run.runId, error: err?.message || String(err) });
+        return false;
+      }
+    };
+
+    this._writeChain = this._writeChain.then(write, write);
+    return this._writeChain;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  flush() {
+    return this._writeChain;
+  }
+
+  async _rotate(path) {
+    await unlink(`${path}.${this.maxFiles}`).catch(() => {});
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await rename(`${path}.${i}`, `${path}.${i + 1}`).catch(() => {});
+    }
+    await rename(path, `${path}.1`);
+  }
+
+  /**
+   * Transcript files of a project, oldest first
+   */
+  async _projectFiles(key) {
+    const names = await readdir(this.dir).catch(() => []);
+    const base = `${key}${TRANSCRIPT_EXT}`;
+    const rotated = names
+      .filter((n) => n.startsWith(`${base}.`) && /^\d+$/.test(n.slice(base.length + 1)))
+      .sort((a, b) => Number(b.slice(base.length + 1)) - Number(a.slice(base.length + 1)));
+    return [...rotated, ...(names.includes(base) ? [base] : [])].map((n) => join(this.dir, n));
+  }
+
+  /**
+   * Read transcript entries, oldest first
+   * @param {string} [projectId] - Limit to one project
+   * @returns {Promise<Array<Object>>}
+   */
+  async readEntries(projectId) {
+    let keys;
+    if (projectId) {
+      keys = [fileKey(projectId)];
+    } else {
+      const names = await readdir(this.dir).catch(() => []);
+      keys = [...new Set(names.filter((n) => n.endsWith(TRANSCRIPT_EXT)).map((n) => n.slice(0, -TRANSCRIPT_EXT.length)))];
+    }
+
+    const entries = [];
+    for (const key of keys) {
+      for (const file of await this._projectFiles(key)) {
+        const content = await readFile(file, 'utf-8').catch(() => '');
+        for (const line of content.split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            entries.push(JSON.parse(line));
+          } catch {
+            // Torn line from a crash mid-append
+          }
+        }
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Summarize recorded runs, newest first
+   * @param {Object} [options]
+   * @param {string} [options.projectId]
+   * @param {number} [options.limit]
+   * @returns {Promise<Array<Object>>}
+   */
+  async listRuns(options = {}) {
+    const runs = new Map();
+    for (const entry of await this.readEntries(options.projectId)) {
+      let run = runs.get(entry.runId);
+      if (!run) {
+        run = {
+          runId: entry.runId,
+          issueId: entry.issueId,
+          identifier: entry.identifier,
+          projectId: entry.projectId,
+          sessionName: entry.sessionName,
+          startedAt: entry.at,
+          endedAt: null,
+          state: 'running',
+          error: null,
+          eventCount: 0,
+        };
+        runs.set(entry.runId, run);
+      }
+
+      run.eventCount += 1;
+      if (entry.event?.type === 'run_end') {
+        run.endedAt = entry.at;
+        run.state = entry.event.state;
+        run.error = entry.event.error || null;
+      } else if (entry.event?.type === 'run_discarded') {
+        run.endedAt = entry.at;
+        run.state = 'discarded';
+      }
+    }
+
+    // Entries are read oldest first; reverse so ties keep the later run first
+    const list = Array.from(runs.values()).reverse().sort((a, b) => b.startedAt - a.startedAt);
+    return options.limit ? list.slice(0, options.limit) : list;
+  }
+
+  /**
+   * Load one run by id (a unique id prefix is accepted)
+   * @param {string} runId
+   * @returns {Promise<{run: Object, events: Array<Object>}|null>}
+   */
+  async readRun(runId) {
+    const runs = await this.listRuns();
+    const matches = runs.filter((r) => r.runId === runId || r.runId.startsWith(runId));
+    if (matches.length === 0) return null;
+    if (matches.length > 1 && !matches.some((r) => r.runId === runId)) {
+      throw new Error(`Run id prefix is ambiguous: ${runId} (${matches.map((r) => r.runId).join(', ')})`);
+    }
+
+    const run = matches.find((r) => r.runId === runId) || matches[0];
+    const events = (await this.readEntries(run.projectId)).filter((e) => e.runId === run.runId);
+    return { run, events };
+  }
+}
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((c) => c?.type === 'text')
+    .map((c) => c.text)
+    .join('\n');
+}
+
+/**
+ * Human-readable duration, e.g. "1h 5m", "12m 30s", "45s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export function formatDuration(ms) {
+  const totalSec = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(totalSec / 3600);
+  const m = Math.floor((totalSec % 3600) / 60);
+  const s = totalSec % 60;
+  if (h > 0) return `${h}h ${m}m`;
+  if (m > 0) return `${m}m ${s}s`;
+  return `${s}s`;
+}
+
+function fence(text, maxChars = 4000) {
+  const body = text.length > maxChars ? `${text.slice(0, maxChars)}\n… (${text.length - maxChars} more chars)` : text;
+  return `\`\`\`\n${body}\n\`\`\``;
+}
+
+/**
+ * Render a run transcript as readable markdown
+ * @param {{run: Object, events: Array<Object>}} transcript - From TranscriptStore.readRun()
+ * @returns {string}
+ */
+export function formatRunAsMarkdown({ run, events }) {
+  const lines = [];
+  const issue = run.identifier ? `${run.identifier} (${run.issueId})` : run.issueId;
+  lines.push(`# Run ${run.runId}`);
+  lines.push('');
+  lines.push(`- **Issue:** ${issue}`);
+  lines.push(`- **Project:** ${run.projectId || 'unknown'}`);
+  lines.push(`- **Session:** ${run.sessionName}`);
+  lines.push(`- **State:** ${run.state}${run.error ? ` (${run.error})` : ''}`);
+  lines.push(`- **Started:** ${new Date(run.startedAt).toISOString()}`);
+  if (run.endedAt) {
+    lines.push(`- **Duration:** ${formatDuration(run.endedAt - run.startedAt)}`);
+  }
+
+  for (const { at, event } of events) {
+    const time = new Date(at).toISOString().slice(11, 19);
+
+    if (event?.type === 'run_start' && event.prompt) {
+      lines.push('', `## ${time} Prompt`, '', event.prompt);
+    } else if (event?.type === 'message_end' && event.message?.role === 'assistant') {
+      const message = event.message;
+      const text = textOf(message.content);
+      if (text) lines.push('', `## ${time} Assistant`, '', text);
+      for (const block of Array.isArray(message.content) ? message.content : []) {
+        if (block?.type === 'toolCall') {
+          lines.push('', `### Tool call: ${block.name}`, '', fence(JSON.stringify(block.arguments ?? {}, null, 2)));
+        }
+      }
+      if (message.errorMessage) lines.push('', `> Error: ${message.errorMessage}`);
+    } else if (event?.type === 'message_end' && event.message?.role === 'toolResult') {
+      const label = event.message.isError ? 'Tool error' : 'Tool result';
+      lines.push('', `### ${label}: ${event.message.toolName || ''}`.trimEnd(), '', fence(textOf(event.message.content)));
+    } else if (event?.type === 'extension_ui_request') {
+      lines.push('', `> ${time} UI request (${event.method}): ${event.title || ''}`.trimEnd());
+    } else if (event?.type === 'ui_request_asked') {
+      lines.push('', `> ${time} UI request (${event.method}) asked on Linear, waiting for a reply`);
+    } else if (event?.type === 'ui_request_resolved') {
+      lines.push('', `> ${time} UI request (${event.method}) answered by ${event.policy} policy via ${event.via}: ${JSON.stringify(event.response)}`);
+    } else if (event?.type === 'run_end') {
+      lines.push('', `## ${time} Run ${event.state}${event.error ? `: ${event.error}` : ''}`);
+    } else if (event?.type === 'run_discarded') {
+      lines.push('', `## ${time} Prompt rejected`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,270 @@
+/**
+ * Extension UI request policy
+ *
+ * A headless pi agent may ask for user input via `extension_ui_request`
+ * (confirm/select/input/editor). Nobody is watching the RPC session, so each
+ * request is resolved by policy (`rpc.uiRequests`, per project
+ * `projects.<id>.runtime.uiRequests`):
+ * - `auto`: answer with the configured default for the method
+ * - `comment`: ask on the active Linear issue and answer with the first reply
+ *   to that comment; without a reply within `replyTimeoutSec` the run is aborted
+ * - `abort`: cancel the request and abort the run
+ *
+ * Every resolution is recorded in the run transcript as `ui_request_resolved`.
+ */
+
+import { addIssueComment, fetchIssueDetails } from './linear.js';
+import { info, warn, error as logError } from './logger.js';
+
+/** Methods that block the agent until answered; the rest are fire-and-forget */
+export const DIALOG_UI_METHODS = ['confirm', 'select', 'input', 'editor'];
+
+export const UI_REQUEST_POLICIES = ['auto', 'comment', 'abort'];
+
+export const DEFAULT_UI_REQUEST_SETTINGS = {
+  policy: 'auto',
+  defaults: { confirm: false },
+  replyTimeoutSec: 3600,
+};
+
+/**
+ * Effective UI request settings for a project (project runtime over rpc defaults)
+ * @param {Object} config
+ * @param {string} projectId
+ * @returns {{policy: string|Object, defaults: Object, replyTimeoutSec: number}}
+ */
+export function resolveUiRequestSettings(config, projectId) {
+  const global = config.rpc?.uiRequests || {};
+  const project = config.projects?.[projectId]?.runtime?.uiRequests || {};
+  return {
+    policy: project.policy ?? global.policy ?? DEFAULT_UI_REQUEST_SETTINGS.policy,
+    defaults: { ...DEFAULT_UI_REQUEST_SETTINGS.defaults, ...(global.defaults || {}), ...(project.defaults || {}) },
+    replyTimeoutSec: project.replyTimeoutSec ?? global.replyTimeoutSec ?? DEFAULT_UI_REQUEST_SETTINGS.replyTimeoutSec,
+  };
+}
+
+/**
+ * Policy for one method; `policy` may be a string or a per-method map
+ * @param {string|Object} policy
+ * @param {string} method
+ * @returns {string}
+ */
+export function policyForMethod(policy, method) {
+  if (typeof policy === 'string') return policy;
+  return policy?.[method] ?? policy?.default ?? DEFAULT_UI_REQUEST_SETTINGS.policy;
+}
+
+/**
+ * Build the auto-response for a request from configured defaults.
+ * Without a usable default the request is cancelled.
+ * @param {Object} request - extension_ui_request
+ * @param {Object} defaults - {confirm, select, input, editor}
+ * @returns {Object} Response payload ({confirmed} | {value} | {cancelled})
+ */
+export function buildDefaultResponse(request, defaults = {}) {
+  switch (request.method) {
+    case 'confirm':
+      return { confirmed: Boolean(defaults.confirm) };
+    case 'select': {
+      const options = Array.isArray(request.options) ? request.options : [];
+      const wanted = defaults.select;
+      if (typeof wanted === 'number' && options[wanted] !== undefined) return { value: options[wanted] };
+      if (typeof wanted === 'string' && options.includes(wanted)) return { value: wanted };
+      return { cancelled: true };
+    }
+    case 'input':
+    case 'editor': {
+      const value = defaults[request.method] ?? (request.method === 'editor' ? defaults.input : undefined);
+      return typeof value === 'string' ? { value } : { cancelled: true };
+    }
+    default:
+      return { cancelled: true };
+  }
+}
+
+/**
+ * Turn a Linear reply into a response for the request
+ * @param {Object} request
+ * @param {string} body - Reply comment body
+ * @returns {Object|null} Response payload, or null when the reply does not answer the request
+ */
+export function parseReply(request, body) {
+  const text = String(body || '').trim();
+  if (!text) return null;
+
+  switch (request.method) {
+    case 'confirm': {
+      const word = text.split(/\s+/)[0].toLowerCase().replace(/[^a-z]/g, '');
+      if (['yes', 'y', 'ok', 'approve', 'approved', 'confirm', 'true'].includes(word)) return { confirmed: true };
+      if (['no', 'n', 'deny', 'denied', 'reject', 'cancel', 'false'].includes(word)) return { confirmed: false };
+      return null;
+    }
+    case 'select': {
+      const options = Array.isArray(request.options) ? request.options : [];
+      const firstLine = text.split('\n')[0].trim();
+      const index = /^\d+$/.test(firstLine) ? parseInt(firstLine, 10) - 1 : -1;
+      if (options[index] !== undefined) return { value: options[index] };
+      const match = options.find((o) => o.toLowerCase() === firstLine.toLowerCase());
+      return match !== undefined ? { value: match } : null;
+    }
+    default:
+      return { value: text };
+  }
+}
+
+function formatQuestionComment(request) {
+  const lines = [`**The agent working on this issue needs input** (${request.method})`, ''];
+  if (request.title) lines.push(`> ${request.title}`);
+  if (request.message) lines.push(`> ${request.message}`);
+  if (request.method === 'select' && Array.isArray(request.options)) {
+    lines.push('');
+    request.options.forEach((option, i) => lines.push(`${i + 1}. ${option}`));
+    lines.push('', 'Reply to this comment with the option number or text.');
+  } else if (request.method === 'confirm') {
+    lines.push('', 'Reply to this comment with **yes** or **no**.');
+  } else {
+    lines.push('', 'Reply to this comment with your answer.');
+  }
+  return lines.join('\n');
+}
+
+export class UiRequestBroker {
+  /**
+   * @param {Object} options
+   * @param {import('./rpc-session-manager.js').RpcSessionManager} [options.rpcManager] - Set later via `rpcManager` when constructed after the broker
+   * @param {import('./run-tracker.js').RunTracker} [options.runTracker]
+   * @param {Object} [options.linearClient]
+   * @param {Object} options.config
+   */
+  constructor(options) {
+    this.rpcManager = options.rpcManager || null;
+    this.runTracker = options.runTracker || null;
+    this.linearClient = options.linearClient || null;
+    this.config = options.config;
+
+    /** @type {Map<string, Object>} Requests waiting for a Linear reply, by request id */
+    this.pending = new Map();
+  }
+
+  /**
+   * Handle one extension_ui_request of a session
+   * @param {string} sessionName
+   * @param {Object} request
+   * @returns {Promise<string|null>} Applied policy, or null for non-dialog methods
+   */
+  async handleRequest(sessionName, request) {
+    if (!DIALOG_UI_METHODS.includes(request?.method)) return null;
+
+    const run = this.runTracker?.getRun(sessionName) || null;
+    const projectId = run?.projectId || sessionName.slice((this.config.tmuxPrefix || '').length);
+    const settings = resolveUiRequestSettings(this.config, projectId);
+    let policy = policyForMethod(settings.policy, request.method);
+
+    if (policy === 'comment' && !(run?.issueId && this.linearClient)) {
+      warn('UI request cannot be asked on Linear without an active issue; aborting', { sessionName, method: request.method });
+      policy = 'abort';
+    }
+
+    if (policy === 'auto') {
+      await this._resolve(sessionName, request, buildDefaultResponse(request, settings.defaults), { policy, via: 'default' });
+      return policy;
+    }
+
+    if (policy === 'comment') {
+      try {
+        const posted = await addIssueComment(this.linearClient, run.issueId, formatQuestionComment(request));
+        const comment = await posted.comment;
+        this.pending.set(request.id, {
+          sessionName,
+          request,
+          issueId: run.issueId,
+          runId: run.runId,
+          commentId: comment?.id,
+          postedAt: Date.now(),
+          deadline: Date.now() + settings.replyTimeoutSec * 1000,
+        });
+        info('UI request posted to Linear, waiting for reply', {
+          sessionName,
+          issueId: run.issueId,
+          method: request.method,
+          replyTimeoutSec: settings.replyTimeoutSec,
+        });
+        this.runTracker?.recordEvent(sessionName, {
+          type: 'ui_request_asked',
+          requestId: request.id,
+          method: request.method,
+          commentId: comment?.id || null,
+        });
+        return policy;
+      } catch (err) {
+        logError('Failed to post UI request to Linear; aborting', { sessionName, error: err?.message || String(err) });
+        policy = 'abort';
+      }
+    }
+
+    await this._resolve(sessionName, request, { cancelled: true }, { policy: 'abort', via: 'policy' });
+    await this.rpcManager?.abortRun(sessionName, `ui request (${request.method}) not answerable`);
+    return 'abort';
+  }
+
+  /**
+   * Answer pending requests that got a Linear reply; abort those past their deadline.
+   * @param {number} [now]
+   * @returns {Promise<{answered: number, timedOut: number}>}
+   */
+  async checkPending(now = Date.now()) {
+    let answered = 0;
+    let timedOut = 0;
+
+    for (const [requestId, entry] of Array.from(this.pending.entries())) {
+      const client = this.rpcManager?.getClient(entry.sessionName);
+      const run = this.runTracker?.getRun(entry.sessionName);
+      if (!client || !client.isAlive() || (this.runTracker && !(run?.runId === entry.runId && this.runTracker.isActive(entry.sessionName)))) {
+        // The session or run is gone; nothing is waiting for the answer anymore
+        this.pending.delete(requestId);
+        continue;
+      }
+
+      let response = null;
+      try {
+        const issue = await fetchIssueDetails(this.linearClient, entry.issueId, { includeComments: true });
+        const replies = (issue.comments || [])
+          .filter((c) => c.parent?.id === entry.commentId)
+          .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+        for (const reply of replies) {
+          response = parseReply(entry.request, reply.body);
+          if (response) break;
+        }
+      } catch (err) {
+        warn('Failed to check Linear for UI request reply', { issueId: entry.issueId, error: err?.message || String(err) });
+      }
+
+      if (response) {
+        this.pending.delete(requestId);
+        await this._resolve(entry.sessionName, entry.request, response, { policy: 'comment', via: 'linear reply' });
+        answered += 1;
+      } else if (now >= entry.deadline) {
+        this.pending.delete(requestId);
+        await this._resolve(entry.sessionName, entry.request, { cancelled: true }, { policy: 'comment', via: 'timeout' });
+        await this.rpcManager?.abortRun(entry.sessionName, `no reply to ui request (${entry.request.method}) in time`);
+        timedOut += 1;
+      }
+    }
+
+    return { answered, timedOut };
+  }
+
+  async _resolve(sessionName, request, response, { policy, via }) {
+    this.rpcManager?.respondUi(sessionName, request.id, response);
+    info('UI request resolved', { sessionName, method: request.method, title: request.title, policy, via, response });
+    this.runTracker?.recordEvent(sessionName, {
+      type: 'ui_request_resolved',
+      requestId: request.id,
+      method: request.method,
+      title: request.title || null,
+      policy,
+      via,
+      response,
+    });
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Linear webhook receiver
+ *
+ * Optional local HTTP listener that accepts Linear webhook deliveries,
+ * verifies the `linear-signature` HMAC, and hands relevant events
+ * (Issue create/update, Comment create) to the poller so it can run a
+ * targeted poll for the affected project.
+ */
+
+import { createServer } from 'http';
+import { createHmac, timingSafeEqual } from 'crypto';
+import { debug, info, warn, error as logError } from './logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const DEFAULT_MAX_AGE_MS = 60_000;
+
+/**
+ * Verify a Linear webhook signature (hex HMAC-SHA256 of the raw body)
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string|undefined} signature - Value of the `linear-signature` header
+ * @param {string} secret - Webhook signing secret
+ * @returns {boolean}
+ */
+export function verifyWebhookSignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+
+  const expected = createHmac('sha256', secret).update(rawBody).digest();
+  let provided;
+  try {
+    provided = Buffer.from(String(signature), 'hex');
+  } catch {
+    return false;
+  }
+
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+/**
+ * Extract the poll target from a webhook payload
+ * @param {Object} payload - Parsed webhook body
+ * @returns {{relevant: boolean, type?: string, action?: string, projectId?: string|null, issueId?: string|null, reason?: string}}
+ */
+export function extractWebhookTarget(payload) {
+  const type = payload?.type;
+  const action = payload?.action;
+  const data = payload?.data || {};
+
+  if (type === 'Issue' && (action === 'create' || action === 'update')) {
+    return {
+      relevant: true,
+      type,
+      action,
+      projectId: data.projectId || data.project?.id || null,
+      issueId: data.id || null,
+    };
+  }
+
+  if (type === 'Comment' && action === 'create') {
+    return {
+      relevant: true,
+      type,
+      action,
+      projectId: data.issue?.projectId || data.issue?.project?.id || null,
+      issueId: data.issueId || data.issue?.id || null,
+    };
+  }
+
+  return { relevant: false, type, action, reason: 'unsupported event' };
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        // Stop reading, but leave the socket open so the 413 reaches the sender
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Payload too large'), { statusCode: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function reply(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Start the webhook HTTP listener
+ * @param {Object} options
+ * @param {string} options.secret - Webhook signing secret (required)
+ * @param {Function} options.onEvent - Called with the extracted target of each relevant event
+ * @param {number} [options.port=8787] - Port (0 = random free port)
+ * @param {string} [options.host='127.0.0.1']
+ * @param {string} [options.path='/linear/webhook']
+ * @param {number} [options.maxAgeMs=60000] - Reject deliveries whose webhookTimestamp is older than this
+ *   (deliveries without a numeric webhookTimestamp are always rejected)
+ * @returns {Promise<{server: import('http').Server, port: number, close: Function}>}
+ */
+export async function startWebhookServer(options) {
+  const {
+    secret,
+    onEvent,
+    port = 8787,
+    host = '127.0.0.1',
+    path = '/linear/webhook',
+    maxAgeMs = DEFAULT_MAX_AGE_MS,
+  } = options;
+
+  if (!secret) {
+    throw new Error('Webhook signing secret is required');
+  }
+
+  const server = createServer(async (req, res) => {
+    const url = new URL(req.url || '/', 'http://localhost');
+    if (url.pathname !== path) {
+      reply(res, 404, { error: 'not found' });
+      return;
+    }
+    if (req.method !== 'POST') {
+      reply(res, 405, { error: 'method not allowed' });
+      return;
+    }
+
+    let rawBody;
+    try {
+      rawBody = await readBody(req);
+    } catch (err) {
+      if (err?.statusCode === 413) {
+        // The rest of the body is never read: drop the connection once the reply is out
+        res.setHeader('Connection', 'close');
+        res.once('finish', () => req.destroy());
+      }
+      reply(res, err?.statusCode || 400, { error: err?.message || 'invalid body' });
+      return;
+    }
+
+    if (!verifyWebhookSignature(rawBody, req.headers['linear-signature'], secret)) {
+      warn('Rejected webhook delivery with invalid signature', { remoteAddress: req.socket?.remoteAddress });
+      reply(res, 401, { error: 'invalid signature' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      reply(res, 400, { error: 'invalid json' });
+      return;
+    }
+
+    // Without a timestamp a signed delivery could be replayed forever
+    if (!Number.isFinite(payload?.webhookTimestamp)) {
+      warn('Rejected webhook delivery without timestamp', { remoteAddress: req.socket?.remoteAddress });
+      reply(res, 401, { error: 'missing webhookTimestamp' });
+      return;
+    }
+    if (Math.abs(Date.now() - payload.webhookTimestamp) > maxAgeMs) {
+      warn('Rejected stale webhook delivery', { webhookTimestamp: payload.webhookTimestamp, maxAgeMs });
+      reply(res, 401, { error: 'stale delivery' });
+      return;
+    }
+
+    const target = extractWebhookTarget(payload);
+    if (!target.relevant) {
+      debug('Ignoring webhook event', { type: target.type, action: target.action });
+      reply(res, 200, { ok: true, ignored: true });
+      return;
+    }
+
+    // Acknowledge first: Linear expects a fast response, polling happens afterwards.
+    reply(res, 200, { ok: true });
+
+    try {
+      await onEvent(target);
+    } catch (err) {
+      logError('Webhook event handler failed', {
+        type: target.type,
+        action: target.action,
+        error: err?.message || String(err),
+      });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  const boundPort = server.address()?.port ?? port;
+  info('Webhook receiver listening', { host, port: boundPort, path });
+
+  return {
+    server,
+    port: boundPort,
+    close: () => new Promise((resolve) => server.close(() => resolve())),
+  };
+}
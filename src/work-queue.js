@@ -0,0 +1,258 @@
+/**
+ * Per-project work queue
+ *
+ * Orders candidate issues for a project and decides which one (if any) should
+ * be dispatched to the project's RPC session next. Issues that were already
+ * sent to the agent are held back until their workflow state changes or the
+ * retry window has passed. Issues whose agent run ended without finishing them
+ * are retried right away, until `maxRunAttempts` unfinished runs escalate them.
+ * Issues with open blockers are held; issues blocking others are tried first.
+ */
+
+import { orderByDependencies, unresolvedBlockers } from './issue-dependencies.js';
+
+/**
+ * Ordering keys accepted in `settings.projects.<id>.scope.ordering`
+ * - inProgress: issues in a "started" workflow state first
+ * - priority:   Urgent (1) -> Low (4), "No priority" (0) last
+ * - dueDate:    earliest due date first, issues without due date last
+ * - sortOrder:  Linear manual sort order (ascending)
+ */
+export const ISSUE_ORDERING_KEYS = ['inProgress', 'priority', 'dueDate', 'sortOrder'];
+
+export const DEFAULT_ISSUE_ORDERING = ['inProgress', 'priority', 'dueDate', 'sortOrder'];
+
+export const DEFAULT_RETRY_AFTER_SEC = 3600;
+
+export const DEFAULT_MAX_RUN_ATTEMPTS = 2;
+
+function priorityRank(priority) {
+  // Linear: 0 = no priority, 1 = urgent ... 4 = low
+  if (typeof priority !== 'number' || priority <= 0) return Number.POSITIVE_INFINITY;
+  return priority;
+}
+
+function dueDateRank(dueDate) {
+  if (!dueDate) return Number.POSITIVE_INFINITY;
+  const ts = Date.parse(dueDate);
+  return Number.isNaN(ts) ? Number.POSITIVE_INFINITY : ts;
+}
+
+function sortOrderRank(sortOrder) {
+  return typeof sortOrder === 'number' ? sortOrder : Number.POSITIVE_INFINITY;
+}
+
+const COMPARATORS = {
+  inProgress: (a, b) => {
+    const aStarted = a?.state?.type === 'started' ? 0 : 1;
+    const bStarted = b?.state?.type === 'started' ? 0 : 1;
+    return aStarted - bStarted;
+  },
+  priority: (a, b) => priorityRank(a?.priority) - priorityRank(b?.priority),
+  dueDate: (a, b) => dueDateRank(a?.dueDate) - dueDateRank(b?.dueDate),
+  sortOrder: (a, b) => sortOrderRank(a?.sortOrder) - sortOrderRank(b?.sortOrder),
+};
+
+/**
+ * Compare two issues using an ordering policy
+ * @param {Object} a - Issue
+ * @param {Object} b - Issue
+ * @param {Array<string>} [ordering] - Ordering keys, most significant first
+ * @returns {number}
+ */
+export function compareIssues(a, b, ordering = DEFAULT_ISSUE_ORDERING) {
+  for (const key of ordering) {
+    const cmp = COMPARATORS[key]?.(a, b) ?? 0;
+    // Infinity - Infinity is NaN: treat as equal
+    if (cmp && !Number.isNaN(cmp)) return cmp;
+  }
+  return 0;
+}
+
+/**
+ * Return a new array of issues sorted by the ordering policy (stable)
+ * @param {Array<Object>} issues
+ * @param {Array<string>} [ordering]
+ * @returns {Array<Object>}
+ */
+export function orderIssues(issues, ordering = DEFAULT_ISSUE_ORDERING) {
+  return (issues || [])
+    .map((issue, index) => ({ issue, index }))
+    .sort((a, b) => compareIssues(a.issue, b.issue, ordering) || a.index - b.index)
+    .map(({ issue }) => issue);
+}
+
+/**
+ * Resolve the queue policy for a project config
+ * @param {Object|undefined} projectCfg - settings.projects.<id>
+ * @returns {{ordering: Array<string>, retryAfterSec: number}}
+ */
+export function resolveQueuePolicy(projectCfg) {
+  const scope = projectCfg?.scope || {};
+  return {
+    ordering: Array.isArray(scope.ordering) && scope.ordering.length > 0 ? scope.ordering : DEFAULT_ISSUE_ORDERING,
+    retryAfterSec: typeof scope.retryAfterSec === 'number' ? scope.retryAfterSec : DEFAULT_RETRY_AFTER_SEC,
+    maxRunAttempts: Number.isInteger(scope.maxRunAttempts) && scope.maxRunAttempts > 0 ? scope.maxRunAttempts : DEFAULT_MAX_RUN_ATTEMPTS,
+  };
+}
+
+export class WorkQueue {
+  /**
+   * @param {Object} [options]
+   * @param {import('./dispatch-ledger.js').DispatchLedger} [options.ledger] - Persistent dispatch store;
+   *   without one, dispatches are only tracked in memory.
+   */
+  constructor(options = {}) {
+    this.ledger = options.ledger || null;
+
+    /** @type {Map<string, {issueId: string, identifier: string|null, projectId: string|null, sessionName: string|null, stateName: string|null, dispatchedAt: number}>} */
+    this.dispatched = new Map();
+
+    /** @type {Map<string, {reason: string, stateName: string|null, until: number}>} */
+    this.holds = new Map();
+  }
+
+  /**
+   * Keep an issue from being selected (in memory) until its workflow state
+   * changes or `until` has passed, e.g. while another daemon holds its claim
+   * @param {Object} issue
+   * @param {string} reason
+   * @param {number} until - Epoch ms
+   */
+  holdIssue(issue, reason, until) {
+    this.holds.set(issue.id, { reason, stateName: issue.state?.name || null, until });
+  }
+
+  getDispatch(issueId) {
+    if (this.ledger) return this.ledger.getDispatch(issueId);
+    return this.dispatched.get(issueId) || null;
+  }
+
+  /**
+   * Check whether an issue may be sent to the agent
+   * @param {Object} issue
+   * @param {Object} [options]
+   * @param {number} [options.retryAfterSec]
+   * @param {number} [options.now]
+   * @returns {{eligible: boolean, reason?: string}}
+   */
+  checkEligibility(issue, options = {}) {
+    const { retryAfterSec = DEFAULT_RETRY_AFTER_SEC, now = Date.now() } = options;
+    const hold = this.holds.get(issue?.id);
+    if (hold) {
+      if (now < hold.until && hold.stateName === (issue?.state?.name || null)) {
+        return { eligible: false, reason: hold.reason };
+      }
+      this.holds.delete(issue.id);
+    }
+
+    const record = this.getDispatch(issue?.id);
+    if (!record) return { eligible: true };
+
+    if ((record.stateName || null) !== (issue?.state?.name || null)) {
+      return { eligible: true, reason: 'state changed' };
+    }
+
+    if (record.status === 'escalated') {
+      return { eligible: false, reason: `escalated after ${record.unfinishedRuns} unfinished runs` };
+    }
+
+    if (record.status === 'incomplete' || record.status === 'failed') {
+      return { eligible: true, reason: 'previous run did not finish the issue' };
+    }
+
+    if (now - record.dispatchedAt >= retryAfterSec * 1000) {
+      return { eligible: true, reason: 'retry window passed' };
+    }
+
+    return { eligible: false, reason: 'already dispatched' };
+  }
+
+  /**
+   * Pick the next issue to dispatch for a project
+   * @param {Array<Object>} issues - Candidate issues for one project
+   * @param {Object} [policy] - From resolveQueuePolicy()
+   * @returns {{issue: Object|null, ordered: Array<Object>, held: Array<{issueId: string, reason: string}>}}
+   */
+  selectNext(issues, policy = {}) {
+    const { ordering = DEFAULT_ISSUE_ORDERING, retryAfterSec = DEFAULT_RETRY_AFTER_SEC, now = Date.now() } = policy;
+    const ordered = orderByDependencies(orderIssues(issues, ordering));
+    const held = [];
+
+    for (const issue of ordered) {
+      const blockers = unresolvedBlockers(issue);
+      if (blockers.length > 0) {
+        held.push({ issueId: issue.id, reason: `blocked by ${blockers.map((b) => b.identifier || b.id).join(', ')}` });
+        continue;
+      }
+
+      const check = this.checkEligibility(issue, { retryAfterSec, now });
+      if (check.eligible) {
+        return { issue, ordered, held };
+      }
+      held.push({ issueId: issue.id, reason: check.reason });
+    }
+
+    return { issue: null, ordered, held };
+  }
+
+  /**
+   * Record that an issue prompt was sent to a session
+   * @param {Object} issue
+   * @param {Object} [meta]
+   * @param {string} [meta.projectId]
+   * @param {string} [meta.sessionName]
+   * @param {number} [meta.now]
+   */
+  markDispatched(issue, meta = {}) {
+    const previous = this.getDispatch(issue.id);
+    const stateName = issue.state?.name || null;
+    const record = {
+      issueId: issue.id,
+      identifier: issue.identifier || null,
+      projectId: meta.projectId ?? issue.project?.id ?? null,
+      sessionName: meta.sessionName || null,
+      stateName,
+      dispatchedAt: meta.now ?? Date.now(),
+      // Unfinished runs only count while the issue stays in the same state
+      unfinishedRuns: previous && previous.stateName === stateName ? previous.unfinishedRuns || 0 : 0,
+    };
+    if (this.ledger) return this.ledger.recordDispatch(record);
+    this.dispatched.set(issue.id, { ...record, status: 'prompted' });
+    return this.dispatched.get(issue.id);
+  }
+
+  /**
+   * Record how the agent run for a dispatched issue ended
+   * @param {string} issueId
+   * @param {Object} outcome
+   * @param {boolean} outcome.done - The issue reached a completed/canceled state
+   * @param {boolean} [outcome.failed] - The run itself failed (error, abort, process exit)
+   * @param {string} [outcome.reason]
+   * @param {number} [outcome.maxRunAttempts]
+   * @param {string} [outcome.stateName] - State the daemon itself moved the issue to;
+   *   the next dispatch from there keeps counting unfinished runs
+   * @returns {Object|null} Updated dispatch record
+   */
+  recordRunOutcome(issueId, outcome) {
+    const record = this.getDispatch(issueId);
+    if (!record) return null;
+    if (outcome.stateName) record.stateName = outcome.stateName;
+
+    let status = 'completed';
+    if (!outcome.done) {
+      record.unfinishedRuns = (record.unfinishedRuns || 0) + 1;
+      const maxRunAttempts = outcome.maxRunAttempts ?? DEFAULT_MAX_RUN_ATTEMPTS;
+      if (record.unfinishedRuns >= maxRunAttempts) {
+        status = 'escalated';
+      } else {
+        status = outcome.failed ? 'failed' : 'incomplete';
+      }
+    }
+
+    if (this.ledger) return this.ledger.updateStatus(issueId, status, { reason: outcome.reason });
+    record.status = status;
+    record.reason = outcome.reason || null;
+    return record;
+  }
+}
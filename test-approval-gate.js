@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import {
+  checkApproval,
+  findApproval,
+  formatApprovalRequest,
+  pruneApprovalRequests,
+  resolveApprovalSettings,
+} from './src/approval-gate.js';
+import { DispatchLedger, getLedgerPath } from './src/dispatch-ledger.js';
+import { fetchIssueDetails } from './src/linear.js';
+import { daemonStatus } from './src/daemon-control.js';
+import { getSettingsPath, validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const VIEWER = 'daemon-user';
+
+/**
+ * SDK-style mock of one issue with labels and comments
+ */
+function createMockClient() {
+  const labels = [
+    { id: 'label-ready', name: 'agent-ready' },
+    { id: 'label-approved', name: 'agent-approved' },
+  ];
+  const issue = { id: 'i1', identifier: 'ENG-1', labelIds: [], comments: [] };
+  let fetches = 0;
+
+  const client = {
+    issue: async (id) => {
+      fetches += 1;
+      return {
+        id,
+        identifier: issue.identifier,
+        title: 'Issue 1',
+        labels: async () => ({ nodes: labels.filter((l) => issue.labelIds.includes(l.id)) }),
+        comments: async () => ({ nodes: issue.comments.map((c) => ({ ...c, user: Promise.resolve(null) })) }),
+        update: async (input) => {
+          if (input.addedLabelIds) issue.labelIds.push(...input.addedLabelIds);
+          return { success: true };
+        },
+      };
+    },
+    issueLabels: async ({ filter }) => ({
+      nodes: labels.filter((l) => l.name.toLowerCase() === filter.name.eqIgnoreCase.toLowerCase()),
+    }),
+    createComment: async ({ body }) => {
+      const comment = { id: `c${issue.comments.length + 1}`, body, userId: VIEWER, createdAt: new Date(NOW).toISOString(), parent: null };
+      issue.comments.push(comment);
+      return { success: true, comment };
+    },
+  };
+  return { client, issue, fetchCount: () => fetches };
+}
+
+function testSettings() {
+  assert.equal(resolveApprovalSettings({ projects: { p1: {} } }, 'p1'), null);
+  assert.deepEqual(resolveApprovalSettings({ projects: { p1: { runtime: { requireApproval: true } } } }, 'p1'), {
+    request: 'comment',
+    requestLabel: 'agent-ready',
+    approveLabel: 'agent-approved',
+    recheckSec: 60,
+  });
+  assert.equal(resolveApprovalSettings({ projects: { p1: { runtime: { requireApproval: { request: 'label' } } } } }, 'p1').request, 'label');
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    projects: {
+      p1: { repo: { path: '/repo' }, runtime: { requireApproval: { request: 'slack', approveLabel: '', recheckSec: -1 } } },
+      p2: { repo: { path: '/repo' }, runtime: { requireApproval: 'yes' } },
+    },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.runtime.requireApproval.request must be one of: comment, label',
+    'settings.projects.p1.runtime.requireApproval.approveLabel must be a non-empty string',
+    'settings.projects.p1.runtime.requireApproval.recheckSec must be a positive number',
+    'settings.projects.p2.runtime.requireApproval must be a boolean or an object',
+  ]);
+}
+
+function testFindApproval() {
+  const settings = resolveApprovalSettings({ projects: { p1: { runtime: { requireApproval: true } } } }, 'p1');
+  const options = { viewerId: VIEWER };
+  const at = (ms) => new Date(NOW + ms).toISOString();
+  const request = { id: 'req', body: formatApprovalRequest(settings), userId: VIEWER, createdAt: at(0), reactionData: [] };
+  const approve = (fields) => ({ id: 'c2', body: '/approve', userId: 'u1', createdAt: at(1000), ...fields });
+  const reactions = (...userIds) => [{ emoji: '+1', reactions: userIds.map((userId) => ({ userId })) }];
+
+  assert.equal(findApproval({ labels: [], comments: [request] }, settings, options), null);
+  assert.equal(findApproval({ labels: [{ name: 'Agent-Approved' }], comments: [] }, settings, options), 'label');
+  assert.equal(findApproval({ comments: [request, approve({ body: '/APPROVE go ahead' })] }, settings, options), 'command');
+  assert.equal(findApproval({ comments: [request, approve({ body: 'please /approve later' })] }, settings, options), null);
+  assert.equal(findApproval({ comments: [{ ...request, reactionData: reactions('u1') }] }, settings, options), 'reaction');
+  assert.equal(findApproval({ comments: [request, approve({ body: 'nice', reactionData: reactions('u1') })] }, settings, options), null, 'only reactions to the request count');
+
+  // A human okay only: not the daemon itself, not an integration, not before the request
+  assert.equal(findApproval({ comments: [request, approve({ userId: VIEWER })] }, settings, options), null, 'self approval');
+  assert.equal(findApproval({ comments: [request, approve({ userId: null })] }, settings, options), null, 'bot approval');
+  assert.equal(findApproval({ comments: [{ ...request, reactionData: reactions(VIEWER) }] }, settings, options), null, 'own reaction');
+  assert.equal(findApproval({ comments: [approve({ createdAt: at(-1000) }), request] }, settings, options), null, 'written before the request');
+  assert.equal(findApproval({ comments: [request, approve({ createdAt: at(-1000), parent: { id: 'req' } })] }, settings, options), 'command', 'reply to the request');
+  assert.equal(findApproval({ comments: [approve({ createdAt: at(-1000) })] }, settings, options), null, 'nothing asked yet');
+  assert.equal(findApproval({ comments: [approve({})] }, settings, { ...options, requestedAt: NOW }), 'command', 'after a label request');
+}
+
+async function testCommentRequestFlow(dir) {
+  const settings = resolveApprovalSettings({ projects: { p1: { runtime: { requireApproval: true } } } }, 'p1');
+  const ledger = new DispatchLedger({ path: join(dir, 'ledger.json') });
+  const { client, issue, fetchCount } = createMockClient();
+  const target = { id: 'i1', identifier: 'ENG-1' };
+
+  const first = await checkApproval(client, target, { settings, projectId: 'p1', ledger, now: NOW });
+  assert.deepEqual(first, { approved: false, reason: 'awaiting approval' });
+  assert.equal(issue.comments.length, 1);
+  assert.match(issue.comments[0].body, /^pi-linear-service approval: ready to start/);
+  assert.equal(ledger.getApprovalRequest('i1').requestedAt, NOW);
+
+  // Within recheckSec Linear is not asked again
+  const fetches = fetchCount();
+  await checkApproval(client, target, { settings, projectId: 'p1', ledger, now: NOW + 10_000 });
+  assert.equal(fetchCount(), fetches);
+
+  // Later re-check does not post a second request
+  await checkApproval(client, target, { settings, projectId: 'p1', ledger, now: NOW + 61_000 });
+  assert.ok(fetchCount() > fetches);
+  assert.equal(issue.comments.length, 1);
+
+  // Survives a restart
+  const reloaded = await new DispatchLedger({ path: ledger.path }).load();
+  assert.equal(reloaded.listApprovalRequests('p1')[0].identifier, 'ENG-1');
+
+  // The daemon cannot approve its own request
+  issue.comments.push({ id: 'c2', body: '/approve', userId: VIEWER, createdAt: new Date(NOW + 1000).toISOString() });
+  const self = await checkApproval(client, target, { settings, projectId: 'p1', viewerId: VIEWER, ledger: reloaded, now: NOW + 200_000 });
+  assert.equal(self.approved, false);
+
+  issue.comments.push({ id: 'c3', body: '/approve', userId: 'u1', createdAt: new Date(NOW + 2000).toISOString() });
+  const approved = await checkApproval(client, target, { settings, projectId: 'p1', viewerId: VIEWER, ledger: reloaded, now: NOW + 300_000 });
+  assert.deepEqual(approved, { approved: true, reason: 'approved by command' });
+  assert.deepEqual(reloaded.listApprovalRequests(), []);
+}
+
+async function testLabelRequestFlow(dir) {
+  const settings = resolveApprovalSettings({ projects: { p1: { runtime: { requireApproval: { request: 'label' } } } } }, 'p1');
+  const ledger = new DispatchLedger({ path: join(dir, 'label-ledger.json') });
+  const { client, issue } = createMockClient();
+
+  const pending = await checkApproval(client, { id: 'i1', identifier: 'ENG-1' }, { settings, projectId: 'p1', ledger, now: NOW });
+  assert.equal(pending.approved, false);
+  assert.deepEqual(issue.labelIds, ['label-ready']);
+  assert.equal(issue.comments.length, 0);
+
+  issue.labelIds.push('label-approved');
+  const approved = await checkApproval(client, { id: 'i1', identifier: 'ENG-1' }, { settings, projectId: 'p1', ledger, now: NOW + 120_000 });
+  assert.equal(approved.reason, 'approved by label');
+}
+
+function testPrune(dir) {
+  const ledger = new DispatchLedger({ path: join(dir, 'prune.json') });
+  ledger.recordApprovalRequest({ issueId: 'gone', projectId: 'p1', requestedAt: 1 });
+  ledger.recordApprovalRequest({ issueId: 'kept', projectId: 'p1', requestedAt: 2 });
+  ledger.recordApprovalRequest({ issueId: 'child', parentId: 'kept', projectId: 'p1', requestedAt: 3 });
+  ledger.recordApprovalRequest({ issueId: 'other', projectId: 'p2', requestedAt: 4 });
+
+  assert.equal(pruneApprovalRequests(ledger, 'p1', [{ id: 'kept' }]), 1);
+  assert.deepEqual(ledger.listApprovalRequests().map((r) => r.issueId), ['kept', 'child', 'other']);
+}
+
+async function testDaemonStatusListsPending(dir) {
+  const originalHome = process.env.HOME;
+  const originalLog = console.log;
+  process.env.HOME = dir;
+  const output = [];
+  try {
+    await mkdir(dirname(getSettingsPath()), { recursive: true });
+    await writeFile(getSettingsPath(), JSON.stringify({
+      mode: 'rpc',
+      projects: { p1: { repo: { path: dir }, runtime: { requireApproval: true } }, p2: { repo: { path: dir } } },
+    }));
+    const ledger = new DispatchLedger({ path: getLedgerPath() });
+    ledger.recordApprovalRequest({ issueId: 'i1', identifier: 'ENG-1', projectId: 'p1', requestedAt: NOW });
+    await ledger.save();
+
+    console.log = (line) => output.push(JSON.parse(line));
+    await daemonStatus(['--no-systemctl']);
+    await daemonStatus(['--id', 'p1', '--no-systemctl']);
+  } finally {
+    console.log = originalLog;
+    process.env.HOME = originalHome;
+  }
+
+  assert.deepEqual(output[0].projects.map((p) => [p.projectId, p.pendingApprovals]), [['p1', 1], ['p2', 0]]);
+  assert.deepEqual(output[1].pendingApprovals, [{ issueId: 'i1', identifier: 'ENG-1', requestedAt: '2026-03-01T12:00:00.000Z' }]);
+}
+
+/**
+ * Raw-query client paging comments like Linear: the first 50 unless `first`/`last` is given
+ */
+function createLongThreadClient(comments) {
+  return {
+    client: {
+      rawRequest: async (query) => {
+        const last = query.match(/comments\(last: (\d+)\)/);
+        const first = query.match(/comments\(first: (\d+)\)/);
+        const nodes = last ? comments.slice(-Number(last[1])) : comments.slice(0, first ? Number(first[1]) : 50);
+        return { data: { issue: { id: 'i1', identifier: 'ENG-1', title: 'Issue 1', comments: { nodes } } } };
+      },
+    },
+  };
+}
+
+async function testApprovalAfterLongThread() {
+  const settings = resolveApprovalSettings({ projects: { p1: { runtime: { requireApproval: true } } } }, 'p1');
+  const at = (i) => new Date(NOW + i * 1000).toISOString();
+  const comments = Array.from({ length: 150 }, (_, i) => ({ id: `c${i}`, body: `note ${i}`, user: { id: 'u1' }, createdAt: at(i) }));
+  comments[90] = { id: 'req', body: formatApprovalRequest(settings), user: { id: VIEWER }, createdAt: at(90) };
+  comments[149] = { id: 'ok', body: '/approve', user: { id: 'u1' }, createdAt: at(149) };
+
+  const details = await fetchIssueDetails(createLongThreadClient(comments), 'i1', { includeComments: true });
+  assert.equal(details.comments.length, 100);
+  assert.equal(details.comments.at(-1).id, 'ok', 'newest comments are fetched');
+  assert.equal(findApproval(details, settings, { viewerId: VIEWER }), 'command');
+}
+
+async function main() {
+  setQuietMode(true);
+  const dir = await mkdtemp(join(tmpdir(), 'pi-linear-approval-'));
+  testSettings();
+  testFindApproval();
+  await testApprovalAfterLongThread();
+  await testCommentRequestFlow(dir);
+  await testLabelRequestFlow(dir);
+  testPrune(dir);
+  await testDaemonStatusListsPending(dir);
+  console.log('✓ test-approval-gate.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, readdir, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { DispatchLedger } from './src/dispatch-ledger.js';
+import { WorkQueue } from './src/work-queue.js';
+import { RpcSessionManager } from './src/rpc-session-manager.js';
+
+const issue = {
+  id: 'issue-1',
+  identifier: 'T-1',
+  title: 'Issue 1',
+  state: { name: 'Todo', type: 'unstarted' },
+  priority: 1,
+  project: { id: 'p1', name: 'P1' },
+};
+
+async function testSurvivesRestart(dir) {
+  const path = join(dir, 'ledger.json');
+
+  const ledger = new DispatchLedger({ path });
+  await ledger.load();
+  const queue = new WorkQueue({ ledger });
+  queue.markDispatched(issue, { sessionName: 'pi_project_p1' });
+  await ledger.save();
+
+  // Simulated daemon restart: fresh instances read the same file
+  const reloaded = await new DispatchLedger({ path }).load();
+  assert.equal(reloaded.recoverInterrupted(), 1);
+  const record = reloaded.getDispatch('issue-1');
+  assert.equal(record.status, 'aborted');
+  assert.equal(record.reason, 'daemon restarted');
+  assert.equal(record.sessionName, 'pi_project_p1');
+
+  const queueAfterRestart = new WorkQueue({ ledger: reloaded });
+  const selection = queueAfterRestart.selectNext([issue], { retryAfterSec: 3600 });
+  assert.equal(selection.issue, null, 'issue must not be re-prompted after restart');
+}
+
+async function testStatusUpdates(dir) {
+  const ledger = await new DispatchLedger({ path: join(dir, 'status.json') }).load();
+  ledger.recordDispatch({ issueId: 'a', sessionName: 's1', dispatchedAt: 1 });
+  ledger.recordDispatch({ issueId: 'b', sessionName: 's1', dispatchedAt: 2 });
+  assert.equal(ledger.getActiveDispatch('s1').issueId, 'b');
+
+  ledger.settleSession('s1', 'timed_out', { reason: 'pi RPC timeout' });
+  assert.equal(ledger.getDispatch('a').status, 'timed_out');
+  assert.equal(ledger.getActiveDispatch('s1'), null);
+  assert.throws(() => ledger.updateStatus('a', 'bogus'), /Invalid dispatch status/);
+}
+
+async function testRestartCooldownPersisted(dir) {
+  const path = join(dir, 'cooldown.json');
+  const ledger = await new DispatchLedger({ path }).load();
+  const mgr = new RpcSessionManager({ ledger, restartCooldownSec: 300 });
+  mgr.recordRestartAttempt('pi_project_p1');
+  await ledger.save();
+
+  const reloaded = await new DispatchLedger({ path }).load();
+  const mgrAfterRestart = new RpcSessionManager({ ledger: reloaded, restartCooldownSec: 300 });
+  assert.equal(mgrAfterRestart.isWithinCooldown('pi_project_p1'), true);
+}
+
+async function testCorruptFileAndConcurrentSaves(dir) {
+  const path = join(dir, 'corrupt.json');
+  await writeFile(path, '{"dispatches": {');
+
+  const ledger = await new DispatchLedger({ path }).load();
+  assert.deepEqual(ledger.listDispatches(), []);
+  const files = await readdir(dir);
+  assert.ok(files.some((f) => f.startsWith('corrupt.json.corrupt-')), 'corrupt file should be moved aside');
+
+  const writes = [];
+  for (let i = 0; i < 10; i += 1) {
+    ledger.recordDispatch({ issueId: `i${i}`, sessionName: 's', dispatchedAt: i });
+    writes.push(ledger.save());
+  }
+  const results = await Promise.all(writes);
+  assert.ok(results.every(Boolean));
+
+  const parsed = JSON.parse(await readFile(path, 'utf-8'));
+  assert.equal(Object.keys(parsed.dispatches).length, 10);
+  assert.ok(!(await readdir(dir)).some((f) => f.endsWith('.tmp')), 'no temp files left behind');
+}
+
+async function main() {
+  const dir = await mkdtemp(join(tmpdir(), 'pi-linear-ledger-'));
+  await testSurvivesRestart(dir);
+  await testStatusUpdates(dir);
+  await testRestartCooldownPersisted(dir);
+  await testCorruptFileAndConcurrentSaves(dir);
+  console.log('✓ test-dispatch-ledger.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -234,8 +234,8 @@ async function testInteractiveSetupFlow() {
           prompts.push(label);
           return promptValues.shift();
         },
-        async select() {
-          return 'all';
+        async select(title) {
+          return title === 'Cycle scope' ? 'current' : 'all';
         },
         async confirm() {
           return false;
@@ -250,6 +250,7 @@ async function testInteractiveSetupFlow() {
     assert.ok(settings.projects['proj-interactive']);
     assert.equal(settings.projects['proj-interactive'].repo.path, repoPath);
     assert.equal(settings.projects['proj-interactive'].scope.assignee, 'all');
+    assert.equal(settings.projects['proj-interactive'].scope.cycle, 'current');
     assert.equal(prompts.length >= 3, true);
   });
 }
@@ -279,8 +280,8 @@ async function testInteractiveReconfigureLoadsDefaultsAndUpdates() {
           if (label.includes('Open states')) return 'Backlog,In Progress';
           return '';
         },
-        async select() {
-          return 'me';
+        async select(title) {
+          return title === 'Cycle scope' ? 'any' : 'me';
         },
         notify() {},
       },
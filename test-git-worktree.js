@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, realpath, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  ensureIssueWorktree,
+  issueBranchName,
+  listWorktrees,
+  removeIssueWorktree,
+  resolveWorktreeSettings,
+  runGit,
+  sweepIssueWorktrees,
+  worktreePathFor,
+} from './src/git-worktree.js';
+import { RpcSessionManager } from './src/rpc-session-manager.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+// Answers every RPC command and reports the process cwd
+const FAKE_PI = `
+process.stdin.setEncoding('utf8');
+let buffer = '';
+process.stdin.on('data', (chunk) => {
+  buffer += chunk;
+  let idx;
+  while ((idx = buffer.indexOf('\\n')) !== -1) {
+    const cmd = JSON.parse(buffer.slice(0, idx));
+    buffer = buffer.slice(idx + 1);
+    const data = { cwd: process.cwd(), isStreaming: false, pendingMessageCount: 0 };
+    process.stdout.write(JSON.stringify({ type: 'response', id: cmd.id, success: true, data }) + '\\n');
+  }
+});
+`;
+
+async function git(args, cwd) {
+  const result = await runGit(args, { cwd });
+  assert.equal(result.exitCode, 0, `git ${args.join(' ')}: ${result.stderr}`);
+  return result.stdout;
+}
+
+async function createRepo(dir) {
+  const repoPath = join(dir, 'app');
+  await git(['init', '-q', '-b', 'main', repoPath], dir);
+  await git(['config', 'user.email', 'dev@example.com'], repoPath);
+  await git(['config', 'user.name', 'Dev'], repoPath);
+  await writeFile(join(repoPath, 'README.md'), '# app\n');
+  await git(['add', '.'], repoPath);
+  await git(['commit', '-q', '-m', 'init'], repoPath);
+  return repoPath;
+}
+
+function testSettings() {
+  assert.equal(resolveWorktreeSettings({ projects: { p1: { repo: { path: '/src/app' } } } }, 'p1'), null);
+  assert.deepEqual(resolveWorktreeSettings({ projects: { p1: { repo: { path: '/src/app', worktrees: true } } } }, 'p1'), {
+    repoPath: '/src/app',
+    dir: '/src/app-worktrees',
+    baseRef: 'HEAD',
+  });
+  assert.equal(
+    resolveWorktreeSettings({ projects: { p1: { repo: { path: '/src/app', worktrees: { dir: '/wt', baseRef: 'origin/main' } } } } }, 'p1').dir,
+    '/wt',
+  );
+  assert.deepEqual(
+    resolveWorktreeSettings({ rpc: { workspaceRoot: '/src' }, projects: { p1: { repo: { path: 'app', worktrees: true } } } }, 'p1'),
+    { repoPath: '/src/app', dir: '/src/app-worktrees', baseRef: 'HEAD' },
+    'relative repo paths resolve against rpc.workspaceRoot like the session cwd',
+  );
+  assert.equal(worktreePathFor({ dir: '/wt' }, { identifier: 'ENG-12' }), '/wt/ENG-12');
+  assert.equal(issueBranchName({ identifier: 'ENG-12', branchName: 'dev/eng-12-fix-login' }), 'dev/eng-12-fix-login');
+  assert.equal(issueBranchName({ identifier: 'ENG-12' }), 'agent/eng-12');
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    projects: {
+      p1: { repo: { path: '/src/app', worktrees: { dir: 'relative', baseRef: '' } } },
+      p2: { repo: { path: '/src/app', worktrees: 'yes' } },
+    },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.repo.worktrees.dir must be an absolute path',
+    'settings.projects.p1.repo.worktrees.baseRef must be a non-empty string',
+    'settings.projects.p2.repo.worktrees must be a boolean or an object',
+  ]);
+}
+
+async function testWorktreeLifecycle(dir) {
+  const repoPath = await createRepo(dir);
+  const settings = resolveWorktreeSettings({ projects: { p1: { repo: { path: repoPath, worktrees: true } } } }, 'p1');
+
+  const first = await ensureIssueWorktree(settings, { identifier: 'ENG-1', branchName: 'dev/eng-1-login' });
+  assert.deepEqual(first, { path: join(dir, 'app-worktrees', 'ENG-1'), branch: 'dev/eng-1-login', created: true });
+  assert.ok(existsSync(join(first.path, 'README.md')));
+  assert.equal(await git(['rev-parse', '--abbrev-ref', 'HEAD'], first.path), 'dev/eng-1-login');
+
+  // Reused while it exists
+  const again = await ensureIssueWorktree(settings, { identifier: 'ENG-1', branchName: 'dev/eng-1-login' });
+  assert.equal(again.created, false);
+
+  // Existing branch is checked out instead of created
+  await git(['branch', 'agent/eng-2'], repoPath);
+  const second = await ensureIssueWorktree(settings, { identifier: 'ENG-2' });
+  assert.equal(second.branch, 'agent/eng-2');
+
+  assert.equal(await removeIssueWorktree(settings, { identifier: 'ENG-1' }), true);
+  assert.equal(existsSync(first.path), false);
+  assert.equal(await removeIssueWorktree(settings, { identifier: 'ENG-1' }), false);
+  assert.equal(await git(['branch', '--list', 'dev/eng-1-login'], repoPath), 'dev/eng-1-login', 'branch is kept');
+
+  // Uncommitted agent work is never thrown away
+  const dirty = await ensureIssueWorktree(settings, { identifier: 'ENG-4' });
+  await writeFile(join(dirty.path, 'wip.txt'), 'unsaved\n');
+  assert.equal(await removeIssueWorktree(settings, { identifier: 'ENG-4' }), false);
+  assert.ok(existsSync(join(dirty.path, 'wip.txt')), 'dirty worktree is kept');
+  assert.deepEqual(await sweepIssueWorktrees(settings, async (identifier) => identifier === 'ENG-4'), []);
+  assert.ok(existsSync(join(dirty.path, 'wip.txt')), 'the sweep keeps it too');
+  await git(['add', 'wip.txt'], dirty.path);
+  await git(['commit', '-q', '-m', 'wip'], dirty.path);
+  assert.equal(await removeIssueWorktree(settings, { identifier: 'ENG-4' }), true, 'removed once committed');
+
+  // Sweep removes worktrees of resolved issues only
+  await ensureIssueWorktree(settings, { identifier: 'ENG-3' });
+  const looked = [];
+  const removed = await sweepIssueWorktrees(settings, async (identifier) => {
+    looked.push(identifier);
+    return identifier === 'ENG-3';
+  });
+  assert.deepEqual(looked.sort(), ['ENG-2', 'ENG-3'], 'the main checkout is never looked up');
+  assert.deepEqual(removed, ['ENG-3']);
+  assert.deepEqual((await listWorktrees(repoPath)).map((w) => w.path), [repoPath, second.path]);
+}
+
+async function testRunGitTimeout(dir) {
+  // The alias shell's `sleep` inherits git's pipes: 'close' waits for it unless the group is killed
+  const startedAt = Date.now();
+  const result = await runGit(['-c', 'alias.hang=!sleep 8', 'hang'], { cwd: dir, timeoutMs: 500 });
+  assert.equal(result.exitCode, null);
+  assert.equal(result.stderr, 'timed out after 500ms');
+  assert.ok(Date.now() - startedAt < 3000, `returned after ${Date.now() - startedAt}ms`);
+}
+
+async function testSessionMovesToWorktree(dir) {
+  const script = join(dir, 'fake-pi.mjs');
+  await writeFile(script, FAKE_PI);
+  const mgr = new RpcSessionManager({ piCommand: process.execPath, piArgs: [script], timeoutMs: 5000 });
+  const a = await mkdtemp(join(dir, 'wt-a-'));
+  const b = await mkdtemp(join(dir, 'wt-b-'));
+
+  try {
+    assert.equal((await mgr.ensureSession('pi_project_p1', { projectId: 'p1', cwd: a })).created, true);
+    const firstClient = mgr.getClient('pi_project_p1');
+    assert.equal((await mgr.getState('pi_project_p1')).state.cwd, await realpath(a));
+
+    assert.equal((await mgr.ensureSession('pi_project_p1', { projectId: 'p1', cwd: a })).existed, true);
+    assert.equal((await mgr.ensureSession('pi_project_p1', { projectId: 'p1' })).existed, true, 'no cwd: keep the session');
+
+    const moved = await mgr.ensureSession('pi_project_p1', { projectId: 'p1', cwd: b });
+    assert.equal(moved.created, true);
+    assert.notEqual(mgr.getClient('pi_project_p1'), firstClient);
+    assert.equal((await mgr.getState('pi_project_p1')).state.cwd, await realpath(b));
+    assert.equal(mgr.isWithinCooldown('pi_project_p1'), false, 'moving is not a failure');
+  } finally {
+    await mgr.shutdown('test done');
+  }
+}
+
+async function main() {
+  setQuietMode(true);
+  const dir = await realpath(await mkdtemp(join(tmpdir(), 'pi-linear-worktree-')));
+  testSettings();
+  await testWorktreeLifecycle(dir);
+  await testRunGitTimeout(dir);
+  await testSessionMovesToWorktree(dir);
+  console.log('✓ test-git-worktree.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
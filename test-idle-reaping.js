@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { RpcSessionManager } from './src/rpc-session-manager.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Register a fake running session whose last pi output was `ageMs` ago
+ */
+function addSession(mgr, sessionName, { ageMs, idle = true, lastPromptAgoMs = null }) {
+  const client = {
+    killed: false,
+    isAlive: () => !client.killed,
+    lastMessageAgeMs: () => ageMs,
+    getState: async () => ({ success: true, data: { isStreaming: !idle, pendingMessageCount: 0 } }),
+    abort: async () => ({ success: true }),
+    kill: () => { client.killed = true; },
+  };
+  mgr.sessions.set(sessionName, {
+    client,
+    startedAt: Date.now() - 2 * HOUR_MS,
+    lastPromptAt: lastPromptAgoMs === null ? null : Date.now() - lastPromptAgoMs,
+    needsInput: false,
+  });
+  return client;
+}
+
+async function testReapsIdleSessionsWithoutWork() {
+  const mgr = new RpcSessionManager();
+  const stale = addSession(mgr, 'pi_project_stale', { ageMs: 2 * HOUR_MS });
+  addSession(mgr, 'pi_project_fresh', { ageMs: 60_000 });
+  addSession(mgr, 'pi_project_busy', { ageMs: 2 * HOUR_MS, idle: false });
+  addSession(mgr, 'pi_project_work', { ageMs: 2 * HOUR_MS });
+  addSession(mgr, 'pi_project_prompted', { ageMs: 2 * HOUR_MS, lastPromptAgoMs: 5 * 60_000 });
+
+  const reaped = await mgr.reapIdleSessions({
+    ttlMsFor: () => HOUR_MS,
+    hasOpenWork: (name) => name === 'pi_project_work',
+  });
+
+  assert.deepEqual(reaped.map((r) => r.sessionName), ['pi_project_stale']);
+  assert.ok(reaped[0].idleMs >= 2 * HOUR_MS);
+  assert.equal(stale.killed, true);
+  assert.deepEqual(
+    mgr.listSessions().sort(),
+    ['pi_project_busy', 'pi_project_fresh', 'pi_project_prompted', 'pi_project_work']
+  );
+  assert.equal(mgr.isWithinCooldown('pi_project_stale'), false, 'reaping is not a failure');
+}
+
+async function testTtlDisabledPerSession() {
+  const mgr = new RpcSessionManager();
+  addSession(mgr, 'pi_project_keep', { ageMs: 48 * HOUR_MS });
+  addSession(mgr, 'pi_project_short', { ageMs: 10 * 60_000 });
+
+  const ttls = { pi_project_keep: null, pi_project_short: 5 * 60_000 };
+  const reaped = await mgr.reapIdleSessions({
+    ttlMsFor: (name) => ttls[name],
+    hasOpenWork: () => false,
+  });
+
+  assert.deepEqual(reaped.map((r) => r.sessionName), ['pi_project_short']);
+  assert.deepEqual(mgr.listSessions(), ['pi_project_keep']);
+}
+
+function testSettingsValidation() {
+  const ok = validateSettings({
+    rpc: { idleSessionTtlSec: 0 },
+    projects: { p1: { repo: { path: '/tmp' }, runtime: { idleSessionTtlSec: 600 } } },
+  });
+  assert.equal(ok.valid, true, ok.errors.join('; '));
+
+  const bad = validateSettings({
+    rpc: { idleSessionTtlSec: -1 },
+    projects: { p1: { repo: { path: '/tmp' }, runtime: { idleSessionTtlSec: 'soon' } } },
+  });
+  assert.ok(bad.errors.includes('settings.rpc.idleSessionTtlSec must be a non-negative number'));
+  assert.ok(bad.errors.includes('settings.projects.p1.runtime.idleSessionTtlSec must be a non-negative number'));
+}
+
+async function main() {
+  setQuietMode(true);
+  await testReapsIdleSessionsWithoutWork();
+  await testTtlDisabledPerSession();
+  testSettingsValidation();
+  console.log('✓ test-idle-reaping.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import {
+  claimIssue,
+  findClaims,
+  formatClaimComment,
+  parseClaimComment,
+  resolveClaimSettings,
+} from './src/issue-claim.js';
+import { createLinearClient, setTestClientFactory, resetTestClientFactory } from './src/linear-client.js';
+import { WorkQueue } from './src/work-queue.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+
+/**
+ * In-memory Linear workspace shared by several mocked SDK clients
+ */
+function createWorkspace() {
+  const users = {
+    alice: { id: 'user-alice', name: 'alice', displayName: 'Alice' },
+    bob: { id: 'user-bob', name: 'bob', displayName: 'Bob' },
+  };
+  const labels = [{ id: 'label-claimed', name: 'agent-claimed' }];
+  const issues = new Map();
+  let clock = NOW;
+
+  function addIssue(id, fields = {}) {
+    issues.set(id, { id, identifier: `ENG-${id}`, title: `Issue ${id}`, assigneeId: null, labelIds: [], comments: [], ...fields });
+  }
+
+  function sdkIssue(id) {
+    const data = issues.get(id);
+    if (!data) return null;
+    const assignee = Object.values(users).find((u) => u.id === data.assigneeId) || null;
+    return {
+      id: data.id,
+      identifier: data.identifier,
+      title: data.title,
+      state: Promise.resolve({ id: 'st-todo', name: 'Todo', type: 'unstarted' }),
+      team: Promise.resolve({ id: 'team-1', key: 'ENG', name: 'Engineering' }),
+      project: Promise.resolve(null),
+      assignee: Promise.resolve(assignee),
+      creator: Promise.resolve(null),
+      parent: Promise.resolve(null),
+      labels: async () => ({ nodes: labels.filter((l) => data.labelIds.includes(l.id)) }),
+      children: async () => ({ nodes: [] }),
+      relations: async () => ({ nodes: [] }),
+      inverseRelations: async () => ({ nodes: [] }),
+      attachments: async () => ({ nodes: [] }),
+      comments: async () => ({ nodes: data.comments.map((c) => ({ ...c, user: Promise.resolve(null) })) }),
+      update: async (input) => {
+        if (input.assigneeId !== undefined) data.assigneeId = input.assigneeId;
+        if (input.addedLabelIds) data.labelIds.push(...input.addedLabelIds);
+        return { success: true, issue: sdkIssue(id) };
+      },
+    };
+  }
+
+  function clientFor(user) {
+    return {
+      viewer: Promise.resolve(user),
+      issue: async (id) => sdkIssue(id),
+      issueLabels: async ({ filter }) => ({
+        nodes: labels.filter((l) => l.name.toLowerCase() === filter.name.eqIgnoreCase.toLowerCase()),
+      }),
+      createComment: async ({ issueId, body }) => {
+        clock += 1000;
+        const comment = { id: `c-${clock}`, body, createdAt: new Date(clock).toISOString(), parent: null };
+        issues.get(issueId).comments.push(comment);
+        return { success: true, comment };
+      },
+      deleteComment: async (commentId) => {
+        for (const data of issues.values()) {
+          data.comments = data.comments.filter((c) => c.id !== commentId);
+        }
+        return { success: true };
+      },
+    };
+  }
+
+  return { users, issues, addIssue, clientFor, setClock: (t) => { clock = t; } };
+}
+
+/**
+ * Create the daemon's client the way the service does, through the test factory
+ */
+function daemonClient(workspace, user) {
+  setTestClientFactory(() => workspace.clientFor(user));
+  try {
+    return createLinearClient('test-key');
+  } finally {
+    resetTestClientFactory();
+  }
+}
+
+const ASSIGN = { mode: 'assign', label: 'agent-claimed', staleAfterSec: 3600 };
+const LABEL = { mode: 'label', label: 'agent-claimed', staleAfterSec: 3600 };
+
+function testSettingsAndComments() {
+  assert.equal(resolveClaimSettings({ projects: { p1: { scope: { assignee: 'all' } } } }, 'p1').mode, 'assign');
+  assert.equal(resolveClaimSettings({ projects: { p1: { scope: { assignee: 'me' } } } }, 'p1').mode, 'off');
+  assert.deepEqual(
+    resolveClaimSettings({ rpc: { claim: { mode: 'label', staleAfterSec: 60 } }, projects: { p1: { runtime: { claim: { label: 'mine' } } } } }, 'p1'),
+    { mode: 'label', label: 'mine', staleAfterSec: 60 },
+  );
+
+  const body = formatClaimComment('box-1', NOW);
+  assert.match(body, /^pi-linear-service claim: host=box-1 at=2026-03-01T12:00:00.000Z/);
+  assert.deepEqual(parseClaimComment({ id: 'c1', body, createdAt: '2026-03-01T12:00:05Z' }), {
+    host: 'box-1',
+    at: Date.parse('2026-03-01T12:00:05Z'),
+    commentId: 'c1',
+  });
+  assert.equal(parseClaimComment({ body: 'Looks good' }), null);
+
+  const { fresh, stale } = findClaims([
+    { id: 'new', body: formatClaimComment('b'), createdAt: '2026-03-01T11:59:00Z' },
+    { id: 'old', body: formatClaimComment('a'), createdAt: '2026-03-01T10:00:00Z' },
+    { id: 'mid', body: formatClaimComment('c'), createdAt: '2026-03-01T11:30:00Z' },
+  ], { staleAfterSec: 3600, now: NOW });
+  assert.deepEqual(fresh.map((c) => c.commentId), ['mid', 'new']);
+  assert.deepEqual(stale.map((c) => c.commentId), ['old']);
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    rpc: { claim: { mode: 'lock' } },
+    projects: { p1: { runtime: { claim: { label: ' ', staleAfterSec: 0 } } } },
+  });
+  assert.ok(errors.includes('settings.rpc.claim.mode must be one of: auto, off, assign, label'));
+  assert.ok(errors.includes('settings.projects.p1.runtime.claim.label must be a non-empty string'));
+  assert.ok(errors.includes('settings.projects.p1.runtime.claim.staleAfterSec must be a positive number'));
+}
+
+async function testAssignClaim() {
+  const workspace = createWorkspace();
+  workspace.addIssue('1');
+  const alice = daemonClient(workspace, workspace.users.alice);
+  const bob = daemonClient(workspace, workspace.users.bob);
+
+  const claim = await claimIssue(alice, { id: '1' }, { viewerId: 'user-alice', settings: ASSIGN, host: 'alice-laptop', now: NOW });
+  assert.deepEqual(claim, { claimed: true, reason: 'claimed', holder: 'alice-laptop' });
+  assert.equal(workspace.issues.get('1').assigneeId, 'user-alice');
+  assert.match(workspace.issues.get('1').comments[0].body, /^pi-linear-service claim: host=alice-laptop/);
+
+  const again = await claimIssue(alice, { id: '1' }, { viewerId: 'user-alice', settings: ASSIGN, host: 'alice-laptop', now: NOW + 5000 });
+  assert.equal(again.claimed, true);
+  assert.equal(again.reason, 'already claimed');
+  assert.equal(workspace.issues.get('1').comments.length, 1, 'no second claim comment');
+
+  const other = await claimIssue(bob, { id: '1' }, { viewerId: 'user-bob', settings: ASSIGN, host: 'bob-desktop', now: NOW + 5000 });
+  assert.equal(other.claimed, false);
+  assert.equal(other.holder, 'alice-laptop');
+  assert.equal(workspace.issues.get('1').assigneeId, 'user-alice', 'claim held: assignment untouched');
+
+  // A stale claim expires and is taken over
+  const later = NOW + 2 * 3600 * 1000;
+  workspace.setClock(later);
+  const takeover = await claimIssue(bob, { id: '1' }, { viewerId: 'user-bob', settings: ASSIGN, host: 'bob-desktop', now: later });
+  assert.deepEqual(takeover, { claimed: true, reason: 'took over stale claim', holder: 'bob-desktop' });
+  assert.equal(workspace.issues.get('1').assigneeId, 'user-bob');
+
+  // Assigned by a person (no claim comments): left alone
+  workspace.addIssue('2', { assigneeId: 'user-alice' });
+  const human = await claimIssue(bob, { id: '2' }, { viewerId: 'user-bob', settings: ASSIGN, host: 'bob-desktop', now: NOW });
+  assert.deepEqual(human, { claimed: false, reason: 'assigned to Alice', holder: 'Alice' });
+  assert.equal(workspace.issues.get('2').comments.length, 0);
+}
+
+async function testConcurrentClaimsHaveOneWinner() {
+  const workspace = createWorkspace();
+  workspace.addIssue('3');
+  const alice = daemonClient(workspace, workspace.users.alice);
+  const bob = daemonClient(workspace, workspace.users.bob);
+
+  const results = await Promise.all([
+    claimIssue(alice, { id: '3' }, { viewerId: 'user-alice', settings: LABEL, host: 'alice-laptop', now: NOW }),
+    claimIssue(bob, { id: '3' }, { viewerId: 'user-bob', settings: LABEL, host: 'bob-desktop', now: NOW }),
+  ]);
+
+  assert.deepEqual(results.map((r) => r.claimed), [true, false], 'earliest claim comment wins');
+  assert.equal(results[1].reason, 'lost claim to alice-laptop');
+  assert.equal(workspace.issues.get('3').comments.length, 1, 'the losing claim comment is deleted');
+  assert.match(workspace.issues.get('3').comments[0].body, /host=alice-laptop/);
+  assert.deepEqual(workspace.issues.get('3').labelIds, ['label-claimed'], 'only the winner labels');
+  assert.equal(workspace.issues.get('3').assigneeId, null, 'label mode does not assign');
+
+  // Assign mode: the loser never reassigns the issue
+  workspace.addIssue('4');
+  const assigned = await Promise.all([
+    claimIssue(alice, { id: '4' }, { viewerId: 'user-alice', settings: ASSIGN, host: 'alice-laptop', now: NOW }),
+    claimIssue(bob, { id: '4' }, { viewerId: 'user-bob', settings: ASSIGN, host: 'bob-desktop', now: NOW }),
+  ]);
+  assert.deepEqual(assigned.map((r) => r.claimed), [true, false]);
+  assert.equal(workspace.issues.get('4').assigneeId, 'user-alice');
+  assert.equal(workspace.issues.get('4').comments.length, 1);
+}
+
+function testClaimHoldInWorkQueue() {
+  const queue = new WorkQueue();
+  const issue = { id: 'i1', identifier: 'ENG-1', state: { name: 'Todo', type: 'unstarted' } };
+  queue.holdIssue(issue, 'claimed elsewhere (claimed by box)', NOW + 1000);
+
+  const held = queue.selectNext([issue], { now: NOW });
+  assert.equal(held.issue, null);
+  assert.deepEqual(held.held, [{ issueId: 'i1', reason: 'claimed elsewhere (claimed by box)' }]);
+  assert.equal(queue.selectNext([issue], { now: NOW + 1000 }).issue.id, 'i1', 'hold expires');
+
+  queue.holdIssue(issue, 'claimed elsewhere', NOW + 1000);
+  const moved = { ...issue, state: { name: 'In Progress', type: 'started' } };
+  assert.equal(queue.selectNext([moved], { now: NOW }).issue.id, 'i1', 'state change releases the hold');
+}
+
+async function main() {
+  setQuietMode(true);
+  testSettingsAndComments();
+  await testAssignClaim();
+  await testConcurrentClaimsHaveOneWinner();
+  testClaimHoldInWorkQueue();
+  console.log('✓ test-issue-claim.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
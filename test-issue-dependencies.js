@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { orderByDependencies, unresolvedBlockers } from './src/issue-dependencies.js';
+import { WorkQueue } from './src/work-queue.js';
+import { fetchIssueDetails, fetchIssues, formatIssueAsMarkdown } from './src/linear.js';
+
+function issue(id, fields = {}) {
+  return {
+    id,
+    identifier: `T-${id}`,
+    title: `Issue ${id}`,
+    state: { name: 'Todo', type: 'unstarted' },
+    priority: 0,
+    sortOrder: 0,
+    project: { id: 'p1', name: 'P1' },
+    ...fields,
+  };
+}
+
+function blocker(id, type = 'unstarted') {
+  return { id, identifier: `T-${id}`, state: { name: type, type } };
+}
+
+function testUnresolvedBlockers() {
+  assert.deepEqual(unresolvedBlockers(issue('a')), [], 'unknown relations do not block');
+  assert.deepEqual(unresolvedBlockers(issue('a', { blockedBy: [] })), []);
+  const open = blocker('x', 'started');
+  assert.deepEqual(unresolvedBlockers(issue('a', { blockedBy: [blocker('d', 'completed'), blocker('c', 'canceled'), open] })), [open]);
+}
+
+function testChainRootFirst() {
+  // c is blocked by b, b is blocked by a; c sorts first by priority
+  const chain = [
+    issue('c', { priority: 1, blockedBy: [blocker('b')] }),
+    issue('other', { priority: 2, blockedBy: [] }),
+    issue('b', { priority: 3, blockedBy: [blocker('a')] }),
+    issue('a', { priority: 4, blockedBy: [] }),
+  ];
+  assert.deepEqual(orderByDependencies(chain).map((i) => i.id), ['b', 'a', 'c', 'other']);
+
+  const queue = new WorkQueue();
+  const selection = queue.selectNext(chain, { now: 1000 });
+  assert.equal(selection.issue.id, 'a', 'unblocked root of the chain is chosen over higher priority issues');
+  assert.deepEqual(selection.held, [{ issueId: 'b', reason: 'blocked by T-a' }]);
+
+  // Blocker outside the candidates (e.g. another project) still holds the issue
+  const external = queue.selectNext([issue('y', { blockedBy: [blocker('ext', 'started')] })], { now: 1000 });
+  assert.equal(external.issue, null);
+  assert.deepEqual(external.held, [{ issueId: 'y', reason: 'blocked by T-ext' }]);
+
+  // Finished blocker releases it
+  assert.equal(queue.selectNext([issue('y', { blockedBy: [blocker('ext', 'completed')] })], { now: 1000 }).issue.id, 'y');
+}
+
+async function testPollQueryLoadsBlockers() {
+  const queries = [];
+  const client = {
+    client: {
+      rawRequest: async (query) => {
+        queries.push(query);
+        return {
+          data: {
+            issues: {
+              nodes: [{
+                id: 'b',
+                identifier: 'T-b',
+                title: 'B',
+                state: { id: 's1', name: 'Todo', type: 'unstarted' },
+                project: { id: 'p1', name: 'P1' },
+                inverseRelations: {
+                  nodes: [
+                    { type: 'blocks', issue: { id: 'a', identifier: 'T-a', state: { name: 'In Progress', type: 'started' } } },
+                    { type: 'related', issue: { id: 'r', identifier: 'T-r', state: { name: 'Todo', type: 'unstarted' } } },
+                  ],
+                },
+              }],
+              pageInfo: { hasNextPage: false },
+            },
+          },
+        };
+      },
+    },
+  };
+
+  const { issues } = await fetchIssues(client, null, ['Todo'], 50);
+  assert.match(queries[0], /inverseRelations/);
+  assert.deepEqual(issues[0].blockedBy, [{ id: 'a', identifier: 'T-a', state: { name: 'In Progress', type: 'started' } }]);
+}
+
+async function testIssueDetailsRelations() {
+  const client = {
+    client: {
+      rawRequest: async () => ({
+        data: {
+          issue: {
+            id: 'b',
+            identifier: 'T-b',
+            title: 'B',
+            state: { name: 'Todo', type: 'unstarted' },
+            relations: {
+              nodes: [{ type: 'blocks', relatedIssue: { id: 'c', identifier: 'T-c', title: 'C', state: { name: 'Todo', type: 'unstarted' } } }],
+            },
+            inverseRelations: {
+              nodes: [
+                { type: 'related', issue: { id: 'r', identifier: 'T-r', title: 'R', state: { name: 'Done', type: 'completed' } } },
+                { type: 'blocks', issue: { id: 'a', identifier: 'T-a', title: 'A', state: { name: 'In Progress', type: 'started' } } },
+              ],
+            },
+          },
+        },
+      }),
+    },
+  };
+
+  const details = await fetchIssueDetails(client, 'T-b', { includeComments: false });
+  assert.deepEqual(details.relations.map((r) => [r.type, r.issue.identifier]), [
+    ['blocks', 'T-c'],
+    ['related', 'T-r'],
+    ['blocked_by', 'T-a'],
+  ]);
+
+  const markdown = formatIssueAsMarkdown(details);
+  assert.match(markdown, /## Relations\n\n- Blocked by \*\*T-a\*\*: A _\[In Progress\]_\n- Blocks \*\*T-c\*\*: C _\[Todo\]_\n- Related to \*\*T-r\*\*: R _\[Done\]_/);
+
+  // SDK fallback: relations and the related issues load lazily
+  const related = { id: 'c', identifier: 'T-c', title: 'C', state: Promise.resolve({ name: 'Todo', type: 'unstarted' }) };
+  const sdkClient = {
+    issue: async () => ({
+      id: 'b',
+      identifier: 'T-b',
+      title: 'B',
+      relations: async () => ({ nodes: [{ type: 'blocks', relatedIssue: Promise.resolve(related) }] }),
+      inverseRelations: async () => ({ nodes: [] }),
+    }),
+  };
+  const sdkDetails = await fetchIssueDetails(sdkClient, 'T-b', { includeComments: false });
+  assert.deepEqual(sdkDetails.relations, [
+    { type: 'blocks', issue: { id: 'c', identifier: 'T-c', title: 'C', state: { name: 'Todo', color: undefined, type: 'unstarted' } } },
+  ]);
+}
+
+async function main() {
+  testUnresolvedBlockers();
+  testChainRootFirst();
+  await testPollQueryLoadsBlockers();
+  await testIssueDetailsRelations();
+  console.log('✓ test-issue-dependencies.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
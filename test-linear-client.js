@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { GraphQLClientError, LinearClient, parseLinearError } from '@linear/sdk';
+import {
+  createLinearClient,
+  getRequestCount,
+  getRateLimitState,
+  LinearRateLimitError,
+  setTestClientFactory,
+  resetTestClientFactory,
+} from './src/linear-client.js';
+import { setQuietMode } from './src/logger.js';
+
+function httpError(status, headers = {}, errors = undefined) {
+  return new GraphQLClientError({ status, headers: new Headers(headers), errors }, { query: 'query Test { viewer { id } }' });
+}
+
+/**
+ * Build a client through the real factory hook with a scripted rawRequest
+ */
+function clientWithResponses(responses, retry = {}) {
+  const sleeps = [];
+  setTestClientFactory(() => ({
+    client: {
+      rawRequest: async () => {
+        const next = responses.shift();
+        if (next instanceof Error) throw parseLinearError(next);
+        return next;
+      },
+    },
+  }));
+  try {
+    const client = createLinearClient('test-key', {
+      retry: { sleep: async (ms) => { sleeps.push(ms); }, random: () => 1, ...retry },
+    });
+    return { client, sleeps };
+  } finally {
+    resetTestClientFactory();
+  }
+}
+
+const ok = (headers = {}) => ({ data: { viewer: { id: 'u1' } }, headers: new Headers(headers), status: 200 });
+
+async function testTransientErrorsAreRetried() {
+  const { client, sleeps } = clientWithResponses([httpError(503), httpError(502), ok()]);
+  const result = await client.client.rawRequest('query { viewer { id } }');
+  assert.equal(result.data.viewer.id, 'u1');
+  assert.equal(getRequestCount(client), 3, 'retries count as requests');
+  assert.deepEqual(sleeps, [500, 1000], 'exponential backoff between attempts');
+}
+
+async function testTransientErrorsGiveUp() {
+  const { client, sleeps } = clientWithResponses([httpError(500), httpError(500), httpError(500)], { maxRetries: 2 });
+  await assert.rejects(() => client.client.rawRequest('q'), (err) => err.status === 500 && !(err instanceof LinearRateLimitError));
+  assert.equal(getRequestCount(client), 3);
+  assert.equal(sleeps.length, 2);
+}
+
+async function testFatalErrorsAreNotRetried() {
+  const { client, sleeps } = clientWithResponses([httpError(401)]);
+  await assert.rejects(() => client.client.rawRequest('q'), /Code: 401/);
+  assert.equal(getRequestCount(client), 1);
+  assert.deepEqual(sleeps, []);
+}
+
+async function testMutationsAreNotRetriedAfterSending() {
+  const mutation = 'mutation CommentCreate($input: CommentCreateInput!) { commentCreate(input: $input) { success } }';
+  const networkError = (message, code) => new TypeError('fetch failed', { cause: Object.assign(new Error(message), { code }) });
+
+  // The server may have applied it before the socket dropped
+  for (const failure of [new Error('socket hang up'), networkError('read ECONNRESET', 'ECONNRESET'), httpError(502)]) {
+    const { client, sleeps } = clientWithResponses([failure, ok()]);
+    await assert.rejects(() => client.client.rawRequest(mutation, { input: { body: 'claim' } }));
+    assert.equal(getRequestCount(client), 1, 'sent once');
+    assert.deepEqual(sleeps, []);
+  }
+
+  // Never reached Linear, or rejected by the rate limit: safe to send again
+  const { client, sleeps } = clientWithResponses([networkError('connect ECONNREFUSED 1.2.3.4:443', 'ECONNREFUSED'), httpError(429, { 'retry-after': '1' }), ok()]);
+  await client.client.rawRequest(mutation);
+  assert.equal(getRequestCount(client), 3);
+  assert.deepEqual(sleeps, [500, 1000]);
+
+  // Queries still retry network failures
+  const query = clientWithResponses([new Error('socket hang up'), ok()]);
+  await query.client.client.rawRequest('query { viewer { id } }');
+  assert.equal(getRequestCount(query.client), 2);
+}
+
+async function testRateLimitWaitsWithinLimit() {
+  const { client, sleeps } = clientWithResponses([httpError(429, { 'retry-after': '2' }), ok()]);
+  await client.client.rawRequest('q');
+  assert.deepEqual(sleeps, [2000], 'honors retry-after');
+}
+
+async function testRateLimitSurfacesTypedError() {
+  const resetAt = Date.now() + 10 * 60_000;
+  const { client, sleeps } = clientWithResponses([
+    httpError(429, { 'x-ratelimit-requests-remaining': '0', 'x-ratelimit-requests-reset': String(resetAt) }),
+  ]);
+
+  await assert.rejects(() => client.client.rawRequest('q'), (err) => {
+    assert.ok(err instanceof LinearRateLimitError);
+    assert.equal(err.type, 'Ratelimited');
+    assert.equal(err.requestsRemaining, 0);
+    assert.ok(err.retryAfterMs > 9 * 60_000 && err.retryAfterMs <= 10 * 60_000);
+    return true;
+  });
+  assert.deepEqual(sleeps, [], 'long rate limits are not waited out in-process');
+}
+
+async function testRateLimitHeadersRecorded() {
+  const { client } = clientWithResponses([ok({ 'x-ratelimit-requests-remaining': '1499', 'x-ratelimit-complexity-remaining': '250000' })]);
+  assert.equal(getRateLimitState(client), null);
+  await client.client.rawRequest('q');
+  assert.equal(getRateLimitState(client).requestsRemaining, 1499);
+  assert.equal(getRateLimitState(client).complexityRemaining, 250000);
+}
+
+async function testSdkQueriesGoThroughWrapper() {
+  const calls = [];
+  setTestClientFactory((apiKey) => {
+    const sdk = new LinearClient({ apiKey });
+    sdk.client.rawRequest = async () => {
+      calls.push('rawRequest');
+      if (calls.length === 1) throw parseLinearError(httpError(503));
+      if (calls.length === 2) throw parseLinearError(httpError(429, { 'retry-after': '3600' }));
+      return ok();
+    };
+    return sdk;
+  });
+
+  try {
+    const client = createLinearClient('test-key', { retry: { sleep: async () => {} } });
+    // The SDK re-parses transport errors: the typed error must survive that
+    await assert.rejects(() => client.viewer, (err) => err instanceof LinearRateLimitError && err.retryAfterMs === 3_600_000);
+    assert.equal(calls.length, 2);
+  } finally {
+    resetTestClientFactory();
+  }
+}
+
+async function testSdkQueriesRecordRateLimits() {
+  const queries = [];
+  setTestClientFactory((apiKey) => {
+    const sdk = new LinearClient({ apiKey });
+    sdk.client.rawRequest = async (query) => {
+      queries.push(query);
+      if (/^\s*mutation\b/.test(query)) throw parseLinearError(httpError(503));
+      return ok({ 'x-ratelimit-requests-remaining': '1200' });
+    };
+    return sdk;
+  });
+
+  try {
+    const client = createLinearClient('test-key');
+    // SDK models call request(), which only returns data
+    const viewer = await client.viewer;
+    assert.equal(viewer.id, 'u1');
+    assert.match(queries[0], /^\s*query viewer\b/);
+    assert.equal(getRateLimitState(client).requestsRemaining, 1200);
+    assert.equal(getRequestCount(client), 1);
+
+    // SDK mutations are recognised as such: not retried once sent
+    await assert.rejects(() => client.createComment({ issueId: 'i1', body: 'hi' }));
+    assert.equal(queries.length, 2);
+  } finally {
+    resetTestClientFactory();
+  }
+}
+
+async function main() {
+  setQuietMode(true);
+  await testTransientErrorsAreRetried();
+  await testTransientErrorsGiveUp();
+  await testFatalErrorsAreNotRetried();
+  await testMutationsAreNotRetriedAfterSending();
+  await testRateLimitWaitsWithinLimit();
+  await testRateLimitSurfacesTypedError();
+  await testRateLimitHeadersRecorded();
+  await testSdkQueriesGoThroughWrapper();
+  await testSdkQueriesRecordRateLimits();
+  console.log('✓ test-linear-client.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
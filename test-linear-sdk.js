@@ -10,6 +10,8 @@ import assert from 'node:assert/strict';
 import {
   fetchViewer,
   fetchIssues,
+  fetchIssuesByProject,
+  createRequestBudget,
   fetchProjects,
   resolveIssue,
   getTeamWorkflowStates,
@@ -20,6 +22,7 @@ import {
   groupIssuesByProject,
   formatIssueAsMarkdown,
 } from './src/linear.js';
+import { createLinearClient, getRequestCount, setTestClientFactory, resetTestClientFactory } from './src/linear-client.js';
 
 /**
  * Create a mock LinearClient for testing
@@ -177,6 +180,171 @@ async function testFetchIssuesPagination() {
   assert.equal(result.truncated, true, 'should be truncated when hasNextPage');
 }
 
+/**
+ * Mock client serving `total` issues in cursor-paginated pages
+ */
+function createPagedIssuesClient(total) {
+  const calls = [];
+  const client = createMockLinearClient({
+    issues: async (options) => {
+      calls.push(options);
+      const start = options.after ? Number(options.after) : 0;
+      const end = Math.min(start + options.first, total);
+      const nodes = [];
+      for (let i = start; i < end; i++) {
+        nodes.push({
+          id: `i${i}`,
+          identifier: `TEST-${i}`,
+          title: `Issue ${i}`,
+          state: Promise.resolve({ id: 's1', name: 'Todo', type: 'unstarted' }),
+          project: Promise.resolve({ id: 'p1', name: 'P1' }),
+        });
+      }
+      return { nodes, pageInfo: { hasNextPage: end < total, endCursor: String(end) } };
+    },
+  });
+  return { client, calls };
+}
+
+async function testFetchIssuesFollowsCursor() {
+  const { client, calls } = createPagedIssuesClient(25);
+  const result = await fetchIssues(client, null, ['Todo'], 10);
+
+  assert.equal(result.total, 25, 'should collect issues from all pages');
+  assert.equal(result.pages, 3);
+  assert.equal(result.truncated, false);
+  assert.equal(calls[0].after, undefined, 'first page has no cursor');
+  assert.equal(calls[1].after, '10');
+  assert.equal(calls[2].after, '20');
+}
+
+async function testFetchIssuesHardCapAndBudget() {
+  const capped = createPagedIssuesClient(25);
+  const cappedResult = await fetchIssues(capped.client, null, ['Todo'], 10, { maxIssues: 15 });
+  assert.equal(cappedResult.total, 15, 'should stop at maxIssues');
+  assert.equal(capped.calls[1].first, 5, 'last page only requests what is left under the cap');
+  assert.equal(cappedResult.truncated, true);
+  assert.equal(cappedResult.budgetExhausted, false);
+
+  // Budget is shared by all queries of a poll
+  const budget = createRequestBudget(3);
+  const first = createPagedIssuesClient(20);
+  await fetchIssues(first.client, null, ['Todo'], 10, { budget });
+  assert.equal(budget.remaining, 1);
+
+  const second = createPagedIssuesClient(20);
+  const budgetResult = await fetchIssuesByProject(second.client, 'p1', null, { limit: 50, budget });
+  assert.equal(budgetResult.total, 20, 'single page within the remaining budget');
+
+  const third = createPagedIssuesClient(20);
+  const exhausted = await fetchIssues(third.client, null, ['Todo'], 10, { budget });
+  assert.equal(exhausted.total, 0);
+  assert.equal(exhausted.truncated, true);
+  assert.equal(exhausted.budgetExhausted, true);
+  assert.equal(third.calls.length, 0, 'no request once the budget is spent');
+}
+
+async function testFetchIssuesByProjectLimitAcrossPages() {
+  const { client, calls } = createPagedIssuesClient(250);
+  const result = await fetchIssuesByProject(client, 'p1', ['Todo'], { limit: 150 });
+  assert.equal(result.total, 150);
+  assert.equal(result.pages, 2);
+  assert.equal(calls[0].first, 100, 'page size is capped');
+  assert.equal(result.truncated, true);
+}
+
+/**
+ * Mock client exposing the raw GraphQL transport (like a real LinearClient)
+ */
+function createRawQueryClient(handler) {
+  const queries = [];
+  return {
+    queries,
+    issues: async () => {
+      throw new Error('SDK issues() must not be used when raw queries are available');
+    },
+    client: {
+      rawRequest: async (query, variables) => {
+        queries.push({ query, variables });
+        return { data: await handler(query, variables), headers: new Map(), status: 200 };
+      },
+    },
+  };
+}
+
+async function testFetchIssuesRawQueryInlinesRelations() {
+  const client = createRawQueryClient((query, variables) => {
+    const start = variables.after ? Number(variables.after) : 0;
+    const nodes = Array.from({ length: 2 }, (_, i) => ({
+      id: `i${start + i}`,
+      identifier: `TEST-${start + i}`,
+      title: 'Issue',
+      priority: 2,
+      state: { id: 's1', name: 'Todo', type: 'unstarted' },
+      team: { id: 't1', key: 'TEST', name: 'Test' },
+      project: { id: 'p1', name: 'P1' },
+      assignee: null,
+    }));
+    return { issues: { nodes, pageInfo: { hasNextPage: start === 0, endCursor: String(start + 2) } } };
+  });
+
+  const result = await fetchIssues(client, null, ['Todo'], 2, { projectIds: ['p1'] });
+  assert.equal(client.queries.length, 2, 'one request per page');
+  assert.match(client.queries[0].query, /state \{ id name type \}/, 'relations are selected inline');
+  assert.deepEqual(client.queries[0].variables.filter.project, { id: { in: ['p1'] } });
+  assert.equal(result.total, 4);
+  assert.deepEqual(result.issues[0].state, { id: 's1', name: 'Todo', type: 'unstarted' });
+  assert.deepEqual(result.issues[0].project, { id: 'p1', name: 'P1' });
+  assert.equal(result.issues[0].assignee, null);
+}
+
+async function testFetchIssueDetailsRawQuery() {
+  const client = createRawQueryClient((query, variables) => {
+    assert.equal(variables.id, 'TEST-1');
+    assert.equal(variables.withComments, false);
+    return {
+      issue: {
+        id: 'i1',
+        identifier: 'TEST-1',
+        title: 'Issue 1',
+        state: { name: 'Todo', color: '#ccc', type: 'unstarted' },
+        team: { id: 't1', key: 'TEST', name: 'Test' },
+        project: { id: 'p1', name: 'P1' },
+        assignee: null,
+        creator: { id: 'u1', name: 'U', displayName: 'U' },
+        labels: { nodes: [{ id: 'l1', name: 'bug', color: '#f00' }] },
+        parent: { identifier: 'TEST-0', title: 'Parent', state: { name: 'In Progress', color: '#00f' } },
+        children: { nodes: [] },
+        attachments: { nodes: [] },
+      },
+    };
+  });
+
+  const details = await fetchIssueDetails(client, 'TEST-1', { includeComments: false });
+  assert.equal(client.queries.length, 1, 'details are fetched in a single request');
+  assert.equal(details.identifier, 'TEST-1');
+  assert.deepEqual(details.labels, [{ id: 'l1', name: 'bug', color: '#f00' }]);
+  assert.deepEqual(details.parent, { identifier: 'TEST-0', title: 'Parent', state: { name: 'In Progress', color: '#00f' } });
+  assert.deepEqual(details.comments, []);
+
+  const missing = createRawQueryClient(() => ({ issue: null }));
+  await assert.rejects(() => fetchIssueDetails(missing, 'TEST-404'), /Issue not found: TEST-404/);
+}
+
+async function testRequestCount() {
+  const rawClient = createRawQueryClient(() => ({ issues: { nodes: [], pageInfo: { hasNextPage: false } } }));
+  setTestClientFactory(() => rawClient);
+  try {
+    const client = createLinearClient('test-key');
+    assert.equal(getRequestCount(client), 0);
+    await fetchIssues(client, null, ['Todo'], 50);
+    await fetchIssues(client, null, ['Todo'], 50);
+    assert.equal(getRequestCount(client), 2);
+  } finally {
+    resetTestClientFactory();
+  }
+}
+
 async function testFetchProjects() {
   const client = createMockLinearClient();
   const projects = await fetchProjects(client);
@@ -485,6 +653,24 @@ async function main() {
   await testFetchIssuesPagination();
   console.log('✓ testFetchIssuesPagination');
 
+  await testFetchIssuesFollowsCursor();
+  console.log('✓ testFetchIssuesFollowsCursor');
+
+  await testFetchIssuesHardCapAndBudget();
+  console.log('✓ testFetchIssuesHardCapAndBudget');
+
+  await testFetchIssuesByProjectLimitAcrossPages();
+  console.log('✓ testFetchIssuesByProjectLimitAcrossPages');
+
+  await testFetchIssuesRawQueryInlinesRelations();
+  console.log('✓ testFetchIssuesRawQueryInlinesRelations');
+
+  await testFetchIssueDetailsRawQuery();
+  console.log('✓ testFetchIssueDetailsRawQuery');
+
+  await testRequestCount();
+  console.log('✓ testRequestCount');
+
   await testFetchProjects();
   console.log('✓ testFetchProjects');
 
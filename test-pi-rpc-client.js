@@ -106,10 +106,29 @@ async function testTimeout() {
   });
 }
 
+async function testStateProbesDoNotCountAsActivity() {
+  await withSpawnStub(async (child, spawnImpl) => {
+    const { PiRpcClient } = await import('./src/pi-rpc.js');
+
+    const client = new PiRpcClient('test', { timeoutMs: 200, spawnImpl });
+    client._lastMessageTs = Date.now() - 60_000;
+
+    const p = client.send({ type: 'get_state', id: 's1' }, 200);
+    child.stdout.write(JSON.stringify({ type: 'response', command: 'get_state', success: true, id: 's1', data: {} }) + '\n');
+    await p;
+    assert.ok(client.lastMessageAgeMs() >= 60_000, 'get_state response must not refresh activity');
+
+    child.stdout.write(JSON.stringify({ type: 'agent_start' }) + '\n');
+    await new Promise((r) => setTimeout(r, 10));
+    assert.ok(client.lastMessageAgeMs() < 1000, 'agent events refresh activity');
+  });
+}
+
 async function main() {
   await testResponseCorrelation();
   await testEventEmission();
   await testTimeout();
+  await testStateProbesDoNotCountAsActivity();
   console.log('✓ test-pi-rpc-client.js passed');
 }
 
@@ -6,6 +6,9 @@ import {
   applyProjectScopeToIssues,
   shouldProcessProject,
 } from './src/poller.js';
+import { buildProjectScopeFilter, matchesProjectScope } from './src/issue-scope.js';
+import { fetchCurrentCycles, fetchIssues } from './src/linear.js';
+import { validateSettings } from './src/settings.js';
 
 function testBuildScopePlan() {
   const config = {
@@ -44,6 +47,211 @@ function testApplyProjectScopeToIssues() {
   assert.deepEqual(scoped.map((i) => i.id), ['1', '3']);
 }
 
+const FILTERED_CONFIG = {
+  linearOpenStates: ['Todo'],
+  projects: {
+    p1: {
+      enabled: true,
+      scope: {
+        assignee: 'all',
+        includeLabels: ['agent-ok'],
+        excludeLabels: ['needs-design'],
+        minPriority: 4,
+        maxEstimate: 3,
+        teams: ['ENG'],
+        cycle: 'assigned',
+      },
+    },
+    p2: { enabled: true, scope: { assignee: 'all' } },
+  },
+};
+
+function testScopeFiltersArePushedDown() {
+  const unfiltered = buildScopeQueryPlan({ linearOpenStates: ['Todo'], projects: { p2: { scope: { cycle: 'any' } } } }, 'viewer-1');
+  assert.equal(unfiltered.scopeFilter, null, 'no extra filter without scope filters');
+
+  const plan = buildScopeQueryPlan(FILTERED_CONFIG, 'viewer-1');
+  assert.deepEqual(plan.scopeFilter, {
+    or: [
+      {
+        project: { id: { eq: 'p1' } },
+        and: [
+          { labels: { some: { or: [{ name: { eqIgnoreCase: 'agent-ok' } }] } } },
+          { labels: { every: { and: [{ name: { neqIgnoreCase: 'needs-design' } }] } } },
+        ],
+        priority: { gte: 1, lte: 4 },
+        estimate: { lte: 3 },
+        team: { or: [{ id: { in: ['ENG'] } }, { key: { in: ['ENG'] } }] },
+        cycle: { null: false },
+      },
+      { project: { id: { eq: 'p2' } } },
+    ],
+  });
+}
+
+async function testIssuesPageQueryIsBounded() {
+  const requests = [];
+  const client = {
+    client: {
+      rawRequest: async (query, variables) => {
+        requests.push({ query, variables });
+        return { data: { issues: { nodes: [], pageInfo: { hasNextPage: false } } } };
+      },
+    },
+  };
+  await fetchIssues(client, null, ['Todo'], 500, { maxIssues: 1000 });
+  const { query, variables } = requests[0];
+  assert.equal(variables.first, 100, 'page size is capped');
+  assert.match(query, /labels\(first: 10\) \{ nodes/);
+  assert.match(query, /inverseRelations\(first: 10\) \{ nodes/);
+  // Unbounded connections count Linear's default page (50) per issue
+  const connections = query.match(/\w+(\([^)]*\))? \{ nodes/g);
+  const unbounded = connections.filter((c) => !/\(first: \d+\)/.test(c) && !c.startsWith('issues'));
+  assert.deepEqual(unbounded, []);
+}
+
+async function testFetchIssuesSendsScopeFilter() {
+  const requests = [];
+  const client = {
+    client: {
+      rawRequest: async (query, variables) => {
+        requests.push(variables);
+        return { data: { issues: { nodes: [], pageInfo: { hasNextPage: false } } } };
+      },
+    },
+  };
+  const scopeFilter = buildScopeQueryPlan(FILTERED_CONFIG, 'viewer-1').scopeFilter;
+  await fetchIssues(client, null, ['Todo'], 50, { scopeFilter });
+  assert.deepEqual(requests[0].filter, { state: { name: { in: ['Todo'] } }, and: [scopeFilter] });
+}
+
+function testApplyScopeFilters() {
+  const base = { state: { name: 'Todo' }, assignee: null, project: { id: 'p1' }, team: { id: 't1', key: 'ENG' }, cycle: { id: 'c1', number: 4 }, priority: 2, estimate: 2 };
+  const issues = [
+    { ...base, id: 'ok', labels: [{ name: 'Agent-OK' }] },
+    { ...base, id: 'unlabelled', labels: [] },
+    { ...base, id: 'design', labels: [{ name: 'agent-ok' }, { name: 'needs-design' }] },
+    { ...base, id: 'design-capitalized', labels: [{ name: 'agent-ok' }, { name: 'Needs-Design' }] },
+    { ...base, id: 'no-priority', labels: [{ name: 'agent-ok' }], priority: 0 },
+    { ...base, id: 'too-big', labels: [{ name: 'agent-ok' }], estimate: 5 },
+    { ...base, id: 'no-estimate', labels: [{ name: 'agent-ok' }], estimate: null },
+    { ...base, id: 'other-team', labels: [{ name: 'agent-ok' }], team: { id: 't2', key: 'OPS' } },
+    { ...base, id: 'no-cycle', labels: [{ name: 'agent-ok' }], cycle: null },
+    { ...base, id: 'labels-unknown', labels: null, cycle: undefined },
+    { ...base, id: 'other-project', labels: [], project: { id: 'p2' }, priority: 0 },
+  ];
+
+  const scoped = applyProjectScopeToIssues(issues, FILTERED_CONFIG, 'viewer-1');
+  assert.deepEqual(scoped.map((i) => i.id), ['ok', 'labels-unknown', 'other-project']);
+}
+
+function testExcludeLabelsIgnoreCase() {
+  const clause = buildProjectScopeFilter('p1', { excludeLabels: ['blocked', 'Wontfix'] });
+  assert.deepEqual(clause.and, [
+    { labels: { every: { and: [{ name: { neqIgnoreCase: 'blocked' } }, { name: { neqIgnoreCase: 'Wontfix' } }] } } },
+  ]);
+  assert.equal(matchesProjectScope({ labels: [{ name: 'Blocked' }] }, { excludeLabels: ['blocked'] }), false);
+  assert.equal(matchesProjectScope({ labels: [{ name: 'ready' }] }, { excludeLabels: ['blocked'] }), true);
+}
+
+function testScopeFilterValidation() {
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    projects: {
+      p1: {
+        repo: { path: '/repo' },
+        scope: { includeLabels: 'agent-ok', teams: [''], minPriority: 0, minEstimate: 5, maxEstimate: 2, cycle: 'next' },
+      },
+    },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.scope.includeLabels must be an array of non-empty strings',
+    'settings.projects.p1.scope.teams must be an array of non-empty strings',
+    'settings.projects.p1.scope.minPriority must be an integer from 1 (Urgent) to 4 (Low)',
+    'settings.projects.p1.scope.minEstimate must not exceed scope.maxEstimate',
+    'settings.projects.p1.scope.cycle must be one of: any, assigned, unassigned, current, current_or_next',
+  ]);
+  assert.deepEqual(validateSettings({ mode: 'rpc', projects: { p1: { repo: { path: '/repo' }, scope: FILTERED_CONFIG.projects.p1.scope } } }).errors, []);
+}
+
+const CYCLES = [
+  { id: 'c-eng-4', number: 4, teamId: 't1', teamKey: 'ENG', isActive: true, isNext: false },
+  { id: 'c-eng-5', number: 5, teamId: 't1', teamKey: 'ENG', isActive: false, isNext: true },
+  { id: 'c-ops-9', number: 9, teamId: 't2', teamKey: 'OPS', isActive: true, isNext: false },
+];
+
+const CYCLE_CONFIG = {
+  linearOpenStates: ['Todo'],
+  projects: {
+    p1: { enabled: true, scope: { assignee: 'all', cycle: 'current' } },
+    p2: { enabled: true, scope: { assignee: 'all', cycle: 'current_or_next' } },
+    p3: { enabled: true, scope: { assignee: 'all' } },
+  },
+};
+
+function testCurrentCyclePlan() {
+  const plan = buildScopeQueryPlan(CYCLE_CONFIG, 'viewer-1', { cycles: CYCLES });
+  assert.deepEqual(plan.cycleIds, { p1: ['c-eng-4', 'c-ops-9'], p2: ['c-eng-4', 'c-eng-5', 'c-ops-9'] });
+  assert.deepEqual(plan.scopeFilter.or, [
+    { project: { id: { eq: 'p1' } }, cycle: { id: { in: ['c-eng-4', 'c-ops-9'] } } },
+    { project: { id: { eq: 'p2' } }, cycle: { id: { in: ['c-eng-4', 'c-eng-5', 'c-ops-9'] } } },
+    { project: { id: { eq: 'p3' } } },
+  ]);
+
+  const noCycles = buildScopeQueryPlan(CYCLE_CONFIG, 'viewer-1');
+  assert.deepEqual(noCycles.cycleIds, { p1: [], p2: [] }, 'unresolved cycles match nothing');
+  assert.equal(buildScopeQueryPlan(FILTERED_CONFIG, 'viewer-1').cycleIds, null);
+}
+
+function testApplyCurrentCycleScope() {
+  const base = { state: { name: 'Todo' }, assignee: null, labels: [] };
+  const issues = [
+    { ...base, id: 'p1-current', project: { id: 'p1' }, cycle: { id: 'c-eng-4', number: 4 } },
+    { ...base, id: 'p1-next', project: { id: 'p1' }, cycle: { id: 'c-eng-5', number: 5 } },
+    { ...base, id: 'p1-none', project: { id: 'p1' }, cycle: null },
+    { ...base, id: 'p2-next', project: { id: 'p2' }, cycle: { id: 'c-eng-5', number: 5 } },
+    { ...base, id: 'p2-old', project: { id: 'p2' }, cycle: { id: 'c-eng-3', number: 3 } },
+    { ...base, id: 'p2-unknown', project: { id: 'p2' }, cycle: undefined },
+    { ...base, id: 'p3-none', project: { id: 'p3' }, cycle: null },
+  ];
+
+  const scoped = applyProjectScopeToIssues(issues, CYCLE_CONFIG, 'viewer-1', { cycles: CYCLES });
+  assert.deepEqual(scoped.map((i) => i.id), ['p1-current', 'p2-next', 'p2-unknown', 'p3-none']);
+}
+
+async function testFetchCurrentCycles() {
+  const requests = [];
+  const rawClient = {
+    client: {
+      rawRequest: async (query, variables) => {
+        requests.push({ query, variables });
+        return {
+          data: {
+            cycles: {
+              nodes: [{ id: 'c-eng-4', number: 4, name: null, isActive: true, isNext: false, team: { id: 't1', key: 'ENG' } }],
+            },
+          },
+        };
+      },
+    },
+  };
+  assert.deepEqual(await fetchCurrentCycles(rawClient), [
+    { id: 'c-eng-4', number: 4, name: null, teamId: 't1', teamKey: 'ENG', isActive: true, isNext: false },
+  ]);
+  assert.equal(requests.length, 1, 'one request for all teams');
+  assert.deepEqual(requests[0].variables.filter, { or: [{ isActive: { eq: true } }, { isNext: { eq: true } }] });
+
+  const sdkClient = {
+    cycles: async ({ filter }) => {
+      assert.ok(filter.or);
+      return { nodes: [{ id: 'c-ops-2', number: 2, name: 'Sprint 2', teamId: 't2', isActive: false, isNext: true }] };
+    },
+  };
+  assert.deepEqual(await fetchCurrentCycles(sdkClient), [
+    { id: 'c-ops-2', number: 2, name: 'Sprint 2', teamId: 't2', teamKey: null, isActive: false, isNext: true },
+  ]);
+}
+
 function testShouldProcessProject() {
   const config = {
     projectFilter: [],
@@ -59,11 +267,23 @@ function testShouldProcessProject() {
   assert.equal(shouldProcessProject('pX', 'PX', config), false);
 }
 
-function main() {
+async function main() {
   testBuildScopePlan();
   testApplyProjectScopeToIssues();
+  testScopeFiltersArePushedDown();
+  await testIssuesPageQueryIsBounded();
+  await testFetchIssuesSendsScopeFilter();
+  testApplyScopeFilters();
+  testExcludeLabelsIgnoreCase();
+  testScopeFilterValidation();
+  testCurrentCyclePlan();
+  testApplyCurrentCycleScope();
+  await testFetchCurrentCycles();
   testShouldProcessProject();
   console.log('✓ test-poller-scope.js passed');
 }
 
-main();
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import {
+  formatRunEndComment,
+  formatRunStartComment,
+  postRunEndComment,
+  postRunStartComment,
+  resolveProgressCommentSettings,
+  DEFAULT_PROGRESS_COMMENT_SETTINGS,
+} from './src/progress-comments.js';
+import { formatDuration } from './src/transcript-store.js';
+import { RunTracker } from './src/run-tracker.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const SESSION = 'pi_project_p1';
+
+/**
+ * Mocked SDK client collecting created comments
+ */
+function linearCollectingComments({ fail = false } = {}) {
+  const comments = [];
+  return {
+    comments,
+    issue: async (id) => ({
+      id,
+      identifier: 'ENG-7',
+      title: 'Fix login',
+      state: Promise.resolve({ id: 'st-todo', name: 'Todo', type: 'unstarted' }),
+      team: Promise.resolve(null),
+      project: Promise.resolve(null),
+      assignee: Promise.resolve(null),
+      creator: Promise.resolve(null),
+      parent: Promise.resolve(null),
+      labels: async () => ({ nodes: [] }),
+    }),
+    createComment: async ({ issueId, body }) => {
+      if (fail) throw new Error('Linear is down');
+      comments.push({ issueId, body });
+      return { success: true, comment: { id: `c-${comments.length}`, body } };
+    },
+  };
+}
+
+function testSettings() {
+  assert.equal(resolveProgressCommentSettings({ rpc: { progressComments: null }, projects: { p1: {} } }, 'p1'), null);
+  assert.deepEqual(resolveProgressCommentSettings({ projects: { p1: { runtime: { progressComments: true } } } }, 'p1'), DEFAULT_PROGRESS_COMMENT_SETTINGS);
+  assert.deepEqual(
+    resolveProgressCommentSettings({ rpc: { progressComments: { excerptChars: 200 } }, projects: { p1: { runtime: { progressComments: { start: false } } } } }, 'p1'),
+    { start: false, end: true, excerptChars: 200 },
+  );
+  assert.equal(resolveProgressCommentSettings({ rpc: { progressComments: true }, projects: { p1: { runtime: { progressComments: false } } } }, 'p1'), null);
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    rpc: { progressComments: 'yes' },
+    projects: { p1: { repo: { path: '/repo' }, runtime: { progressComments: { end: 1, excerptChars: -5 } } } },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.runtime.progressComments.end must be a boolean',
+    'settings.projects.p1.runtime.progressComments.excerptChars must be a non-negative integer',
+    'settings.rpc.progressComments must be a boolean or an object',
+  ]);
+}
+
+function testFormatting() {
+  assert.equal(formatDuration(45_000), '45s');
+  assert.equal(formatDuration(750_400), '12m 30s');
+  assert.equal(formatDuration(3_900_000), '1h 5m');
+
+  assert.equal(
+    formatRunStartComment({ host: 'build-1', model: null, sessionName: SESSION, now: Date.parse('2026-03-02T09:00:00Z') }),
+    [
+      'pi-linear-service: agent started working on this issue',
+      '',
+      '- Host: build-1',
+      '- Model: pi default',
+      `- Session: ${SESSION}`,
+      '- Started: 2026-03-02T09:00:00.000Z',
+    ].join('\n'),
+  );
+
+  const run = { sessionName: SESSION, queuedAt: 0, startedAt: 1000, endedAt: 91_000, turnCount: 4, lastMessage: 'Fixed the login.\nAll tests pass.' };
+  assert.equal(
+    formatRunEndComment(run, { status: 'completed' }, DEFAULT_PROGRESS_COMMENT_SETTINGS),
+    [
+      'pi-linear-service: agent run ended',
+      '',
+      '- Outcome: issue finished',
+      '- Duration: 1m 30s',
+      '- Turns: 4',
+      `- Session: ${SESSION}`,
+      '',
+      'Final message:',
+      '',
+      '> Fixed the login.',
+      '> All tests pass.',
+    ].join('\n'),
+  );
+
+  const short = formatRunEndComment(run, { status: 'escalated', unfinishedRuns: 3, reason: 'verification failed: npm test' }, { excerptChars: 5 });
+  assert.match(short, /- Outcome: escalated after 3 unfinished runs \(verification failed: npm test\)/);
+  assert.match(short, /> Fixed…$/);
+  assert.doesNotMatch(formatRunEndComment(run, { status: 'incomplete' }, { excerptChars: 0 }), /Final message/);
+  assert.match(formatRunEndComment({ ...run, lastMessage: null }, { status: 'failed', reason: 'pi exited' }, DEFAULT_PROGRESS_COMMENT_SETTINGS), /^- Outcome: run failed, will retry \(pi exited\)$/m);
+}
+
+function testTrackerKeepsLastMessage() {
+  const tracker = new RunTracker();
+  let ended = null;
+  tracker.on('run_end', (run) => { ended = run; });
+  tracker.startRun(SESSION, { issueId: 'i1', identifier: 'ENG-7', projectId: 'p1', now: 0 });
+  tracker.handleEvent(SESSION, { type: 'agent_start' }, 10);
+  tracker.handleEvent(SESSION, { type: 'message_end', message: { role: 'assistant', content: [{ type: 'text', text: 'Looking at the code' }] } }, 20);
+  tracker.handleEvent(SESSION, { type: 'message_end', message: { role: 'toolResult', content: 'ok' } }, 30);
+  assert.equal(tracker.getRun(SESSION).lastMessage, 'Looking at the code');
+  tracker.handleEvent(SESSION, {
+    type: 'agent_end',
+    messages: [{ role: 'assistant', content: [{ type: 'text', text: 'Done: fixed it.' }, { type: 'toolCall', name: 'bash' }] }],
+  }, 40);
+  assert.equal(ended.lastMessage, 'Done: fixed it.');
+}
+
+async function testPosting() {
+  const settings = DEFAULT_PROGRESS_COMMENT_SETTINGS;
+  const linear = linearCollectingComments();
+  assert.equal(await postRunStartComment(linear, { id: 'i1', identifier: 'ENG-7' }, { settings, sessionName: SESSION, model: 'sonnet', host: 'build-1' }), true);
+  assert.equal(linear.comments[0].issueId, 'i1');
+  assert.match(linear.comments[0].body, /- Model: sonnet/);
+
+  const run = { sessionName: SESSION, issueId: 'i1', identifier: 'ENG-7', queuedAt: 0, startedAt: 0, endedAt: 5000, turnCount: 1, lastMessage: 'ok' };
+  assert.equal(await postRunEndComment(linear, run, { status: 'completed' }, settings), true);
+  assert.match(linear.comments[1].body, /agent run ended/);
+
+  // Disabled halves and Linear errors post nothing and never throw
+  assert.equal(await postRunStartComment(linear, { id: 'i1' }, { settings: { ...settings, start: false }, sessionName: SESSION }), false);
+  assert.equal(await postRunEndComment(linearCollectingComments({ fail: true }), run, { status: 'completed' }, settings), false);
+  assert.equal(linear.comments.length, 2);
+}
+
+async function main() {
+  setQuietMode(true);
+  testSettings();
+  testFormatting();
+  testTrackerKeepsLastMessage();
+  await testPosting();
+  console.log('✓ test-progress-comments.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  DEFAULT_PROMPT_TEMPLATE,
+  buildPromptVariables,
+  formatIssueContext,
+  listPlaceholders,
+  resolveIssueContextSettings,
+  renderPromptTemplate,
+  resolvePromptTemplate,
+  templateNeedsDetails,
+  validatePromptTemplate,
+} from './src/prompt-template.js';
+import { renderPrompt } from './src/prompt-cli.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const ISSUE = {
+  id: 'uuid-1',
+  identifier: 'ABC-1',
+  title: 'Fix login',
+  description: 'Steps: use ${title} literally',
+  url: 'https://linear.app/x/issue/ABC-1',
+  branchName: 'abc-1-fix-login',
+  priority: 1,
+};
+
+async function captureConsole(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return lines.join('\n');
+}
+
+function testRendering() {
+  const vars = buildPromptVariables(
+    { ...ISSUE, labels: [{ name: 'bug' }, { name: 'agent-ok' }], comments: [{ body: ' Looks good ', createdAt: '2026-02-03T10:00:00Z', user: { displayName: 'Ann' } }] },
+    { projectId: 'p1', projectName: 'Web', repoPath: '/repos/web' },
+  );
+  assert.equal(vars.priority, 'Urgent (1)');
+  assert.equal(vars.labels, 'bug, agent-ok');
+  assert.equal(vars.comments, '- **Ann** (2026-02-03): Looks good');
+
+  const rendered = renderPromptTemplate('${identifier}: ${title}\n${description}\n${labels} @ ${repoPath} ${unknown}', vars);
+  assert.equal(rendered, 'ABC-1: Fix login\nSteps: use ${title} literally\nbug, agent-ok @ /repos/web ${unknown}', 'single pass; unknown left as is');
+
+  const minimal = buildPromptVariables({ id: 'u2', title: 'T' }, { projectId: 'p1' });
+  assert.equal(minimal.description, '(no description)');
+  assert.equal(minimal.labels, '(none)');
+  assert.equal(minimal.comments, '(no comments)');
+  assert.equal(minimal.priority, '');
+
+  const prompt = renderPromptTemplate(DEFAULT_PROMPT_TEMPLATE, buildPromptVariables(ISSUE, { projectId: 'p1', projectName: 'Web' }));
+  assert.match(prompt, /Linear project: Web \(id=p1\)/);
+  assert.match(prompt, /ABC-1 Fix login \(issueId=uuid-1\)/);
+  assert.doesNotMatch(prompt, /\.\.\//, 'no guessed sibling clone path');
+}
+
+function testValidation() {
+  assert.deepEqual(listPlaceholders('${title} ${title} ${labels}'), ['title', 'labels']);
+  assert.deepEqual(validatePromptTemplate('Work on ${identifier}'), []);
+  assert.deepEqual(validatePromptTemplate('  '), ['must be a non-empty string']);
+  assert.match(validatePromptTemplate('${nope}')[0], /unknown placeholder \$\{nope\}/);
+  assert.equal(templateNeedsDetails('${identifier} ${title}'), false);
+  assert.equal(templateNeedsDetails('${comments}'), true);
+  assert.equal(templateNeedsDetails(DEFAULT_PROMPT_TEMPLATE), true);
+  assert.equal(templateNeedsDetails(DEFAULT_PROMPT_TEMPLATE, { maxChars: 0 }), false, 'disabled issue context needs no fetch');
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    projects: {
+      p1: { runtime: { promptTemplate: 'Do ${issue}', promptTemplateFile: '' } },
+    },
+  });
+  assert.ok(errors.some((e) => e.startsWith('settings.projects.p1.runtime.promptTemplate uses unknown placeholder ${issue}')));
+  assert.ok(errors.includes('settings.projects.p1.runtime.promptTemplateFile must be a non-empty string'));
+
+  const contextErrors = validateSettings({
+    mode: 'rpc',
+    rpc: { issueContext: { maxChars: -1 } },
+    projects: { p1: { runtime: { issueContext: { maxComments: 1.5 } } } },
+  }).errors;
+  assert.ok(contextErrors.includes('settings.rpc.issueContext.maxChars must be a non-negative integer'));
+  assert.ok(contextErrors.includes('settings.projects.p1.runtime.issueContext.maxComments must be a non-negative integer'));
+}
+
+function testIssueContext() {
+  const comments = [];
+  for (let i = 1; i <= 4; i++) {
+    comments.push({ id: `c${i}`, body: `Comment ${i}`, createdAt: `2026-01-0${i}T00:00:00Z`, user: { name: 'Ann' }, parent: null });
+  }
+  comments.push({ id: 'r1', body: 'Reply to 1', createdAt: '2026-01-05T00:00:00Z', user: { name: 'Bob' }, parent: { id: 'c1' } });
+  comments.push({ id: 'r4', body: 'Reply to 4', createdAt: '2026-01-05T00:00:00Z', user: { name: 'Bob' }, parent: { id: 'c4' } });
+  const details = {
+    ...ISSUE,
+    description: 'Login fails on Safari.',
+    parent: { identifier: 'ABC-0', title: 'Auth epic', state: { name: 'In Progress' } },
+    children: [{ identifier: 'ABC-2', title: 'Add test', state: { name: 'Todo' } }],
+    attachments: [{ title: 'PR #7', url: 'https://github.com/x/pull/7' }],
+    comments,
+  };
+
+  const context = formatIssueContext(details, { maxChars: 5000, maxComments: 2 });
+  assert.match(context, /^# ABC-1: Fix login/);
+  assert.match(context, /Login fails on Safari\./);
+  assert.match(context, /## Parent\n\n- \*\*ABC-0\*\*: Auth epic/);
+  assert.match(context, /## Sub-issues\n\n- \*\*ABC-2\*\*: Add test/);
+  assert.match(context, /PR #7/);
+  assert.ok(context.includes('Comment 4') && context.includes('Comment 3') && context.includes('Reply to 4'), 'recent threads kept');
+  assert.ok(!context.includes('Comment 1') && !context.includes('Reply to 1'), 'older threads dropped');
+  assert.ok(context.indexOf('Comment 4') < context.indexOf('Comment 3'), 'newest thread first');
+
+  const capped = formatIssueContext(details, { maxChars: 40, maxComments: 10 });
+  assert.ok(capped.startsWith('# ABC-1: Fix login'));
+  assert.match(capped, /issue context truncated, \d+ more chars\)\. Read the full issue with `linear_issue view ABC-1`/);
+
+  assert.equal(formatIssueContext(details, { maxChars: 0 }), 'Read the full issue with `linear_issue view ABC-1`.');
+
+  const prompt = renderPromptTemplate(DEFAULT_PROMPT_TEMPLATE, buildPromptVariables(details, {
+    projectId: 'p1',
+    issueContext: resolveIssueContextSettings({ rpc: { issueContext: { maxChars: 5000 } }, projects: { p1: { runtime: { issueContext: { maxComments: 0 } } } } }, 'p1'),
+  }));
+  assert.match(prompt, /\n\n# ABC-1: Fix login\n/);
+  assert.doesNotMatch(prompt, /## Comments/);
+}
+
+async function testTemplateSources(dir) {
+  const repo = join(dir, 'repo');
+  await mkdir(join(repo, '.pi'), { recursive: true });
+
+  assert.equal((await resolvePromptTemplate({ repo: { path: repo } })).source, 'default');
+
+  await writeFile(join(repo, '.pi', 'linear-prompt.md'), 'Repo template for ${identifier}\n');
+  const fromRepo = await resolvePromptTemplate({ repo: { path: repo } });
+  assert.equal(fromRepo.source, join(repo, '.pi', 'linear-prompt.md'));
+  assert.equal(fromRepo.template, 'Repo template for ${identifier}\n');
+
+  await writeFile(join(repo, 'prompt.md'), 'File template ${title}');
+  const fromFile = await resolvePromptTemplate({ repo: { path: repo }, runtime: { promptTemplateFile: 'prompt.md' } });
+  assert.equal(fromFile.template, 'File template ${title}');
+
+  const inline = await resolvePromptTemplate({ repo: { path: repo }, runtime: { promptTemplate: 'Inline ${title}', promptTemplateFile: 'prompt.md' } });
+  assert.equal(inline.source, 'settings');
+
+  await assert.rejects(
+    () => resolvePromptTemplate({ repo: { path: repo }, runtime: { promptTemplateFile: 'missing.md' } }),
+    /Prompt template file not readable/,
+  );
+
+  // A relative repo.path is looked up under rpc.workspaceRoot, like the session cwd
+  const relative = await resolvePromptTemplate({ repo: { path: 'repo' }, runtime: { promptTemplateFile: 'prompt.md' } }, dir);
+  assert.equal(relative.source, join(dir, 'repo', 'prompt.md'));
+  assert.equal((await resolvePromptTemplate({ repo: { path: 'repo' } }, dir)).source, join(repo, '.pi', 'linear-prompt.md'));
+
+  await writeFile(join(repo, 'bad.md'), 'Broken ${issueTitle}');
+  await assert.rejects(
+    () => resolvePromptTemplate({ repo: { path: repo }, runtime: { promptTemplateFile: 'bad.md' } }),
+    /Invalid prompt template .*unknown placeholder \$\{issueTitle\}/,
+  );
+}
+
+async function testRenderPromptCli(dir) {
+  const repo = join(dir, 'cli-repo');
+  await mkdir(repo, { recursive: true });
+  const settings = {
+    projects: {
+      p1: { projectName: 'Web', repo: { path: repo }, runtime: { promptTemplate: '${identifier} [${labels}] in ${projectName}' } },
+    },
+  };
+
+  const sample = await captureConsole(() => renderPrompt(['--project-id', 'p1'], { settings }));
+  assert.equal(sample, '# template: settings, issue: ABC-123 (sample)\nABC-123 [bug, agent-ok] in Web');
+
+  const fetched = await captureConsole(() => renderPrompt(['--project-id', 'p1', '--issue', 'ABC-1', '--json'], {
+    settings,
+    fetchIssue: async (ref) => ({ ...ISSUE, identifier: ref, labels: [] }),
+  }));
+  assert.deepEqual(JSON.parse(fetched), { projectId: 'p1', source: 'settings', issue: 'ABC-1', prompt: 'ABC-1 [(none)] in Web' });
+
+  const relativeSettings = {
+    rpc: { workspaceRoot: dir },
+    projects: { p1: { projectName: 'Web', repo: { path: 'cli-repo' }, runtime: { promptTemplateFile: 'prompt.md' } } },
+  };
+  await writeFile(join(repo, 'prompt.md'), '${identifier} @ ${repoPath}');
+  const relative = await captureConsole(() => renderPrompt(['--project-id', 'p1'], { settings: relativeSettings }));
+  assert.equal(relative, `# template: ${join(repo, 'prompt.md')}, issue: ABC-123 (sample)\nABC-123 @ ${repo}`);
+
+  await writeFile(join(dir, 'draft.md'), 'Draft ${nope}');
+  await assert.rejects(
+    () => renderPrompt(['--project-id', 'p1', '--template-file', join(dir, 'draft.md')], { settings }),
+    /unknown placeholder \$\{nope\}/,
+  );
+  await assert.rejects(() => renderPrompt([], { settings }), /Missing required argument --project-id/);
+  await assert.rejects(() => renderPrompt(['--project-id', 'p9'], { settings }), /Project not configured in settings: p9/);
+}
+
+async function main() {
+  setQuietMode(true);
+  testRendering();
+  testValidation();
+  testIssueContext();
+  const dir = await mkdtemp(join(tmpdir(), 'pi-linear-prompt-'));
+  try {
+    await testTemplateSources(dir);
+    await testRenderPromptCli(dir);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+  console.log('✓ test-prompt-template.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, realpath, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { resolvePreflightSettings, runPreflightChecks, DEFAULT_PREFLIGHT_SETTINGS } from './src/repo-preflight.js';
+import { runGit } from './src/git-worktree.js';
+import { DispatchLedger } from './src/dispatch-ledger.js';
+import { WorkQueue } from './src/work-queue.js';
+import { checkPreflight } from './src/poller.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const CHECKS = { ...DEFAULT_PREFLIGHT_SETTINGS, timeoutSec: 20 };
+
+async function git(args, cwd) {
+  const result = await runGit(args, { cwd });
+  assert.equal(result.exitCode, 0, `git ${args.join(' ')}: ${result.stderr}`);
+  return result.stdout;
+}
+
+async function commit(repoPath, name) {
+  await writeFile(join(repoPath, name), `${name}\n`);
+  await git(['add', name], repoPath);
+  await git(['commit', '-q', '-m', name], repoPath);
+}
+
+async function cloneOf(remote, path) {
+  await git(['clone', '-q', remote, path], dirname(path));
+  await git(['config', 'user.email', 'dev@example.com'], path);
+  await git(['config', 'user.name', 'Dev'], path);
+  return path;
+}
+
+/**
+ * Wait up to 2s for a process to go away
+ */
+async function processGone(pid) {
+  for (let i = 0; i < 20; i++) {
+    try {
+      process.kill(pid, 0);
+    } catch {
+      return true;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  return false;
+}
+
+/**
+ * Bare remote with `main`, plus a clone the agent works in
+ */
+async function createRepos(dir) {
+  const seed = join(dir, 'seed');
+  await git(['init', '-q', '-b', 'main', seed], dir);
+  await git(['config', 'user.email', 'dev@example.com'], seed);
+  await git(['config', 'user.name', 'Dev'], seed);
+  await commit(seed, 'README.md');
+  const remote = join(dir, 'remote.git');
+  await git(['clone', '-q', '--bare', seed, remote], dir);
+  const work = await cloneOf(remote, join(dir, 'work'));
+  return { remote, work };
+}
+
+function testSettings() {
+  assert.equal(resolvePreflightSettings({ rpc: { preflight: null }, projects: { p1: {} } }, 'p1'), null);
+  assert.deepEqual(resolvePreflightSettings({ projects: { p1: { runtime: { preflight: true } } } }, 'p1'), DEFAULT_PREFLIGHT_SETTINGS);
+  assert.deepEqual(
+    resolvePreflightSettings({ rpc: { preflight: { baseBranch: 'main' } }, projects: { p1: { runtime: { preflight: { maxBehind: 0 } } } } }, 'p1'),
+    { ...DEFAULT_PREFLIGHT_SETTINGS, baseBranch: 'main', maxBehind: 0 },
+  );
+  assert.equal(resolvePreflightSettings({ rpc: { preflight: true }, projects: { p1: { runtime: { preflight: false } } } }, 'p1'), null);
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    rpc: { preflight: { cleanTree: 'yes', maxBehind: -1 } },
+    projects: { p1: { repo: { path: '/repo' }, runtime: { preflight: { command: '', timeoutSec: 0 } } } },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.runtime.preflight.command must be a non-empty string or null',
+    'settings.projects.p1.runtime.preflight.timeoutSec must be a positive number',
+    'settings.rpc.preflight.cleanTree must be a boolean',
+    'settings.rpc.preflight.maxBehind must be a non-negative integer or null',
+  ]);
+}
+
+async function testChecks(dir) {
+  const { remote, work } = await createRepos(dir);
+
+  const clean = await runPreflightChecks(work, { ...CHECKS, baseBranch: 'main' }, { now: 1000 });
+  assert.deepEqual(clean, { ok: true, checkedAt: 1000, failures: [], warnings: [] });
+
+  // Leftovers of an aborted run
+  await writeFile(join(work, 'half-done.js'), 'export {};\n');
+  await writeFile(join(work, 'README.md'), '# changed\n');
+  const dirty = await runPreflightChecks(work, CHECKS);
+  assert.deepEqual(dirty.failures, [{ check: 'cleanTree', reason: '2 uncommitted changes' }]);
+  assert.ok((await runPreflightChecks(work, { ...CHECKS, cleanTree: false })).ok);
+  await git(['checkout', '-q', '--', 'README.md'], work);
+  await git(['clean', '-q', '-f'], work);
+
+  // Wrong branch, unless the directory is an issue worktree
+  await git(['checkout', '-q', '-b', 'feature'], work);
+  assert.deepEqual((await runPreflightChecks(work, { ...CHECKS, baseBranch: 'main' })).failures, [
+    { check: 'baseBranch', reason: 'on branch feature, expected main' },
+  ]);
+  assert.ok((await runPreflightChecks(work, { ...CHECKS, baseBranch: 'main' }, { worktree: true })).ok);
+  await git(['checkout', '-q', 'main'], work);
+
+  await git(['checkout', '-q', '--detach'], work);
+  assert.deepEqual((await runPreflightChecks(work, CHECKS)).failures, [{ check: 'detachedHead', reason: 'HEAD is detached' }]);
+  await git(['checkout', '-q', 'main'], work);
+
+  // Upstream moved on: fetched, then counted
+  const teammate = await cloneOf(remote, join(dir, 'teammate'));
+  await commit(teammate, 'a.txt');
+  await commit(teammate, 'b.txt');
+  await git(['push', '-q', 'origin', 'main'], teammate);
+  assert.ok((await runPreflightChecks(work, { ...CHECKS, maxBehind: 2 })).ok);
+  assert.deepEqual((await runPreflightChecks(work, { ...CHECKS, maxBehind: 1 })).failures, [
+    { check: 'behind', reason: '2 commits behind origin/main (max 1)' },
+  ]);
+
+  // Offline: fetch only warns
+  await git(['remote', 'set-url', 'origin', join(dir, 'gone.git')], work);
+  const offline = await runPreflightChecks(work, { ...CHECKS, maxBehind: null });
+  assert.equal(offline.ok, true);
+  assert.equal(offline.warnings[0].check, 'fetch');
+  assert.match(offline.warnings[0].reason, /^git fetch failed \(offline\?\)/);
+
+  const custom = await runPreflightChecks(work, { ...CHECKS, fetch: false, command: 'echo "lint: 3 errors" >&2; exit 3' });
+  assert.deepEqual(custom.failures, [{ check: 'command', reason: 'echo "lint: 3 errors" >&2; exit 3 (exit 3): lint: 3 errors' }]);
+  assert.ok((await runPreflightChecks(work, { ...CHECKS, fetch: false, command: 'test -f README.md' })).ok);
+
+  // A timeout stops the whole command, not just the shell waiting for it
+  const startedAt = Date.now();
+  const forked = await runPreflightChecks(work, { ...CHECKS, fetch: false, timeoutSec: 0.5, command: 'sleep 30 & echo $! > ../sleep.pid; wait' });
+  assert.ok(Date.now() - startedAt < 5000, 'returns at the timeout');
+  assert.deepEqual(forked.failures, [{ check: 'command', reason: 'sleep 30 & echo $! > ../sleep.pid; wait (did not finish): timed out after 500ms' }]);
+  const sleepPid = Number(await readFile(join(dir, 'sleep.pid'), 'utf8'));
+  assert.equal(await processGone(sleepPid), true, 'background child is killed');
+
+  const notRepo = await runPreflightChecks(dir, CHECKS);
+  assert.deepEqual(notRepo.failures, [{ check: 'git', reason: `not a git work tree: ${dir}` }]);
+}
+
+async function testFailedWorktreeHoldsOnlyThatIssue(dir) {
+  const { work } = await createRepos(await mkdir(join(dir, 'held'), { recursive: true }));
+  await writeFile(join(work, 'half-done.js'), 'export {};\n');
+  const rpcManager = { isIdle: async () => ({ ok: true, idle: true }), getCwd: () => work };
+  const config = { rpc: { preflight: { ...CHECKS, fetch: false } }, projects: { p1: { scope: { retryAfterSec: 60 } } } };
+  const workQueue = new WorkQueue();
+  const ledger = new DispatchLedger({ path: join(dir, 'held-ledger.json') });
+  const failing = { id: 'i1', identifier: 'P-1', state: { name: 'Todo' } };
+  const other = { id: 'i2', identifier: 'P-2', state: { name: 'Todo' } };
+
+  // Session in the project repo: nothing is issue-specific, so nothing is held
+  const context = { config, projectId: 'p1', sessionName: 's1', issue: failing, workQueue, ledger };
+  assert.equal(await checkPreflight(rpcManager, context), false);
+  assert.equal(workQueue.checkEligibility(failing).eligible, true);
+
+  const before = Date.now();
+  assert.equal(await checkPreflight(rpcManager, { ...context, worktreePath: work }), false);
+  assert.equal(ledger.getPreflight('p1').failures[0].check, 'cleanTree');
+  assert.deepEqual(workQueue.checkEligibility(failing), { eligible: false, reason: 'pre-flight failed in its worktree: cleanTree' });
+  assert.ok(workQueue.holds.get('i1').until >= before + 60_000);
+  assert.equal(workQueue.selectNext([failing, other]).issue, other);
+
+  // Moving the issue in Linear lets it be tried again
+  assert.equal(workQueue.checkEligibility({ ...failing, state: { name: 'In Progress' } }).eligible, true);
+}
+
+async function testLedgerKeepsResult(dir) {
+  const path = join(dir, 'ledger.json');
+  const ledger = new DispatchLedger({ path });
+  ledger.recordPreflight('p1', { ok: false, checkedAt: 5, failures: [{ check: 'cleanTree', reason: '1 uncommitted change' }], warnings: [] });
+  await ledger.save();
+
+  const reloaded = await new DispatchLedger({ path }).load();
+  assert.equal(reloaded.getPreflight('p1').failures[0].check, 'cleanTree');
+  assert.equal(reloaded.getPreflight('p2'), null);
+}
+
+async function main() {
+  setQuietMode(true);
+  const dir = await realpath(await mkdtemp(join(tmpdir(), 'pi-linear-preflight-')));
+  testSettings();
+  await testChecks(dir);
+  await testFailedWorktreeHoldsOnlyThatIssue(dir);
+  await testLedgerKeepsResult(dir);
+  console.log('✓ test-repo-preflight.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
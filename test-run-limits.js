@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import {
+  exceededRunLimit,
+  formatRunLimitComment,
+  resolveRunLimits,
+  RunLimitEnforcer,
+  DEFAULT_RUN_LIMIT_SETTINGS,
+} from './src/run-limits.js';
+import { RunTracker } from './src/run-tracker.js';
+import { verifyRunOutcome } from './src/poller.js';
+import { WorkQueue } from './src/work-queue.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const SESSION = 'pi_project_p1';
+const MINUTE = 60_000;
+
+function assistantMessage(text, usage) {
+  return { type: 'message_end', message: { role: 'assistant', content: [{ type: 'text', text }], usage } };
+}
+
+/**
+ * Stand-in for RpcSessionManager.abortRun: ends the run like the real one
+ */
+function fakeRpcManager(runTracker) {
+  const aborted = [];
+  return {
+    aborted,
+    abortRun: async (sessionName, reason) => {
+      aborted.push({ sessionName, reason });
+      runTracker.failRun(sessionName, reason);
+      return true;
+    },
+  };
+}
+
+function linearCollectingComments() {
+  const comments = [];
+  return {
+    comments,
+    issue: async (id) => ({ id, identifier: 'ENG-9', title: 'Refactor', state: { name: 'In Progress', type: 'started' } }),
+    createComment: async ({ issueId, body }) => {
+      comments.push({ issueId, body });
+      return { success: true, comment: { id: `c-${comments.length}`, body } };
+    },
+  };
+}
+
+function testSettings() {
+  assert.equal(resolveRunLimits({ rpc: { limits: null }, projects: { p1: {} } }, 'p1'), null);
+  assert.equal(resolveRunLimits({ projects: { p1: { runtime: { limits: { comment: false } } } } }, 'p1'), null, 'no limit set');
+  assert.deepEqual(
+    resolveRunLimits({ rpc: { limits: { maxRunMinutes: 60 } }, projects: { p1: { runtime: { limits: { maxCostUsd: 5 } } } } }, 'p1'),
+    { ...DEFAULT_RUN_LIMIT_SETTINGS, maxRunMinutes: 60, maxCostUsd: 5 },
+  );
+  assert.equal(resolveRunLimits({ rpc: { limits: { maxTokens: 1000 } }, projects: { p1: { runtime: { limits: false } } } }, 'p1'), null);
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    rpc: { limits: true },
+    projects: { p1: { repo: { path: '/repo' }, runtime: { limits: { maxTokens: 0, maxCostUsd: '5', comment: 'yes' } } } },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.runtime.limits.maxTokens must be a positive number or null',
+    'settings.projects.p1.runtime.limits.maxCostUsd must be a positive number or null',
+    'settings.projects.p1.runtime.limits.comment must be a boolean',
+    'settings.rpc.limits must be false or an object',
+  ]);
+}
+
+function testLimitsAndUsage() {
+  const tracker = new RunTracker();
+  tracker.startRun(SESSION, { issueId: 'i1', identifier: 'ENG-9', projectId: 'p1', now: 0 });
+  tracker.handleEvent(SESSION, { type: 'agent_start' }, 10);
+  tracker.handleEvent(SESSION, assistantMessage('Reading', { input: 1000, output: 200, cacheRead: 0, cacheWrite: 0, totalTokens: 1200, cost: { total: 0.25 } }), 20);
+  tracker.handleEvent(SESSION, assistantMessage('Editing', { input: 300, output: 100, cost: { total: 0.5 } }), 30);
+  tracker.handleEvent(SESSION, { type: 'message_end', message: { role: 'toolResult', usage: { totalTokens: 9999 } } }, 40);
+  const run = tracker.getRun(SESSION);
+  assert.equal(run.tokens, 1600, 'totalTokens, else the sum of the parts');
+  assert.equal(run.costUsd, 0.75);
+
+  const limits = { ...DEFAULT_RUN_LIMIT_SETTINGS, maxRunMinutes: 30, maxTokens: 2000, maxCostUsd: 1 };
+  assert.equal(exceededRunLimit(run, limits, 10 * MINUTE), null);
+  assert.equal(exceededRunLimit(run, limits, 31 * MINUTE), 'run limit exceeded: 31 minutes (max 30)');
+  assert.equal(exceededRunLimit(run, { ...limits, maxTokens: 1500 }, 0), 'run limit exceeded: 1600 tokens (max 1500)');
+  assert.equal(exceededRunLimit(run, { ...limits, maxCostUsd: 0.5 }, 0), 'run limit exceeded: $0.75 (max $0.5)');
+  assert.match(formatRunLimitComment(run, 'run limit exceeded: 1600 tokens (max 1500)'), /Usage so far: 1600 tokens, \$0\.75\./);
+}
+
+async function testEnforcer() {
+  const tracker = new RunTracker();
+  const linear = linearCollectingComments();
+  const config = { projects: { p1: { runtime: { limits: { maxTokens: 5000, maxRunMinutes: 60 } } }, p2: {} } };
+  const enforcer = new RunLimitEnforcer({ runTracker: tracker, config, linearClient: linear });
+  const rpcManager = fakeRpcManager(tracker);
+  enforcer.rpcManager = rpcManager;
+  const ended = [];
+  tracker.on('run_end', (run) => ended.push(run));
+
+  // Token budget: aborted from the event that crossed it
+  tracker.startRun(SESSION, { issueId: 'i1', identifier: 'ENG-9', projectId: 'p1' });
+  tracker.handleEvent(SESSION, { type: 'agent_start' });
+  tracker.handleEvent(SESSION, assistantMessage('Step 1', { totalTokens: 3000 }));
+  assert.equal(rpcManager.aborted.length, 0);
+  tracker.handleEvent(SESSION, assistantMessage('Step 2', { totalTokens: 3000 }));
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(rpcManager.aborted, [{ sessionName: SESSION, reason: 'run limit exceeded: 6000 tokens (max 5000)' }]);
+  assert.equal(ended[0].state, 'failed');
+  assert.equal(ended[0].error, 'run limit exceeded: 6000 tokens (max 5000)');
+  assert.equal(ended[0].limitExceeded, 'run limit exceeded: 6000 tokens (max 5000)');
+  assert.equal(linear.comments.length, 1);
+  assert.match(linear.comments[0].body, /^pi-linear-service: agent run aborted, run limit exceeded: 6000 tokens/);
+
+  // Wall-clock: checked by the poll even without events
+  const queued = tracker.startRun(SESSION, { issueId: 'i2', identifier: 'ENG-10', projectId: 'p1', now: 0 });
+  tracker.startRun('pi_project_p2', { issueId: 'i3', projectId: 'p2', now: 0 });
+  assert.equal(await enforcer.checkActiveRuns(59 * MINUTE), 0);
+  assert.equal(await enforcer.checkActiveRuns(61 * MINUTE), 1, 'projects without limits run on');
+  assert.equal(rpcManager.aborted[1].reason, 'run limit exceeded: 61 minutes (max 60)');
+  assert.equal(tracker.isActive('pi_project_p2'), true);
+  assert.equal(await enforcer.check(queued, 120 * MINUTE), null, 'ended runs are not aborted twice');
+  assert.equal(rpcManager.aborted.length, 2);
+}
+
+async function testRunOutcomeEscalates() {
+  const config = { projects: { p1: { scope: { maxRunAttempts: 3 } } } };
+  const workQueue = new WorkQueue();
+  const issue = { id: 'i1', identifier: 'ENG-9', state: { name: 'Todo', type: 'unstarted' } };
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 1000 });
+
+  const reason = 'run limit exceeded: 6000 tokens (max 5000)';
+  const run = { sessionName: SESSION, issueId: 'i1', projectId: 'p1', queuedAt: 1000, endedAt: 1500, state: 'failed', error: reason, limitExceeded: reason };
+  const record = await verifyRunOutcome(run, { client: linearCollectingComments(), workQueue, config });
+  assert.equal(record.status, 'escalated', 'not retried into the same limit');
+  assert.equal(record.reason, reason);
+  assert.equal(workQueue.checkEligibility(issue, { now: 999_999 }).eligible, false);
+}
+
+async function main() {
+  setQuietMode(true);
+  testSettings();
+  testLimitsAndUsage();
+  await testEnforcer();
+  await testRunOutcomeEscalates();
+  console.log('✓ test-run-limits.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { RunTracker } from './src/run-tracker.js';
+import { RpcSessionManager } from './src/rpc-session-manager.js';
+import { WorkQueue } from './src/work-queue.js';
+import { verifyRunOutcome } from './src/poller.js';
+import { setQuietMode } from './src/logger.js';
+
+const SESSION = 'pi_project_p1';
+
+function collectEnded(tracker) {
+  const ended = [];
+  tracker.on('run_end', (run) => ended.push(run));
+  return ended;
+}
+
+function testRunLifecycle() {
+  const tracker = new RunTracker();
+  const ended = collectEnded(tracker);
+
+  tracker.startRun(SESSION, { issueId: 'i1', identifier: 'T-1', projectId: 'p1', now: 100 });
+  assert.equal(tracker.getRun(SESSION).state, 'queued');
+  assert.equal(tracker.isActive(SESSION), true);
+
+  tracker.handleEvent(SESSION, { type: 'agent_start' }, 110);
+  tracker.handleEvent(SESSION, { type: 'turn_end' }, 150);
+  tracker.handleEvent(SESSION, { type: 'turn_end' }, 180);
+  assert.equal(tracker.getRun(SESSION).state, 'running');
+
+  tracker.handleEvent(SESSION, {
+    type: 'agent_end',
+    messages: [{ role: 'user' }, { role: 'assistant', stopReason: 'stop' }],
+  }, 200);
+
+  assert.equal(ended.length, 1);
+  assert.equal(ended[0].state, 'finished');
+  assert.equal(ended[0].startedAt, 110);
+  assert.equal(ended[0].endedAt, 200);
+  assert.equal(ended[0].turnCount, 2);
+  assert.equal(tracker.isActive(SESSION), false);
+
+  // Events after the run ended do not reopen it
+  tracker.handleEvent(SESSION, { type: 'agent_end' }, 300);
+  assert.equal(ended.length, 1);
+}
+
+function testFailedRuns() {
+  const tracker = new RunTracker();
+  const ended = collectEnded(tracker);
+
+  tracker.startRun(SESSION, { issueId: 'i1' });
+  tracker.handleEvent(SESSION, { type: 'agent_start' });
+  tracker.handleEvent(SESSION, {
+    type: 'agent_end',
+    messages: [{ role: 'assistant', stopReason: 'error', errorMessage: 'provider overloaded' }],
+  });
+  assert.equal(ended[0].state, 'failed');
+  assert.equal(ended[0].error, 'provider overloaded');
+
+  tracker.startRun(SESSION, { issueId: 'i2' });
+  assert.equal(tracker.failRun(SESSION, 'pi process exited (code=1, signal=null)').state, 'failed');
+  assert.equal(tracker.failRun(SESSION, 'again'), null, 'only active runs can fail');
+  assert.equal(ended.length, 2);
+
+  tracker.startRun(SESSION, { issueId: 'i3' });
+  tracker.discardRun(SESSION);
+  assert.equal(tracker.getRun(SESSION), null);
+}
+
+async function testPromptRegistersRun() {
+  const runTracker = new RunTracker();
+  const mgr = new RpcSessionManager({ runTracker });
+  let promptResponse = { success: true };
+  mgr.sessions.set(SESSION, {
+    client: {
+      isAlive: () => true,
+      getState: async () => ({ success: true, data: { isStreaming: false, pendingMessageCount: 0 } }),
+      prompt: async () => promptResponse,
+    },
+    startedAt: Date.now(),
+    lastPromptAt: null,
+    needsInput: false,
+  });
+
+  const ok = await mgr.promptIfIdle(SESSION, 'work', { issueId: 'i1', projectId: 'p1' });
+  assert.equal(ok.prompted, true);
+  assert.equal(runTracker.getRun(SESSION).state, 'queued');
+
+  runTracker.failRun(SESSION, 'reset');
+  promptResponse = { success: false, error: 'busy' };
+  const rejected = await mgr.promptIfIdle(SESSION, 'work', { issueId: 'i2', projectId: 'p1' });
+  assert.equal(rejected.prompted, false);
+  assert.equal(runTracker.getRun(SESSION), null, 'rejected prompt leaves no run behind');
+}
+
+function linearWithState(state) {
+  return {
+    issue: async (id) => ({ id, identifier: 'T-1', title: 'Issue', state }),
+  };
+}
+
+async function testVerifyRunOutcome() {
+  const config = { projects: { p1: { scope: { maxRunAttempts: 2 } } } };
+  const workQueue = new WorkQueue();
+  const issue = { id: 'i1', identifier: 'T-1', state: { name: 'Todo', type: 'unstarted' } };
+  const run = (queuedAt, state = 'finished') => ({ sessionName: SESSION, issueId: 'i1', projectId: 'p1', queuedAt, endedAt: queuedAt + 500, state, error: null });
+
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 1000 });
+  let record = await verifyRunOutcome(run(1000), { client: linearWithState({ name: 'Todo', type: 'unstarted' }), workQueue, config });
+  assert.equal(record.status, 'incomplete');
+  assert.equal(record.unfinishedRuns, 1);
+  assert.equal(workQueue.checkEligibility(issue, { now: 1001 }).eligible, true, 'unfinished runs retry right away');
+
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 2000 });
+  record = await verifyRunOutcome(run(2000, 'failed'), { client: linearWithState({ name: 'Todo', type: 'unstarted' }), workQueue, config });
+  assert.equal(record.status, 'escalated');
+  const held = workQueue.checkEligibility(issue, { retryAfterSec: 0, now: 999_999 });
+  assert.equal(held.eligible, false);
+  assert.match(held.reason, /escalated after 2 unfinished runs/);
+  assert.equal(
+    workQueue.checkEligibility({ ...issue, state: { name: 'In Progress', type: 'started' } }).eligible,
+    true,
+    'escalation ends when someone moves the issue'
+  );
+
+  // Runs of older dispatches and already verified dispatches are ignored
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 3000 });
+  assert.equal(await verifyRunOutcome(run(1000), { client: linearWithState(null), workQueue, config }), null);
+  workQueue.recordRunOutcome('i1', { done: true });
+  assert.equal(await verifyRunOutcome(run(3000), { client: linearWithState(null), workQueue, config }), null);
+
+  const doneQueue = new WorkQueue();
+  doneQueue.markDispatched(issue, { sessionName: SESSION, now: 5000 });
+  record = await verifyRunOutcome(run(5000), { client: linearWithState({ name: 'Done', type: 'completed' }), workQueue: doneQueue, config });
+  assert.equal(record.status, 'completed');
+  assert.equal(record.unfinishedRuns, 0);
+}
+
+async function main() {
+  setQuietMode(true);
+  testRunLifecycle();
+  testFailedRuns();
+  await testPromptRegistersRun();
+  await testVerifyRunOutcome();
+  console.log('✓ test-run-tracker.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { mkdtemp, realpath, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  formatVerifyFailure,
+  resolveVerifySettings,
+  runVerifyCommands,
+  DEFAULT_VERIFY_SETTINGS,
+} from './src/run-verification.js';
+import { ensureIssueWorktree, resolveWorktreeSettings, runGit } from './src/git-worktree.js';
+import { verifyRunOutcome } from './src/poller.js';
+import { RpcSessionManager } from './src/rpc-session-manager.js';
+import { WorkQueue } from './src/work-queue.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const SESSION = 'pi_project_p1';
+
+const STATES = [
+  { id: 'st-progress', name: 'In Progress', type: 'started' },
+  { id: 'st-review', name: 'In Review', type: 'started' },
+  { id: 'st-done', name: 'Done', type: 'completed' },
+  { id: 'st-canceled', name: 'Canceled', type: 'canceled' },
+];
+
+/**
+ * Mocked SDK client holding one issue the agent left in `stateName`
+ */
+function linearWithIssue(stateName) {
+  const data = { stateId: STATES.find((s) => s.name === stateName).id, comments: [] };
+  const sdkIssue = () => ({
+    id: 'i1',
+    identifier: 'ENG-1',
+    title: 'Fix login',
+    state: Promise.resolve(STATES.find((s) => s.id === data.stateId)),
+    team: Promise.resolve({ id: 'team-1', key: 'ENG', name: 'Engineering' }),
+    project: Promise.resolve(null),
+    assignee: Promise.resolve(null),
+    creator: Promise.resolve(null),
+    parent: Promise.resolve(null),
+    labels: async () => ({ nodes: [] }),
+    children: async () => ({ nodes: [] }),
+    relations: async () => ({ nodes: [] }),
+    inverseRelations: async () => ({ nodes: [] }),
+    attachments: async () => ({ nodes: [] }),
+    comments: async () => ({ nodes: [] }),
+    update: async (input) => {
+      if (input.stateId) data.stateId = input.stateId;
+      return { success: true, issue: sdkIssue() };
+    },
+  });
+  return {
+    data,
+    stateName: () => STATES.find((s) => s.id === data.stateId).name,
+    issue: async () => sdkIssue(),
+    team: async () => ({ states: async () => ({ nodes: STATES }) }),
+    createComment: async ({ body }) => {
+      data.comments.push(body);
+      return { success: true, comment: { id: `c-${data.comments.length}`, body } };
+    },
+  };
+}
+
+function testSettings() {
+  assert.equal(resolveVerifySettings({ projects: { p1: {} } }, 'p1'), null);
+  assert.equal(resolveVerifySettings({ projects: { p1: { runtime: { verify: [] } } } }, 'p1'), null);
+  assert.deepEqual(resolveVerifySettings({ projects: { p1: { runtime: { verify: ['npm test'] } } } }, 'p1'), {
+    ...DEFAULT_VERIFY_SETTINGS,
+    commands: ['npm test'],
+  });
+  assert.equal(
+    resolveVerifySettings({ projects: { p1: { runtime: { verify: { commands: ['npm test'], reviewState: 'In Review' } } } } }, 'p1').reviewState,
+    'In Review',
+  );
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    projects: {
+      p1: { repo: { path: '/repo' }, runtime: { verify: ['npm test', ''] } },
+      p2: { repo: { path: '/repo' }, runtime: { verify: { commands: 'npm test', failState: '', timeoutSec: 0 } } },
+      p3: { repo: { path: '/repo' }, runtime: { verify: 'npm test' } },
+    },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.runtime.verify.commands[1] must be a non-empty string',
+    'settings.projects.p2.runtime.verify.commands must be an array',
+    'settings.projects.p2.runtime.verify.failState must be a non-empty string',
+    'settings.projects.p2.runtime.verify.timeoutSec must be a positive number',
+    'settings.projects.p3.runtime.verify must be an array of commands or an object',
+  ]);
+}
+
+async function testCommands(dir) {
+  await writeFile(join(dir, 'ok.txt'), 'ok\n');
+  const settings = { ...DEFAULT_VERIFY_SETTINGS, commands: ['test -f ok.txt', 'echo "1 test failed" >&2; exit 1', 'echo never'] };
+
+  const failed = await runVerifyCommands(dir, settings);
+  assert.equal(failed.ok, false);
+  assert.deepEqual(failed.results.map((r) => [r.command, r.exitCode]), [
+    ['test -f ok.txt', 0],
+    ['echo "1 test failed" >&2; exit 1', 1],
+  ], 'stops at the first failure');
+  assert.equal(failed.results[1].output.trim(), '1 test failed');
+
+  const slow = await runVerifyCommands(dir, { ...settings, commands: ['sleep 5'], timeoutSec: 0.2 });
+  assert.equal(slow.results[0].exitCode, null);
+  assert.match(formatVerifyFailure(slow.results[0], { ...settings, timeoutSec: 0.2 }), /`sleep 5` \(did not finish within 0.2s\)/);
+
+  const comment = formatVerifyFailure({ command: 'npm test', exitCode: 2, output: `${'x'.repeat(50)}\n\`\`\`tail` }, { ...settings, maxOutputChars: 10 });
+  assert.equal(comment, [
+    'pi-linear-service verification failed: `npm test` (exit 2)',
+    '',
+    '```',
+    "...xx\n'''tail",
+    '```',
+    '',
+    'Moved back to In Progress.',
+  ].join('\n'));
+}
+
+async function testRunOutcome(dir) {
+  const run = (queuedAt, state = 'finished') => ({ sessionName: SESSION, issueId: 'i1', identifier: 'ENG-1', projectId: 'p1', queuedAt, endedAt: queuedAt + 500, state, error: null });
+  const holds = [];
+  const rpcManager = {
+    getCwd: (sessionName) => (sessionName === SESSION ? dir : undefined),
+    holdSession: (sessionName, reason) => holds.push(['hold', sessionName, reason]),
+    releaseSession: (sessionName) => holds.push(['release', sessionName]),
+  };
+  const issue = { id: 'i1', identifier: 'ENG-1', state: { name: 'Todo', type: 'unstarted' } };
+  const configWith = (verify) => ({ projects: { p1: { repo: { path: dir }, runtime: { verify } } } });
+
+  // Failing tests send the issue back with the output
+  let workQueue = new WorkQueue();
+  let linear = linearWithIssue('Done');
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 1000 });
+  let record = await verifyRunOutcome(run(1000), {
+    client: linear,
+    workQueue,
+    config: configWith(['test -f ok.txt', 'echo "expected 2, got 3"; exit 1']),
+    rpcManager,
+  });
+  assert.equal(record.status, 'incomplete');
+  assert.equal(record.unfinishedRuns, 1);
+  assert.equal(linear.stateName(), 'In Progress');
+  assert.equal(linear.data.comments.length, 1);
+  assert.match(linear.data.comments[0], /verification failed: `echo "expected 2, got 3"; exit 1` \(exit 1\)/);
+  assert.match(linear.data.comments[0], /expected 2, got 3/);
+  assert.deepEqual(holds, [['hold', SESSION, 'verifying ENG-1'], ['release', SESSION]], 'session held while verifying');
+
+  // The retry from the state the daemon moved the issue to keeps counting
+  const inProgress = { ...issue, state: { name: 'In Progress', type: 'started' } };
+  assert.equal(workQueue.checkEligibility(inProgress, { now: 1600 }).reason, 'previous run did not finish the issue');
+  assert.equal(workQueue.markDispatched(inProgress, { sessionName: SESSION, projectId: 'p1', now: 1700 }).unfinishedRuns, 1);
+  linear.data.stateId = 'st-done';
+  record = await verifyRunOutcome(run(1700), {
+    client: linear,
+    workQueue,
+    config: configWith(['echo "expected 2, got 3"; exit 1']),
+    rpcManager,
+  });
+  assert.equal(record.status, 'escalated', 'second failed verification escalates');
+  assert.equal(workQueue.checkEligibility(inProgress, { now: 999_999 }).eligible, false);
+
+  // Passing tests move the issue on to review
+  workQueue = new WorkQueue();
+  linear = linearWithIssue('Done');
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 2000 });
+  record = await verifyRunOutcome(run(2000), {
+    client: linear,
+    workQueue,
+    config: configWith({ commands: ['test -f ok.txt'], reviewState: 'In Review' }),
+    rpcManager,
+  });
+  assert.equal(record.status, 'completed');
+  assert.equal(linear.stateName(), 'In Review');
+  assert.deepEqual(linear.data.comments, []);
+
+  // Canceled issues and unfinished runs are not verified
+  for (const [stateName, status] of [['Canceled', 'completed'], ['In Progress', 'incomplete']]) {
+    workQueue = new WorkQueue();
+    linear = linearWithIssue(stateName);
+    workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 3000 });
+    record = await verifyRunOutcome(run(3000), { client: linear, workQueue, config: configWith(['exit 1']), rpcManager });
+    assert.equal(record.status, status);
+    assert.equal(linear.stateName(), stateName);
+    assert.deepEqual(linear.data.comments, []);
+  }
+}
+
+async function testWorktreeKeptInReview(dir) {
+  const repoPath = join(dir, 'app');
+  for (const args of [['init', '-q', '-b', 'main', repoPath], ['-C', repoPath, 'commit', '-q', '--allow-empty', '-m', 'init']]) {
+    const result = await runGit(['-c', 'user.email=dev@example.com', '-c', 'user.name=Dev', ...args], { cwd: dir });
+    assert.equal(result.exitCode, 0, result.stderr);
+  }
+  const configWith = (verify) => ({ projects: { p1: { repo: { path: repoPath, worktrees: true }, runtime: { verify } } } });
+  const issue = { id: 'i1', identifier: 'ENG-1', state: { name: 'Todo', type: 'unstarted' } };
+  const run = { sessionName: SESSION, issueId: 'i1', identifier: 'ENG-1', projectId: 'p1', queuedAt: 1000, endedAt: 1500, state: 'finished', error: null };
+  const { path } = await ensureIssueWorktree(resolveWorktreeSettings(configWith(null), 'p1'), issue);
+
+  // Verified but only moved on to review: the issue is not finished, the worktree stays
+  let workQueue = new WorkQueue();
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 1000 });
+  await verifyRunOutcome(run, { client: linearWithIssue('Done'), workQueue, config: configWith({ commands: ['true'], reviewState: 'In Review' }) });
+  assert.equal(existsSync(path), true);
+
+  // Done for good: removed
+  workQueue = new WorkQueue();
+  workQueue.markDispatched(issue, { sessionName: SESSION, projectId: 'p1', now: 1000 });
+  await verifyRunOutcome(run, { client: linearWithIssue('Done'), workQueue, config: configWith({ commands: ['true'] }) });
+  assert.equal(existsSync(path), false);
+}
+
+async function testHeldSessionIsBusy() {
+  const mgr = new RpcSessionManager({});
+  mgr.holdSession(SESSION, 'verifying ENG-1');
+  assert.deepEqual(await mgr.isIdle(SESSION), { ok: true, idle: false, reason: 'held: verifying ENG-1' });
+  mgr.releaseSession(SESSION);
+  assert.equal((await mgr.isIdle(SESSION)).reason, 'not running');
+}
+
+async function main() {
+  setQuietMode(true);
+  const dir = await realpath(await mkdtemp(join(tmpdir(), 'pi-linear-verify-')));
+  testSettings();
+  await testCommands(dir);
+  await testRunOutcome(dir);
+  await testWorktreeKeptInReview(dir);
+  await testHeldSessionIsBusy();
+  console.log('✓ test-run-verification.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
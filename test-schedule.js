@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import {
+  isScheduleActive,
+  localTime,
+  nextActiveAt,
+  parseSchedule,
+  parseWindow,
+  resolveSchedule,
+} from './src/schedule.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+// 2026-03-02 is a Monday
+const at = (iso) => Date.parse(iso);
+
+function testParsing() {
+  assert.deepEqual(parseWindow('mon-fri 09:00-18:00'), { days: new Set([1, 2, 3, 4, 5]), start: 540, end: 1080 });
+  assert.deepEqual(parseWindow('fri-mon 22:00-06:00').days, new Set([5, 6, 0, 1]));
+  assert.deepEqual(parseWindow('12:00-13:00').days.size, 7);
+  assert.deepEqual(parseWindow({ days: ['sat', 'sun'], start: '10:00', end: '24:00' }), { days: new Set([6, 0]), start: 600, end: 1440 });
+  assert.throws(() => parseWindow('weekdays 9-5'), /invalid days/);
+
+  assert.deepEqual(localTime(at('2026-03-02T08:30:00Z'), 'Europe/Berlin'), { day: 1, minutes: 570 });
+  assert.deepEqual(localTime(at('2026-03-02T00:30:00Z'), 'America/New_York'), { day: 0, minutes: 1170 });
+
+  const config = {
+    rpc: { schedule: { timezone: 'UTC', windows: ['mon-fri 09:00-18:00'] } },
+    projects: { night: { runtime: { schedule: { windows: ['22:00-06:00'] } } }, always: { runtime: { schedule: false } } },
+  };
+  assert.equal(resolveSchedule(config, 'other').windows.length, 1);
+  assert.equal(resolveSchedule(config, 'night').windows[0].start, 1320);
+  assert.equal(resolveSchedule(config, 'always'), null);
+  assert.equal(resolveSchedule({}, 'p1'), null);
+
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    rpc: { schedule: { timezone: 'Mars/Olympus', windows: 'mon-fri' } },
+    projects: { p1: { repo: { path: '/repo' }, runtime: { schedule: { quiet: ['mon 25:00-26:00'], stopIdleSessions: 'no' } } } },
+  });
+  assert.deepEqual(errors, [
+    'settings.projects.p1.runtime.schedule.quiet[0]: invalid time "25:00" (expected HH:MM)',
+    'settings.projects.p1.runtime.schedule.stopIdleSessions must be a boolean',
+    'settings.rpc.schedule.timezone "Mars/Olympus" is not a known time zone',
+    'settings.rpc.schedule.windows must be an array',
+  ]);
+}
+
+function testActiveAndNext() {
+  const office = parseSchedule({ timezone: 'Europe/Berlin', windows: ['mon-fri 09:00-18:00'], quiet: ['fri 16:00-18:00'] });
+
+  // Monday 10:00 Berlin
+  assert.equal(isScheduleActive(office, at('2026-03-02T09:00:00Z')), true);
+  // Monday 03:00 Berlin -> 09:00 the same day
+  assert.equal(isScheduleActive(office, at('2026-03-02T02:00:00Z')), false);
+  assert.equal(new Date(nextActiveAt(office, at('2026-03-02T02:00:00Z'))).toISOString(), '2026-03-02T08:00:00.000Z');
+  // Friday 16:30 Berlin is quiet -> Monday 09:00
+  assert.equal(isScheduleActive(office, at('2026-03-06T15:30:00Z')), false);
+  assert.equal(new Date(nextActiveAt(office, at('2026-03-06T15:30:00Z'))).toISOString(), '2026-03-09T08:00:00.000Z');
+  // Across the DST switch (2026-03-29 in Berlin): Monday 09:00 is 07:00 UTC
+  assert.equal(new Date(nextActiveAt(office, at('2026-03-28T12:00:00Z'))).toISOString(), '2026-03-30T07:00:00.000Z');
+
+  const overnight = parseSchedule({ timezone: 'UTC', windows: ['fri 22:00-06:00'] });
+  assert.equal(isScheduleActive(overnight, at('2026-03-07T05:00:00Z')), true, 'Saturday 05:00 belongs to Friday night');
+  assert.equal(isScheduleActive(overnight, at('2026-03-08T05:00:00Z')), false);
+
+  assert.equal(isScheduleActive(null), true);
+  assert.equal(nextActiveAt(parseSchedule({ windows: ['mon 09:00-10:00'], quiet: ['00:00-24:00'] })), null);
+}
+
+async function main() {
+  setQuietMode(true);
+  testParsing();
+  testActiveAndNext();
+  console.log('✓ test-schedule.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
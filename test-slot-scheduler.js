@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { SlotScheduler, resolveProjectWeight } from './src/slot-scheduler.js';
+import { RpcSessionManager } from './src/rpc-session-manager.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const candidate = (projectId, weight = 1) => ({ projectId, sessionName: `pi_project_${projectId}`, weight });
+const live = (projectId, busy, weight = 1) => ({ projectId, sessionName: `pi_project_${projectId}`, busy, weight });
+
+function testUnlimited() {
+  const scheduler = new SlotScheduler({ maxSlots: null });
+  const plan = scheduler.plan([candidate('a'), candidate('b'), candidate('c')], [live('x', false)]);
+  assert.equal(plan.granted.length, 3);
+  assert.deepEqual(plan.evict, []);
+}
+
+function testWeightedFairness() {
+  const scheduler = new SlotScheduler({ maxSlots: 1 });
+  const wins = { heavy: 0, light: 0 };
+  for (let poll = 0; poll < 40; poll++) {
+    const plan = scheduler.plan([candidate('heavy', 3), candidate('light', 1)]);
+    assert.equal(plan.granted.length, 1);
+    assert.equal(plan.deferred.length, 1);
+    wins[plan.granted[0].projectId]++;
+  }
+  assert.deepEqual(wins, { heavy: 30, light: 10 }, 'slots shared in weight ratio');
+}
+
+function testBusySessionsHoldSlots() {
+  const scheduler = new SlotScheduler({ maxSlots: 2 });
+  const plan = scheduler.plan(
+    [candidate('a'), candidate('b'), candidate('c')],
+    [live('a', true), live('z', true)]
+  );
+  assert.deepEqual(plan.granted, [], 'no slot left while both sessions are running');
+  assert.deepEqual(plan.deferred.map((c) => c.projectId), ['b', 'c']);
+  assert.deepEqual(plan.evict, []);
+}
+
+function testIdleSessionsEvictedForWaitingProjects() {
+  const scheduler = new SlotScheduler({ maxSlots: 2 });
+  const plan = scheduler.plan(
+    [candidate('urgent', 5)],
+    [live('idle-no-work', false, 10), live('running', true)]
+  );
+  assert.deepEqual(plan.granted.map((c) => c.projectId), ['urgent']);
+  assert.deepEqual(plan.evict.map((s) => s.projectId), ['idle-no-work']);
+
+  // Granted project already holding an idle session needs no eviction
+  const keep = scheduler.plan([candidate('a')], [live('a', false), live('b', true)]);
+  assert.deepEqual(keep.evict, []);
+
+  // Idle sessions without pending work go before lower-weight ones that have work
+  const ordered = new SlotScheduler({ maxSlots: 2 }).plan(
+    [candidate('new', 5), candidate('waiting', 1)],
+    [live('waiting', false, 1), live('no-work', false, 9)]
+  );
+  assert.deepEqual(ordered.granted.map((c) => c.projectId), ['new', 'waiting']);
+  assert.deepEqual(ordered.evict.map((s) => s.projectId), ['no-work']);
+}
+
+async function testStopSession() {
+  const calls = [];
+  const mgr = new RpcSessionManager({ restartCooldownSec: 300 });
+  mgr.sessions.set('pi_project_a', {
+    client: {
+      isAlive: () => true,
+      abort: async () => { calls.push('abort'); },
+      kill: () => { calls.push('kill'); },
+    },
+    startedAt: Date.now(),
+    needsInput: false,
+  });
+
+  assert.equal(await mgr.stopSession('pi_project_a', 'evicted'), true);
+  assert.deepEqual(calls, ['abort', 'kill']);
+  assert.deepEqual(mgr.listSessions(), []);
+  assert.equal(mgr.isWithinCooldown('pi_project_a'), false, 'eviction is not a failure: no cooldown');
+  assert.equal(await mgr.stopSession('pi_project_a'), false);
+}
+
+function testSettingsValidation() {
+  assert.equal(resolveProjectWeight({ runtime: { weight: 4 } }), 4);
+  assert.equal(resolveProjectWeight({}), 1);
+
+  const result = validateSettings({
+    rpc: { maxConcurrentSessions: 0 },
+    projects: { p1: { repo: { path: '/tmp' }, runtime: { weight: -1 } } },
+  });
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some((e) => e.includes('rpc.maxConcurrentSessions')));
+  assert.ok(result.errors.some((e) => e.includes('runtime.weight')));
+}
+
+async function main() {
+  setQuietMode(true);
+  testUnlimited();
+  testWeightedFairness();
+  testBusySessionsHoldSlots();
+  testIdleSessionsEvictedForWaitingProjects();
+  await testStopSession();
+  testSettingsValidation();
+  console.log('✓ test-slot-scheduler.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
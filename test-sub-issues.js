@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import {
+  nextOpenChild,
+  resolveSubIssueDispatch,
+  resolveSubIssueMode,
+  withoutCandidateChildren,
+} from './src/sub-issues.js';
+import { WorkQueue } from './src/work-queue.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const STATES = [
+  { id: 'st-todo', name: 'Todo', type: 'unstarted' },
+  { id: 'st-done', name: 'Done', type: 'completed' },
+];
+
+function child(id, sortOrder, type = 'unstarted') {
+  const state = STATES.find((s) => s.type === type) || { name: 'Canceled', type };
+  return { id, identifier: `T-${id}`, title: `Child ${id}`, sortOrder, state: Promise.resolve(state) };
+}
+
+/**
+ * SDK-style mock: issue(id) with lazy children and update()
+ * @param {Array<Object>} children - Children of every issue asked for
+ * @param {Object} [childFields] - id -> {labels, assignee, priority, blockers} of a child
+ */
+function createMockClient(children, childFields = {}) {
+  const updates = [];
+  const client = {
+    updates,
+    issue: async (id) => ({
+      id,
+      identifier: `T-${id}`,
+      title: `Issue ${id}`,
+      priority: childFields[id]?.priority ?? 0,
+      team: Promise.resolve({ id: 'team-1', key: 'T' }),
+      assignee: Promise.resolve(childFields[id]?.assignee ?? null),
+      labels: async () => ({ nodes: childFields[id]?.labels ?? [] }),
+      inverseRelations: async () => ({
+        nodes: (childFields[id]?.blockers ?? []).map((blocker) => ({ type: 'blocks', issue: Promise.resolve(blocker) })),
+      }),
+      children: async () => ({ nodes: children }),
+      update: async (input) => {
+        updates.push({ id, ...input });
+        return { success: true, issue: { id, identifier: `T-${id}` } };
+      },
+    }),
+    team: async () => ({ states: async () => ({ nodes: STATES }) }),
+  };
+  return client;
+}
+
+function testHelpers() {
+  assert.equal(resolveSubIssueMode({ scope: { subIssueMode: 'sequential' } }), 'sequential');
+  assert.equal(resolveSubIssueMode({}), 'off');
+
+  const issues = [
+    { id: 'parent' },
+    { id: 'kid', parent: { id: 'parent' } },
+    { id: 'orphan', parent: { id: 'elsewhere' } },
+  ];
+  assert.deepEqual(withoutCandidateChildren(issues).map((i) => i.id), ['parent', 'orphan']);
+
+  assert.equal(nextOpenChild([]), null);
+  assert.equal(nextOpenChild([
+    { id: 'b', sortOrder: 2, state: { type: 'unstarted' } },
+    { id: 'done', sortOrder: 0, state: { type: 'completed' } },
+    { id: 'a', sortOrder: 1, state: { type: 'started' } },
+    { id: 'none', state: { type: 'unstarted' } },
+  ]).id, 'a');
+}
+
+async function testDispatchesChildrenInOrder() {
+  const parent = { id: 'p', identifier: 'T-p', project: { id: 'proj' }, state: { name: 'Todo' } };
+  const client = createMockClient([child('c2', 20), child('c1', 10, 'completed'), child('c3', 30)]);
+  const workQueue = new WorkQueue();
+
+  const first = await resolveSubIssueDispatch(client, parent, { workQueue, policy: { now: 1000 } });
+  assert.equal(first.issue.id, 'c2', 'first open child by sortOrder');
+  assert.deepEqual(first.issue.parent, { id: 'p', identifier: 'T-p' });
+  assert.deepEqual(first.issue.project, { id: 'proj' });
+  assert.equal(first.container, parent);
+
+  workQueue.markDispatched(first.issue, { now: 1000 });
+  const waiting = await resolveSubIssueDispatch(client, parent, { workQueue, policy: { now: 2000 } });
+  assert.equal(waiting.issue, null);
+  assert.equal(waiting.reason, 'waiting on sub-issue T-c2: already dispatched');
+  assert.deepEqual(client.updates, []);
+}
+
+async function testSkipsBlockedAndOutOfScopeChildren() {
+  const parent = { id: 'p', identifier: 'T-p', project: { id: 'proj' } };
+  const blocker = (type) => ({ id: 'b1', identifier: 'T-b1', state: Promise.resolve({ name: type, type }) });
+  const children = [child('c1', 10), child('c2', 20), child('c3', 30), child('c4', 40)];
+  const scope = { excludeLabels: ['needs-design'], minPriority: 3 };
+  const me = { id: 'viewer-1', name: 'daemon' };
+  const client = createMockClient(children, {
+    c1: { blockers: [blocker('started')], priority: 2, assignee: me },
+    c2: { labels: [{ id: 'l1', name: 'Needs-Design' }], priority: 2, assignee: me },
+    c3: { priority: 2, assignee: { id: 'someone-else' } },
+    c4: { priority: 2, assignee: me, blockers: [blocker('completed')] },
+  });
+
+  const result = await resolveSubIssueDispatch(client, parent, { workQueue: new WorkQueue(), scope, viewerId: 'viewer-1' });
+  assert.equal(result.issue.id, 'c4', 'blocked, excluded and foreign children are skipped');
+  assert.deepEqual(result.issue.blockedBy.map((b) => b.identifier), ['T-b1']);
+
+  const none = await resolveSubIssueDispatch(client, parent, { workQueue: new WorkQueue(), scope: { ...scope, minPriority: 1 }, viewerId: 'viewer-1' });
+  assert.equal(none.issue, null);
+  assert.equal(none.reason, 'no dispatchable sub-issue (T-c1 blocked by T-b1; T-c2 outside the project scope; '
+    + 'T-c3 not assigned to the daemon user; T-c4 outside the project scope)');
+  assert.deepEqual(client.updates, [], 'the parent stays open');
+}
+
+async function testSkipsChildrenOutsideOpenStates() {
+  const parent = { id: 'p', identifier: 'T-p', project: { id: 'proj' } };
+  const inReview = { id: 'c1', identifier: 'T-c1', title: 'Child c1', sortOrder: 10, state: Promise.resolve({ name: 'In Review', type: 'started' }) };
+  const client = createMockClient([inReview, child('c2', 20)]);
+  const workQueue = new WorkQueue();
+
+  const result = await resolveSubIssueDispatch(client, parent, { workQueue, openStates: ['Todo'] });
+  assert.equal(result.issue.id, 'c2', 'a started child the project does not work is not dispatched again');
+
+  const none = await resolveSubIssueDispatch(client, parent, { workQueue, openStates: ['Backlog'] });
+  assert.equal(none.issue, null);
+  assert.equal(none.reason, 'no dispatchable sub-issue (T-c1 in In Review, not an open state; T-c2 in Todo, not an open state)');
+  assert.deepEqual(client.updates, [], 'the parent stays open');
+}
+
+async function testClosesParentWhenChildrenDone() {
+  const parent = { id: 'p', identifier: 'T-p' };
+  const client = createMockClient([child('c1', 1, 'completed'), child('c2', 2, 'canceled')]);
+  const result = await resolveSubIssueDispatch(client, parent, { workQueue: new WorkQueue() });
+  assert.equal(result.issue, null);
+  assert.equal(result.completedContainer, true);
+  assert.deepEqual(client.updates, [{ id: 'p', stateId: 'st-done' }]);
+
+  const plain = await resolveSubIssueDispatch(createMockClient([]), parent, { workQueue: new WorkQueue() });
+  assert.equal(plain.issue, parent, 'issues without children are dispatched as is');
+}
+
+function testValidation() {
+  const { errors } = validateSettings({
+    mode: 'rpc',
+    projects: { p1: { repo: { path: '/repo' }, scope: { subIssueMode: 'parallel' } } },
+  });
+  assert.deepEqual(errors, ['settings.projects.p1.scope.subIssueMode must be one of: off, sequential']);
+}
+
+async function main() {
+  setQuietMode(true);
+  testHelpers();
+  await testDispatchesChildrenInOrder();
+  await testSkipsBlockedAndOutOfScopeChildren();
+  await testSkipsChildrenOutsideOpenStates();
+  await testClosesParentWhenChildrenDone();
+  testValidation();
+  console.log('✓ test-sub-issues.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
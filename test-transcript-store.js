@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { RunTracker } from './src/run-tracker.js';
+import { TranscriptStore, formatRunAsMarkdown } from './src/transcript-store.js';
+import { runsList, runsShow } from './src/runs-cli.js';
+import { setQuietMode } from './src/logger.js';
+
+const SESSION = 'pi_project_p1';
+
+function simulateRun(tracker, issueId, identifier) {
+  const run = tracker.startRun(SESSION, { issueId, identifier, projectId: 'p1', prompt: `Work on ${identifier}` });
+  tracker.handleEvent(SESSION, { type: 'agent_start' });
+  tracker.handleEvent(SESSION, {
+    type: 'message_end',
+    message: {
+      role: 'assistant',
+      content: [
+        { type: 'text', text: 'Reading the failing test first.' },
+        { type: 'toolCall', id: 'c1', name: 'bash', arguments: { command: 'npm test' } },
+      ],
+    },
+  });
+  tracker.handleEvent(SESSION, {
+    type: 'message_end',
+    message: { role: 'toolResult', toolCallId: 'c1', toolName: 'bash', content: [{ type: 'text', text: '1 failing' }], isError: false },
+  });
+  tracker.handleEvent(SESSION, { type: 'agent_end', messages: [{ role: 'assistant', stopReason: 'stop' }] });
+  return run;
+}
+
+async function captureConsole(fn) {
+  const lines = [];
+  const original = console.log;
+  console.log = (...args) => lines.push(args.join(' '));
+  try {
+    await fn();
+  } finally {
+    console.log = original;
+  }
+  return lines.join('\n');
+}
+
+async function testRecordsRunsFromTracker(dir) {
+  const tracker = new RunTracker();
+  const store = new TranscriptStore({ dir }).attach(tracker);
+
+  const first = simulateRun(tracker, 'i1', 'T-1');
+  const second = simulateRun(tracker, 'i2', 'T-2');
+  await store.flush();
+
+  const lines = (await readFile(join(dir, 'p1.ndjson'), 'utf-8')).trim().split('\n').map((l) => JSON.parse(l));
+  assert.equal(lines.length, 12, 'run_start + 4 events + run_end per run');
+  assert.deepEqual(lines[0].event, { type: 'run_start', prompt: 'Work on T-1' });
+  assert.equal(lines[0].runId, first.runId);
+  assert.equal(lines[0].issueId, 'i1');
+  assert.equal(lines[11].event.type, 'run_end');
+
+  const runs = await store.listRuns();
+  assert.equal(runs.length, 2);
+  assert.ok(runs.every((r) => r.state === 'finished' && r.eventCount === 6));
+  assert.deepEqual(new Set(runs.map((r) => r.runId)), new Set([first.runId, second.runId]));
+
+  const transcript = await store.readRun(first.runId);
+  assert.equal(transcript.events.length, 6);
+  assert.ok(transcript.events.every((e) => e.issueId === 'i1'));
+
+  const markdown = formatRunAsMarkdown(transcript);
+  assert.match(markdown, /^# Run /);
+  assert.match(markdown, /\*\*Issue:\*\* T-1 \(i1\)/);
+  assert.match(markdown, /Prompt\n\nWork on T-1/);
+  assert.match(markdown, /Reading the failing test first\./);
+  assert.match(markdown, /### Tool call: bash/);
+  assert.match(markdown, /"command": "npm test"/);
+  assert.match(markdown, /### Tool result: bash\n\n```\n1 failing\n```/);
+  assert.match(markdown, /Run finished/);
+
+  const listed = await captureConsole(() => runsList(['--project-id', 'p1'], { store }));
+  assert.ok(listed.includes(first.runId) && listed.includes('T-2'));
+
+  const shown = await captureConsole(() => runsShow([first.runId], { store }));
+  assert.equal(shown, markdown);
+  await assert.rejects(() => runsShow(['nope'], { store }), /Run not found: nope/);
+  await assert.rejects(() => runsShow([], { store }), /Missing required argument <runId>/);
+}
+
+async function testRotation(dir) {
+  const tracker = new RunTracker();
+  const store = new TranscriptStore({ dir, maxFileBytes: 1500, maxFiles: 2 }).attach(tracker);
+
+  const runs = [];
+  for (let i = 0; i < 6; i++) runs.push(simulateRun(tracker, `i${i}`, `T-${i}`));
+  await store.flush();
+
+  const files = (await readdir(dir)).sort();
+  assert.deepEqual(files, ['p1.ndjson', 'p1.ndjson.1', 'p1.ndjson.2'], 'rotated files are capped');
+
+  const listed = await store.listRuns({ projectId: 'p1' });
+  assert.equal(listed[0].runId, runs[5].runId, 'newest run first');
+  assert.ok(listed.length < runs.length, 'oldest runs rotated away');
+}
+
+async function main() {
+  setQuietMode(true);
+  const dir = await mkdtemp(join(tmpdir(), 'pi-linear-transcripts-'));
+  try {
+    await testRecordsRunsFromTracker(join(dir, 'basic'));
+    await testRotation(join(dir, 'rotation'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+  console.log('✓ test-transcript-store.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { RunTracker } from './src/run-tracker.js';
+import {
+  UiRequestBroker,
+  buildDefaultResponse,
+  parseReply,
+  policyForMethod,
+  resolveUiRequestSettings,
+} from './src/ui-request-policy.js';
+import { formatRunAsMarkdown } from './src/transcript-store.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const SESSION = 'pi_project_p1';
+
+function createFakeRpcManager() {
+  return {
+    responses: [],
+    aborted: [],
+    alive: true,
+    getClient() {
+      return { isAlive: () => this.alive };
+    },
+    respondUi(sessionName, id, payload) {
+      this.responses.push({ sessionName, id, payload });
+      return true;
+    },
+    async abortRun(sessionName, reason) {
+      this.aborted.push({ sessionName, reason });
+      return true;
+    },
+  };
+}
+
+function createFakeLinearClient() {
+  const client = {
+    created: [],
+    comments: [],
+    async issue(id) {
+      return {
+        id,
+        identifier: 'T-1',
+        title: 'Issue',
+        comments: async () => ({ nodes: client.comments }),
+      };
+    },
+    async createComment(input) {
+      client.created.push(input);
+      return { success: true, comment: Promise.resolve({ id: `c${client.created.length}` }) };
+    },
+  };
+  return client;
+}
+
+function createBroker(config, linearClient = null) {
+  const runTracker = new RunTracker();
+  const events = [];
+  runTracker.on('run_event', (run, evt) => events.push(evt));
+  runTracker.startRun(SESSION, { issueId: 'i1', identifier: 'T-1', projectId: 'p1' });
+  const rpcManager = createFakeRpcManager();
+  const broker = new UiRequestBroker({ rpcManager, runTracker, linearClient, config: { tmuxPrefix: 'pi_project_', ...config } });
+  return { broker, rpcManager, runTracker, events };
+}
+
+function testSettingsResolution() {
+  const config = {
+    rpc: { uiRequests: { policy: 'comment', defaults: { input: 'n/a' } } },
+    projects: { p1: { runtime: { uiRequests: { policy: { confirm: 'auto', default: 'abort' }, defaults: { confirm: true } } } } },
+  };
+
+  const global = resolveUiRequestSettings(config, 'p2');
+  assert.equal(global.policy, 'comment');
+  assert.deepEqual(global.defaults, { confirm: false, input: 'n/a' });
+  assert.equal(global.replyTimeoutSec, 3600);
+
+  const project = resolveUiRequestSettings(config, 'p1');
+  assert.deepEqual(project.defaults, { confirm: true, input: 'n/a' });
+  assert.equal(policyForMethod(project.policy, 'confirm'), 'auto');
+  assert.equal(policyForMethod(project.policy, 'select'), 'abort');
+  assert.equal(policyForMethod('comment', 'input'), 'comment');
+}
+
+function testDefaultResponses() {
+  const select = { method: 'select', options: ['Keep', 'Overwrite'] };
+  assert.deepEqual(buildDefaultResponse({ method: 'confirm' }, {}), { confirmed: false });
+  assert.deepEqual(buildDefaultResponse({ method: 'confirm' }, { confirm: true }), { confirmed: true });
+  assert.deepEqual(buildDefaultResponse(select, { select: 1 }), { value: 'Overwrite' });
+  assert.deepEqual(buildDefaultResponse(select, { select: 'Keep' }), { value: 'Keep' });
+  assert.deepEqual(buildDefaultResponse(select, { select: 'Delete' }), { cancelled: true });
+  assert.deepEqual(buildDefaultResponse({ method: 'input' }, {}), { cancelled: true });
+  assert.deepEqual(buildDefaultResponse({ method: 'editor' }, { input: 'text' }), { value: 'text' });
+}
+
+function testReplyParsing() {
+  assert.deepEqual(parseReply({ method: 'confirm' }, 'Yes, go ahead'), { confirmed: true });
+  assert.deepEqual(parseReply({ method: 'confirm' }, 'no.'), { confirmed: false });
+  assert.equal(parseReply({ method: 'confirm' }, 'maybe later'), null);
+
+  const select = { method: 'select', options: ['Keep', 'Overwrite'] };
+  assert.deepEqual(parseReply(select, '2'), { value: 'Overwrite' });
+  assert.deepEqual(parseReply(select, 'keep\nthanks'), { value: 'Keep' });
+  assert.equal(parseReply(select, '3'), null);
+
+  assert.deepEqual(parseReply({ method: 'input' }, '  feature/login  '), { value: 'feature/login' });
+  assert.equal(parseReply({ method: 'input' }, '   '), null);
+}
+
+async function testAutoPolicyAnswersWithDefaults() {
+  const { broker, rpcManager, events } = createBroker({ rpc: { uiRequests: { policy: 'auto', defaults: { confirm: true } } } });
+
+  assert.equal(await broker.handleRequest(SESSION, { id: 'u1', method: 'notify', message: 'hi' }), null, 'fire-and-forget ignored');
+  assert.equal(await broker.handleRequest(SESSION, { id: 'u2', method: 'confirm', title: 'Delete file?' }), 'auto');
+  assert.equal(await broker.handleRequest(SESSION, { id: 'u3', method: 'input', title: 'Branch name' }), 'auto');
+
+  assert.deepEqual(rpcManager.responses, [
+    { sessionName: SESSION, id: 'u2', payload: { confirmed: true } },
+    { sessionName: SESSION, id: 'u3', payload: { cancelled: true } },
+  ]);
+  assert.equal(rpcManager.aborted.length, 0);
+  assert.equal(events.length, 2);
+  assert.deepEqual(events[0], {
+    type: 'ui_request_resolved',
+    requestId: 'u2',
+    method: 'confirm',
+    title: 'Delete file?',
+    policy: 'auto',
+    via: 'default',
+    response: { confirmed: true },
+  });
+}
+
+async function testAbortPolicyCancelsAndAborts() {
+  const { broker, rpcManager, events } = createBroker({ rpc: { uiRequests: { policy: 'abort' } } });
+
+  assert.equal(await broker.handleRequest(SESSION, { id: 'u1', method: 'select', options: ['a'] }), 'abort');
+  assert.deepEqual(rpcManager.responses[0].payload, { cancelled: true });
+  assert.equal(rpcManager.aborted.length, 1);
+  assert.equal(events[0].policy, 'abort');
+}
+
+async function testCommentPolicyWaitsForReply() {
+  const linear = createFakeLinearClient();
+  const { broker, rpcManager, events } = createBroker({ rpc: { uiRequests: { policy: 'comment' } } }, linear);
+  const request = { id: 'u1', method: 'select', title: 'Which migration?', options: ['Keep', 'Overwrite'] };
+
+  assert.equal(await broker.handleRequest(SESSION, request), 'comment');
+  assert.equal(linear.created.length, 1);
+  assert.equal(linear.created[0].issueId, 'i1');
+  assert.match(linear.created[0].body, /Which migration\?/);
+  assert.match(linear.created[0].body, /2\. Overwrite/);
+  assert.equal(rpcManager.responses.length, 0, 'no answer before a reply');
+  assert.equal(events[0].type, 'ui_request_asked');
+
+  // Unrelated and unparseable replies are ignored
+  linear.comments.push({ id: 'x1', body: '2', createdAt: '2026-01-01T00:00:00Z', parent: null });
+  linear.comments.push({ id: 'x2', body: 'not sure', createdAt: '2026-01-01T00:00:01Z', parent: { id: 'c1' } });
+  assert.deepEqual(await broker.checkPending(), { answered: 0, timedOut: 0 });
+
+  linear.comments.push({ id: 'x3', body: 'overwrite', createdAt: '2026-01-01T00:00:02Z', parent: { id: 'c1' } });
+  assert.deepEqual(await broker.checkPending(), { answered: 1, timedOut: 0 });
+  assert.deepEqual(rpcManager.responses, [{ sessionName: SESSION, id: 'u1', payload: { value: 'Overwrite' } }]);
+  assert.equal(broker.pending.size, 0);
+
+  const resolved = events.find((e) => e.type === 'ui_request_resolved');
+  assert.equal(resolved.policy, 'comment');
+  assert.equal(resolved.via, 'linear reply');
+}
+
+async function testCommentPolicyTimesOut() {
+  const linear = createFakeLinearClient();
+  const { broker, rpcManager, runTracker, events } = createBroker({ rpc: { uiRequests: { policy: 'comment', replyTimeoutSec: 60 } } }, linear);
+
+  await broker.handleRequest(SESSION, { id: 'u1', method: 'confirm', title: 'Push?' });
+  assert.deepEqual(await broker.checkPending(Date.now() + 30_000), { answered: 0, timedOut: 0 });
+  assert.deepEqual(await broker.checkPending(Date.now() + 61_000), { answered: 0, timedOut: 1 });
+
+  assert.deepEqual(rpcManager.responses[0].payload, { cancelled: true });
+  assert.equal(rpcManager.aborted.length, 1);
+  assert.match(rpcManager.aborted[0].reason, /no reply/);
+  assert.equal(events.at(-1).via, 'timeout');
+
+  // A request of a run that already ended is dropped without answering
+  await broker.handleRequest(SESSION, { id: 'u2', method: 'confirm', title: 'Again?' });
+  runTracker.failRun(SESSION, 'aborted');
+  assert.deepEqual(await broker.checkPending(Date.now() + 61_000), { answered: 0, timedOut: 0 });
+  assert.equal(broker.pending.size, 0);
+  assert.equal(rpcManager.responses.length, 1);
+}
+
+async function testCommentPolicyWithoutIssueAborts() {
+  const rpcManager = createFakeRpcManager();
+  const broker = new UiRequestBroker({
+    rpcManager,
+    runTracker: new RunTracker(),
+    linearClient: createFakeLinearClient(),
+    config: { rpc: { uiRequests: { policy: 'comment' } } },
+  });
+
+  assert.equal(await broker.handleRequest(SESSION, { id: 'u1', method: 'input' }), 'abort');
+  assert.deepEqual(rpcManager.responses[0].payload, { cancelled: true });
+  assert.equal(rpcManager.aborted.length, 1);
+}
+
+function testTranscriptRendering() {
+  const markdown = formatRunAsMarkdown({
+    run: { runId: 'r1', issueId: 'i1', sessionName: SESSION, state: 'finished', startedAt: 0, endedAt: 1000 },
+    events: [
+      { at: 0, event: { type: 'extension_ui_request', id: 'u1', method: 'confirm', title: 'Push?' } },
+      { at: 0, event: { type: 'ui_request_resolved', requestId: 'u1', method: 'confirm', policy: 'auto', via: 'default', response: { confirmed: false } } },
+    ],
+  });
+  assert.match(markdown, /UI request \(confirm\): Push\?/);
+  assert.match(markdown, /answered by auto policy via default: \{"confirmed":false\}/);
+}
+
+function testSettingsValidation() {
+  const base = { mode: 'rpc' };
+  assert.deepEqual(validateSettings({ ...base, rpc: { uiRequests: { policy: { confirm: 'auto', default: 'comment' }, defaults: { select: 0 } } } }).errors, []);
+
+  const { errors } = validateSettings({
+    ...base,
+    rpc: { uiRequests: { policy: 'ask', defaults: { confirm: 'yes', select: -1 }, replyTimeoutSec: 0 } },
+    projects: { p1: { runtime: { uiRequests: { policy: { notify: 'auto' } } } } },
+  });
+  assert.ok(errors.includes('settings.rpc.uiRequests.policy must be one of: auto, comment, abort'));
+  assert.ok(errors.includes('settings.rpc.uiRequests.defaults.confirm must be a boolean'));
+  assert.ok(errors.includes('settings.rpc.uiRequests.defaults.select must be an option string or a non-negative option index'));
+  assert.ok(errors.includes('settings.rpc.uiRequests.replyTimeoutSec must be a positive number'));
+  assert.ok(errors.some((e) => e.startsWith('settings.projects.p1.runtime.uiRequests.policy.notify is not a dialog method')));
+}
+
+async function main() {
+  setQuietMode(true);
+  testSettingsResolution();
+  testDefaultResponses();
+  testReplyParsing();
+  await testAutoPolicyAnswersWithDefaults();
+  await testAbortPolicyCancelsAndAborts();
+  await testCommentPolicyWaitsForReply();
+  await testCommentPolicyTimesOut();
+  await testCommentPolicyWithoutIssueAborts();
+  testTranscriptRendering();
+  testSettingsValidation();
+  console.log('✓ test-ui-request-policy.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { request } from 'node:http';
+import { startWebhookServer, verifyWebhookSignature, extractWebhookTarget } from './src/webhook-server.js';
+import { validateSettings } from './src/settings.js';
+import { setQuietMode } from './src/logger.js';
+
+const SECRET = 'lin_wh_test_secret';
+
+// Recorded Linear webhook deliveries (trimmed)
+const issueUpdatePayload = {
+  action: 'update',
+  type: 'Issue',
+  createdAt: '2026-03-02T10:15:00.000Z',
+  organizationId: 'org-1',
+  url: 'https://linear.app/acme/issue/ENG-42/fix-login',
+  data: {
+    id: 'issue-42',
+    identifier: 'ENG-42',
+    title: 'Fix login',
+    priority: 2,
+    stateId: 'state-todo',
+    teamId: 'team-eng',
+    projectId: 'proj-web',
+    assigneeId: 'user-1',
+  },
+  updatedFrom: { stateId: 'state-backlog', updatedAt: '2026-03-02T10:14:00.000Z' },
+};
+
+const commentCreatePayload = {
+  action: 'create',
+  type: 'Comment',
+  createdAt: '2026-03-02T10:16:00.000Z',
+  organizationId: 'org-1',
+  data: {
+    id: 'comment-1',
+    body: 'Please also handle SSO',
+    issueId: 'issue-42',
+    userId: 'user-2',
+    issue: { id: 'issue-42', title: 'Fix login' },
+  },
+};
+
+const labelPayload = {
+  action: 'create',
+  type: 'IssueLabel',
+  data: { id: 'label-1', name: 'bug' },
+};
+
+function sign(body) {
+  return createHmac('sha256', SECRET).update(body).digest('hex');
+}
+
+function post(port, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port, path, method: 'POST', headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString() || '{}') }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function deliver(port, payload, overrides = {}) {
+  const body = JSON.stringify({ webhookTimestamp: Date.now(), ...payload });
+  return post(port, overrides.path || '/linear/webhook', body, {
+    'Content-Type': 'application/json',
+    'linear-signature': overrides.signature ?? sign(body),
+  });
+}
+
+function testSignatureAndExtraction() {
+  const body = JSON.stringify(issueUpdatePayload);
+  assert.equal(verifyWebhookSignature(body, sign(body), SECRET), true);
+  assert.equal(verifyWebhookSignature(body, sign(`${body} `), SECRET), false);
+  assert.equal(verifyWebhookSignature(body, 'not-hex', SECRET), false);
+  assert.equal(verifyWebhookSignature(body, undefined, SECRET), false);
+
+  assert.deepEqual(extractWebhookTarget(issueUpdatePayload), {
+    relevant: true, type: 'Issue', action: 'update', projectId: 'proj-web', issueId: 'issue-42',
+  });
+  assert.deepEqual(extractWebhookTarget(commentCreatePayload), {
+    relevant: true, type: 'Comment', action: 'create', projectId: null, issueId: 'issue-42',
+  });
+  assert.equal(extractWebhookTarget(labelPayload).relevant, false);
+  assert.equal(extractWebhookTarget({ ...issueUpdatePayload, action: 'remove' }).relevant, false);
+}
+
+async function testServerDeliveries() {
+  const events = [];
+  const webhook = await startWebhookServer({
+    secret: SECRET,
+    port: 0,
+    onEvent: async (target) => { events.push(target); },
+  });
+
+  try {
+    let res = await deliver(webhook.port, issueUpdatePayload);
+    assert.equal(res.status, 200);
+    res = await deliver(webhook.port, commentCreatePayload);
+    assert.equal(res.status, 200);
+
+    res = await deliver(webhook.port, labelPayload);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ignored, true);
+
+    res = await deliver(webhook.port, issueUpdatePayload, { signature: 'deadbeef' });
+    assert.equal(res.status, 401);
+
+    res = await deliver(webhook.port, { ...issueUpdatePayload, webhookTimestamp: Date.now() - 10 * 60_000 });
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'stale delivery');
+
+    // Signed but without a timestamp: could be replayed forever
+    for (const webhookTimestamp of [undefined, String(Date.now())]) {
+      res = await deliver(webhook.port, { ...issueUpdatePayload, webhookTimestamp });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, 'missing webhookTimestamp');
+    }
+
+    // Oversize bodies get a 413 instead of a connection reset
+    const oversize = JSON.stringify({ ...issueUpdatePayload, padding: 'x'.repeat(2 * 1024 * 1024) });
+    res = await post(webhook.port, '/linear/webhook', oversize, { 'Content-Type': 'application/json', 'linear-signature': sign(oversize) });
+    assert.equal(res.status, 413);
+    assert.equal(res.body.error, 'Payload too large');
+
+    res = await deliver(webhook.port, issueUpdatePayload, { path: '/other' });
+    assert.equal(res.status, 404);
+
+    // Handlers run after the response: give them a tick
+    await new Promise((r) => setImmediate(r));
+    assert.deepEqual(events.map((e) => [e.type, e.projectId, e.issueId]), [
+      ['Issue', 'proj-web', 'issue-42'],
+      ['Comment', null, 'issue-42'],
+    ]);
+  } finally {
+    await webhook.close();
+  }
+
+  await assert.rejects(() => startWebhookServer({ secret: '', port: 0, onEvent() {} }), /secret is required/);
+}
+
+function testWebhookSettingsValidation() {
+  assert.equal(validateSettings({ webhook: { enabled: true, port: 8787, path: '/linear/webhook' } }).valid, true);
+
+  const result = validateSettings({ webhook: { enabled: 'yes', port: 70000, path: 'hook', safetyPollIntervalSec: 0 } });
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some((e) => e.includes('webhook.enabled')));
+  assert.ok(result.errors.some((e) => e.includes('webhook.port')));
+  assert.ok(result.errors.some((e) => e.includes('webhook.path')));
+  assert.ok(result.errors.some((e) => e.includes('webhook.safetyPollIntervalSec')));
+}
+
+async function main() {
+  setQuietMode(true);
+  testSignatureAndExtraction();
+  await testServerDeliveries();
+  testWebhookSettingsValidation();
+  console.log('✓ test-webhook-server.js passed');
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
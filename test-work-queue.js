@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+import assert from 'node:assert/strict';
+import { WorkQueue, orderIssues, resolveQueuePolicy } from './src/work-queue.js';
+import { validateSettings } from './src/settings.js';
+
+function issue(id, fields = {}) {
+  return {
+    id,
+    identifier: `T-${id}`,
+    title: `Issue ${id}`,
+    state: { name: 'Todo', type: 'unstarted' },
+    priority: 0,
+    dueDate: null,
+    sortOrder: 0,
+    project: { id: 'p1', name: 'P1' },
+    ...fields,
+  };
+}
+
+function testDefaultOrdering() {
+  const issues = [
+    issue('low', { priority: 4 }),
+    issue('none', { priority: 0 }),
+    issue('urgent', { priority: 1 }),
+    issue('started-low', { priority: 4, state: { name: 'In Progress', type: 'started' } }),
+    issue('high-due-late', { priority: 2, dueDate: '2030-01-10' }),
+    issue('high-due-soon', { priority: 2, dueDate: '2030-01-01' }),
+    issue('high-no-due-b', { priority: 2, sortOrder: 5 }),
+    issue('high-no-due-a', { priority: 2, sortOrder: -1 }),
+  ];
+
+  const ordered = orderIssues(issues).map((i) => i.id);
+  assert.deepEqual(ordered, [
+    'started-low',
+    'urgent',
+    'high-due-soon',
+    'high-due-late',
+    'high-no-due-a',
+    'high-no-due-b',
+    'low',
+    'none',
+  ]);
+}
+
+function testCustomOrdering() {
+  const issues = [
+    issue('a', { priority: 1, sortOrder: 3 }),
+    issue('b', { priority: 4, sortOrder: 1 }),
+  ];
+  const policy = resolveQueuePolicy({ scope: { ordering: ['sortOrder'] } });
+  assert.deepEqual(orderIssues(issues, policy.ordering).map((i) => i.id), ['b', 'a']);
+}
+
+function testDispatchHoldAndRelease() {
+  const queue = new WorkQueue();
+  const issues = [issue('urgent', { priority: 1 }), issue('low', { priority: 4 })];
+  const now = 1_000_000;
+
+  const first = queue.selectNext(issues, { retryAfterSec: 60, now });
+  assert.equal(first.issue.id, 'urgent');
+  queue.markDispatched(first.issue, { sessionName: 's1', now });
+
+  // Already dispatched and unchanged: next candidate is chosen
+  const second = queue.selectNext(issues, { retryAfterSec: 60, now: now + 1000 });
+  assert.equal(second.issue.id, 'low');
+  assert.deepEqual(second.held, [{ issueId: 'urgent', reason: 'already dispatched' }]);
+
+  // State change releases the hold
+  const moved = [issue('urgent', { priority: 1, state: { name: 'In Progress', type: 'started' } })];
+  assert.equal(queue.selectNext(moved, { retryAfterSec: 60, now: now + 1000 }).issue.id, 'urgent');
+
+  // Retry window releases the hold
+  assert.equal(queue.selectNext([issues[0]], { retryAfterSec: 60, now: now + 60_000 }).issue.id, 'urgent');
+  assert.equal(queue.selectNext([issues[0]], { retryAfterSec: 60, now: now + 59_000 }).issue, null);
+}
+
+function testOrderingValidation() {
+  const base = {
+    projects: {
+      p1: { repo: { path: '/tmp' }, scope: { ordering: ['priority', 'bogus'], retryAfterSec: -1 } },
+    },
+  };
+  const result = validateSettings(base);
+  assert.equal(result.valid, false);
+  assert.ok(result.errors.some((e) => e.includes('scope.ordering')));
+  assert.ok(result.errors.some((e) => e.includes('scope.retryAfterSec')));
+}
+
+function main() {
+  testDefaultOrdering();
+  testCustomOrdering();
+  testDispatchHoldAndRelease();
+  testOrderingValidation();
+  console.log('✓ test-work-queue.js passed');
+}
+
+main();